@@ -0,0 +1,114 @@
+// lib/audit.js
+// Append-only audit log of mutations to payments, events, orgs, officer profiles and terms (GET /api/audit).
+// Entries are only ever created; this module has no update or delete.
+// - Entry: { id, at, entity: 'payment' | 'event' | 'org' | 'officerProfile' | 'term', entityId, action,
+//            actor: { uid, role, name, username, email, org } | SYSTEM_ACTOR, route: 'POST /api/payments/:id/approve',
+//            ip, org, orgId (owner of the entity, used to scope officer queries), diff }
+// - diff: { field: { before, after } } for every top-level field that changed (null for a missing side), so
+//   fields removed by a mutation (e.g. approvedAt on /unapprove) stay on record
+// - Writes that changed nothing (empty diff) are not recorded. Recording failures are logged and never fail the
+//   mutation that was already saved.
+//
+// Usage:
+//   const audit = require('./lib/audit')({ entries: repo.auditLog });
+//   const before = audit.snapshot(payment);  ...mutate + save...
+//   await audit.record(Object.assign(audit.fromRequest(req), { entity: 'payment', entityId: payment.id, action: 'approve', before, after: saved }));
+//   await audit.list({ entity: 'payment', entityId: id });   // newest first
+
+const { v4: uuidv4 } = require('uuid');
+
+const ENTITIES = Object.freeze(['payment', 'event', 'org', 'officerProfile', 'term']);
+const SYSTEM_ACTOR = Object.freeze({ uid: 'system', role: 'system', name: 'SpartaPay' });
+
+// Deep copy of a document as stored (drops undefined values, like the datastore does)
+function snapshot(doc) {
+  return doc ? JSON.parse(JSON.stringify(doc)) : null;
+}
+
+function diff(before, after) {
+  const a = before || {};
+  const b = after || {};
+  const changes = {};
+  new Set(Object.keys(a).concat(Object.keys(b))).forEach(key => {
+    const was = typeof a[key] === 'undefined' ? null : a[key];
+    const now = typeof b[key] === 'undefined' ? null : b[key];
+    if (JSON.stringify(was) !== JSON.stringify(now)) changes[key] = { before: was, after: now };
+  });
+  return changes;
+}
+
+// Who made the request, from the officer session (req.authUser) or the Firebase token (req.firebaseUser)
+function actorFrom(req) {
+  const user = req.authUser || null;
+  const fb = req.firebaseUser || null;
+  if (!user && !fb) return { uid: null, role: 'anonymous' };
+  return {
+    uid: (user && user.uid) || (fb && fb.uid) || null,
+    role: (user && user.role) || 'student',
+    name: (user && user.name) || (fb && fb.name) || null,
+    username: (user && user.username) || null,
+    email: (user && user.email) || (fb && fb.email) || null,
+    org: (user && user.org) || null
+  };
+}
+
+function fromRequest(req) {
+  const routePath = req.route ? `${req.baseUrl || ''}${req.route.path}` : req.path;
+  return {
+    actor: actorFrom(req),
+    route: `${req.method} ${routePath}`,
+    ip: req.ip || (req.socket && req.socket.remoteAddress) || null
+  };
+}
+
+// Owning org of an audited document (orgs own themselves)
+function ownerOf(entity, doc) {
+  if (!doc) return { org: null, orgId: null };
+  if (entity === 'org') return { org: doc.name || null, orgId: doc.id || null };
+  return { org: doc.org || null, orgId: doc.orgId || null };
+}
+
+module.exports = function createAudit({ entries }) {
+  async function record({ entity, entityId, action, actor = SYSTEM_ACTOR, route = null, ip = null, before = null, after = null }) {
+    try {
+      const changes = diff(snapshot(before), snapshot(after));
+      if (!Object.keys(changes).length) return null;
+      const owner = ownerOf(entity, after || before);
+      const entry = {
+        id: uuidv4(),
+        at: new Date().toISOString(),
+        entity,
+        entityId: entityId ? String(entityId) : null,
+        action,
+        actor: Object.assign({}, actor),
+        route,
+        ip,
+        org: owner.org,
+        orgId: owner.orgId,
+        diff: changes
+      };
+      await entries.create(entry);
+      return entry;
+    } catch (err) {
+      console.error('Audit log write failed:', { entity, entityId, action }, err && err.message ? err.message : err);
+      return null;
+    }
+  }
+
+  // Entries matching entity / entityId (both optional), newest first
+  async function list({ entity = null, entityId = null } = {}) {
+    const filter = {};
+    if (entity) filter.entity = entity;
+    if (entityId) filter.entityId = String(entityId);
+    const all = await entries.list(filter);
+    return all.sort((a, b) => String(b.at || '').localeCompare(String(a.at || '')));
+  }
+
+  return { ENTITIES, record, list, snapshot, fromRequest };
+};
+
+module.exports.ENTITIES = ENTITIES;
+module.exports.SYSTEM_ACTOR = SYSTEM_ACTOR;
+module.exports.snapshot = snapshot;
+module.exports.diff = diff;
+module.exports.fromRequest = fromRequest;
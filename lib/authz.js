@@ -0,0 +1,89 @@
+// lib/authz.js
+// Role-based authorization for officer and admin routes.
+// - Roles come from users/{uid}.role (written by scripts/set_officer_orgs.js), falling back to a `role` custom claim on the token
+// - Org membership comes from users/{uid}.org (written only by scripts/set_officer_orgs.js; routes/session.js never takes
+//   it from the client) and optional users/{uid}.orgId. The client-editable users/{uid}.profile is never consulted.
+// - 'admin' can do everything (including org CRUD); 'officer' can only mutate events/payments of their own org
+//
+// Usage: const authz = require('./lib/authz')({ getUserByUid, canonicalOrgName });
+//   app.post('/api/x/:id', verifyFirebaseToken, authz.requireRole('officer', 'admin'), async (req, res) => {
+//     if (!authz.ensureOrgAccess(req, res, { orgId, org })) return; // 403 already sent
+//   });
+//
+// Officer sessions issued by POST /api/officer/login (lib/officerAccounts.js) arrive with req.authUser already set by
+// verifyFirebaseToken, so these checks are enforced even when firebase-admin is not configured.
+
+const ROLES = Object.freeze({ STUDENT: 'student', OFFICER: 'officer', ADMIN: 'admin' });
+
+module.exports = function ({ getUserByUid, canonicalOrgName }) {
+  // Resolve { uid, email, role, org, orgId } for the verified token on req.firebaseUser (officer sessions set req.authUser directly)
+  async function loadAuthUser(req) {
+    if (req.authUser) return req.authUser;
+    const decoded = req.firebaseUser;
+    if (!decoded || !decoded.uid) return null;
+
+    let userDoc = null;
+    try {
+      userDoc = await getUserByUid(decoded.uid);
+    } catch (err) {
+      console.warn('authz: failed to load user record:', err && err.message ? err.message : err);
+    }
+
+    const role = (userDoc && userDoc.role) || decoded.role || ROLES.STUDENT;
+    const org = (userDoc && userDoc.org) || null;
+    req.authUser = {
+      uid: decoded.uid,
+      email: decoded.email || (userDoc && userDoc.email) || null,
+      role: String(role).toLowerCase(),
+      org,
+      orgId: (userDoc && userDoc.orgId) || null
+    };
+    return req.authUser;
+  }
+
+  // Middleware: require one of the given roles (admin always passes). Must run after verifyFirebaseToken.
+  function requireRole(...roles) {
+    const allowed = roles.map(r => String(r).toLowerCase());
+    return async (req, res, next) => {
+      try {
+        const user = await loadAuthUser(req);
+        if (!user) return res.status(401).json({ error: 'not authenticated' });
+        if (user.role === ROLES.ADMIN || allowed.includes(user.role)) return next();
+        return res.status(403).json({ error: 'forbidden: requires role ' + allowed.join(' or ') });
+      } catch (err) {
+        console.error('authz requireRole error:', err && err.message ? err.message : err);
+        return res.status(500).json({ error: 'Server error' });
+      }
+    };
+  }
+
+  // True when the user may act on resources of the target org ({ orgId, org }).
+  function canAccessOrg(user, target = {}) {
+    if (!user) return false;
+    if (user.role === ROLES.ADMIN) return true;
+    if (user.role !== ROLES.OFFICER) return false;
+
+    const targetOrgId = target.orgId ? String(target.orgId) : null;
+    const targetOrg = target.org ? canonicalOrgName(target.org) : null;
+    if (!targetOrgId && !targetOrg) return false; // unowned resources are admin-only
+
+    if (user.orgId && targetOrgId && String(user.orgId) === targetOrgId) return true;
+    if (user.org && targetOrg && canonicalOrgName(user.org) === targetOrg) return true;
+    return false;
+  }
+
+  // Route helper: sends 403 and returns false when req.authUser may not act on the target org
+  function ensureOrgAccess(req, res, target) {
+    if (canAccessOrg(req.authUser, target)) return true;
+    res.status(403).json({ error: 'forbidden: resource belongs to another organization' });
+    return false;
+  }
+
+  return {
+    ROLES,
+    loadAuthUser,
+    requireRole,
+    canAccessOrg,
+    ensureOrgAccess
+  };
+};
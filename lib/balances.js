@@ -0,0 +1,138 @@
+// lib/balances.js
+// Payment amounts vs the event fee.
+// - classifyAmount(): 'exact' | 'partial' | 'overpaid' for one payment against what the student still owes
+// - studentBalances(): running balance per student for one event. Approved payments count as paid, pending /
+//   needs-resubmission ones as pending; rejected and withdrawn payments are ignored. Several partial payments add up, so a
+//   student becomes 'paid' once the approved total reaches the fee. Students who paid late owe the event fee plus
+//   the late fee recorded on their payments (lib/deadlines.js).
+
+const { STATUSES, normalizeStatus, isVoid } = require('./paymentStatus');
+
+const AMOUNT_STATUSES = Object.freeze({ EXACT: 'exact', PARTIAL: 'partial', OVERPAID: 'overpaid' });
+const BALANCE_STATUSES = Object.freeze({ UNPAID: 'unpaid', PARTIAL: 'partial', PAID: 'paid', OVERPAID: 'overpaid' });
+
+function toAmount(value) {
+  const n = parseFloat(value);
+  return Number.isFinite(n) ? n : 0;
+}
+
+// Round to centavos so 0.1 + 0.2 style sums compare correctly
+function round2(n) {
+  return Math.round(n * 100) / 100;
+}
+
+// Key that groups a student's payments: uid, else email, else the typed name
+function studentKey(payment) {
+  if (payment.submittedByUid) return `uid:${payment.submittedByUid}`;
+  if (payment.submittedByEmail) return `email:${String(payment.submittedByEmail).trim().toLowerCase()}`;
+  if (payment.studentName) return `name:${String(payment.studentName).trim().toLowerCase().replace(/\s+/g, ' ')}`;
+  return `payment:${payment.id}`;
+}
+
+// Classify `amount` against the amount still due (fee minus what the student already submitted).
+// Returns null when the event has no fee.
+function classifyAmount(amount, fee, alreadySubmitted = 0) {
+  const feeValue = toAmount(fee);
+  if (feeValue <= 0) return null;
+  const due = round2(feeValue - toAmount(alreadySubmitted));
+  const value = round2(toAmount(amount));
+  if (due <= 0 || value > due) return AMOUNT_STATUSES.OVERPAID;
+  if (value === due) return AMOUNT_STATUSES.EXACT;
+  return AMOUNT_STATUSES.PARTIAL;
+}
+
+// Sum of a student's payments that still count (everything except rejected / withdrawn)
+function submittedTotal(payments) {
+  return round2(payments
+    .filter(p => !isVoid(p.status))
+    .reduce((sum, p) => sum + toAmount(p.amount), 0));
+}
+
+function balanceStatus(paid, fee) {
+  if (fee > 0 && paid > fee) return BALANCE_STATUSES.OVERPAID;
+  if (fee > 0 && paid === fee) return BALANCE_STATUSES.PAID;
+  if (fee <= 0 && paid > 0) return BALANCE_STATUSES.PAID;
+  if (paid > 0) return BALANCE_STATUSES.PARTIAL;
+  return BALANCE_STATUSES.UNPAID;
+}
+
+// Late-fee surcharge owed by a student: the largest lateFee on their payments that still count
+function lateFeeOwed(payments) {
+  return payments
+    .filter(p => !isVoid(p.status))
+    .reduce((max, p) => Math.max(max, toAmount(p.lateFee)), 0);
+}
+
+// Balance of one student's payments for one event against the fee (the student's late fee is added to what is due)
+function balanceFor(payments, fee) {
+  const list = payments || [];
+  const feeValue = toAmount(fee);
+  let paid = 0;
+  let pending = 0;
+  let lastPaymentAt = null;
+  list.forEach(p => {
+    const status = normalizeStatus(p.status);
+    if (status === STATUSES.APPROVED) paid += toAmount(p.amount);
+    else if (!isVoid(status)) pending += toAmount(p.amount);
+    if (p.createdAt && (!lastPaymentAt || p.createdAt > lastPaymentAt)) lastPaymentAt = p.createdAt;
+  });
+  paid = round2(paid);
+  pending = round2(pending);
+  const lateFee = feeValue > 0 ? round2(lateFeeOwed(list)) : 0;
+  const due = round2(feeValue + lateFee);
+  return {
+    paymentCount: list.length,
+    due,
+    lateFee,
+    paid,
+    pending,
+    balance: round2(Math.max(due - paid, 0)),
+    overpaid: due > 0 ? round2(Math.max(paid - due, 0)) : 0,
+    status: balanceStatus(paid, due),
+    lastPaymentAt
+  };
+}
+
+// Per-student balances for one event's payments. Returns { fee, students: [...], totals: {...} }
+function studentBalances(payments, fee) {
+  const feeValue = toAmount(fee);
+  const groups = new Map();
+  (payments || []).forEach(p => {
+    const key = studentKey(p);
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(p);
+  });
+
+  const students = Array.from(groups.entries()).map(([key, list]) => {
+    const named = list.find(p => p.studentName) || list[0];
+    return Object.assign({
+      studentKey: key,
+      studentName: named.studentName || null,
+      submittedByUid: named.submittedByUid || null,
+      submittedByEmail: named.submittedByEmail || null
+    }, balanceFor(list, feeValue));
+  });
+
+  const totals = {
+    students: students.length,
+    fullyPaid: students.filter(s => s.status === BALANCE_STATUSES.PAID || s.status === BALANCE_STATUSES.OVERPAID).length,
+    withBalance: students.filter(s => s.balance > 0).length,
+    overpaidStudents: students.filter(s => s.overpaid > 0).length,
+    outstandingTotal: round2(students.reduce((sum, s) => sum + s.balance, 0)),
+    overpaidTotal: round2(students.reduce((sum, s) => sum + s.overpaid, 0)),
+    receivedTotal: round2(students.reduce((sum, s) => sum + s.paid, 0)),
+    pendingTotal: round2(students.reduce((sum, s) => sum + s.pending, 0))
+  };
+
+  return { fee: feeValue, students, totals };
+}
+
+module.exports = {
+  AMOUNT_STATUSES,
+  BALANCE_STATUSES,
+  studentKey,
+  classifyAmount,
+  submittedTotal,
+  balanceFor,
+  studentBalances
+};
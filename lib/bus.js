@@ -0,0 +1,53 @@
+// lib/bus.js
+// In-process event bus. Routes and background jobs publish what happened (a payment was created, a payment's status
+// changed, an event was created / updated / deleted or its deadline is close); subscribers such as the email notifier
+// (lib/emailNotifications.js), the in-app notifications (lib/notifications.js) and the dashboards' live stream
+// (routes/stream.js) react without the routes knowing about them.
+// - Message: { topic, at, ...payload } — payment topics carry { payment, action, from }, event topics { event }
+//   (event.updated also carries the stored event as `before`), notification.created { notification }
+// - Background jobs publish like the routes: auto-close and term rollover -> event.updated, proof purge ->
+//   payment.status-changed with action 'purge-proof'
+// - Subscribers run after the publishing request has been answered; their errors are logged and never reach it.
+//
+// Usage:
+//   const bus = require('./lib/bus')();
+//   bus.subscribe(bus.TOPICS.PAYMENT_STATUS_CHANGED, async msg => { ... });
+//   bus.publish(bus.TOPICS.PAYMENT_CREATED, { payment: saved });
+
+const EventEmitter = require('events');
+
+const TOPICS = Object.freeze({
+  PAYMENT_CREATED: 'payment.created',
+  PAYMENT_STATUS_CHANGED: 'payment.status-changed',
+  EVENT_CREATED: 'event.created',
+  EVENT_UPDATED: 'event.updated',
+  EVENT_DELETED: 'event.deleted',
+  EVENT_DEADLINE_APPROACHING: 'event.deadline-approaching',
+  NOTIFICATION_CREATED: 'notification.created'
+});
+
+module.exports = function createBus() {
+  const emitter = new EventEmitter();
+  emitter.setMaxListeners(0);
+
+  function publish(topic, payload = {}) {
+    const message = Object.assign({ topic, at: new Date().toISOString() }, payload);
+    setImmediate(() => emitter.emit(topic, message));
+    return message;
+  }
+
+  // Returns a function that removes the subscription
+  function subscribe(topic, handler) {
+    const listener = message => {
+      Promise.resolve()
+        .then(() => handler(message))
+        .catch(err => console.error(`Bus subscriber error (${topic}):`, err && err.message ? err.message : err));
+    };
+    emitter.on(topic, listener);
+    return () => emitter.off(topic, listener);
+  }
+
+  return { TOPICS, publish, subscribe };
+};
+
+module.exports.TOPICS = TOPICS;
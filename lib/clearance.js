@@ -0,0 +1,187 @@
+// lib/clearance.js
+// Student clearance per academic term. A student is cleared for a term when every mandatory event of that term
+// (event.mandatory, set by officers) that applies to them is fully paid with APPROVED payments; payments still
+// awaiting verification do not clear a student.
+// - Term of an event: event.term (the name of its term, see lib/terms.js) when set, else derived from its deadline
+//   (or createdAt) on the school calendar: Aug-Dec -> '2025-2026 1st Semester', Jan-May -> '2025-2026 2nd Semester',
+//   Jun-Jul -> '2025-2026 Midyear'
+// - Events limited by eligibility (lib/eligibility.js) only count for students they apply to; a student whose
+//   profile lacks the restricted field is still held to the event.
+// - Amounts owed come from lib/balances.js (fee plus any late fee).
+//
+// Usage:
+//   clearanceFor({ events, payments, term, profile })     // one student's payments -> { term, cleared, items, totals }
+//   unclearedStudents({ events, payments, students, term }) // one org's events + payments + the student roster
+//                                                          // (users) -> students not cleared
+
+const balances = require('./balances');
+const eligibility = require('./eligibility');
+const { calendarTerm } = require('./terms');
+
+const ITEM_STATUSES = Object.freeze({ CLEARED: 'cleared', PENDING: 'pending', UNPAID: 'unpaid' });
+
+function termForDate(value) {
+  if (!value) return null;
+  const term = calendarTerm(value);
+  return term ? term.name : null;
+}
+
+function termOf(ev) {
+  if (!ev) return null;
+  if (ev.term) return String(ev.term).trim();
+  return termForDate(ev.deadline || ev.createdAt);
+}
+
+function currentTerm(now = new Date()) {
+  return termForDate(now);
+}
+
+function isMandatory(ev) {
+  return ev && (ev.mandatory === true || ev.mandatory === 'true');
+}
+
+// Mandatory events of the term (all terms when term is null)
+function mandatoryEvents(events, term) {
+  return (events || []).filter(ev => isMandatory(ev) && (!term || termOf(ev) === term));
+}
+
+function appliesTo(ev, profile) {
+  const check = eligibility.isEligible(ev.eligibility, profile);
+  return check.eligible || check.mismatched.length === 0;
+}
+
+// By eventId; older payments without one match on event name + org
+function paymentsForEvent(ev, payments) {
+  const key = (name, org) => `${String(org || '').trim().toLowerCase()}:::${String(name || '').trim().toLowerCase()}`;
+  const evKey = key(ev.name, ev.org);
+  return payments.filter(p => (p.eventId ? p.eventId === ev.id : key(p.event, p.org) === evKey));
+}
+
+function itemFor(ev, payments) {
+  const balance = balances.balanceFor(payments, ev.fee);
+  let status = ITEM_STATUSES.UNPAID;
+  if (balance.balance <= 0) status = ITEM_STATUSES.CLEARED;
+  else if (balance.paid + balance.pending >= balance.due) status = ITEM_STATUSES.PENDING;
+  return {
+    eventId: ev.id,
+    eventName: ev.name || null,
+    org: ev.org || null,
+    orgId: ev.orgId || null,
+    term: termOf(ev),
+    deadline: ev.deadline || null,
+    fee: Number(ev.fee) || 0,
+    due: balance.due,
+    paid: balance.paid,
+    pending: balance.pending,
+    balance: balance.balance,
+    status
+  };
+}
+
+function clearanceFor({ events, payments, term = null, profile = null }) {
+  const list = payments || [];
+  const items = mandatoryEvents(events, term)
+    .filter(ev => appliesTo(ev, profile))
+    .map(ev => itemFor(ev, paymentsForEvent(ev, list)));
+  const outstanding = items.filter(i => i.status !== ITEM_STATUSES.CLEARED);
+  return {
+    term,
+    cleared: outstanding.length === 0,
+    items,
+    totals: {
+      events: items.length,
+      cleared: items.length - outstanding.length,
+      outstanding: outstanding.length,
+      balance: Math.round(outstanding.reduce((sum, i) => sum + i.balance, 0) * 100) / 100
+    }
+  };
+}
+
+// Group payments per student. A student's payments may carry the uid (online) or only the email (cash imports),
+// so uid and email keys of the same student end up in one group.
+function groupByStudent(payments) {
+  const groups = [];
+  const byKey = new Map();
+  (payments || []).forEach(p => {
+    const keys = [balances.studentKey(p)];
+    if (p.submittedByEmail) keys.push(`email:${String(p.submittedByEmail).trim().toLowerCase()}`);
+    let group = keys.map(k => byKey.get(k)).find(Boolean);
+    if (!group) {
+      group = { payments: [] };
+      groups.push(group);
+    }
+    group.payments.push(p);
+    keys.forEach(k => byKey.set(k, group));
+  });
+  return groups.map(g => g.payments);
+}
+
+// Pair each roster student ({ uid, email, name, profile }, e.g. users docs) with their payment group (by uid, else
+// email). Payers missing from the roster (cash imports of students who never signed in) keep a group of their own.
+function studentsWithPayments(students, payments) {
+  const groups = groupByStudent(payments);
+  const byKey = new Map();
+  groups.forEach(list => list.forEach(p => {
+    if (p.submittedByUid) byKey.set(`uid:${p.submittedByUid}`, list);
+    if (p.submittedByEmail) byKey.set(`email:${String(p.submittedByEmail).trim().toLowerCase()}`, list);
+  }));
+  const claimed = new Set();
+  const entries = (students || []).filter(s => s && (s.uid || s.email)).map(student => {
+    const list = (student.uid && byKey.get(`uid:${student.uid}`)) ||
+      (student.email && byKey.get(`email:${String(student.email).trim().toLowerCase()}`)) || [];
+    claimed.add(list);
+    return { student, payments: list };
+  });
+  groups.filter(list => !claimed.has(list)).forEach(list => entries.push({ student: null, payments: list }));
+  return entries;
+}
+
+// Students of the roster plus everyone who paid for the given events who are not cleared for the term: students who
+// never paid are listed with the full amount owed, and so are those whose payments were all rejected. Events limited
+// by eligibility only count for students they apply to (profile from the roster, else from their latest payment).
+function unclearedStudents({ events, payments, students = [], term = null, includeCleared = false }) {
+  const required = mandatoryEvents(events, term);
+  const rows = studentsWithPayments(students, payments).map(({ student, payments: list }) => {
+    const latest = list.slice().sort((a, b) => String(b.createdAt || '').localeCompare(String(a.createdAt || '')))[0] || {};
+    const named = list.find(p => p.studentName) || latest;
+    const withUid = list.find(p => p.submittedByUid);
+    const withEmail = list.find(p => p.submittedByEmail);
+    const profile = eligibility.profileFrom((student && student.profile) || latest);
+    const result = clearanceFor({ events: required, payments: list, term, profile });
+    // a roster student who paid nothing and whom no mandatory event applies to has nothing to clear
+    if (!list.length && !result.items.length) return null;
+    const uid = (student && student.uid) || (withUid ? withUid.submittedByUid : null);
+    const email = (student && student.email) || (withEmail ? withEmail.submittedByEmail : null);
+    return {
+      studentKey: balances.studentKey({ submittedByUid: uid, submittedByEmail: email, studentName: named.studentName, id: named.id }),
+      studentName: (student && (student.name || (student.profile && student.profile.displayName))) || named.studentName || null,
+      uid,
+      email,
+      year: profile.year || latest.studentYear || null,
+      block: profile.block || latest.studentBlock || null,
+      cleared: result.cleared,
+      balance: result.totals.balance,
+      items: result.items.filter(i => i.status !== ITEM_STATUSES.CLEARED)
+    };
+  }).filter(Boolean);
+
+  const listed = rows
+    .filter(s => includeCleared || !s.cleared)
+    .sort((a, b) => String(a.studentName || '').localeCompare(String(b.studentName || '')));
+  return {
+    term,
+    mandatoryEvents: required.map(ev => ({ id: ev.id, name: ev.name || null, fee: Number(ev.fee) || 0, deadline: ev.deadline || null })),
+    students: listed,
+    totals: { students: rows.length, uncleared: rows.filter(s => !s.cleared).length }
+  };
+}
+
+module.exports = {
+  ITEM_STATUSES,
+  termForDate,
+  termOf,
+  currentTerm,
+  isMandatory,
+  clearanceFor,
+  unclearedStudents
+};
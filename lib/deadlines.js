@@ -0,0 +1,161 @@
+// lib/deadlines.js
+// Event deadlines and Open/Closed status.
+// - Deadlines are stored as 'YYYY-MM-DD' (the officer form's date input) and mean the END of that day (server time);
+//   full ISO timestamps are honoured as-is.
+// - submissionWindow(): whether a payment may be submitted for an event right now. Closed events never accept
+//   payments; after the deadline, payments are accepted as late until the grace period (PAYMENT_GRACE_HOURS) ends.
+// - Late payments carry `late: true` and the event's late fee (event.lateFee, else LATE_FEE) as `lateFee`.
+// - createAutoCloseJob(): periodically flips Open events to Closed once deadline + grace has passed.
+//   To reopen an expired event, officers extend its deadline (setting status back to Open alone is undone by the job).
+// - createDeadlineReminderJob(): once per deadline, reports Open events whose deadline is less than `hoursBefore`
+//   away (deadlineReminderFor remembers the deadline it reminded about, so a moved deadline is reminded again).
+
+const EVENT_STATUSES = Object.freeze({ OPEN: 'Open', CLOSED: 'Closed' });
+
+const DATE_ONLY = /^(\d{4})-(\d{2})-(\d{2})$/;
+
+// Date the deadline passes, or null when the event has no (parseable) deadline
+function deadlineAt(deadline) {
+  if (!deadline) return null;
+  const m = DATE_ONLY.exec(String(deadline).trim());
+  if (m) return new Date(Number(m[1]), Number(m[2]) - 1, Number(m[3]), 23, 59, 59, 999);
+  const d = new Date(deadline);
+  return Number.isFinite(d.getTime()) ? d : null;
+}
+
+function isClosed(ev) {
+  return String((ev && ev.status) || '').trim().toLowerCase() === EVENT_STATUSES.CLOSED.toLowerCase();
+}
+
+// Returns { allowed, late, code, reason, deadlineAt, graceEndsAt }
+function submissionWindow(ev, { graceHours = 0, now = new Date() } = {}) {
+  const due = deadlineAt(ev && ev.deadline);
+  const graceEnds = due ? new Date(due.getTime() + Math.max(Number(graceHours) || 0, 0) * 3600 * 1000) : null;
+  const base = {
+    deadlineAt: due ? due.toISOString() : null,
+    graceEndsAt: graceEnds ? graceEnds.toISOString() : null
+  };
+
+  if (isClosed(ev)) {
+    return Object.assign(base, { allowed: false, late: false, code: 'event_closed', reason: 'This event is closed and no longer accepts payments' });
+  }
+  if (!due || now <= due) return Object.assign(base, { allowed: true, late: false, code: null, reason: null });
+  if (now <= graceEnds) {
+    return Object.assign(base, { allowed: true, late: true, code: 'late', reason: 'Submitted after the deadline (within the grace period)' });
+  }
+  return Object.assign(base, { allowed: false, late: false, code: 'deadline_passed', reason: 'The deadline for this event has passed' });
+}
+
+// Late-fee surcharge for an event: its own lateFee when set, else the configured default
+function lateFeeFor(ev, defaultLateFee = 0) {
+  const own = Number(ev && ev.lateFee);
+  if (Number.isFinite(own) && own > 0) return own;
+  const fallback = Number(defaultLateFee);
+  return Number.isFinite(fallback) && fallback > 0 ? fallback : 0;
+}
+
+// Usage: const job = createAutoCloseJob({ events: repo.events, graceHours, intervalMinutes }); job.start();
+// onClose(before, after), when given, is awaited for every event the job closes (audit log).
+function createAutoCloseJob({ events, graceHours = 0, intervalMinutes = 5, onClose = null }) {
+  let timer = null;
+
+  async function runOnce(now = new Date()) {
+    const open = (await events.list()).filter(ev => !isClosed(ev) && ev.deadline);
+    let closed = 0;
+    for (const ev of open) {
+      if (submissionWindow(ev, { graceHours, now }).allowed) continue;
+      // re-checked on the stored event inside the atomic update: an officer may have extended the deadline (or
+      // closed the event) since the list was read
+      let before = null;
+      const saved = await events.update(ev.id, current => {
+        if (isClosed(current) || submissionWindow(current, { graceHours, now }).allowed) return null;
+        before = Object.assign({}, current);
+        return Object.assign(current, {
+          status: EVENT_STATUSES.CLOSED,
+          closedAt: now.toISOString(),
+          closedReason: 'deadline',
+          updatedAt: now.toISOString()
+        });
+      });
+      if (!saved || !before) continue;
+      if (onClose) await onClose(before, saved);
+      closed++;
+    }
+    if (closed) console.log(`Auto-close: closed ${closed} event(s) past their deadline`);
+    return closed;
+  }
+
+  function start() {
+    if (timer || !(intervalMinutes > 0)) return;
+    const tick = () => runOnce().catch(err => console.error('Auto-close job error:', err));
+    tick();
+    timer = setInterval(tick, intervalMinutes * 60 * 1000);
+    if (timer.unref) timer.unref();
+  }
+
+  function stop() {
+    if (timer) clearInterval(timer);
+    timer = null;
+  }
+
+  return { runOnce, start, stop };
+}
+
+// Open event whose deadline falls between now and horizon (ms) and has not been reminded about yet
+function isDueForReminder(ev, now, horizon) {
+  if (isClosed(ev) || ev.archived || !ev.deadline || ev.deadlineReminderFor === ev.deadline) return false;
+  const at = deadlineAt(ev.deadline);
+  return Boolean(at && at.getTime() > now.getTime() && at.getTime() <= horizon);
+}
+
+// Usage: const job = createDeadlineReminderJob({ events: repo.events, hoursBefore, intervalMinutes, onRemind }); job.start();
+// onRemind(before, after) is awaited for every event that is due for a reminder (email notifications, audit log).
+function createDeadlineReminderJob({ events, hoursBefore = 48, intervalMinutes = 60, onRemind = null }) {
+  let timer = null;
+
+  async function runOnce(now = new Date()) {
+    const horizon = now.getTime() + Math.max(Number(hoursBefore) || 0, 0) * 3600 * 1000;
+    const due = (await events.list()).filter(ev => isDueForReminder(ev, now, horizon));
+    let reminded = 0;
+    for (const ev of due) {
+      // the marker is set in an atomic update that checks it again, so an event is reminded about once per deadline
+      // even when two runs (or two servers) overlap, and not for a deadline moved out of the window meanwhile
+      let before = null;
+      const saved = await events.update(ev.id, current => {
+        if (!isDueForReminder(current, now, horizon)) return null;
+        before = Object.assign({}, current);
+        return Object.assign(current, { deadlineReminderFor: current.deadline, deadlineReminderAt: now.toISOString() });
+      });
+      if (!saved || !before) continue;
+      if (onRemind) await onRemind(before, saved);
+      reminded++;
+    }
+    if (reminded) console.log(`Deadline reminders: ${reminded} event(s) close within ${hoursBefore} hour(s)`);
+    return reminded;
+  }
+
+  function start() {
+    if (timer || !(intervalMinutes > 0) || !(hoursBefore > 0)) return;
+    const tick = () => runOnce().catch(err => console.error('Deadline reminder job error:', err));
+    tick();
+    timer = setInterval(tick, intervalMinutes * 60 * 1000);
+    if (timer.unref) timer.unref();
+  }
+
+  function stop() {
+    if (timer) clearInterval(timer);
+    timer = null;
+  }
+
+  return { runOnce, start, stop };
+}
+
+module.exports = {
+  EVENT_STATUSES,
+  deadlineAt,
+  isClosed,
+  submissionWindow,
+  lateFeeFor,
+  createAutoCloseJob,
+  createDeadlineReminderJob
+};
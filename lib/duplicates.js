@@ -0,0 +1,101 @@
+// lib/duplicates.js
+// Duplicate payment detection for POST /api/payments (and PUT /api/payments/:id/resubmit, which passes the
+// payment id so it does not match itself).
+// - Duplicate reference: the same (normalized) reference number is already used by another payment of the
+//   same event or org. These are rejected by the route with 409 and `duplicateOf`.
+// - Near duplicate: same student, same event and same amount submitted within DUPLICATE_WINDOW_MINUTES.
+//   These are accepted but flagged (possibleDuplicate, duplicateOf, duplicateReason) for officers to review.
+// Rejected and withdrawn payments never count as the original of a duplicate.
+// check() is a lookup, so two submissions racing each other could both pass it; referenceKey() is the same rule as a
+// repository unique key (lib/repository/uniqueKeys.js), which makes the second write fail with UniqueConstraintError.
+//
+// Usage: const duplicates = require('./lib/duplicates')({ payments: repo.payments, canonicalOrgName, windowMinutes });
+//   const found = await duplicates.check(candidate); // null | { kind: 'reference' | 'near', duplicateOf, reason }
+//   require('./lib/repository')({ ..., uniqueKeys: { payments: { reference: p => referenceKey(p, canonicalOrgName) } } });
+
+const { isVoid } = require('./paymentStatus');
+
+// "0912 345-678" / "0912345678" -> "0912345678"
+function normalizeReference(reference) {
+  const normalized = String(reference || '').toUpperCase().replace(/[^A-Z0-9]/g, '');
+  return normalized || null;
+}
+
+// "event:<eventId>|<reference>" (or org:<orgId>, org-name:<name>, all when the payment has no event or org);
+// null for payments without a reference and for rejected or withdrawn ones. The scope is the first of event, org id
+// and org name the payment has, so unlike check() it does not compare a payment with an event to one with only an org.
+function referenceKey(payment, canonicalOrgName = name => String(name || '').trim().toLowerCase()) {
+  const reference = normalizeReference(payment && payment.reference);
+  if (!reference || isVoid(payment.status)) return null;
+  let scope = 'all';
+  if (payment.eventId) scope = `event:${payment.eventId}`;
+  else if (payment.orgId) scope = `org:${payment.orgId}`;
+  else if (payment.org) scope = `org-name:${canonicalOrgName(payment.org)}`;
+  return `${scope}|${reference}`;
+}
+
+module.exports = function ({ payments, canonicalOrgName, windowMinutes = 60 }) {
+  const windowMs = windowMinutes * 60 * 1000;
+
+  function counts(p, candidate) {
+    return p && p.id !== candidate.id && !isVoid(p.status);
+  }
+
+  // Same event, or same org when either side has no event; payments with neither are compared globally
+  function sameScope(a, b) {
+    if (a.eventId && b.eventId) return a.eventId === b.eventId;
+    if (a.orgId && b.orgId) return a.orgId === b.orgId;
+    if (a.org && b.org) return canonicalOrgName(a.org) === canonicalOrgName(b.org);
+    return true;
+  }
+
+  function sameEvent(a, b) {
+    if (a.eventId && b.eventId) return a.eventId === b.eventId;
+    return Boolean(a.event && b.event && a.event === b.event);
+  }
+
+  async function findDuplicateReference(candidate) {
+    const referenceNormalized = normalizeReference(candidate.reference);
+    if (!referenceNormalized) return null;
+
+    // older payments do not carry referenceNormalized yet, so look up the raw reference too
+    const byNormalized = await payments.list({ referenceNormalized });
+    const byRaw = candidate.reference ? await payments.list({ reference: candidate.reference }) : [];
+    const match = byNormalized.concat(byRaw).find(p => counts(p, candidate) && sameScope(p, candidate));
+    if (!match) return null;
+    return {
+      kind: 'reference',
+      duplicateOf: match.id,
+      reason: `Reference ${candidate.reference} was already used for another payment`
+    };
+  }
+
+  async function findNearDuplicate(candidate) {
+    let own = [];
+    if (candidate.submittedByUid) own = await payments.list({ submittedByUid: candidate.submittedByUid });
+    else if (candidate.submittedByEmail) own = await payments.list({ submittedByEmail: candidate.submittedByEmail });
+
+    const at = new Date(candidate.createdAt || Date.now()).getTime();
+    const match = own.find(p => {
+      if (!counts(p, candidate) || !sameEvent(p, candidate)) return false;
+      if (Number(p.amount) !== Number(candidate.amount)) return false;
+      const created = new Date(p.createdAt).getTime();
+      return Number.isFinite(created) && Math.abs(at - created) <= windowMs;
+    });
+    if (!match) return null;
+    return {
+      kind: 'near',
+      duplicateOf: match.id,
+      reason: `Same student, event and amount as a payment submitted within ${windowMinutes} minutes`
+    };
+  }
+
+  async function check(candidate) {
+    return (await findDuplicateReference(candidate)) || (await findNearDuplicate(candidate));
+  }
+
+  return { check, normalizeReference };
+};
+
+module.exports.normalizeReference = normalizeReference;
+module.exports.referenceKey = referenceKey;
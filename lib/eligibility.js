@@ -0,0 +1,111 @@
+// lib/eligibility.js
+// Event eligibility targeting. An event may carry
+//   eligibility: { colleges: [], departments: [], programs: [], years: [], blocks: [] }
+// using the same values students save on their profile (college, department, program, year, block; see collegeData
+// in public/student-dashboard.js). Empty or missing lists mean "everyone"; when several lists are set a student
+// must match all of them. Matching ignores case and extra whitespace; years compare by their number, so
+// '1st Year', '1st' and '1' are the same year.
+//
+// Usage:
+//   ev.eligibility = normalizeEligibility(req.body.eligibility);   // null when no restriction
+//   const check = isEligible(ev.eligibility, profile);            // { eligible, reason, missing, mismatched }
+
+const FIELDS = Object.freeze({
+  colleges: 'college',
+  departments: 'department',
+  programs: 'program',
+  years: 'year',
+  blocks: 'block'
+});
+
+const LABELS = Object.freeze({
+  college: 'college',
+  department: 'department',
+  program: 'program',
+  year: 'year level',
+  block: 'block'
+});
+
+function normalizeValue(value, field) {
+  const normalized = String(value === undefined || value === null ? '' : value).trim().replace(/\s+/g, ' ').toLowerCase();
+  if (field === 'year') {
+    const m = /^(\d+)/.exec(normalized);
+    if (m) return m[1];
+  }
+  return normalized;
+}
+
+// Accepts an array, a comma-separated string or a single value
+function toList(value) {
+  if (value === undefined || value === null || value === '') return [];
+  const raw = Array.isArray(value) ? value : String(value).split(',');
+  const seen = new Set();
+  return raw
+    .map(v => String(v === undefined || v === null ? '' : v).trim().replace(/\s+/g, ' '))
+    .filter(v => {
+      const key = v.toLowerCase();
+      if (!v || seen.has(key)) return false;
+      seen.add(key);
+      return true;
+    });
+}
+
+// Clean up eligibility sent by a client (object or JSON string). Returns null when nothing is restricted.
+// Throws on malformed JSON so routes can answer 400.
+function normalizeEligibility(input) {
+  if (input === undefined || input === null || input === '') return null;
+  let obj = input;
+  if (typeof obj === 'string') obj = JSON.parse(obj);
+  if (!obj || typeof obj !== 'object' || Array.isArray(obj)) throw new Error('eligibility must be an object');
+
+  const result = {};
+  let restricted = false;
+  Object.keys(FIELDS).forEach(key => {
+    result[key] = toList(obj[key]);
+    if (result[key].length) restricted = true;
+  });
+  return restricted ? result : null;
+}
+
+// Student profile fields from a stored profile ({ college, department, program, year, block })
+// or from payment submission fields (studentCollege, studentYear, ...)
+function profileFrom(source) {
+  const s = source || {};
+  return {
+    college: s.college || s.studentCollege || null,
+    department: s.department || s.studentDepartment || null,
+    program: s.program || s.studentProgram || null,
+    year: s.year || s.studentYear || null,
+    block: s.block || s.studentBlock || null
+  };
+}
+
+function isEligible(eligibility, profile) {
+  if (!eligibility) return { eligible: true, reason: null, missing: [], mismatched: [] };
+  const p = profileFrom(profile);
+  const missing = [];
+  const mismatched = [];
+  Object.keys(FIELDS).forEach(key => {
+    const allowed = eligibility[key] || [];
+    if (!allowed.length) return;
+    const field = FIELDS[key];
+    const value = normalizeValue(p[field], field);
+    if (!value) missing.push(field);
+    else if (!allowed.some(a => normalizeValue(a, field) === value)) mismatched.push(field);
+  });
+
+  if (mismatched.length) {
+    return { eligible: false, missing, mismatched, reason: `This event is not open to students of your ${mismatched.map(f => LABELS[f]).join(', ')}` };
+  }
+  if (missing.length) {
+    return { eligible: false, missing, mismatched, reason: `Complete your profile (${missing.map(f => LABELS[f]).join(', ')}) to pay for this event` };
+  }
+  return { eligible: true, reason: null, missing: [], mismatched: [] };
+}
+
+module.exports = {
+  FIELDS,
+  normalizeEligibility,
+  profileFrom,
+  isEligible
+};
@@ -0,0 +1,116 @@
+// lib/emailNotifications.js
+// Emails sent when something happens on the bus (lib/bus.js), rendered from templates/email (lib/mailer.js).
+// Students are reached at payment.submittedByEmail, orgs at organizations.contactEmail; messages without an address
+// are skipped.
+// - payment created            -> student: payment-received (payment-approved for officer imports, which are
+//                                 recorded as approved); org: payment-submitted (online submissions only)
+// - approve / reject / request-resubmission / unapprove
+//                              -> student: payment-approved / payment-rejected / payment-needs-resubmission /
+//                                 payment-unapproved
+// - event deadline approaching -> org: deadline-approaching-org; every student who paid part of the fee and still has
+//                                 a balance: deadline-approaching
+//
+// Usage: createEmailNotifications({ bus, mailer, payments: repo.payments, orgFor, dashboardUrl });
+//   orgFor(doc) resolves the organizations doc of a payment or event (null when unknown)
+
+const balances = require('./balances');
+const { deadlineAt } = require('./deadlines');
+const { STATUSES, normalizeStatus } = require('./paymentStatus');
+
+const STATUS_TEMPLATES = Object.freeze({
+  approve: 'payment-approved',
+  reject: 'payment-rejected',
+  'request-resubmission': 'payment-needs-resubmission',
+  unapprove: 'payment-unapproved'
+});
+
+function peso(n) {
+  return `PHP ${(Number(n) || 0).toFixed(2)}`;
+}
+
+function formatDeadline(deadline) {
+  const at = deadlineAt(deadline);
+  return at ? at.toLocaleString('en-PH', { dateStyle: 'long', timeStyle: 'short' }) : String(deadline || '');
+}
+
+// Latest public officer note written with the action (lib/paymentNotes.js)
+function noteFor(payment, action) {
+  const notes = (Array.isArray(payment.officerNotes) ? payment.officerNotes : [])
+    .filter(n => n.visibility === 'public' && n.action === action);
+  return notes.length ? notes[notes.length - 1].text : '';
+}
+
+module.exports = function createEmailNotifications({ bus, mailer, payments, orgFor, dashboardUrl = '' }) {
+  const { TOPICS } = bus;
+
+  async function paymentData(payment) {
+    const org = await orgFor(payment);
+    return {
+      org,
+      data: {
+        studentName: payment.studentName || payment.submittedByEmail || 'student',
+        studentEmail: payment.submittedByEmail || '',
+        event: payment.event || payment.purpose || payment.name || 'payment',
+        org: (org && (org.displayName || org.name)) || payment.org || '',
+        amount: peso(payment.amount),
+        reference: payment.reference || '-',
+        status: payment.status || '',
+        reason: payment.rejectionReason || payment.resubmissionReason || '',
+        receiptNumber: payment.receiptNumber || '',
+        dashboardUrl
+      }
+    };
+  }
+
+  async function sendSafely(template, to, data) {
+    try {
+      await mailer.send(template, to, data);
+    } catch (err) {
+      console.error(`Email "${template}" to ${to} failed:`, err && err.message ? err.message : err);
+    }
+  }
+
+  bus.subscribe(TOPICS.PAYMENT_CREATED, async ({ payment, source }) => {
+    const { org, data } = await paymentData(payment);
+    // officer imports are cash payments recorded as already approved
+    await sendSafely(source === 'import' ? 'payment-approved' : 'payment-received', payment.submittedByEmail, data);
+    if (source !== 'import' && org && org.contactEmail) await sendSafely('payment-submitted', org.contactEmail, data);
+  });
+
+  bus.subscribe(TOPICS.PAYMENT_STATUS_CHANGED, async ({ payment, action }) => {
+    const template = STATUS_TEMPLATES[action];
+    if (!template || !payment.submittedByEmail) return;
+    const { data } = await paymentData(payment);
+    data.note = noteFor(payment, action);
+    await sendSafely(template, payment.submittedByEmail, data);
+  });
+
+  bus.subscribe(TOPICS.EVENT_DEADLINE_APPROACHING, async ({ event }) => {
+    const org = await orgFor(event);
+    const list = await payments.list({ eventId: event.id });
+    const { students } = balances.studentBalances(list, event.fee);
+    const owing = students.filter(s => s.balance > 0 && s.paid + s.pending > 0);
+    const base = {
+      event: event.name || 'event',
+      org: (org && (org.displayName || org.name)) || event.org || '',
+      fee: peso(event.fee),
+      deadline: formatDeadline(event.deadline),
+      dashboardUrl
+    };
+    if (org && org.contactEmail) {
+      await sendSafely('deadline-approaching-org', org.contactEmail, Object.assign({}, base, {
+        studentsOwing: owing.length,
+        pendingCount: list.filter(p => normalizeStatus(p.status) === STATUSES.PENDING).length
+      }));
+    }
+    for (const s of owing) {
+      if (!s.submittedByEmail) continue;
+      await sendSafely('deadline-approaching', s.submittedByEmail, Object.assign({}, base, {
+        studentName: s.studentName || s.submittedByEmail,
+        balance: peso(s.balance)
+      }));
+    }
+  });
+
+  return { STATUS_TEMPLATES };
+};
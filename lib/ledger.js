@@ -0,0 +1,128 @@
+// lib/ledger.js
+// Per-student statement across all orgs: every event that still accepts payments, joined with the student's payments.
+// Each item is one event (or, for old payments that cannot be matched to an event, one event name) with the
+// lib/balances.js balance and a ledgerStatus:
+// - 'paid':        approved payments cover the fee (plus late fee)
+// - 'pending':     payments awaiting verification would cover the remaining balance
+// - 'outstanding': the student still has to pay (part of) the balance
+// Closed/expired events only appear when the student has payments for them.
+//
+// Usage: const ledger = buildLedger({ events, payments, canonicalOrgName, graceHours });
+//   // -> { items: [...], totals: { due, paid, pending, outstanding, overpaid, paidCount, pendingCount, outstandingCount } }
+
+const balances = require('./balances');
+const deadlines = require('./deadlines');
+const { normalizeStatus } = require('./paymentStatus');
+
+const LEDGER_STATUSES = Object.freeze({ PAID: 'paid', PENDING: 'pending', OUTSTANDING: 'outstanding' });
+const ORDER = [LEDGER_STATUSES.OUTSTANDING, LEDGER_STATUSES.PENDING, LEDGER_STATUSES.PAID];
+
+function round2(n) {
+  return Math.round(n * 100) / 100;
+}
+
+function ledgerStatus(balance) {
+  if (balance.balance <= 0 && (balance.paid > 0 || balance.due > 0)) return LEDGER_STATUSES.PAID;
+  if (balance.pending > 0 && balance.paid + balance.pending >= balance.due) return LEDGER_STATUSES.PENDING;
+  return LEDGER_STATUSES.OUTSTANDING;
+}
+
+function paymentSummary(p) {
+  return {
+    id: p.id,
+    amount: p.amount,
+    status: normalizeStatus(p.status),
+    reference: p.reference || null,
+    createdAt: p.createdAt || null,
+    late: Boolean(p.late)
+  };
+}
+
+function buildLedger({ events, payments, canonicalOrgName = s => String(s || '').trim().toLowerCase(), graceHours = 0, now = new Date() }) {
+  const byEventId = new Map((events || []).map(ev => [ev.id, ev]));
+  const nameKey = (name, org) => `${canonicalOrgName(org || '')}:::${String(name || '').trim().toLowerCase()}`;
+  const byName = new Map((events || []).map(ev => [nameKey(ev.name, ev.org), ev]));
+
+  // group payments by event (id first, then event name + org for payments saved before eventId existed)
+  const grouped = new Map();
+  const unmatched = new Map();
+  (payments || []).forEach(p => {
+    const ev = (p.eventId && byEventId.get(p.eventId)) || byName.get(nameKey(p.event, p.org));
+    if (ev) {
+      if (!grouped.has(ev.id)) grouped.set(ev.id, []);
+      grouped.get(ev.id).push(p);
+    } else {
+      const key = nameKey(p.event || p.purpose || p.name, p.org);
+      if (!unmatched.has(key)) unmatched.set(key, []);
+      unmatched.get(key).push(p);
+    }
+  });
+
+  const items = [];
+  (events || []).forEach(ev => {
+    const list = grouped.get(ev.id) || [];
+    const win = deadlines.submissionWindow(ev, { graceHours, now });
+    if (!list.length && (!win.allowed || !(Number(ev.fee) > 0))) return;
+
+    const balance = balances.balanceFor(list, ev.fee);
+    items.push(Object.assign({
+      eventId: ev.id,
+      eventName: ev.name || null,
+      org: ev.org || null,
+      orgId: ev.orgId || null,
+      deadline: ev.deadline || null,
+      eventStatus: ev.status || null,
+      acceptingPayments: win.allowed,
+      fee: Number(ev.fee) || 0
+    }, balance, {
+      ledgerStatus: ledgerStatus(balance),
+      payments: list.map(paymentSummary)
+    }));
+  });
+
+  unmatched.forEach(list => {
+    const first = list[0];
+    const balance = balances.balanceFor(list, 0);
+    items.push(Object.assign({
+      eventId: null,
+      eventName: first.event || first.purpose || null,
+      org: first.org || null,
+      orgId: first.orgId || null,
+      deadline: null,
+      eventStatus: null,
+      acceptingPayments: false,
+      fee: null
+    }, balance, {
+      ledgerStatus: ledgerStatus(balance),
+      payments: list.map(paymentSummary)
+    }));
+  });
+
+  // outstanding first, then pending, then paid; earliest deadline first within each
+  items.sort((a, b) => {
+    const byStatus = ORDER.indexOf(a.ledgerStatus) - ORDER.indexOf(b.ledgerStatus);
+    if (byStatus) return byStatus;
+    return String(a.deadline || '9999').localeCompare(String(b.deadline || '9999'));
+  });
+
+  const sum = field => round2(items.reduce((total, item) => total + (Number(item[field]) || 0), 0));
+  const count = status => items.filter(item => item.ledgerStatus === status).length;
+  const totals = {
+    items: items.length,
+    due: sum('due'),
+    paid: sum('paid'),
+    pending: sum('pending'),
+    outstanding: sum('balance'),
+    overpaid: sum('overpaid'),
+    paidCount: count(LEDGER_STATUSES.PAID),
+    pendingCount: count(LEDGER_STATUSES.PENDING),
+    outstandingCount: count(LEDGER_STATUSES.OUTSTANDING)
+  };
+
+  return { items, totals };
+}
+
+module.exports = {
+  LEDGER_STATUSES,
+  buildLedger
+};
@@ -0,0 +1,120 @@
+// lib/mailer.js
+// Outgoing email: messages are rendered from editable templates and handed to a transport.
+// - Templates: one file per message in MAIL_TEMPLATES_DIR (default templates/email), `<name>.txt`. The first line is
+//   `Subject: ...`, the body follows after a blank line. `{{field}}` is replaced with the value passed to send()
+//   (empty when missing). Files are read on every send, so edits apply without a restart.
+// - Transports (MAIL_TRANSPORT): 'smtp' (nodemailer; SMTP_HOST, SMTP_PORT, SMTP_SECURE, SMTP_USER, SMTP_PASS),
+//   'file' (one .eml file per message in MAIL_FILE_DIR, for local testing), 'console' (logs recipient and subject
+//   only, never the body) or 'none' (the default: messages are dropped). A transport is
+//   { name, send({ from, to, subject, text }) }.
+//
+// Usage:
+//   const mailer = createMailer({ transport: createTransport({ kind: 'file', fileDir }), from, templatesDir });
+//   await mailer.send('payment-approved', 'student@g.batstate-u.edu.ph', { studentName, event, amount });
+
+const fs = require('fs');
+const path = require('path');
+const { v4: uuidv4 } = require('uuid');
+
+let nodemailer = null;
+try {
+  nodemailer = require('nodemailer');
+} catch (e) {
+  nodemailer = null; // SMTP unavailable; createTransport throws for kind 'smtp'
+}
+
+const TRANSPORTS = Object.freeze(['smtp', 'file', 'console', 'none']);
+const TEMPLATE_NAME = /^[a-z0-9-]+$/;
+
+function smtpTransport({ host, port = 587, secure = false, user = null, pass = null }) {
+  if (!nodemailer) throw new Error('MAIL_TRANSPORT=smtp requires the nodemailer package');
+  if (!host) throw new Error('MAIL_TRANSPORT=smtp requires SMTP_HOST');
+  const smtp = nodemailer.createTransport({
+    host,
+    port: Number(port) || 587,
+    secure: Boolean(secure),
+    auth: user ? { user, pass } : undefined
+  });
+  return {
+    name: 'smtp',
+    async send({ from, to, subject, text }) {
+      const info = await smtp.sendMail({ from, to, subject, text });
+      return { id: info.messageId || null };
+    }
+  };
+}
+
+function fileTransport({ fileDir }) {
+  return {
+    name: 'file',
+    async send({ from, to, subject, text }) {
+      await fs.promises.mkdir(fileDir, { recursive: true });
+      const id = uuidv4();
+      const date = new Date();
+      const file = path.join(fileDir, `${date.toISOString().replace(/[:.]/g, '-')}-${id}.eml`);
+      const headers = [`From: ${from}`, `To: ${to}`, `Subject: ${subject}`, `Date: ${date.toUTCString()}`, `Message-ID: <${id}@spartapay>`];
+      await fs.promises.writeFile(file, `${headers.join('\r\n')}\r\n\r\n${text}`);
+      return { id, file };
+    }
+  };
+}
+
+function consoleTransport() {
+  return {
+    name: 'console',
+    async send({ to, subject }) {
+      console.log(`[mail] -> ${to}: ${subject}`);
+      return { id: uuidv4() };
+    }
+  };
+}
+
+function noneTransport() {
+  return { name: 'none', async send() { return null; } };
+}
+
+// kind: one of TRANSPORTS; smtp: { host, port, secure, user, pass }; fileDir for 'file'
+function createTransport({ kind = 'none', smtp = {}, fileDir = null } = {}) {
+  const name = String(kind || 'none').trim().toLowerCase();
+  if (name === 'smtp') return smtpTransport(smtp);
+  if (name === 'file') return fileTransport({ fileDir: fileDir || path.join(process.cwd(), 'mail-outbox') });
+  if (name === 'console') return consoleTransport();
+  if (name === 'none') return noneTransport();
+  throw new Error(`MAIL_TRANSPORT must be one of ${TRANSPORTS.join(', ')}`);
+}
+
+function fill(template, data) {
+  return template.replace(/\{\{\s*([A-Za-z0-9_]+)\s*\}\}/g, (m, key) => {
+    const value = data ? data[key] : undefined;
+    return value === undefined || value === null ? '' : String(value);
+  });
+}
+
+function createMailer({ transport, from = 'SpartaPay <no-reply@spartapay.local>', templatesDir }) {
+  // -> { subject, text }
+  async function render(name, data = {}) {
+    if (!TEMPLATE_NAME.test(String(name))) throw new Error(`invalid template name "${name}"`);
+    const raw = await fs.promises.readFile(path.join(templatesDir, `${name}.txt`), 'utf8');
+    const lines = raw.replace(/\r\n/g, '\n').split('\n');
+    const m = /^Subject:\s*(.*)$/i.exec(lines[0] || '');
+    if (!m) throw new Error(`template "${name}" must start with a "Subject:" line`);
+    const body = lines.slice(1).join('\n').replace(/^\n+/, '');
+    return { subject: fill(m[1], data).trim(), text: fill(body, data) };
+  }
+
+  // Renders and sends one message; resolves to the transport's result, or null when there is no recipient
+  async function send(name, to, data = {}) {
+    const recipients = (Array.isArray(to) ? to : [to]).map(s => String(s || '').trim()).filter(Boolean);
+    if (!recipients.length) return null;
+    const message = await render(name, data);
+    return transport.send({ from, to: recipients.join(', '), subject: message.subject, text: message.text });
+  }
+
+  return { transport: transport.name, render, send };
+}
+
+module.exports = {
+  TRANSPORTS,
+  createTransport,
+  createMailer
+};
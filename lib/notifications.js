@@ -0,0 +1,201 @@
+// lib/notifications.js
+// In-app notifications (the bell in the student and officer dashboards). Every notification belongs to one recipient
+// in the `notifications` collection (Firestore also keeps a copy under users/{uid}/notifications).
+// - Notification: { id, recipientUid, type, title, body, link, entity, entityId, groupKey, count, read, readAt,
+//                   createdAt, updatedAt }
+// - Recipients: students by Firebase uid, officers by req.authUser.uid ('officer:<id>' for officer accounts)
+// - groupKey folds repeats into one unread notification: "12 new payments pending for Acquaintance Party" is one
+//   entry per officer and event, updated as payments come in; once read, the next payment starts a new one
+// - listen(bus) creates them from lib/bus.js messages:
+//   payment created / resubmitted      -> the org's officers (pending count per event)
+//   approve / reject / request-resubmission / unapprove -> the student who submitted the payment
+//   event deadline moved / event deleted -> students with payments for the event
+//   event deadline approaching          -> students who still owe on the event
+//   and publishes notification.created for every new or updated one (the bell refreshes over routes/stream.js)
+//
+// Usage: const notifications = require('./lib/notifications')({ notifications: repo.notifications, payments: repo.payments, officersOf });
+//   officersOf({ orgId, org }) -> recipient uids of the org's officers
+//   await notifications.listFor(uid, { unreadOnly, limit });  // { notifications, unreadCount }
+
+const { v4: uuidv4 } = require('uuid');
+const balances = require('./balances');
+const { STATUSES, normalizeStatus, isVoid } = require('./paymentStatus');
+
+const DEFAULT_LIMIT = 50;
+const MAX_LIMIT = 200;
+
+const STATUS_TITLES = Object.freeze({
+  approve: 'was approved',
+  reject: 'was rejected',
+  'request-resubmission': 'needs to be resubmitted',
+  unapprove: 'is waiting for verification again'
+});
+
+class NotificationError extends Error {
+  constructor(message, statusCode = 400) {
+    super(message);
+    this.name = 'NotificationError';
+    this.statusCode = statusCode;
+  }
+}
+
+function newest(a, b) {
+  return String(b.updatedAt || b.createdAt || '').localeCompare(String(a.updatedAt || a.createdAt || ''));
+}
+
+module.exports = function createNotifications({ notifications, payments, officersOf }) {
+  let bus = null; // set by listen()
+
+  function published(notification) {
+    if (bus && notification) bus.publish(bus.TOPICS.NOTIFICATION_CREATED, { notification });
+    return notification;
+  }
+
+  // Create a notification, or update the recipient's unread one with the same groupKey
+  async function notify(recipientUid, { type, title, body = null, link = null, entity = null, entityId = null, groupKey = null, count = null }) {
+    if (!recipientUid) return null;
+    const now = new Date().toISOString();
+    if (groupKey) {
+      const open = await notifications.list({ recipientUid: String(recipientUid), groupKey, read: false });
+      if (open[0]) return published(await notifications.update(open[0].id, { title, body, link, count, updatedAt: now }));
+    }
+    return published(await notifications.create({
+      id: uuidv4(),
+      recipientUid: String(recipientUid),
+      type,
+      title,
+      body,
+      link,
+      entity,
+      entityId: entityId ? String(entityId) : null,
+      groupKey,
+      count,
+      read: false,
+      readAt: null,
+      createdAt: now,
+      updatedAt: now
+    }));
+  }
+
+  async function listFor(uid, { unreadOnly = false, limit = DEFAULT_LIMIT } = {}) {
+    const all = (await notifications.list({ recipientUid: String(uid) })).sort(newest);
+    const unreadCount = all.filter(n => !n.read).length;
+    const max = Math.min(Math.max(parseInt(limit, 10) || DEFAULT_LIMIT, 1), MAX_LIMIT);
+    return { notifications: (unreadOnly ? all.filter(n => !n.read) : all).slice(0, max), unreadCount };
+  }
+
+  async function markRead(uid, id) {
+    const found = await notifications.get(id);
+    if (!found || found.recipientUid !== String(uid)) throw new NotificationError('notification not found', 404);
+    if (found.read) return found;
+    return notifications.update(id, { read: true, readAt: new Date().toISOString() });
+  }
+
+  async function markAllRead(uid) {
+    const unread = await notifications.list({ recipientUid: String(uid), read: false });
+    const readAt = new Date().toISOString();
+    for (const n of unread) await notifications.update(n.id, { read: true, readAt });
+    return unread.length;
+  }
+
+  // ----------------------
+  // Bus subscribers
+  // ----------------------
+  async function eventPayments(ev) {
+    return (await payments.list({ eventId: ev.id })).filter(p => !isVoid(p.status));
+  }
+
+  function studentUids(list) {
+    return Array.from(new Set(list.map(p => p.submittedByUid).filter(Boolean)));
+  }
+
+  async function notifyOfficersOfPending(payment) {
+    const eventName = payment.event || payment.purpose || 'an event';
+    const siblings = payment.eventId
+      ? await payments.list({ eventId: payment.eventId })
+      : await payments.list({ event: payment.event || null });
+    const pending = siblings.filter(p => normalizeStatus(p.status) === STATUSES.PENDING).length || 1;
+    const recipients = await officersOf({ orgId: payment.orgId || null, org: payment.org || null });
+    for (const uid of recipients) {
+      await notify(uid, {
+        type: 'payments-pending',
+        title: `${pending} new payment${pending === 1 ? '' : 's'} pending for ${eventName}`,
+        body: `Latest: ${payment.studentName || payment.submittedByEmail || 'a student'}, ₱${Number(payment.amount) || 0}`,
+        link: 'officer-dashboard.html',
+        entity: 'event',
+        entityId: payment.eventId || null,
+        groupKey: `payments-pending:${payment.eventId || eventName}`,
+        count: pending
+      });
+    }
+  }
+
+  function listen(eventBus) {
+    bus = eventBus;
+    const { TOPICS } = bus;
+
+    bus.subscribe(TOPICS.PAYMENT_CREATED, async ({ payment, source }) => {
+      if (source === 'import') return; // cash payments recorded by the officers themselves
+      await notifyOfficersOfPending(payment);
+    });
+
+    bus.subscribe(TOPICS.PAYMENT_STATUS_CHANGED, async ({ payment, action }) => {
+      if (action === 'resubmit') return notifyOfficersOfPending(payment);
+      const verb = STATUS_TITLES[action];
+      if (!verb || !payment.submittedByUid) return;
+      const reason = payment.rejectionReason || payment.resubmissionReason || null;
+      await notify(payment.submittedByUid, {
+        type: `payment-${action}`,
+        title: `Your ${[payment.org, payment.event].filter(Boolean).join(' ') || 'payment'} ${verb}`,
+        body: reason,
+        link: 'student-dashboard.html',
+        entity: 'payment',
+        entityId: payment.id
+      });
+    });
+
+    bus.subscribe(TOPICS.EVENT_UPDATED, async ({ event, before }) => {
+      if (!before || !event.deadline || before.deadline === event.deadline) return;
+      for (const uid of studentUids(await eventPayments(event))) {
+        await notify(uid, {
+          type: 'event-deadline-changed',
+          title: `The deadline for ${event.name} moved to ${event.deadline}`,
+          link: 'student-dashboard.html',
+          entity: 'event',
+          entityId: event.id
+        });
+      }
+    });
+
+    bus.subscribe(TOPICS.EVENT_DELETED, async ({ event }) => {
+      for (const uid of studentUids(await eventPayments(event))) {
+        await notify(uid, {
+          type: 'event-deleted',
+          title: `${event.name} was removed by ${event.org || 'the organization'}`,
+          body: 'Your payments for it are kept in your history.',
+          link: 'student-dashboard.html',
+          entity: 'event',
+          entityId: event.id
+        });
+      }
+    });
+
+    bus.subscribe(TOPICS.EVENT_DEADLINE_APPROACHING, async ({ event }) => {
+      const { students } = balances.studentBalances(await eventPayments(event), event.fee);
+      for (const s of students.filter(st => st.balance > 0 && st.submittedByUid)) {
+        await notify(s.submittedByUid, {
+          type: 'event-deadline-approaching',
+          title: `${event.name} is due on ${event.deadline}`,
+          body: `Remaining balance: ₱${s.balance}`,
+          link: 'student-dashboard.html',
+          entity: 'event',
+          entityId: event.id
+        });
+      }
+    });
+  }
+
+  return { NotificationError, notify, listFor, markRead, markAllRead, listen };
+};
+
+module.exports.NotificationError = NotificationError;
@@ -0,0 +1,264 @@
+// lib/officerAccounts.js
+// Server-side officer accounts and session tokens (replaces the hard-coded officer list that used to ship in public/firebase.js).
+// - Accounts live in the repository collection 'officerAccounts' (lib/repository)
+// - Passwords are stored as scrypt hashes: "scrypt$<salt hex>$<hash hex>"
+// - Login issues a stateless HMAC-signed token: "officer.<base64url payload>.<base64url signature>"
+//   The payload carries the account id, its tokenVersion and an expiry; disabling an account or resetting its
+//   password (which bumps tokenVersion) invalidates every token issued before.
+// - Usernames are unique ignoring case: usernameKey() is registered as a unique key of the collection, so two
+//   admins creating the same username at once cannot both succeed (the second gets 409).
+//
+// Usage: const officerAccounts = require('./lib/officerAccounts')({ accounts: repo.officerAccounts, secret, ttlHours });
+//   require('./lib/repository')({ ..., uniqueKeys: { officerAccounts: { username: usernameKey } } });
+
+const crypto = require('crypto');
+const { v4: uuidv4 } = require('uuid');
+const { UniqueConstraintError } = require('./repository');
+
+const TOKEN_PREFIX = 'officer';
+const ROLES = ['officer', 'admin'];
+const MIN_PASSWORD_LENGTH = 8;
+
+function base64url(input) {
+  return Buffer.from(input).toString('base64').replace(/=+$/, '').replace(/\+/g, '-').replace(/\//g, '_');
+}
+
+function fromBase64url(input) {
+  return Buffer.from(String(input).replace(/-/g, '+').replace(/_/g, '/'), 'base64').toString('utf8');
+}
+
+function hashPassword(password) {
+  const salt = crypto.randomBytes(16);
+  const hash = crypto.scryptSync(String(password), salt, 64);
+  return `scrypt$${salt.toString('hex')}$${hash.toString('hex')}`;
+}
+
+function verifyPassword(password, stored) {
+  try {
+    const [scheme, saltHex, hashHex] = String(stored || '').split('$');
+    if (scheme !== 'scrypt' || !saltHex || !hashHex) return false;
+    const expected = Buffer.from(hashHex, 'hex');
+    const actual = crypto.scryptSync(String(password), Buffer.from(saltHex, 'hex'), expected.length);
+    return crypto.timingSafeEqual(expected, actual);
+  } catch (e) {
+    return false;
+  }
+}
+
+function canonicalUsername(username) {
+  return String(username || '').trim().toLowerCase();
+}
+
+// Unique key of an account (null for docs without a username)
+function usernameKey(account) {
+  return canonicalUsername(account && (account.usernameCanonical || account.username)) || null;
+}
+
+class OfficerAccountError extends Error {
+  constructor(message, statusCode = 400) {
+    super(message);
+    this.name = 'OfficerAccountError';
+    this.statusCode = statusCode;
+  }
+}
+
+module.exports = function ({ accounts, secret, ttlHours = 12 }) {
+  // Used to spend the same time on unknown usernames as on wrong passwords
+  const DUMMY_HASH = hashPassword(crypto.randomBytes(8).toString('hex'));
+
+  // ----------------------
+  // Storage (repository collection 'officerAccounts')
+  // ----------------------
+  async function listAccounts() {
+    return accounts.list();
+  }
+
+  async function getById(id) {
+    if (!id) return null;
+    return accounts.get(id);
+  }
+
+  async function findByUsername(username) {
+    const canon = canonicalUsername(username);
+    if (!canon) return null;
+    const found = await accounts.list({ usernameCanonical: canon });
+    return found[0] || null;
+  }
+
+  async function saveAccount(account) {
+    return accounts.put(account.id, account);
+  }
+
+  // ----------------------
+  // Account management
+  // ----------------------
+  function publicView(account) {
+    if (!account) return null;
+    const { passwordHash, tokenVersion, ...rest } = account;
+    return rest;
+  }
+
+  function validatePassword(password) {
+    if (!password || String(password).length < MIN_PASSWORD_LENGTH) {
+      throw new OfficerAccountError(`password must be at least ${MIN_PASSWORD_LENGTH} characters`);
+    }
+  }
+
+  async function createAccount({ username, password, role = 'officer', org = null, orgId = null, name = null }) {
+    const canon = canonicalUsername(username);
+    if (!canon) throw new OfficerAccountError('username is required');
+    validatePassword(password);
+    const normalizedRole = String(role || 'officer').toLowerCase();
+    if (!ROLES.includes(normalizedRole)) throw new OfficerAccountError(`role must be one of ${ROLES.join(', ')}`);
+    if (normalizedRole === 'officer' && !org && !orgId) throw new OfficerAccountError('org or orgId is required for officer accounts');
+    if (await findByUsername(canon)) throw new OfficerAccountError('username already exists', 409);
+
+    const now = new Date().toISOString();
+    const account = {
+      id: uuidv4(),
+      username: String(username).trim(),
+      usernameCanonical: canon,
+      passwordHash: hashPassword(password),
+      role: normalizedRole,
+      org: org || null,
+      orgId: orgId || null,
+      name: name || null,
+      disabled: false,
+      tokenVersion: 0,
+      createdAt: now,
+      updatedAt: now,
+      passwordChangedAt: now,
+      lastLoginAt: null
+    };
+    try {
+      return await accounts.create(account);
+    } catch (err) {
+      // taken by an account created since the check above
+      if (err instanceof UniqueConstraintError) throw new OfficerAccountError('username already exists', 409);
+      throw err;
+    }
+  }
+
+  async function updateAccount(id, update = {}) {
+    const account = await getById(id);
+    if (!account) throw new OfficerAccountError('not found', 404);
+    if (typeof update.role !== 'undefined') {
+      const normalizedRole = String(update.role).toLowerCase();
+      if (!ROLES.includes(normalizedRole)) throw new OfficerAccountError(`role must be one of ${ROLES.join(', ')}`);
+      account.role = normalizedRole;
+    }
+    ['org', 'orgId', 'name'].forEach(k => {
+      if (typeof update[k] !== 'undefined') account[k] = update[k] || null;
+    });
+    if (typeof update.disabled !== 'undefined') {
+      const disabled = update.disabled === true || update.disabled === 'true';
+      if (disabled && !account.disabled) account.tokenVersion = (account.tokenVersion || 0) + 1;
+      account.disabled = disabled;
+    }
+    account.updatedAt = new Date().toISOString();
+    return saveAccount(account);
+  }
+
+  async function resetPassword(id, password) {
+    validatePassword(password);
+    const account = await getById(id);
+    if (!account) throw new OfficerAccountError('not found', 404);
+    const now = new Date().toISOString();
+    account.passwordHash = hashPassword(password);
+    account.tokenVersion = (account.tokenVersion || 0) + 1;
+    account.passwordChangedAt = now;
+    account.updatedAt = now;
+    return saveAccount(account);
+  }
+
+  // ----------------------
+  // Login + tokens
+  // ----------------------
+  function sign(payloadPart) {
+    return base64url(crypto.createHmac('sha256', secret).update(payloadPart).digest());
+  }
+
+  function issueToken(account) {
+    const expiresAt = Date.now() + ttlHours * 60 * 60 * 1000;
+    const payloadPart = base64url(JSON.stringify({ sub: account.id, v: account.tokenVersion || 0, exp: expiresAt }));
+    return { token: `${TOKEN_PREFIX}.${payloadPart}.${sign(payloadPart)}`, expiresAt: new Date(expiresAt).toISOString() };
+  }
+
+  function isOfficerToken(token) {
+    return String(token || '').startsWith(`${TOKEN_PREFIX}.`);
+  }
+
+  // Returns the (enabled) account for a valid token, else null
+  async function verifyToken(token) {
+    const parts = String(token || '').split('.');
+    if (parts.length !== 3 || parts[0] !== TOKEN_PREFIX) return null;
+    const [, payloadPart, signature] = parts;
+    const expected = sign(payloadPart);
+    if (signature.length !== expected.length || !crypto.timingSafeEqual(Buffer.from(signature), Buffer.from(expected))) return null;
+
+    let payload = null;
+    try { payload = JSON.parse(fromBase64url(payloadPart)); } catch (e) { return null; }
+    if (!payload || !payload.sub || !payload.exp || payload.exp < Date.now()) return null;
+
+    const account = await getById(payload.sub);
+    if (!account || account.disabled) return null;
+    if ((account.tokenVersion || 0) !== payload.v) return null;
+    return account;
+  }
+
+  async function login(username, password) {
+    const account = await findByUsername(username);
+    const ok = verifyPassword(password, account ? account.passwordHash : DUMMY_HASH);
+    if (!account || !ok) throw new OfficerAccountError('Invalid username or password', 401);
+    if (account.disabled) throw new OfficerAccountError('Account is disabled', 403);
+
+    const saved = await accounts.update(account.id, { lastLoginAt: new Date().toISOString() });
+    return Object.assign({ account: saved || account }, issueToken(account));
+  }
+
+  // Shape used by lib/authz.js (req.authUser)
+  function toAuthUser(account) {
+    return {
+      uid: `officer:${account.id}`,
+      email: null,
+      role: account.role,
+      org: account.org || null,
+      orgId: account.orgId || null,
+      username: account.username,
+      name: account.name || null,
+      officerAccountId: account.id
+    };
+  }
+
+  // Create the bootstrap admin account (from env) if it does not exist yet
+  async function ensureBootstrapAdmin({ username, password }) {
+    if (!username || !password) return null;
+    const existing = await findByUsername(username);
+    if (existing) return existing;
+    const created = await createAccount({ username, password, role: 'admin' });
+    console.log('Created bootstrap admin officer account:', created.username);
+    return created;
+  }
+
+  return {
+    ROLES,
+    OfficerAccountError,
+    listAccounts,
+    getById,
+    findByUsername,
+    createAccount,
+    updateAccount,
+    resetPassword,
+    publicView,
+    login,
+    issueToken,
+    isOfficerToken,
+    verifyToken,
+    toAuthUser,
+    ensureBootstrapAdmin
+  };
+};
+
+module.exports.hashPassword = hashPassword;
+module.exports.usernameKey = usernameKey;
+module.exports.verifyPassword = verifyPassword;
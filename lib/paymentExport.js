@@ -0,0 +1,146 @@
+// lib/paymentExport.js
+// Spreadsheet export of payments (GET /api/payments/export): one row per payment plus a totals row.
+// - writeCsv(stream, payments): RFC 4180 CSV with a UTF-8 BOM so Excel opens peso signs / names correctly
+// - writeXlsx(stream, payments, { sheetName }): streamed .xlsx via exceljs
+// Cells starting with = + - @ are prefixed with ' so spreadsheet apps do not evaluate them as formulas.
+
+const { normalizeStatus } = require('./paymentStatus');
+const { methodOf } = require('./paymentImport');
+
+let ExcelJS = null;
+try {
+  ExcelJS = require('exceljs');
+} catch (e) {
+  ExcelJS = null; // xlsx export unavailable; csv still works
+}
+
+const COLUMNS = [
+  { header: 'Submitted At', key: 'createdAt', width: 24 },
+  { header: 'Student Name', key: 'studentName', width: 28 },
+  { header: 'Email', key: 'email', width: 28 },
+  { header: 'College', key: 'college', width: 12 },
+  { header: 'Department', key: 'department', width: 24 },
+  { header: 'Program', key: 'program', width: 24 },
+  { header: 'Year', key: 'year', width: 10 },
+  { header: 'Block', key: 'block', width: 10 },
+  { header: 'Organization', key: 'org', width: 16 },
+  { header: 'Event', key: 'event', width: 24 },
+  { header: 'Amount', key: 'amount', width: 12 },
+  { header: 'Amount Status', key: 'amountStatus', width: 14 },
+  { header: 'Late Fee', key: 'lateFee', width: 10 },
+  { header: 'Method', key: 'method', width: 10 },
+  { header: 'Reference', key: 'reference', width: 20 },
+  { header: 'Status', key: 'status', width: 18 },
+  { header: 'Approved At', key: 'approvedAt', width: 24 },
+  { header: 'Rejected At', key: 'rejectedAt', width: 24 },
+  { header: 'Status Updated At', key: 'statusUpdatedAt', width: 24 },
+  { header: 'Payment ID', key: 'id', width: 38 }
+];
+
+function toRow(p) {
+  return {
+    createdAt: p.createdAt || '',
+    studentName: p.studentName || '',
+    email: p.submittedByEmail || '',
+    college: p.studentCollege || '',
+    department: p.studentDepartment || '',
+    program: p.studentProgram || '',
+    year: p.studentYear || '',
+    block: p.studentBlock || '',
+    org: p.org || '',
+    event: p.event || '',
+    amount: Number(p.amount) || 0,
+    amountStatus: p.amountStatus || '',
+    lateFee: p.lateFee ? Number(p.lateFee) : '',
+    method: methodOf(p),
+    reference: p.reference || '',
+    status: normalizeStatus(p.status),
+    approvedAt: p.approvedAt || '',
+    rejectedAt: p.rejectedAt || '',
+    statusUpdatedAt: p.statusUpdatedAt || '',
+    id: p.id || ''
+  };
+}
+
+function totalsFor(payments) {
+  let approvedCount = 0;
+  let totalAmount = 0;
+  let approvedAmount = 0;
+  payments.forEach(p => {
+    const amount = Number(p.amount) || 0;
+    totalAmount += amount;
+    if (normalizeStatus(p.status) === 'approved') {
+      approvedCount++;
+      approvedAmount += amount;
+    }
+  });
+  return {
+    totalCount: payments.length,
+    approvedCount,
+    totalAmount: Math.round(totalAmount * 100) / 100,
+    approvedAmount: Math.round(approvedAmount * 100) / 100
+  };
+}
+
+// Totals row laid out under the same columns as the payment rows
+function totalsRow(totals) {
+  return {
+    createdAt: 'TOTAL',
+    studentName: `${totals.totalCount} payment(s), ${totals.approvedCount} approved`,
+    amount: totals.totalAmount,
+    status: `Approved: ${totals.approvedAmount.toFixed(2)}`
+  };
+}
+
+function safeCell(value) {
+  const s = value === undefined || value === null ? '' : String(value);
+  return /^[=+\-@]/.test(s) ? `'${s}` : s;
+}
+
+function csvCell(value) {
+  const s = typeof value === 'number' ? String(value) : safeCell(value);
+  return /[",\r\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+}
+
+function csvLine(row) {
+  return COLUMNS.map(c => csvCell(row[c.key])).join(',') + '\r\n';
+}
+
+function writeCsv(stream, payments) {
+  stream.write('\uFEFF' + COLUMNS.map(c => csvCell(c.header)).join(',') + '\r\n');
+  payments.forEach(p => stream.write(csvLine(toRow(p))));
+  stream.write(csvLine(totalsRow(totalsFor(payments))));
+  stream.end();
+}
+
+function xlsxAvailable() {
+  return Boolean(ExcelJS);
+}
+
+async function writeXlsx(stream, payments, { sheetName = 'Payments' } = {}) {
+  if (!ExcelJS) throw new Error('xlsx export requires the exceljs package');
+  const workbook = new ExcelJS.stream.xlsx.WorkbookWriter({ stream, useStyles: true });
+  // sheet names are limited to 31 chars and may not contain : \ / ? * [ ]
+  const sheet = workbook.addWorksheet(String(sheetName).replace(/[:\\/?*[\]]/g, ' ').slice(0, 31) || 'Payments');
+  sheet.columns = COLUMNS;
+  sheet.getRow(1).font = { bold: true };
+  sheet.getRow(1).commit();
+  payments.forEach(p => {
+    const row = toRow(p);
+    Object.keys(row).forEach(k => { if (typeof row[k] === 'string') row[k] = safeCell(row[k]); });
+    sheet.addRow(row).commit();
+  });
+  const total = sheet.addRow(totalsRow(totalsFor(payments)));
+  total.font = { bold: true };
+  total.commit();
+  sheet.commit();
+  await workbook.commit();
+}
+
+module.exports = {
+  COLUMNS,
+  totalsFor,
+  writeCsv,
+  writeXlsx,
+  xlsxAvailable
+};
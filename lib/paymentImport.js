@@ -0,0 +1,117 @@
+// lib/paymentImport.js
+// Bulk import of cash / offline payments recorded by officers (POST /api/payments/import).
+// - parseCsv(text): RFC 4180 parser (quoted fields, "" escapes, CRLF, UTF-8 BOM) -> array of row arrays
+// - readRows(text): maps the header row onto { studentName, email, year, block, amount, reference, method }
+//   (header names are matched loosely: "Student Name", "name", "Reference No." ...)
+// - validateRow(): per-row field errors / warnings; the route adds the checks that need the event and datastore
+//   (eligibility, duplicate references, amount vs fee)
+//
+// Payment methods: imported rows are 'cash' or 'offline'; payments submitted through the student dashboard are
+// 'online' (older records without a method count as online too).
+
+const METHODS = Object.freeze({ ONLINE: 'online', CASH: 'cash', OFFLINE: 'offline' });
+const IMPORT_METHODS = [METHODS.CASH, METHODS.OFFLINE];
+const MAX_ROWS = 2000;
+
+const HEADER_ALIASES = {
+  studentName: ['studentname', 'name', 'student', 'fullname'],
+  email: ['email', 'emailaddress', 'studentemail'],
+  year: ['year', 'yearlevel', 'studentyear'],
+  block: ['block', 'section', 'studentblock'],
+  amount: ['amount', 'amountpaid', 'paid'],
+  reference: ['reference', 'referencenumber', 'referenceno', 'ref', 'receiptno', 'receiptnumber', 'orno'],
+  method: ['method', 'paymentmethod', 'mode']
+};
+
+const EMAIL_RE = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+function methodOf(payment) {
+  const m = String((payment && payment.method) || '').trim().toLowerCase();
+  return Object.values(METHODS).includes(m) ? m : METHODS.ONLINE;
+}
+
+function parseCsv(text) {
+  const src = String(text || '').replace(/^\uFEFF/, '');
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+  for (let i = 0; i < src.length; i++) {
+    const ch = src[i];
+    if (quoted) {
+      if (ch === '"' && src[i + 1] === '"') { field += '"'; i++; }
+      else if (ch === '"') quoted = false;
+      else field += ch;
+    } else if (ch === '"' && field === '') {
+      quoted = true;
+    } else if (ch === ',') {
+      row.push(field); field = '';
+    } else if (ch === '\n' || ch === '\r') {
+      if (ch === '\r' && src[i + 1] === '\n') i++;
+      row.push(field); field = '';
+      rows.push(row); row = [];
+    } else {
+      field += ch;
+    }
+  }
+  if (field !== '' || row.length) { row.push(field); rows.push(row); }
+  // drop blank lines
+  return rows.filter(r => r.some(v => String(v).trim() !== ''));
+}
+
+function headerKey(header) {
+  const compact = String(header || '').toLowerCase().replace(/[^a-z]/g, '');
+  return Object.keys(HEADER_ALIASES).find(key => HEADER_ALIASES[key].includes(compact)) || null;
+}
+
+// Returns { rows: [{ line, data }], unknownHeaders, missingHeaders } — line numbers are 1-based file lines
+function readRows(text) {
+  const table = parseCsv(text);
+  if (!table.length) return { rows: [], unknownHeaders: [], missingHeaders: ['studentName', 'amount'] };
+  const headers = table[0].map(headerKey);
+  const unknownHeaders = table[0].filter((h, i) => !headers[i]);
+  const missingHeaders = ['studentName', 'amount'].filter(k => !headers.includes(k));
+  const rows = table.slice(1).map((cells, idx) => {
+    const data = {};
+    headers.forEach((key, i) => {
+      if (key && data[key] === undefined) data[key] = String(cells[i] === undefined ? '' : cells[i]).trim();
+    });
+    return { line: idx + 2, data };
+  });
+  return { rows, unknownHeaders, missingHeaders };
+}
+
+// Validate one row. Returns { value, errors, warnings } where value holds the cleaned fields.
+function validateRow(data, { defaultMethod = METHODS.CASH } = {}) {
+  const errors = [];
+  const warnings = [];
+  const value = {
+    studentName: (data.studentName || '').replace(/\s+/g, ' ') || null,
+    email: data.email ? data.email.toLowerCase() : null,
+    year: data.year || null,
+    block: data.block || null,
+    amount: null,
+    reference: data.reference || null,
+    method: (data.method || defaultMethod).toLowerCase()
+  };
+
+  if (!value.studentName) errors.push('student name is required');
+  if (value.email && !EMAIL_RE.test(value.email)) errors.push(`invalid email "${data.email}"`);
+  const amount = parseFloat(String(data.amount || '').replace(/[₱,\s]/g, ''));
+  if (!Number.isFinite(amount) || amount <= 0) errors.push(`amount must be a positive number (got "${data.amount || ''}")`);
+  else value.amount = Math.round(amount * 100) / 100;
+  if (!IMPORT_METHODS.includes(value.method)) errors.push(`method must be ${IMPORT_METHODS.join(' or ')} (got "${data.method}")`);
+  if (!value.email) warnings.push('no email: the payment will not show up in the student\'s history');
+
+  return { value, errors, warnings };
+}
+
+module.exports = {
+  METHODS,
+  IMPORT_METHODS,
+  MAX_ROWS,
+  methodOf,
+  parseCsv,
+  readRows,
+  validateRow
+};
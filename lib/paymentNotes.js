@@ -0,0 +1,71 @@
+// lib/paymentNotes.js
+// Officer notes on a payment (payment.officerNotes), kept as a thread in the order they were written.
+// Notes are added with a status change (optional `note` on /approve, /reject, /unapprove, ...) or on their own
+// (POST /api/payments/:id/notes).
+// - Note: { id, at, text, visibility: 'public' | 'internal', action (status action or null), status (after the
+//           action), byUid, byName }
+// - public notes are shown to the student in their payment history (e.g. "reference number not found in GCash
+//   history"); internal notes are only for officers of the payment's org and are stripped by forStudent()
+//
+// Usage:
+//   const input = normalizeNoteInput(req.body);             // null when no note was sent; throws NoteError
+//   if (input) addNote(payment, input, { action, author: req.authUser });
+//   res.json(forStudent(payment));
+
+const { v4: uuidv4 } = require('uuid');
+
+const NOTE_VISIBILITY = Object.freeze({ PUBLIC: 'public', INTERNAL: 'internal' });
+const MAX_NOTE_LENGTH = 1000;
+
+class NoteError extends Error {
+  constructor(message, statusCode = 400) {
+    super(message);
+    this.name = 'NoteError';
+    this.statusCode = statusCode;
+  }
+}
+
+// { note, noteVisibility } from a request body -> { text, visibility } or null when no note was given
+function normalizeNoteInput(body) {
+  const b = body || {};
+  const text = b.note === undefined || b.note === null ? '' : String(b.note).trim();
+  if (!text) return null;
+  if (text.length > MAX_NOTE_LENGTH) throw new NoteError(`note must be at most ${MAX_NOTE_LENGTH} characters`);
+  const visibility = b.noteVisibility ? String(b.noteVisibility).trim().toLowerCase() : NOTE_VISIBILITY.PUBLIC;
+  if (!Object.values(NOTE_VISIBILITY).includes(visibility)) {
+    throw new NoteError(`noteVisibility must be one of ${Object.values(NOTE_VISIBILITY).join(', ')}`);
+  }
+  return { text, visibility };
+}
+
+// Append a note to the payment (in place). author: req.authUser ({ uid, name, username }).
+function addNote(payment, { text, visibility }, { action = null, author = null, at = new Date().toISOString() } = {}) {
+  const note = {
+    id: uuidv4(),
+    at,
+    text,
+    visibility,
+    action,
+    status: payment.status || null,
+    byUid: (author && author.uid) || null,
+    byName: (author && (author.name || author.username)) || null
+  };
+  payment.officerNotes = (Array.isArray(payment.officerNotes) ? payment.officerNotes : []).concat(note);
+  return note;
+}
+
+// Copy of the payment without internal notes (for the student and other non-officer readers)
+function forStudent(payment) {
+  if (!payment || !Array.isArray(payment.officerNotes)) return payment;
+  return Object.assign({}, payment, {
+    officerNotes: payment.officerNotes.filter(n => n.visibility === NOTE_VISIBILITY.PUBLIC)
+  });
+}
+
+module.exports = {
+  NOTE_VISIBILITY,
+  NoteError,
+  normalizeNoteInput,
+  addNote,
+  forStudent
+};
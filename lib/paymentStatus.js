@@ -0,0 +1,163 @@
+// lib/paymentStatus.js
+// Payment status state machine. Every status change on a payment goes through applyTransition()
+// so the legal moves are defined in exactly one place.
+//
+// States:
+// - pending             submitted by the student, waiting for an officer
+// - approved            verified by an officer
+// - rejected            refused by an officer (rejectionReason required)
+// - needs-resubmission  officer asked the student to fix the proof/reference (resubmissionReason required)
+// - withdrawn           cancelled by the student who submitted it (kept, never deleted; no way back)
+//
+// Actions (from -> to):
+// - approve               pending -> approved
+// - reject                pending | needs-resubmission -> rejected
+// - request-resubmission  pending -> needs-resubmission
+// - unapprove             approved -> pending             (reversal of approve)
+// - reopen                rejected | needs-resubmission -> pending  (reversal of reject / request-resubmission)
+// - resubmit              rejected | needs-resubmission -> pending  (the student sent a fixed proof / reference / amount;
+//                         the earlier values are kept in payment.revisions by the route)
+// - withdraw              pending -> withdrawn            (taken by the submitting student; optional reason)
+//
+// Rejected and withdrawn payments are void: they no longer count toward what a student paid (isVoid()).
+//
+// Illegal moves throw a TransitionError carrying statusCode 409 so routes can return it as-is.
+
+const STATUSES = Object.freeze({
+  PENDING: 'pending',
+  APPROVED: 'approved',
+  REJECTED: 'rejected',
+  NEEDS_RESUBMISSION: 'needs-resubmission',
+  WITHDRAWN: 'withdrawn'
+});
+
+const TRANSITIONS = Object.freeze({
+  approve: {
+    from: [STATUSES.PENDING],
+    to: STATUSES.APPROVED,
+    apply(payment, { at }) {
+      payment.approvedAt = at;
+      delete payment.rejectedAt;
+      delete payment.rejectionReason;
+      delete payment.resubmissionRequestedAt;
+      delete payment.resubmissionReason;
+    }
+  },
+  reject: {
+    from: [STATUSES.PENDING, STATUSES.NEEDS_RESUBMISSION],
+    to: STATUSES.REJECTED,
+    requiresReason: true,
+    apply(payment, { at, reason }) {
+      payment.rejectedAt = at;
+      payment.rejectionReason = reason;
+    }
+  },
+  'request-resubmission': {
+    from: [STATUSES.PENDING],
+    to: STATUSES.NEEDS_RESUBMISSION,
+    requiresReason: true,
+    apply(payment, { at, reason }) {
+      payment.resubmissionRequestedAt = at;
+      payment.resubmissionReason = reason;
+    }
+  },
+  unapprove: {
+    from: [STATUSES.APPROVED],
+    to: STATUSES.PENDING,
+    apply(payment) {
+      delete payment.approvedAt;
+      delete payment.verifiedBy;
+      delete payment.verifiedByUid;
+    }
+  },
+  reopen: {
+    from: [STATUSES.REJECTED, STATUSES.NEEDS_RESUBMISSION],
+    to: STATUSES.PENDING,
+    apply(payment) {
+      delete payment.rejectedAt;
+      delete payment.rejectionReason;
+      delete payment.resubmissionRequestedAt;
+      delete payment.resubmissionReason;
+    }
+  },
+  resubmit: {
+    from: [STATUSES.REJECTED, STATUSES.NEEDS_RESUBMISSION],
+    to: STATUSES.PENDING,
+    apply(payment, { at }) {
+      payment.resubmittedAt = at;
+      delete payment.rejectedAt;
+      delete payment.rejectionReason;
+      delete payment.resubmissionRequestedAt;
+      delete payment.resubmissionReason;
+    }
+  },
+  withdraw: {
+    from: [STATUSES.PENDING],
+    to: STATUSES.WITHDRAWN,
+    apply(payment, { at, reason }) {
+      payment.withdrawnAt = at;
+      if (reason) payment.withdrawalReason = reason;
+    }
+  }
+});
+
+class TransitionError extends Error {
+  constructor(message, { statusCode = 409, code = 'illegal_transition' } = {}) {
+    super(message);
+    this.name = 'TransitionError';
+    this.statusCode = statusCode;
+    this.code = code;
+  }
+}
+
+// Normalize stored status values ("Approved", "needs_resubmission", missing) to the canonical state names
+function normalizeStatus(status) {
+  const s = String(status || '').trim().toLowerCase().replace(/[\s_]+/g, '-');
+  return s || STATUSES.PENDING;
+}
+
+// Rejected / withdrawn payments do not count toward balances, duplicates or clearance
+function isVoid(status) {
+  const s = normalizeStatus(status);
+  return s === STATUSES.REJECTED || s === STATUSES.WITHDRAWN;
+}
+
+// Returns the list of actions that are legal from the given status
+function allowedActions(status) {
+  const from = normalizeStatus(status);
+  return Object.keys(TRANSITIONS).filter(action => TRANSITIONS[action].from.includes(from));
+}
+
+// Apply an action to a payment object in place. Returns the payment.
+// Throws TransitionError (400 for unknown action / missing reason, 409 for illegal transitions).
+function applyTransition(payment, action, { reason = null, at = new Date().toISOString() } = {}) {
+  const rule = TRANSITIONS[action];
+  if (!rule) {
+    throw new TransitionError(`Unknown payment action "${action}"`, { statusCode: 400, code: 'unknown_action' });
+  }
+
+  const from = normalizeStatus(payment.status);
+  if (!rule.from.includes(from)) {
+    throw new TransitionError(`Cannot ${action} a payment that is ${from}`);
+  }
+
+  const trimmedReason = reason === null || typeof reason === 'undefined' ? '' : String(reason).trim();
+  if (rule.requiresReason && !trimmedReason) {
+    throw new TransitionError(`A reason is required to ${action} a payment`, { statusCode: 400, code: 'reason_required' });
+  }
+
+  payment.status = rule.to;
+  payment.statusUpdatedAt = at;
+  rule.apply(payment, { at, reason: trimmedReason || null });
+  return payment;
+}
+
+module.exports = {
+  STATUSES,
+  TRANSITIONS,
+  TransitionError,
+  normalizeStatus,
+  isVoid,
+  allowedActions,
+  applyTransition
+};
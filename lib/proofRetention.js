@@ -0,0 +1,78 @@
+// lib/proofRetention.js
+// Removes the proof files of withdrawn payments once the retention window has passed. The payment itself is kept
+// (status 'withdrawn', see lib/paymentStatus.js); only the stored objects go, including those of earlier revisions
+// (payment.revisions, see PUT /api/payments/:id/resubmit).
+// - A withdrawn payment's proofs are purged PROOF_RETENTION_DAYS after withdrawnAt. The payment then carries
+//   proofPurgedAt and no proofObjectPath / proofFile.
+// - removeProof(objectPath, { local }) is supplied by the server (Supabase storage or uploads/). When it fails the
+//   payment is left as it is and retried on the next run.
+//
+// Usage: const job = createProofPurgeJob({ payments: repo.payments, removeProof, retentionDays, intervalMinutes }); job.start();
+// onPurge(before, after), when given, is awaited for every payment the job purges (audit log).
+
+const { STATUSES } = require('./paymentStatus');
+
+const DAY_MS = 24 * 3600 * 1000;
+
+// Stored objects of a payment and its revisions: [{ path, local }]
+function proofObjectsOf(payment) {
+  const objects = [];
+  if (payment.proofObjectPath) objects.push({ path: payment.proofObjectPath, local: Boolean(payment.proofObjectIsLocal) });
+  (Array.isArray(payment.revisions) ? payment.revisions : []).forEach(rev => {
+    if (rev.proofObjectPath) objects.push({ path: rev.proofObjectPath, local: Boolean(rev.proofObjectIsLocal) });
+  });
+  return objects.filter((o, i) => objects.findIndex(other => other.path === o.path) === i);
+}
+
+// Withdrawn before the cut-off and not purged yet
+function isDue(payment, { retentionDays = 30, now = new Date() } = {}) {
+  if (!payment || payment.status !== STATUSES.WITHDRAWN || payment.proofPurgedAt) return false;
+  const withdrawnAt = new Date(payment.withdrawnAt || payment.statusUpdatedAt || 0).getTime();
+  if (!Number.isFinite(withdrawnAt) || withdrawnAt <= 0) return false;
+  return now.getTime() - withdrawnAt >= Math.max(Number(retentionDays) || 0, 0) * DAY_MS;
+}
+
+function createProofPurgeJob({ payments, removeProof, retentionDays = 30, intervalMinutes = 60, onPurge = null }) {
+  let timer = null;
+
+  async function runOnce(now = new Date()) {
+    const due = (await payments.list({ status: STATUSES.WITHDRAWN })).filter(p => isDue(p, { retentionDays, now }));
+    let purged = 0;
+    for (const payment of due) {
+      try {
+        for (const object of proofObjectsOf(payment)) await removeProof(object.path, { local: object.local });
+      } catch (err) {
+        console.warn(`Proof purge: could not remove the proof of payment ${payment.id}:`, err && err.message ? err.message : err);
+        continue;
+      }
+      const patch = { proofObjectPath: null, proofFile: null, proofPurgedAt: now.toISOString() };
+      if (Array.isArray(payment.revisions)) patch.revisions = payment.revisions.map(rev => Object.assign({}, rev, { proofObjectPath: null }));
+      const saved = await payments.update(payment.id, patch);
+      if (onPurge && saved) await onPurge(payment, saved);
+      purged++;
+    }
+    if (purged) console.log(`Proof purge: removed the proofs of ${purged} withdrawn payment(s)`);
+    return purged;
+  }
+
+  function start() {
+    if (timer || !(intervalMinutes > 0)) return;
+    const tick = () => runOnce().catch(err => console.error('Proof purge job error:', err));
+    tick();
+    timer = setInterval(tick, intervalMinutes * 60 * 1000);
+    if (timer.unref) timer.unref();
+  }
+
+  function stop() {
+    if (timer) clearInterval(timer);
+    timer = null;
+  }
+
+  return { runOnce, start, stop };
+}
+
+module.exports = {
+  proofObjectsOf,
+  isDue,
+  createProofPurgeJob
+};
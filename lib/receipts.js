@@ -0,0 +1,280 @@
+// lib/receipts.js
+// Official receipts for approved payments (GET /api/payments/:id/receipt.pdf).
+// - createReceiptNumbers({ counters, payments }): per-org serial receipt numbers, e.g. JIECEP-2026-000042. The
+//   sequence lives in the 'counters' collection (doc `receipts:<canonical org name>`, changed only through the
+//   atomic counters.update) and never restarts, so a number is never handed out twice. A number is written to the
+//   payment in an atomic payments.update that gives it one only if it is approved and has none yet; a number
+//   taken for a payment that turned out to be numbered already (two first downloads at once) goes back to the
+//   counter's `free` list and is handed out next, so none is skipped. A payment keeps its number if it is
+//   unapproved and approved again.
+// - writeReceiptPdf(stream, details): renders the receipt (org logo, student, event, amount, reference,
+//   approving officer, verification QR) with pdfkit.
+// - createVerificationCodes({ secret }): signed, non-guessable codes for the public /verify/:code page
+//   (`<paymentId>.<HMAC>`; computed on demand, never stored, so payment listings cannot leak them)
+// - verificationView(payment, { org, event }): the non-sensitive fields shown on that page
+// - loadLogo(logoUrl, { uploadsDir }): fetches organizations.logoUrl (http(s) or /uploads/...) for the receipt;
+//   anything that is not a PNG/JPEG, or does not load within a few seconds, is skipped.
+//
+// Usage:
+//   const receiptNumbers = receipts.createReceiptNumbers({ counters: repo.counters, payments: repo.payments });
+//   const { payment, issued } = await receiptNumbers.assign(paymentId, { orgId, org });   // issued: numbered by this call
+//   const codes = receipts.createVerificationCodes({ secret });
+//   await receipts.writeReceiptPdf(res, { payment, org, event, logo, verifyUrl: `${base}/verify/${codes.codeFor(payment)}` });
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { normalizeStatus } = require('./paymentStatus');
+
+let PDFDocument = null;
+let QRCode = null;
+try {
+  PDFDocument = require('pdfkit');
+  QRCode = require('qrcode');
+} catch (e) {
+  PDFDocument = null; // receipts unavailable; the route answers 501
+}
+
+const LOGO_TIMEOUT_MS = 4000;
+const LOGO_MAX_BYTES = 2 * 1024 * 1024;
+
+function pdfAvailable() {
+  return Boolean(PDFDocument && QRCode);
+}
+
+function orgCode(orgName) {
+  return String(orgName || 'ORG').toUpperCase().replace(/[^A-Z0-9]/g, '').slice(0, 10) || 'ORG';
+}
+
+function createReceiptNumbers({ counters, payments }) {
+  // keyed by org name (the number's prefix) so payments carrying only an org name share the event's sequence
+  function counterId({ orgId = null, org = null } = {}) {
+    return `receipts:${String(org || '').trim().toLowerCase() || orgId || 'unassigned'}`;
+  }
+
+  function format(seq, org) {
+    return `${orgCode(org)}-${new Date().getFullYear()}-${String(seq).padStart(6, '0')}`;
+  }
+
+  // Next sequence value of the org's counter: the lowest returned one if any, else value + 1
+  async function take(target) {
+    const id = counterId(target);
+    let seq = null;
+    await counters.update(id, current => {
+      const counter = current || { id, value: 0, free: [] };
+      const free = (counter.free || []).slice().sort((a, b) => a - b);
+      seq = free.length ? free.shift() : (Number(counter.value) || 0) + 1;
+      return Object.assign(counter, { value: Math.max(Number(counter.value) || 0, seq), free, updatedAt: new Date().toISOString() });
+    }, { upsert: true });
+    return seq;
+  }
+
+  async function giveBack(seq, target) {
+    await counters.update(counterId(target), counter => {
+      const free = counter.free || [];
+      if (free.includes(seq)) return null;
+      return Object.assign(counter, { free: free.concat(seq), updatedAt: new Date().toISOString() });
+    });
+  }
+
+  // Give an approved payment its receipt number, once. Resolves to { payment, issued }: the stored payment (null when
+  // it does not exist; unchanged when it is not approved or already numbered) and whether this call numbered it.
+  async function assign(paymentId, target = {}) {
+    const payment = await payments.get(paymentId);
+    if (!payment || payment.receiptNumber || normalizeStatus(payment.status) !== 'approved') return { payment, issued: false };
+    const org = target.org || payment.org;
+    const counterTarget = { orgId: target.orgId || payment.orgId, org };
+    const seq = await take(counterTarget);
+    const receiptNumber = format(seq, org);
+    let saved = null;
+    try {
+      saved = await payments.update(paymentId, current => {
+        if (current.receiptNumber || normalizeStatus(current.status) !== 'approved') return null;
+        return Object.assign(current, { receiptNumber, receiptIssuedAt: new Date().toISOString() });
+      });
+    } finally {
+      if (!saved || saved.receiptNumber !== receiptNumber) await giveBack(seq, counterTarget);
+    }
+    return { payment: saved, issued: Boolean(saved && saved.receiptNumber === receiptNumber) };
+  }
+
+  return { assign };
+}
+
+const SIGNATURE_LENGTH = 16; // base64url chars = 96 bits
+
+function createVerificationCodes({ secret }) {
+  if (!secret) throw new Error('a secret is required for receipt verification codes');
+
+  function signature(paymentId) {
+    return crypto.createHmac('sha256', secret).update(`verify:${paymentId}`).digest('base64url').slice(0, SIGNATURE_LENGTH);
+  }
+
+  function codeFor(payment) {
+    return `${payment.id}.${signature(payment.id)}`;
+  }
+
+  // Payment id the code was issued for, or null when the code is malformed or its signature does not match
+  function parse(code) {
+    const m = /^([A-Za-z0-9-]{1,64})\.([A-Za-z0-9_-]+)$/.exec(String(code || '').trim());
+    if (!m) return null;
+    const expected = Buffer.from(signature(m[1]));
+    const given = Buffer.from(m[2]);
+    if (given.length !== expected.length || !crypto.timingSafeEqual(given, expected)) return null;
+    return m[1];
+  }
+
+  return { codeFor, parse };
+}
+
+// "Dela Cruz, Juan" -> "D*** C***, J***"
+function maskName(name) {
+  const s = String(name || '').trim();
+  if (!s) return null;
+  return s.replace(/[^\s,.-]+/g, word => word.charAt(0) + '*'.repeat(Math.max(word.length - 1, 2)));
+}
+
+// Public view of a payment for /verify/:code. A payment that has a receipt number but is no longer approved
+// had its approval reversed after the receipt was issued.
+function verificationView(payment, { org = null, event = null } = {}) {
+  const status = normalizeStatus(payment.status);
+  const approved = status === 'approved';
+  const revoked = !approved && Boolean(payment.receiptNumber);
+  let message = 'This payment was approved and the receipt is valid.';
+  if (revoked) message = 'The approval of this payment was withdrawn after the receipt was issued. The receipt is no longer valid.';
+  else if (!approved) message = 'This payment has not been approved.';
+  return {
+    valid: approved,
+    revoked,
+    status,
+    message,
+    receiptNumber: payment.receiptNumber || null,
+    org: (org && (org.displayName || org.name)) || payment.org || null,
+    event: (event && event.name) || payment.event || null,
+    amount: Number(payment.amount) || 0,
+    approvedAt: approved ? payment.approvedAt || null : null,
+    revokedAt: revoked ? payment.statusUpdatedAt || null : null,
+    studentName: maskName(payment.studentName)
+  };
+}
+
+function isImage(buf) {
+  if (!buf || buf.length < 4) return false;
+  const png = buf[0] === 0x89 && buf[1] === 0x50 && buf[2] === 0x4e && buf[3] === 0x47;
+  const jpeg = buf[0] === 0xff && buf[1] === 0xd8;
+  return png || jpeg;
+}
+
+async function loadLogo(logoUrl, { uploadsDir = null } = {}) {
+  if (!logoUrl) return null;
+  try {
+    let buf = null;
+    const local = /^\/?uploads\/(.+)$/.exec(String(logoUrl));
+    if (local && uploadsDir) {
+      const file = path.join(uploadsDir, path.basename(local[1]));
+      buf = await fs.promises.readFile(file);
+    } else if (/^https?:\/\//i.test(logoUrl)) {
+      const res = await fetch(logoUrl, { signal: AbortSignal.timeout(LOGO_TIMEOUT_MS) });
+      if (!res.ok) return null;
+      buf = Buffer.from(await res.arrayBuffer());
+    }
+    if (!buf || buf.length > LOGO_MAX_BYTES || !isImage(buf)) return null;
+    return buf;
+  } catch (err) {
+    console.warn('Receipt logo could not be loaded:', err && err.message ? err.message : err);
+    return null;
+  }
+}
+
+function peso(n) {
+  return `PHP ${(Number(n) || 0).toLocaleString('en-PH', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`;
+}
+
+function formatDate(iso) {
+  if (!iso) return '-';
+  const d = new Date(iso);
+  return Number.isFinite(d.getTime()) ? d.toLocaleString('en-PH', { dateStyle: 'long', timeStyle: 'short' }) : String(iso);
+}
+
+// details: { payment, org, event, logo (Buffer|null), verifyUrl (public /verify/:code page, encoded in the QR) }
+async function writeReceiptPdf(stream, { payment, org = null, event = null, logo = null, verifyUrl = null }) {
+  if (!pdfAvailable()) throw new Error('PDF receipts require the pdfkit and qrcode packages');
+  const qr = await QRCode.toBuffer(verifyUrl || payment.receiptNumber || payment.id, { margin: 1, width: 240 });
+
+  const doc = new PDFDocument({ size: 'A5', margin: 36, info: { Title: `Receipt ${payment.receiptNumber || ''}`.trim(), Author: 'SpartaPay' } });
+  doc.pipe(stream);
+  const left = doc.page.margins.left;
+  const width = doc.page.width - doc.page.margins.left - doc.page.margins.right;
+
+  // Header: logo + org name
+  let headerTop = doc.y;
+  if (logo) {
+    try {
+      doc.image(logo, left, headerTop, { fit: [56, 56] });
+    } catch (err) {
+      logo = null; // unreadable image data; keep going without it
+    }
+  }
+  const textLeft = logo ? left + 66 : left;
+  doc.font('Helvetica-Bold').fontSize(15).text((org && (org.displayName || org.name)) || payment.org || 'Organization', textLeft, headerTop, { width: width - (textLeft - left) });
+  doc.font('Helvetica').fontSize(9).fillColor('#555').text('Official Receipt', textLeft);
+  if (org && org.contactEmail) doc.text(org.contactEmail, textLeft);
+  doc.fillColor('#000');
+  doc.y = Math.max(doc.y, headerTop + 60);
+
+  doc.moveDown(0.5);
+  doc.font('Helvetica-Bold').fontSize(11).text(`Receipt No. ${payment.receiptNumber || '-'}`, left, doc.y, { width, align: 'right' });
+  doc.font('Helvetica').fontSize(9).text(`Issued ${formatDate(payment.receiptIssuedAt || payment.approvedAt)}`, { width, align: 'right' });
+  doc.moveTo(left, doc.y + 6).lineTo(left + width, doc.y + 6).strokeColor('#999').stroke();
+  doc.moveDown(1);
+
+  const rows = [
+    ['Received from', payment.studentName || payment.submittedByEmail || '-'],
+    ['Email', payment.submittedByEmail || '-'],
+    ['College / Program', [payment.studentCollege, payment.studentProgram].filter(Boolean).join(' / ') || '-'],
+    ['Year / Block', [payment.studentYear, payment.studentBlock].filter(Boolean).join(' / ') || '-'],
+    ['Event', (event && event.name) || payment.event || '-'],
+    ['Amount', peso(payment.amount)],
+    ['Late fee included', payment.lateFee ? peso(payment.lateFee) : null],
+    ['Method', payment.method || 'online'],
+    ['Reference', payment.reference || '-'],
+    ['Approved', formatDate(payment.approvedAt)],
+    ['Approved by', payment.verifiedBy || '-']
+  ].filter(r => r[1] !== null);
+
+  rows.forEach(([label, value]) => {
+    const y = doc.y;
+    doc.font('Helvetica').fontSize(9).fillColor('#555').text(label, left, y, { width: 110 });
+    doc.font(label === 'Amount' ? 'Helvetica-Bold' : 'Helvetica').fontSize(label === 'Amount' ? 12 : 10).fillColor('#000')
+      .text(String(value), left + 115, y, { width: width - 115 });
+    doc.moveDown(0.35);
+  });
+
+  // Verification QR
+  doc.moveDown(0.5);
+  const qrSize = 90;
+  const qrTop = doc.y;
+  doc.image(qr, left, qrTop, { width: qrSize, height: qrSize });
+  doc.font('Helvetica').fontSize(8).fillColor('#555')
+    .text('Scan to verify this receipt online.', left + qrSize + 10, qrTop + 10, { width: width - qrSize - 10 })
+    .text(`Payment ID: ${payment.id}`, { width: width - qrSize - 10 })
+    .text(verifyUrl || '', { width: width - qrSize - 10, link: verifyUrl || null })
+    .text('This receipt was generated by SpartaPay and is valid without signature.', { width: width - qrSize - 10 });
+  doc.fillColor('#000');
+
+  doc.end();
+  await new Promise((resolve, reject) => {
+    stream.on('finish', resolve);
+    stream.on('error', reject);
+  });
+}
+
+module.exports = {
+  pdfAvailable,
+  createReceiptNumbers,
+  createVerificationCodes,
+  maskName,
+  verificationView,
+  loadLogo,
+  writeReceiptPdf
+};
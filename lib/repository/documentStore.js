@@ -0,0 +1,212 @@
+// lib/repository/documentStore.js
+// Collection operations over a single plain-object database ({ payments: [...], users: {...}, ... }).
+// Shared by the JSON-file backend (load/save = read/write data.json) and the in-memory backend.
+// load/save may be sync or async; every operation runs inside `exclusive` (the JSON backend's write queue, or a queue
+// of this store when none is given) so a load -> mutate -> save cycle never interleaves with another one.
+//
+// Collections are either:
+// - 'array' shaped: db[key] is an array of docs with an `id` field, newest first (create() unshifts)
+// - 'map' shaped:   db[key] is an object keyed by id (officerProfiles, users)
+// Collections with `search` fields keep `searchTokens` on each stored doc (searchIndex.js), refreshed on every write.
+// Collections with `unique` keys reject a write that would give a doc a key another doc holds (uniqueKeys.js).
+
+const { pageOf } = require('./pagination');
+const { queryTerms, matches, withSearchTokens, withoutSearchTokens, tokensOutdated } = require('./searchIndex');
+const { UniqueConstraintError, keysOf, addedKeys } = require('./uniqueKeys');
+
+function clone(doc) {
+  return doc && typeof doc === 'object' ? JSON.parse(JSON.stringify(doc)) : doc;
+}
+
+// What callers get back: a copy without the internal search tokens
+function output(doc) {
+  return withoutSearchTokens(clone(doc));
+}
+
+function matchesFilter(doc, filter) {
+  return Object.keys(filter || {}).every(k => doc && doc[k] === filter[k]);
+}
+
+// Each job starts after the previous one settled
+function createQueue() {
+  let queue = Promise.resolve();
+  return function exclusive(fn) {
+    const run = queue.then(fn, fn);
+    queue = run.catch(() => {});
+    return run;
+  };
+}
+
+module.exports = function createDocumentStore({ name, load, save, exclusive = createQueue() }) {
+  function ensureKey(db, descriptor) {
+    if (!db[descriptor.key]) db[descriptor.key] = descriptor.shape === 'map' ? {} : [];
+    return db[descriptor.key];
+  }
+
+  function entries(db, descriptor) {
+    const store = ensureKey(db, descriptor);
+    if (descriptor.shape === 'map') return Object.keys(store).map(id => ({ id, doc: store[id] }));
+    return store.map(doc => ({ id: doc && doc.id, doc }));
+  }
+
+  function collection(descriptor) {
+    function findIndex(store, id) {
+      return store.findIndex(d => d && String(d.id) === String(id));
+    }
+
+    // Throws UniqueConstraintError when next (about to be stored under id over previous) takes a key another doc holds
+    function checkUnique(db, id, previous, next) {
+      if (!descriptor.unique) return;
+      addedKeys(previous, next, descriptor.unique).forEach(({ name, key }) => {
+        const holder = entries(db, descriptor).find(e => String(e.id) !== String(id) && keysOf(e.doc, descriptor.unique)[name] === key);
+        if (holder) {
+          throw new UniqueConstraintError(`${descriptor.key}: ${name} is already taken by ${holder.id}`, { key: name, conflictId: holder.id });
+        }
+      });
+    }
+
+    function list(filter = {}) {
+      return exclusive(async () => {
+        const db = await load();
+        return entries(db, descriptor).map(e => e.doc).filter(doc => matchesFilter(doc, filter)).map(output);
+      });
+    }
+
+    // Docs matching `filter` whose search fields contain every word of q (docs stored before the index existed are
+    // tokenized on the fly)
+    function search(q, filter = {}) {
+      const terms = queryTerms(q);
+      return exclusive(async () => {
+        const db = await load();
+        if (!descriptor.search || !terms.length) return [];
+        return entries(db, descriptor)
+          .map(e => e.doc)
+          .filter(doc => matchesFilter(doc, filter) && matches(doc, terms, descriptor))
+          .map(output);
+      });
+    }
+
+    // Refresh the search tokens of every doc stored by an older index, in one save
+    function reindex() {
+      return exclusive(async () => {
+        const db = await load();
+        const store = ensureKey(db, descriptor);
+        const stale = entries(db, descriptor).filter(e => tokensOutdated(e.doc, descriptor));
+        stale.forEach(({ id, doc }) => {
+          const fresh = withSearchTokens(doc, descriptor);
+          if (descriptor.shape === 'map') store[id] = fresh;
+          else store[findIndex(store, id)] = fresh;
+        });
+        if (stale.length) await save(db);
+        return { scanned: entries(db, descriptor).length, updated: stale.length };
+      });
+    }
+
+    // One sorted page of the matching docs (see pagination.js); the whole collection is still read from data.json
+    function page(filter = {}, options = {}) {
+      return exclusive(async () => {
+        const db = await load();
+        const docs = entries(db, descriptor).map(e => e.doc).filter(doc => matchesFilter(doc, filter));
+        const { items, next } = pageOf(docs, options);
+        return { items: items.map(output), next };
+      });
+    }
+
+    function get(id) {
+      if (id === null || typeof id === 'undefined') return Promise.resolve(null);
+      return exclusive(async () => {
+        const db = await load();
+        const found = entries(db, descriptor).find(e => String(e.id) === String(id));
+        return found ? output(found.doc) : null;
+      });
+    }
+
+    // Insert or fully replace the doc stored under id
+    function put(id, doc) {
+      return exclusive(async () => {
+        const db = await load();
+        const store = ensureKey(db, descriptor);
+        const toSave = withSearchTokens(clone(doc), descriptor);
+        if (descriptor.shape === 'map') {
+          checkUnique(db, id, store[id] || null, toSave);
+          store[id] = toSave;
+        } else {
+          toSave.id = id;
+          const idx = findIndex(store, id);
+          checkUnique(db, id, idx === -1 ? null : store[idx], toSave);
+          if (idx === -1) store.unshift(toSave);
+          else store[idx] = toSave;
+        }
+        await save(db);
+        return output(toSave);
+      });
+    }
+
+    async function create(doc) {
+      if (!doc || !doc.id) throw new Error(`${descriptor.key}: create() requires doc.id`);
+      return put(doc.id, doc);
+    }
+
+    // Shallow-merge patch into an existing doc; resolves to null when the doc does not exist.
+    // patch may be a function: fn(copy of the stored doc) -> next doc (full replace) or null to leave it unchanged.
+    // It runs inside the write queue, so nothing can change the doc between the read and the write; what it throws
+    // aborts the update. It must not call the repository itself (that would wait on the queue it holds).
+    // With { upsert: true } a missing doc is passed to fn as null and what fn returns is inserted.
+    function update(id, patch, { upsert = false } = {}) {
+      return exclusive(async () => {
+        const db = await load();
+        const store = ensureKey(db, descriptor);
+        let merged = null;
+        if (typeof patch === 'function') {
+          const idx = descriptor.shape === 'map' ? (store[id] ? id : -1) : findIndex(store, id);
+          if (idx === -1 && !upsert) return null;
+          const current = idx === -1 ? null : store[idx];
+          const next = await patch(current ? output(current) : null);
+          if (!next) return current ? output(current) : null;
+          merged = withSearchTokens(clone(next), descriptor);
+          if (descriptor.shape !== 'map') merged.id = current ? current.id : String(id);
+          checkUnique(db, id, current, merged);
+          if (idx === -1 && descriptor.shape !== 'map') store.push(merged);
+          else store[idx === -1 ? id : idx] = merged;
+        } else if (descriptor.shape === 'map') {
+          if (!store[id]) return null;
+          merged = Object.assign({}, store[id], clone(patch));
+          checkUnique(db, id, store[id], merged);
+          store[id] = merged;
+        } else {
+          const idx = findIndex(store, id);
+          if (idx === -1) return null;
+          merged = withSearchTokens(Object.assign({}, store[idx], clone(patch), { id: store[idx].id }), descriptor);
+          checkUnique(db, id, store[idx], merged);
+          store[idx] = merged;
+        }
+        await save(db);
+        return output(merged);
+      });
+    }
+
+    // Resolves to the removed doc, or null when it did not exist
+    function remove(id) {
+      return exclusive(async () => {
+        const db = await load();
+        const store = ensureKey(db, descriptor);
+        let removed = null;
+        if (descriptor.shape === 'map') {
+          if (!store[id]) return null;
+          removed = store[id];
+          delete store[id];
+        } else {
+          const idx = findIndex(store, id);
+          if (idx === -1) return null;
+          removed = store.splice(idx, 1)[0];
+        }
+        await save(db);
+        return output(removed);
+      });
+    }
+
+    return { list, page, search, reindex, get, put, create, update, remove };
+  }
+
+  return { name, collection };
+};
@@ -0,0 +1,205 @@
+// lib/repository/firestore.js
+// Firestore backend: one Firestore collection per repository collection (descriptor.firestore).
+// Collections with a `userSubcollection` field (payments -> submittedByUid, notifications -> recipientUid) are also written to
+// users/{uid}/<collection>/{id} so per-user reads keep working.
+// page() runs as a Firestore query (orderBy field + id, startAfter, limit), so only one page is read. Combined with
+// equality filters it needs a composite index (Firestore logs a link to create it), and docs that lack the sort field
+// entirely are not returned.
+// Collections with `search` fields store `searchTokens` on every write; search() queries them with array-contains-any,
+// so docs written before the index existed are only found once they are written again or reindex() has run
+// (scripts/backfill_search_tokens.js).
+// Collections with `unique` keys write through transactions that also maintain one lock doc per key in
+// uniqueKeys/{collection.name.key} -> { id }; docs written before the constraint existed have no lock until rewritten.
+
+const { decodeCursor, encodeCursor } = require('./pagination');
+const { queryTerms, candidateTokens, matches, withSearchTokens, withoutSearchTokens, tokensOutdated } = require('./searchIndex');
+const { UniqueConstraintError, keysOf, addedKeys } = require('./uniqueKeys');
+
+const LOCK_COLLECTION = 'uniqueKeys';
+const BATCH_SIZE = 400; // Firestore allows 500 writes per batch
+
+module.exports = function createFirestoreBackend({ firestore }) {
+  if (!firestore) throw new Error('Firestore backend requires an initialized firestore instance');
+
+  function collection(descriptor) {
+    const ref = () => firestore.collection(descriptor.firestore);
+
+    function userCopyRef(doc, id) {
+      const uid = descriptor.userSubcollection && doc ? doc[descriptor.userSubcollection] : null;
+      if (!uid) return null;
+      return firestore.collection('users').doc(String(uid)).collection(descriptor.firestore).doc(String(id));
+    }
+
+    function lockRef(name, key) {
+      return firestore.collection(LOCK_COLLECTION).doc(encodeURIComponent(`${descriptor.firestore}.${name}.${key}`));
+    }
+
+    // Reads the locks of the keys that writing next over previous adds or drops (a transaction reads before it writes)
+    // and returns the lock writes to apply; throws UniqueConstraintError when another doc still holds an added key
+    async function lockChanges(t, id, previous, next) {
+      if (!descriptor.unique) return [];
+      const writes = [];
+      for (const { name, key } of addedKeys(previous, next, descriptor.unique)) {
+        const lock = lockRef(name, key);
+        const held = await t.get(lock);
+        const holderId = held.exists ? String(held.data().id) : null;
+        if (holderId && holderId !== String(id)) {
+          // a lock left by a doc that no longer has the key (rejected, edited, deleted) is taken over
+          const holder = await t.get(ref().doc(holderId));
+          if (holder.exists && keysOf(holder.data(), descriptor.unique)[name] === key) {
+            throw new UniqueConstraintError(`${descriptor.firestore}: ${name} is already taken by ${holderId}`, { key: name, conflictId: holderId });
+          }
+        }
+        writes.push(tx => tx.set(lock, { id: String(id), collection: descriptor.firestore, name, key }));
+      }
+      const before = keysOf(previous, descriptor.unique);
+      const after = keysOf(next, descriptor.unique);
+      for (const name of Object.keys(before).filter(n => before[n] !== after[n])) {
+        const lock = lockRef(name, before[name]);
+        const held = await t.get(lock);
+        if (held.exists && String(held.data().id) === String(id)) writes.push(tx => tx.delete(lock));
+      }
+      return writes;
+    }
+
+    async function list(filter = {}) {
+      let q = ref();
+      Object.keys(filter || {}).forEach(k => { q = q.where(k, '==', filter[k]); });
+      const snap = await q.get();
+      return snap.docs.map(d => withoutSearchTokens(d.data()));
+    }
+
+    // array-contains-any on the tokens of the most selective word; every word and the equality filter are then
+    // checked here, which avoids a composite index per filter combination
+    async function search(q, filter = {}) {
+      const terms = queryTerms(q);
+      if (!descriptor.search || !terms.length) return [];
+      const snap = await ref().where('searchTokens', 'array-contains-any', candidateTokens(terms[0])).get();
+      return snap.docs
+        .map(d => d.data())
+        .filter(doc => Object.keys(filter || {}).every(k => doc[k] === filter[k]) && matches(doc, terms, descriptor))
+        .map(withoutSearchTokens);
+    }
+
+    // Rewrite only the searchTokens field of docs stored by an older index (reads the whole collection once)
+    async function reindex() {
+      if (!descriptor.search) return { scanned: 0, updated: 0 };
+      const snap = await ref().get();
+      const stale = snap.docs.filter(d => tokensOutdated(d.data(), descriptor));
+      for (let i = 0; i < stale.length; i += BATCH_SIZE) {
+        const batch = firestore.batch();
+        stale.slice(i, i + BATCH_SIZE).forEach(d => batch.update(d.ref, { searchTokens: withSearchTokens(d.data(), descriptor).searchTokens }));
+        await batch.commit();
+      }
+      return { scanned: snap.size, updated: stale.length };
+    }
+
+    async function page(filter = {}, { orderBy, direction = 'asc', limit, after = null, offset = 0 }) {
+      let q = ref();
+      Object.keys(filter || {}).forEach(k => { q = q.where(k, '==', filter[k]); });
+      q = q.orderBy(orderBy, direction).orderBy('id', direction);
+      if (after) {
+        const { value, id } = decodeCursor(after);
+        q = q.startAfter(value, id);
+      }
+      if (offset > 0) q = q.offset(offset);
+      const snap = await q.limit(limit + 1).get();
+      const docs = snap.docs.map(d => withoutSearchTokens(d.data()));
+      const items = docs.slice(0, limit);
+      return { items, next: docs.length > limit ? encodeCursor(items[items.length - 1], orderBy) : null };
+    }
+
+    async function get(id) {
+      if (id === null || typeof id === 'undefined') return null;
+      const doc = await ref().doc(String(id)).get();
+      return doc.exists ? withoutSearchTokens(doc.data()) : null;
+    }
+
+    // Insert or fully replace (no merge) so fields deleted by callers are removed in Firestore too
+    async function put(id, doc) {
+      const toSave = descriptor.shape === 'map' ? Object.assign({}, doc) : Object.assign({}, withoutSearchTokens(doc), { id });
+      if (descriptor.unique) {
+        const docRef = ref().doc(String(id));
+        await firestore.runTransaction(async t => {
+          const snap = await t.get(docRef);
+          const locks = await lockChanges(t, id, snap.exists ? snap.data() : null, toSave);
+          t.set(docRef, withSearchTokens(toSave, descriptor));
+          locks.forEach(write => write(t));
+          const copy = userCopyRef(toSave, id);
+          if (copy) t.set(copy, toSave);
+        });
+        return toSave;
+      }
+      await ref().doc(String(id)).set(withSearchTokens(toSave, descriptor));
+      const copy = userCopyRef(toSave, id);
+      if (copy) await copy.set(toSave);
+      return toSave;
+    }
+
+    async function create(doc) {
+      if (!doc || !doc.id) throw new Error(`${descriptor.firestore}: create() requires doc.id`);
+      return put(doc.id, doc);
+    }
+
+    // patch may be a function: fn(stored doc) -> next doc (full replace) or null to leave it unchanged, run in a
+    // Firestore transaction (retried on contention, so it must not have side effects beyond its return value).
+    // With { upsert: true } a missing doc is passed to fn as null and what fn returns is inserted.
+    async function update(id, patch, { upsert = false } = {}) {
+      if (typeof patch === 'function') {
+        const docRef = ref().doc(String(id));
+        return firestore.runTransaction(async t => {
+          const snap = await t.get(docRef);
+          if (!snap.exists && !upsert) return null;
+          const current = snap.exists ? withoutSearchTokens(snap.data()) : null;
+          const next = await patch(current ? JSON.parse(JSON.stringify(current)) : null);
+          if (!next) return current;
+          const toSave = descriptor.shape === 'map' ? Object.assign({}, next) : Object.assign({}, withoutSearchTokens(next), { id: (current && current.id) || String(id) });
+          const locks = await lockChanges(t, id, current, toSave);
+          t.set(docRef, withSearchTokens(toSave, descriptor));
+          locks.forEach(write => write(t));
+          const copy = userCopyRef(toSave, id);
+          if (copy) t.set(copy, toSave);
+          return toSave;
+        });
+      }
+      // a merge can change a unique key, so it goes through the transaction too
+      if (descriptor.unique) return update(id, current => Object.assign(current, withoutSearchTokens(patch)));
+      const existing = await get(id);
+      if (!existing) return null;
+      const merged = Object.assign({}, existing, withoutSearchTokens(patch));
+      // the tokens depend on the whole doc, so they are recomputed from the merged result
+      const stored = descriptor.search ? Object.assign({}, patch, { searchTokens: withSearchTokens(merged, descriptor).searchTokens }) : patch;
+      await ref().doc(String(id)).set(stored, { merge: true });
+      const copy = userCopyRef(merged, id);
+      if (copy) await copy.set(merged);
+      return merged;
+    }
+
+    async function remove(id) {
+      if (descriptor.unique) {
+        const docRef = ref().doc(String(id));
+        return firestore.runTransaction(async t => {
+          const snap = await t.get(docRef);
+          if (!snap.exists) return null;
+          const existing = withoutSearchTokens(snap.data());
+          const locks = await lockChanges(t, id, existing, null);
+          t.delete(docRef);
+          locks.forEach(write => write(t));
+          const copy = userCopyRef(existing, id);
+          if (copy) t.delete(copy);
+          return existing;
+        });
+      }
+      const existing = await get(id);
+      if (!existing) return null;
+      await ref().doc(String(id)).delete();
+      const copy = userCopyRef(existing, id);
+      if (copy) await copy.delete();
+      return existing;
+    }
+
+    return { list, page, search, reindex, get, put, create, update, remove };
+  }
+
+  return { name: 'firestore', collection };
+};
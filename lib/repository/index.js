@@ -0,0 +1,114 @@
+// lib/repository/index.js
+// Repository layer: every route reads and writes through these collections instead of touching
+// data.json or Firestore directly.
+//
+// Each collection exposes (all async):
+//   list(filter)       -> docs matching every { field: value } pair (equality only)
+//   page(filter, { orderBy, direction, limit, after, offset })
+//                      -> { items, next }: one sorted page, `next` is the cursor for the following one (pagination.js)
+//   search(q, filter)  -> docs whose `search` fields contain every word of q, accent- and case-insensitive, as a word
+//                         prefix or anywhere in a `substring` field (collections with `search` only; searchIndex.js)
+//   reindex()          -> { scanned, updated }: rewrites the search tokens of docs stored by an older index
+//   get(id)            -> doc or null
+//   create(doc)        -> insert doc (doc.id required)
+//   put(id, doc)       -> insert or fully replace
+//   update(id, patch)  -> shallow merge into an existing doc; null when missing
+//   update(id, fn)     -> atomic read-modify-write: fn(doc) returns the next doc (or null to keep it); runs under the
+//                         JSON write queue or in a Firestore transaction. fn must not call the repository.
+//   update(id, fn, { upsert: true })
+//                      -> same, but a missing doc reaches fn as null and the returned doc is inserted
+//   remove(id)         -> removed doc or null
+// Writes that would give a doc a unique key another doc holds reject with UniqueConstraintError (uniqueKeys.js).
+//
+// Backends: 'json' (data.json), 'firestore', 'memory'. The authoritative backend is picked by DATASTORE
+// (default: firestore when FIREBASE_SERVICE_ACCOUNT is configured, else json). DATASTORE_MIRROR may name a
+// second backend that receives a best-effort copy of every write (failures are logged, never returned).
+//
+// Usage: const repo = require('./lib/repository')({ backend: 'json', file, firestore, uniqueKeys: { payments: { reference: keyOf } } });
+//   const payment = await repo.payments.get(id);
+
+const createJsonBackend = require('./json');
+const createFirestoreBackend = require('./firestore');
+const createMemoryBackend = require('./memory');
+const { UniqueConstraintError } = require('./uniqueKeys');
+
+// key: data.json key; shape: 'array' | 'map'; firestore: Firestore collection name; search: fields indexed for search();
+// substring: fields search() also matches in the middle of (reference numbers, emails)
+const COLLECTIONS = Object.freeze({
+  orgs: { key: 'organizations', shape: 'array', firestore: 'organizations' },
+  events: { key: 'events', shape: 'array', firestore: 'events' },
+  payments: {
+    key: 'payments',
+    shape: 'array',
+    firestore: 'payments',
+    userSubcollection: 'submittedByUid',
+    search: ['studentName', 'submittedByEmail', 'reference', 'notes'],
+    substring: ['reference', 'submittedByEmail']
+  },
+  officerProfiles: { key: 'officerProfiles', shape: 'map', firestore: 'officerProfiles' },
+  users: { key: 'users', shape: 'map', firestore: 'users' },
+  officerAccounts: { key: 'officerAccounts', shape: 'array', firestore: 'officerAccounts' },
+  counters: { key: 'counters', shape: 'map', firestore: 'counters' },
+  terms: { key: 'terms', shape: 'array', firestore: 'terms' },
+  auditLog: { key: 'auditLog', shape: 'array', firestore: 'auditLog' },
+  notifications: { key: 'notifications', shape: 'array', firestore: 'notifications', userSubcollection: 'recipientUid' }
+});
+
+const BACKENDS = ['json', 'firestore', 'memory'];
+
+function createBackend(name, { file, firestore, data } = {}) {
+  if (name === 'json') return createJsonBackend({ file, collections: COLLECTIONS });
+  if (name === 'firestore') return createFirestoreBackend({ firestore });
+  if (name === 'memory') return createMemoryBackend({ data, collections: COLLECTIONS });
+  throw new Error(`Unknown datastore backend "${name}" (expected one of ${BACKENDS.join(', ')})`);
+}
+
+// Wrap a primary collection so writes are copied to the mirror (fire-and-forget)
+function mirrored(primary, mirror, label) {
+  function copy(op, promise) {
+    promise.catch(err => {
+      console.warn(`Datastore mirror ${op} on ${label} failed:`, err && err.message ? err.message : err);
+    });
+  }
+
+  return Object.assign({}, primary, {
+    async put(id, doc) {
+      const saved = await primary.put(id, doc);
+      copy('put', mirror.put(id, saved));
+      return saved;
+    },
+    async create(doc) {
+      const saved = await primary.create(doc);
+      copy('create', mirror.put(saved.id, saved));
+      return saved;
+    },
+    async update(id, patch, options) {
+      const saved = await primary.update(id, patch, options);
+      if (saved) copy('update', mirror.put(id, saved));
+      return saved;
+    },
+    async remove(id) {
+      const removed = await primary.remove(id);
+      if (removed) copy('remove', mirror.remove(id));
+      return removed;
+    }
+  });
+}
+
+// uniqueKeys: { collection: { name: doc => key | null } }, enforced by every backend on write
+module.exports = function createRepository({ backend, mirror = null, file, firestore = null, data, uniqueKeys = {} } = {}) {
+  const primaryBackend = createBackend(backend, { file, firestore, data });
+  const mirrorBackend = mirror && mirror !== backend ? createBackend(mirror, { file, firestore, data }) : null;
+
+  const repo = { backend: primaryBackend.name, mirror: mirrorBackend ? mirrorBackend.name : null };
+  Object.keys(COLLECTIONS).forEach(name => {
+    const descriptor = uniqueKeys[name] ? Object.assign({}, COLLECTIONS[name], { unique: uniqueKeys[name] }) : COLLECTIONS[name];
+    const primary = primaryBackend.collection(descriptor);
+    repo[name] = mirrorBackend ? mirrored(primary, mirrorBackend.collection(descriptor), name) : primary;
+  });
+  return repo;
+};
+
+module.exports.COLLECTIONS = COLLECTIONS;
+module.exports.BACKENDS = BACKENDS;
+module.exports.UniqueConstraintError = UniqueConstraintError;
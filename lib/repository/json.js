@@ -0,0 +1,103 @@
+// lib/repository/json.js
+// JSON-file backend: the whole database lives in one file (data.json by default).
+// Layout is the historical data.json layout, so existing files keep working:
+//   { payments: [], events: [], organizations: [], officerProfiles: {}, users: {}, officerAccounts: [], counters: {}, terms: [], auditLog: [], notifications: [] }
+//
+// Safety:
+// - Every read/write goes through a single in-process queue, so concurrent requests cannot overwrite each other
+// - Writes are atomic: the new content goes to <file>.<pid>.tmp (fsynced) and is renamed over <file>
+// - Before each write the current (known good) file is copied to <file>.bak
+// - If <file> cannot be parsed, the broken copy is moved to <file>.corrupt-<timestamp> and <file>.bak is restored.
+//   If there is no usable backup either, reads fail with a DatastoreError instead of returning an empty database
+//   (which the next write would have persisted, wiping all data).
+
+const fs = require('fs');
+const createDocumentStore = require('./documentStore');
+
+class DatastoreError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'DatastoreError';
+  }
+}
+
+module.exports = function createJsonBackend({ file, collections }) {
+  const bakFile = `${file}.bak`;
+  const tmpFile = `${file}.${process.pid}.tmp`;
+
+  function emptyDB() {
+    const db = {};
+    Object.values(collections).forEach(c => { db[c.key] = c.shape === 'map' ? {} : []; });
+    return db;
+  }
+
+  // ensure required keys exist for backward compatibility
+  function withKeys(db) {
+    if (!db || typeof db !== 'object' || Array.isArray(db)) throw new Error('database root is not an object');
+    Object.values(collections).forEach(c => {
+      if (!db[c.key]) db[c.key] = c.shape === 'map' ? {} : [];
+    });
+    return db;
+  }
+
+  // First run: start with an empty database (but never over an existing backup, which recovery will restore)
+  if (!fs.existsSync(file) && !fs.existsSync(bakFile)) fs.writeFileSync(file, JSON.stringify(emptyDB(), null, 2));
+
+  // Write queue: each job starts after the previous one settled
+  let queue = Promise.resolve();
+  function exclusive(fn) {
+    const run = queue.then(fn, fn);
+    queue = run.catch(() => {});
+    return run;
+  }
+
+  async function atomicWrite(db, { backup = true } = {}) {
+    const json = JSON.stringify(withKeys(db), null, 2);
+    const fh = await fs.promises.open(tmpFile, 'w');
+    try {
+      await fh.writeFile(json, 'utf8');
+      await fh.sync();
+    } finally {
+      await fh.close();
+    }
+    if (backup && fs.existsSync(file)) await fs.promises.copyFile(file, bakFile);
+    await fs.promises.rename(tmpFile, file);
+  }
+
+  async function recoverDB(cause) {
+    console.error(`readDB: ${file} is unreadable (${cause && cause.message ? cause.message : cause}); trying ${bakFile}`);
+    let backup = null;
+    try {
+      backup = withKeys(JSON.parse(await fs.promises.readFile(bakFile, 'utf8')));
+    } catch (e) {
+      throw new DatastoreError(`${file} is unreadable and ${bakFile} is missing or unreadable; refusing to continue with an empty database`);
+    }
+
+    // keep the broken file for inspection, then put the backup back in place
+    if (fs.existsSync(file)) {
+      const corruptFile = `${file}.corrupt-${Date.now()}`;
+      await fs.promises.rename(file, corruptFile);
+      console.error(`readDB: moved unreadable ${file} to ${corruptFile}`);
+    }
+    await atomicWrite(backup, { backup: false });
+    console.warn(`readDB: restored ${file} from ${bakFile}`);
+    return backup;
+  }
+
+  async function readDB() {
+    try {
+      return withKeys(JSON.parse(await fs.promises.readFile(file, 'utf8')));
+    } catch (err) {
+      return recoverDB(err);
+    }
+  }
+
+  async function writeDB(db) {
+    await atomicWrite(db);
+  }
+
+  const store = createDocumentStore({ name: 'json', load: readDB, save: writeDB, exclusive });
+  return Object.assign({}, store, { file });
+};
+
+module.exports.DatastoreError = DatastoreError;
@@ -0,0 +1,18 @@
+// lib/repository/memory.js
+// In-memory backend (nothing is persisted). Useful for tests and throwaway local runs.
+// Optional `data` seeds the store using the data.json layout.
+
+const createDocumentStore = require('./documentStore');
+
+module.exports = function createMemoryBackend({ data = {}, collections }) {
+  const db = JSON.parse(JSON.stringify(data));
+  Object.values(collections).forEach(c => {
+    if (!db[c.key]) db[c.key] = c.shape === 'map' ? {} : [];
+  });
+
+  return createDocumentStore({
+    name: 'memory',
+    load: () => db,
+    save: () => {}
+  });
+};
@@ -0,0 +1,84 @@
+// lib/repository/pagination.js
+// Keyset pagination shared by the backends' page() and by routes that page a list they already filtered in memory.
+// - Order: the sort field, then `id` as a tie-breaker, so a cursor keeps pointing at the same place while docs are
+//   added or removed before it
+// - Cursor: opaque base64url of [sortValue, id] of the last doc of the previous page
+// - Values compare the way Firestore orders them: null < booleans < numbers < strings (strings by code unit, so
+//   case-sensitive), which keeps cursors interchangeable between the JSON and Firestore backends
+//
+// Usage:
+//   const { pageOf } = require('./lib/repository/pagination');
+//   const { items, next } = pageOf(docs, { orderBy: 'createdAt', direction: 'desc', limit: 50, after: cursor });
+
+class PageError extends Error {
+  constructor(message, statusCode = 400) {
+    super(message);
+    this.name = 'PageError';
+    this.statusCode = statusCode;
+  }
+}
+
+function typeRank(value) {
+  if (value === null || typeof value === 'undefined') return 0;
+  if (typeof value === 'boolean') return 1;
+  if (typeof value === 'number') return 2;
+  return 3;
+}
+
+function compareValues(a, b) {
+  const ra = typeRank(a);
+  const rb = typeRank(b);
+  if (ra !== rb) return ra - rb;
+  if (ra === 0) return 0;
+  if (ra === 3) {
+    const sa = String(a);
+    const sb = String(b);
+    return sa < sb ? -1 : sa > sb ? 1 : 0;
+  }
+  return a < b ? -1 : a > b ? 1 : 0;
+}
+
+function comparator(orderBy, direction = 'asc') {
+  const sign = direction === 'desc' ? -1 : 1;
+  return (a, b) => sign * (compareValues(a[orderBy], b[orderBy]) || compareValues(String(a.id), String(b.id)));
+}
+
+function encodeCursor(doc, orderBy) {
+  const value = typeof doc[orderBy] === 'undefined' ? null : doc[orderBy];
+  return Buffer.from(JSON.stringify([value, String(doc.id)])).toString('base64url');
+}
+
+// -> { value, id }; throws PageError for anything that was not produced by encodeCursor
+function decodeCursor(cursor) {
+  let parsed = null;
+  try {
+    parsed = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+  } catch (err) {
+    parsed = null;
+  }
+  if (!Array.isArray(parsed) || parsed.length !== 2 || typeof parsed[1] !== 'string') throw new PageError('invalid cursor');
+  return { value: parsed[0], id: parsed[1] };
+}
+
+// In-memory page of docs: sorted copy, then everything after the cursor (or `offset` docs skipped), `limit` long
+function pageOf(docs, { orderBy, direction = 'asc', limit, after = null, offset = 0 }) {
+  const compare = comparator(orderBy, direction);
+  let sorted = docs.slice().sort(compare);
+  if (after) {
+    const { value, id } = decodeCursor(after);
+    const pivot = { [orderBy]: value, id };
+    sorted = sorted.filter(doc => compare(doc, pivot) > 0);
+  }
+  if (offset > 0) sorted = sorted.slice(offset);
+  const items = sorted.slice(0, limit);
+  return { items, next: sorted.length > limit ? encodeCursor(items[items.length - 1], orderBy) : null };
+}
+
+module.exports = {
+  PageError,
+  compareValues,
+  comparator,
+  encodeCursor,
+  decodeCursor,
+  pageOf
+};
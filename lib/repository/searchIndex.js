@@ -0,0 +1,106 @@
+// lib/repository/searchIndex.js
+// Search index for collections that declare `search: [fields]` in COLLECTIONS (payments).
+// - On every write the backends store `searchTokens` on the doc: every prefix of every word of those fields,
+//   lower-cased and with accents removed ("José Peña" -> j, jo, jos, jose, p, pe, pen, pena)
+// - Fields also listed in `substring` (reference numbers, emails) match anywhere, not only at word starts: their
+//   letters and digits are run together ("0912 345-678" -> 0912345678) and every 3-character slice of that is stored
+//   as a "~" token (~091, ~912, ...), so "ef1" or "345678" find them
+// - A query matches when each of its words is a token of the doc or (3+ characters) part of a substring field
+// - Firestore narrows with array-contains-any on the longest word's tokens; the JSON backend has to read the whole
+//   file for any operation anyway and checks each doc in memory
+// - Docs stored before a field was indexed lack its tokens until rewritten: reindex() on the collection
+//   (scripts/backfill_search_tokens.js) refreshes all of them
+// - searchTokens is internal: the backends strip it from every doc they return
+//
+// Usage:
+//   const { tokensOf, queryTerms, matches } = require('./searchIndex');
+//   doc.searchTokens = tokensOf(doc, descriptor);
+//   matches(doc, queryTerms('pena jo'), descriptor); // true
+
+const MAX_PREFIX = 20;          // longer query words are cut to this length, so prefixes beyond it are never needed
+const MAX_WORDS_PER_FIELD = 50; // long notes only index their first words
+const GRAM = 3;                 // substring fields are indexed by slices of this length
+const MAX_SUBSTRING_LENGTH = 64; // characters of a substring field that are indexed
+const GRAM_PREFIX = '~';        // cannot clash with word tokens, which only hold a-z and 0-9
+
+function normalizeText(value) {
+  return String(value === null || typeof value === 'undefined' ? '' : value)
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase();
+}
+
+function wordsOf(value) {
+  return normalizeText(value).split(/[^a-z0-9]+/).filter(Boolean);
+}
+
+// "0912 345-678" -> "0912345678"
+function compactOf(value) {
+  return wordsOf(value).join('').slice(0, MAX_SUBSTRING_LENGTH);
+}
+
+function tokensOf(doc, { search = [], substring = [] }) {
+  const tokens = new Set();
+  search.forEach(field => {
+    wordsOf(doc && doc[field]).slice(0, MAX_WORDS_PER_FIELD).forEach(word => {
+      for (let i = 1; i <= Math.min(word.length, MAX_PREFIX); i++) tokens.add(word.slice(0, i));
+    });
+  });
+  substring.forEach(field => {
+    const compact = compactOf(doc && doc[field]);
+    for (let i = 0; i + GRAM <= compact.length; i++) tokens.add(GRAM_PREFIX + compact.slice(i, i + GRAM));
+  });
+  return Array.from(tokens);
+}
+
+// Distinct query words, longest (most selective) first
+function queryTerms(q) {
+  const terms = Array.from(new Set(wordsOf(q).map(word => word.slice(0, MAX_PREFIX))));
+  return terms.sort((a, b) => b.length - a.length);
+}
+
+// Tokens a doc matching term must hold at least one of (Firestore array-contains-any)
+function candidateTokens(term) {
+  return term.length >= GRAM ? [term, GRAM_PREFIX + term.slice(0, GRAM)] : [term];
+}
+
+// Checked against the doc itself (a "~" token only says that its first slice occurs somewhere); docs without stored
+// tokens are tokenized on the fly
+function matches(doc, terms, descriptor) {
+  if (!terms.length || !doc) return false;
+  const tokens = new Set(doc.searchTokens || tokensOf(doc, descriptor));
+  const substrings = (descriptor.substring || []).map(field => compactOf(doc[field])).filter(Boolean);
+  return terms.every(term => tokens.has(term) || (term.length >= GRAM && substrings.some(s => s.includes(term))));
+}
+
+// Copy of doc with fresh searchTokens (docs of collections without `search` are returned unchanged)
+function withSearchTokens(doc, descriptor) {
+  if (!descriptor.search || !doc) return doc;
+  return Object.assign({}, doc, { searchTokens: tokensOf(doc, descriptor) });
+}
+
+// Does the stored doc need reindex() (tokens missing or computed by an older index)?
+function tokensOutdated(doc, descriptor) {
+  if (!descriptor.search || !doc) return false;
+  const fresh = tokensOf(doc, descriptor);
+  const stored = Array.isArray(doc.searchTokens) ? doc.searchTokens : null;
+  return !stored || stored.length !== fresh.length || fresh.some((token, i) => stored[i] !== token);
+}
+
+function withoutSearchTokens(doc) {
+  if (!doc || typeof doc !== 'object' || !('searchTokens' in doc)) return doc;
+  const copy = Object.assign({}, doc);
+  delete copy.searchTokens;
+  return copy;
+}
+
+module.exports = {
+  normalizeText,
+  tokensOf,
+  queryTerms,
+  candidateTokens,
+  matches,
+  withSearchTokens,
+  withoutSearchTokens,
+  tokensOutdated
+};
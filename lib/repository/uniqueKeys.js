@@ -0,0 +1,46 @@
+// lib/repository/uniqueKeys.js
+// Unique keys enforced by the backends on every write (payments: one live payment per reference and event).
+// createRepository({ uniqueKeys: { payments: { reference: doc => key | null } } }) adds them to the collection
+// descriptors; a doc whose key function returns null (no reference, rejected, withdrawn) takes part in no key.
+// - JSON/memory: checked against the other stored docs inside the write queue
+// - Firestore: a lock doc per key in the `uniqueKeys` collection, read and written in the same transaction as the doc
+// A key is only checked when a write gives the doc a key it did not have before, so docs that already shared a key
+// when the constraint was introduced can still be updated.
+//
+// Usage:
+//   try { await repo.payments.create(payment); }
+//   catch (err) { if (err instanceof UniqueConstraintError) return res.status(409).json({ duplicateOf: err.conflictId }); }
+
+class UniqueConstraintError extends Error {
+  constructor(message, { key, conflictId }) {
+    super(message);
+    this.name = 'UniqueConstraintError';
+    this.statusCode = 409;
+    this.key = key;
+    this.conflictId = conflictId;
+  }
+}
+
+// -> { name: key } for the keys doc takes part in
+function keysOf(doc, unique) {
+  const keys = {};
+  if (!doc || !unique) return keys;
+  Object.keys(unique).forEach(name => {
+    const key = unique[name](doc);
+    if (key !== null && typeof key !== 'undefined' && key !== '') keys[name] = String(key);
+  });
+  return keys;
+}
+
+// Keys of next that previous (the stored doc, or null for an insert) did not already hold
+function addedKeys(previous, next, unique) {
+  const before = keysOf(previous, unique);
+  const after = keysOf(next, unique);
+  return Object.keys(after).filter(name => before[name] !== after[name]).map(name => ({ name, key: after[name] }));
+}
+
+module.exports = {
+  UniqueConstraintError,
+  keysOf,
+  addedKeys
+};
@@ -0,0 +1,293 @@
+// lib/terms.js
+// Academic terms (school year + semester). Events carry `termId` plus the term's name in `term` (the same way they
+// carry orgId + org), so clearance (lib/clearance.js) and reports can group by term without extra lookups.
+// - Term: { id, name, schoolYear: '2025-2026', semester: '1st Semester' | '2nd Semester' | 'Midyear',
+//           startDate, endDate (YYYY-MM-DD), current, currentSince, status: 'active' | 'archived', archivedAt }
+// - setCurrent(id): marks the new term current before clearing the flag on the others, so a failure half-way leaves
+//   two current terms (currentTerm() picks the one made current last) instead of none. Archived terms cannot be
+//   made current.
+// - calendarTerm(date): the school-calendar term of a date (Aug-Dec 1st Semester, Jan-May 2nd Semester,
+//   Jun-Jul Midyear); used for default dates and for events when no terms are defined
+// - termForEvent(ev): explicit termId, else the term whose dates contain the deadline (or today), else the current term
+// - eventInTerm(ev, term): tagged with the term, or (older events without termId) a deadline inside its dates
+// - rollover(id, { nextTermId }): archives the term and its events (archived + Closed, never deleted) and makes the
+//   next term current; without nextTermId the calendar successor is created when it does not exist yet. The next
+//   term must exist and not be archived, and it is made current before the old term is archived.
+//
+// Usage: const terms = require('./lib/terms')({ terms: repo.terms, events: repo.events });
+
+const { v4: uuidv4 } = require('uuid');
+const { EVENT_STATUSES } = require('./deadlines');
+
+const SEMESTERS = Object.freeze(['1st Semester', '2nd Semester', 'Midyear']);
+const TERM_STATUSES = Object.freeze({ ACTIVE: 'active', ARCHIVED: 'archived' });
+
+const DATE_ONLY = /^\d{4}-\d{2}-\d{2}$/;
+const SCHOOL_YEAR = /^(\d{4})-(\d{4})$/;
+
+class TermError extends Error {
+  constructor(message, statusCode = 400) {
+    super(message);
+    this.name = 'TermError';
+    this.statusCode = statusCode;
+  }
+}
+
+function termName({ schoolYear, semester }) {
+  return `${schoolYear} ${semester}`;
+}
+
+function pad(n) {
+  return String(n).padStart(2, '0');
+}
+
+// Calendar term fields for a school year + semester (dates are the default range of that semester)
+function calendarFields(schoolYear, semester) {
+  const [, first, second] = SCHOOL_YEAR.exec(schoolYear);
+  let startDate;
+  let endDate;
+  if (semester === SEMESTERS[0]) { startDate = `${first}-08-01`; endDate = `${first}-12-31`; }
+  else if (semester === SEMESTERS[1]) { startDate = `${second}-01-01`; endDate = `${second}-05-31`; }
+  else { startDate = `${second}-06-01`; endDate = `${second}-07-31`; }
+  return { schoolYear, semester, name: termName({ schoolYear, semester }), startDate, endDate };
+}
+
+function calendarTerm(value = new Date()) {
+  const d = value instanceof Date ? value : new Date(DATE_ONLY.test(String(value)) ? `${value}T12:00:00` : value);
+  if (!Number.isFinite(d.getTime())) return null;
+  const y = d.getFullYear();
+  const m = d.getMonth() + 1;
+  if (m >= 8) return calendarFields(`${y}-${y + 1}`, SEMESTERS[0]);
+  if (m <= 5) return calendarFields(`${y - 1}-${y}`, SEMESTERS[1]);
+  return calendarFields(`${y - 1}-${y}`, SEMESTERS[2]);
+}
+
+function successorFields(term) {
+  const [, first, second] = SCHOOL_YEAR.exec(term.schoolYear);
+  const idx = SEMESTERS.indexOf(term.semester);
+  if (idx < SEMESTERS.length - 1) return calendarFields(term.schoolYear, SEMESTERS[idx + 1]);
+  return calendarFields(`${Number(first) + 1}-${Number(second) + 1}`, SEMESTERS[0]);
+}
+
+function toDateOnly(value) {
+  if (!value) return null;
+  if (DATE_ONLY.test(String(value))) return String(value);
+  const d = new Date(value);
+  if (!Number.isFinite(d.getTime())) return null;
+  return `${d.getFullYear()}-${pad(d.getMonth() + 1)}-${pad(d.getDate())}`;
+}
+
+// Validate client input (create, or patch over `existing`). Throws TermError.
+function normalizeTerm(input, existing = null) {
+  const body = input || {};
+  const merged = Object.assign({}, existing || {});
+  // a generated name (and default dates) follow the school year + semester when they change
+  if (existing && typeof body.name === 'undefined' && existing.name === termName(existing)) merged.name = null;
+  if (existing && SCHOOL_YEAR.test(existing.schoolYear || '') && SEMESTERS.includes(existing.semester)) {
+    const defaults = calendarFields(existing.schoolYear, existing.semester);
+    if (typeof body.startDate === 'undefined' && existing.startDate === defaults.startDate) merged.startDate = null;
+    if (typeof body.endDate === 'undefined' && existing.endDate === defaults.endDate) merged.endDate = null;
+  }
+  ['schoolYear', 'semester', 'name', 'startDate', 'endDate'].forEach(k => {
+    if (typeof body[k] !== 'undefined') merged[k] = body[k] === null ? null : String(body[k]).trim();
+  });
+
+  const sy = SCHOOL_YEAR.exec(merged.schoolYear || '');
+  if (!sy || Number(sy[2]) !== Number(sy[1]) + 1) throw new TermError('schoolYear must look like 2025-2026');
+  const semester = SEMESTERS.find(s => s.toLowerCase() === String(merged.semester || '').toLowerCase());
+  if (!semester) throw new TermError(`semester must be one of ${SEMESTERS.join(', ')}`);
+  merged.semester = semester;
+
+  const defaults = calendarFields(merged.schoolYear, semester);
+  merged.startDate = merged.startDate || defaults.startDate;
+  merged.endDate = merged.endDate || defaults.endDate;
+  if (!DATE_ONLY.test(merged.startDate) || !DATE_ONLY.test(merged.endDate)) throw new TermError('startDate and endDate must be dates (YYYY-MM-DD)');
+  if (merged.startDate > merged.endDate) throw new TermError('startDate must not be after endDate');
+  merged.name = merged.name || defaults.name;
+  return merged;
+}
+
+// Whether an event belongs to the term: tagged with it, or (older events without termId) a deadline inside its dates
+function eventInTerm(ev, term) {
+  if (!ev || !term) return false;
+  if (ev.termId) return ev.termId === term.id;
+  const day = toDateOnly(ev.deadline);
+  return Boolean(day && term.startDate <= day && day <= term.endDate);
+}
+
+module.exports = function createTerms({ terms, events }) {
+  // Order of setCurrent calls: when it made the term current, ties broken by id
+  function currentKey(term) {
+    return `${term.currentSince || ''}|${term.id}`;
+  }
+
+  // The term made current last among those flagged current (normally exactly one, see setCurrent)
+  function pickCurrent(all) {
+    const current = all.filter(t => t.current === true);
+    current.sort((a, b) => currentKey(b).localeCompare(currentKey(a)));
+    return current[0] || null;
+  }
+
+  async function listTerms() {
+    const all = await terms.list();
+    const current = pickCurrent(all);
+    return all
+      .map(t => (t.current && t !== current ? Object.assign({}, t, { current: false }) : t))
+      .sort((a, b) => String(b.startDate || '').localeCompare(String(a.startDate || '')));
+  }
+
+  async function getTerm(id) {
+    if (!id) return null;
+    return terms.get(String(id));
+  }
+
+  async function currentTerm() {
+    return pickCurrent(await terms.list());
+  }
+
+  // 'current' or a term id -> term (null when unknown)
+  async function resolveTerm(ref) {
+    if (!ref) return null;
+    return String(ref).toLowerCase() === 'current' ? currentTerm() : getTerm(ref);
+  }
+
+  async function setCurrent(id) {
+    const now = new Date().toISOString();
+    const saved = await terms.update(String(id), term => {
+      if (term.status === TERM_STATUSES.ARCHIVED) throw new TermError(`term "${term.name}" is archived and cannot be made current`, 409);
+      return Object.assign(term, { current: true, currentSince: now, updatedAt: now });
+    });
+    if (!saved) throw new TermError('term not found', 404);
+    // a term made current by a later concurrent call keeps its flag (and that call clears this one)
+    for (const t of await terms.list()) {
+      if (t.id === saved.id || !t.current) continue;
+      await terms.update(t.id, other => {
+        if (!other.current || currentKey(other) > currentKey(saved)) return null;
+        return Object.assign(other, { current: false, updatedAt: now });
+      });
+    }
+    return saved;
+  }
+
+  async function createTerm(input) {
+    const value = normalizeTerm(input);
+    const duplicate = (await terms.list()).find(t => t.name.toLowerCase() === value.name.toLowerCase());
+    if (duplicate) throw new TermError(`term "${value.name}" already exists`, 409);
+    const term = {
+      id: uuidv4(),
+      name: value.name,
+      schoolYear: value.schoolYear,
+      semester: value.semester,
+      startDate: value.startDate,
+      endDate: value.endDate,
+      current: false,
+      status: TERM_STATUSES.ACTIVE,
+      createdAt: new Date().toISOString()
+    };
+    await terms.create(term);
+    // the first term (or one created with current: true) becomes the current term
+    const noCurrent = !(await currentTerm());
+    if ((input && (input.current === true || input.current === 'true')) || noCurrent) return setCurrent(term.id);
+    return term;
+  }
+
+  async function updateTerm(id, input) {
+    const existing = await getTerm(id);
+    if (!existing) throw new TermError('term not found', 404);
+    const makeCurrent = Boolean(input && (input.current === true || input.current === 'true'));
+    if (makeCurrent && existing.status === TERM_STATUSES.ARCHIVED) {
+      throw new TermError(`term "${existing.name}" is archived and cannot be made current`, 409);
+    }
+    const value = normalizeTerm(input, existing);
+    const patch = {
+      name: value.name,
+      schoolYear: value.schoolYear,
+      semester: value.semester,
+      startDate: value.startDate,
+      endDate: value.endDate,
+      updatedAt: new Date().toISOString()
+    };
+    let saved = await terms.update(id, patch);
+    // keep the denormalized name on the term's events in sync
+    if (patch.name !== existing.name) {
+      const tagged = await events.list({ termId: id });
+      for (const ev of tagged) await events.update(ev.id, { term: patch.name });
+    }
+    if (makeCurrent) saved = await setCurrent(id);
+    return saved;
+  }
+
+  // Term an event belongs to (see header); null when no terms are defined
+  async function termForEvent(ev) {
+    if (ev && ev.termId) {
+      const own = await getTerm(ev.termId);
+      if (own) return own;
+    }
+    const day = toDateOnly((ev && ev.deadline) || new Date());
+    const all = await terms.list();
+    return all.find(t => t.startDate <= day && day <= t.endDate && t.status !== TERM_STATUSES.ARCHIVED) ||
+      all.find(t => t.current === true) || null;
+  }
+
+  // onArchive(before, after), when given, is awaited for every event the rollover archives (audit log)
+  async function rollover(id, { nextTermId = null, onArchive = null } = {}) {
+    const term = await getTerm(id);
+    if (!term) throw new TermError('term not found', 404);
+    if (term.status === TERM_STATUSES.ARCHIVED) throw new TermError('term is already archived', 409);
+
+    let next = null;
+    if (nextTermId) {
+      next = await getTerm(nextTermId);
+      if (!next) throw new TermError('next term not found', 404);
+      if (next.id === term.id) throw new TermError('next term must differ from the archived term');
+    } else {
+      const fields = successorFields(term);
+      next = (await terms.list()).find(t => t.name.toLowerCase() === fields.name.toLowerCase()) || (await createTerm(fields));
+    }
+    if (next.status === TERM_STATUSES.ARCHIVED) {
+      throw new TermError(`next term "${next.name}" is archived; pass the nextTermId of an active term`, 409);
+    }
+
+    const now = new Date().toISOString();
+    const tagged = (await events.list()).filter(ev => eventInTerm(ev, term));
+    let archivedEvents = 0;
+    for (const ev of tagged) {
+      if (ev.archived) continue;
+      const patch = { archived: true, archivedAt: now, termId: term.id, term: term.name, updatedAt: now };
+      if (ev.status !== EVENT_STATUSES.CLOSED) Object.assign(patch, { status: EVENT_STATUSES.CLOSED, closedAt: now, closedReason: 'archived' });
+      const saved = await events.update(ev.id, patch);
+      if (onArchive && saved) await onArchive(ev, saved);
+      archivedEvents++;
+    }
+
+    // the next term becomes current first, so a failure before the archive below still leaves a current term
+    const currentTermDoc = await setCurrent(next.id);
+    const archivedTerm = await terms.update(term.id, current => Object.assign(current, {
+      status: TERM_STATUSES.ARCHIVED,
+      current: false,
+      archivedAt: now,
+      updatedAt: now
+    }));
+    return { archivedTerm, currentTerm: currentTermDoc, archivedEvents };
+  }
+
+  return {
+    TermError,
+    listTerms,
+    getTerm,
+    currentTerm,
+    resolveTerm,
+    createTerm,
+    updateTerm,
+    setCurrent,
+    termForEvent,
+    rollover
+  };
+};
+
+module.exports.SEMESTERS = SEMESTERS;
+module.exports.TERM_STATUSES = TERM_STATUSES;
+module.exports.TermError = TermError;
+module.exports.calendarTerm = calendarTerm;
+module.exports.eventInTerm = eventInTerm;
+module.exports.normalizeTerm = normalizeTerm;
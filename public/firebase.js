@@ -169,89 +169,66 @@ document.addEventListener("DOMContentLoaded", () => {
     }
   };
 
-  // OFFICER LOGIN (Manual)
+  // OFFICER LOGIN (server-side accounts: POST /api/officer/login returns a signed session token)
   const loginBtn = document.getElementById("loginBtn");
   if (loginBtn) {
     loginBtn.addEventListener("click", async () => {
       const username = (document.getElementById("email")?.value || "").trim();
-      const password = (document.getElementById("password")?.value || "").trim();
-
-      // Hard-coded demo officer accounts (DEV ONLY)
-      const officers = [
-        { username: "jiecep_officer", password: "jiecep123", name: "JIECEP Officer", org: "JIECEP" },
-        { username: "aeess_officer", password: "aeess123", name: "AeESS Officer", org: "AeESS" },
-        { username: "aices_officer", password: "aices123", name: "AICES Officer", org: "AICES" },
-        { username: "mexess_officer", password: "mexess123", name: "MEXESS Officer", org: "MEXESS" },
-        { username: "abmes_officer", password: "abmes123", name: "ABMES Officer", org: "ABMES" }
-      ];
-
-      const officer = officers.find(o => o.username === username && o.password === password);
-
-      if (officer) {
-        // Build the minimal profile we get from login
-        const loginProfile = {
-          username: officer.username,
-          name: officer.name,
-          org: officer.org
-        };
-
-        // Load existing map of profiles (per-org). If none, start with empty object.
-        const profilesMap = JSON.parse(localStorage.getItem("officerProfiles") || "{}");
-
-        // Merge strategy (preserve previously saved fields for this org)
-        const existing = profilesMap[officer.org] || {};
-
-        let mergedName = existing.name || loginProfile.name;
+      const password = document.getElementById("password")?.value || "";
+      if (!username || !password) {
+        alert("Enter your officer username and password.");
+        return;
+      }
 
-        const mergedProfile = Object.assign({}, existing, {
-          username: existing.username || loginProfile.username,
-          org: existing.org || loginProfile.org,
-          name: mergedName
+      let result = null;
+      try {
+        const res = await fetch(`${SERVER_BASE}/api/officer/login`, {
+          method: "POST",
+          headers: { "Content-Type": "application/json" },
+          body: JSON.stringify({ username, password })
         });
-
-        // Save back into the map (this will preserve other saved fields)
-        profilesMap[officer.org] = mergedProfile;
-        localStorage.setItem("officerProfiles", JSON.stringify(profilesMap));
-
-        // Keep the legacy single-key for compatibility
-        localStorage.setItem("officerProfile", JSON.stringify(mergedProfile));
-
-        // Set current org and logged-in flags
-        localStorage.setItem("officerOrg", officer.org);
-        localStorage.setItem("officerLoggedIn", "true");
-        localStorage.setItem("lastOfficerUsername", officer.username);
-
-        // Prevent a stale officerOrgId from persisting
-        try {
-          localStorage.removeItem("officerOrgId");
-        } catch (e) {
-          // ignore storage errors
+        const body = await res.json().catch(() => ({}));
+        if (!res.ok) {
+          alert(body.error || "Invalid officer credentials. Please try again.");
+          return;
         }
-
-        // Try to resolve canonical org id from server so dashboard can select the correct orgId when available.
-        // This is non-fatal; if it fails we'll just proceed without setting officerOrgId.
-        try {
-          const res = await fetch(`${SERVER_BASE}/api/orgs`);
-          if (res.ok) {
-            const orgs = await res.json();
-            const found = (orgs || []).find(o => {
-              const name = String(o.name || o.displayName || o.id || '').toLowerCase();
-              return name === String(officer.org).toLowerCase();
-            });
-            if (found && found.id) {
-              try { localStorage.setItem("officerOrgId", found.id); } catch (e) { /* ignore */ }
-            }
-          }
-        } catch (e) {
-          // ignore fetch errors - we already removed stale id
-          console.warn("Failed to resolve orgId for officer login:", e);
-        }
-
-        // Redirect to officer dashboard
-        window.location.href = "officer-dashboard.html";
-      } else {
-        alert("Invalid officer credentials. Please try again.");
+        result = body;
+      } catch (err) {
+        console.error("Officer login failed:", err);
+        alert("Could not reach the server. Please try again.");
+        return;
       }
+
+      const officer = result.officer || {};
+      const org = officer.org || "";
+
+      // Session token is sent as the Bearer token by the officer dashboard (fetchWithAuth)
+      localStorage.setItem("officerToken", result.token);
+      if (result.expiresAt) localStorage.setItem("officerTokenExpiresAt", result.expiresAt);
+
+      // Load existing map of profiles (per-org) and merge the server identity in, preserving previously saved fields
+      const profilesMap = JSON.parse(localStorage.getItem("officerProfiles") || "{}");
+      const existing = profilesMap[org] || {};
+      const mergedProfile = Object.assign({}, existing, {
+        username: officer.username,
+        org,
+        name: existing.name || officer.name || officer.username
+      });
+      profilesMap[org] = mergedProfile;
+      localStorage.setItem("officerProfiles", JSON.stringify(profilesMap));
+
+      // Keep the legacy single-key for compatibility
+      localStorage.setItem("officerProfile", JSON.stringify(mergedProfile));
+
+      // UI hints only — the dashboard re-reads the identity from GET /api/officer/me
+      localStorage.setItem("officerOrg", org);
+      localStorage.setItem("officerLoggedIn", "true");
+      localStorage.setItem("lastOfficerUsername", officer.username || username);
+      if (officer.orgId) localStorage.setItem("officerOrgId", officer.orgId);
+      else localStorage.removeItem("officerOrgId");
+
+      // Redirect to officer dashboard
+      window.location.href = "officer-dashboard.html";
     });
   }
 });
@@ -0,0 +1,61 @@
+// live-updates.js
+// Live updates for the student and officer dashboards over Server-Sent Events (GET /api/stream, see routes/stream.js).
+// EventSource cannot send an Authorization header, so the stored token goes in the query string. When the server
+// closes the stream (expired token, restart) it is reopened with whatever token is stored by then.
+//
+// Usage:
+//   import { openLiveUpdates, coalesce } from "./live-updates.js";
+//   const live = openLiveUpdates({ serverBase: SERVER_BASE, getToken: getIdToken, handlers: {
+//     "payment.created": coalesce(() => loadPaymentHistory()),
+//   } });
+//   if (!live) { /* no EventSource or not signed in: keep polling */ }
+
+const MAX_RETRY_SECONDS = 60;
+
+// Run fn once after a burst of calls (e.g. an import that creates 200 payments) instead of once per message
+export function coalesce(fn, ms = 300) {
+  let timer = null;
+  return (...args) => {
+    clearTimeout(timer);
+    timer = setTimeout(() => fn(...args), ms);
+  };
+}
+
+export function openLiveUpdates({ serverBase = "", getToken, handlers = {}, retrySeconds = 5 }) {
+  if (typeof EventSource === "undefined" || !getToken()) return null;
+
+  let source = null;
+  let retryTimer = null;
+  let delay = retrySeconds;
+  let closed = false;
+
+  function connect() {
+    const token = getToken();
+    if (closed || !token) return;
+    source = new EventSource(`${serverBase}/api/stream?token=${encodeURIComponent(token)}`);
+    source.addEventListener("open", () => { delay = retrySeconds; });
+    Object.keys(handlers).forEach(topic => {
+      source.addEventListener(topic, (ev) => {
+        let data = null;
+        try { data = JSON.parse(ev.data); } catch (e) { return; }
+        try { handlers[topic](data); } catch (err) { console.warn(`Live update handler failed (${topic}):`, err); }
+      });
+    });
+    source.addEventListener("error", () => {
+      // EventSource retries by itself while CONNECTING; a CLOSED stream (401, server gone) needs a new one
+      if (source.readyState !== EventSource.CLOSED) return;
+      clearTimeout(retryTimer);
+      retryTimer = setTimeout(connect, delay * 1000);
+      delay = Math.min(delay * 2, MAX_RETRY_SECONDS);
+    });
+  }
+
+  connect();
+  return {
+    close() {
+      closed = true;
+      clearTimeout(retryTimer);
+      if (source) source.close();
+    }
+  };
+}
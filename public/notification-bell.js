@@ -0,0 +1,150 @@
+// notification-bell.js
+// Notification bell shared by the student and officer dashboards (GET /api/notifications, see routes/notifications.js).
+// Each dashboard passes its own fetchWithAuth (Firebase ID token or officer session token).
+//
+// Usage:
+//   import { mountNotificationBell } from "./notification-bell.js";
+//   const bell = mountNotificationBell({ root: document.getElementById("notificationBell"), serverBase: SERVER_BASE, fetchWithAuth });
+//   bell.refresh();
+
+const POLL_SECONDS = 60;
+
+function timeAgo(iso) {
+  const seconds = Math.max(0, Math.round((Date.now() - new Date(iso).getTime()) / 1000));
+  if (!Number.isFinite(seconds)) return "";
+  if (seconds < 60) return "just now";
+  if (seconds < 3600) return `${Math.floor(seconds / 60)} min ago`;
+  if (seconds < 86400) return `${Math.floor(seconds / 3600)} h ago`;
+  return new Date(iso).toLocaleDateString();
+}
+
+export function mountNotificationBell({ root, serverBase = "", fetchWithAuth, pollSeconds = POLL_SECONDS }) {
+  if (!root) return { refresh: async () => {} };
+  root.classList.add("notif");
+  root.innerHTML = "";
+
+  const button = document.createElement("button");
+  button.type = "button";
+  button.className = "notif-btn";
+  button.setAttribute("aria-label", "Notifications");
+  button.setAttribute("aria-expanded", "false");
+  button.innerHTML = `<span aria-hidden="true">🔔</span>`;
+  const badge = document.createElement("span");
+  badge.className = "notif-badge hidden";
+  button.appendChild(badge);
+
+  const panel = document.createElement("div");
+  panel.className = "notif-panel hidden";
+  panel.setAttribute("role", "dialog");
+  panel.setAttribute("aria-label", "Notifications");
+  const head = document.createElement("div");
+  head.className = "notif-head";
+  const title = document.createElement("strong");
+  title.textContent = "Notifications";
+  const readAllBtn = document.createElement("button");
+  readAllBtn.type = "button";
+  readAllBtn.className = "notif-read-all";
+  readAllBtn.textContent = "Mark all read";
+  head.appendChild(title);
+  head.appendChild(readAllBtn);
+  const list = document.createElement("ul");
+  list.className = "notif-list";
+  panel.appendChild(head);
+  panel.appendChild(list);
+
+  root.appendChild(button);
+  root.appendChild(panel);
+
+  let items = [];
+
+  function renderBadge(unreadCount) {
+    if (unreadCount > 0) {
+      badge.textContent = unreadCount > 99 ? "99+" : String(unreadCount);
+      badge.classList.remove("hidden");
+    } else {
+      badge.classList.add("hidden");
+    }
+  }
+
+  function renderList() {
+    list.innerHTML = "";
+    if (!items.length) {
+      list.innerHTML = `<li class="notif-empty">No notifications yet.</li>`;
+      return;
+    }
+    items.forEach(n => {
+      const li = document.createElement("li");
+      li.className = n.read ? "notif-item" : "notif-item notif-item--unread";
+      const text = document.createElement("div");
+      text.className = "notif-title";
+      text.textContent = n.title;
+      li.appendChild(text);
+      if (n.body) {
+        const body = document.createElement("div");
+        body.className = "notif-body";
+        body.textContent = n.body;
+        li.appendChild(body);
+      }
+      const when = document.createElement("div");
+      when.className = "notif-time";
+      when.textContent = timeAgo(n.updatedAt || n.createdAt);
+      li.appendChild(when);
+      if (!n.read) li.addEventListener("click", () => markRead(n));
+      list.appendChild(li);
+    });
+  }
+
+  async function refresh() {
+    try {
+      const res = await fetchWithAuth(`${serverBase}/api/notifications?limit=30`);
+      if (!res.ok) {
+        // not signed in (or notifications unavailable): keep the bell quiet
+        root.classList.add("hidden");
+        return;
+      }
+      root.classList.remove("hidden");
+      const payload = await res.json();
+      items = Array.isArray(payload.notifications) ? payload.notifications : [];
+      renderBadge(payload.unreadCount || 0);
+      renderList();
+    } catch (err) {
+      console.warn("Failed to load notifications:", err);
+    }
+  }
+
+  async function markRead(n) {
+    try {
+      const res = await fetchWithAuth(`${serverBase}/api/notifications/${encodeURIComponent(n.id)}/read`, { method: "POST" });
+      if (res.ok) await refresh();
+    } catch (err) {
+      console.warn("Failed to mark notification read:", err);
+    }
+  }
+
+  readAllBtn.addEventListener("click", async (e) => {
+    e.stopPropagation();
+    try {
+      const res = await fetchWithAuth(`${serverBase}/api/notifications/read-all`, { method: "POST" });
+      if (res.ok) await refresh();
+    } catch (err) {
+      console.warn("Failed to mark notifications read:", err);
+    }
+  });
+
+  button.addEventListener("click", (e) => {
+    e.stopPropagation();
+    const open = panel.classList.contains("hidden");
+    panel.classList.toggle("hidden", !open);
+    button.setAttribute("aria-expanded", String(open));
+    if (open) refresh();
+  });
+  panel.addEventListener("click", (e) => e.stopPropagation());
+  document.addEventListener("click", () => {
+    panel.classList.add("hidden");
+    button.setAttribute("aria-expanded", "false");
+  });
+
+  refresh();
+  if (pollSeconds > 0) setInterval(refresh, pollSeconds * 1000);
+  return { refresh };
+}
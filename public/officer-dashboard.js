@@ -3,11 +3,18 @@
 // - Adds three separate stat cards under Payments heading (paid red, approved green, received black)
 // - Keeps Home, Add Event, Edit, Delete, Profile (per-org) functionality and persistence
 // - Prefers server events/orgs when available; falls back to localStorage.
-// - When saving profile, upserts organization on server and signals other clients via localStorage.orgsLastUpdated
+// - When saving profile, resolves the organization on server and signals other clients via localStorage.orgsLastUpdated
+//
+// - Notification bell in the header (notification-bell.js), mounted after the officer session is confirmed
+// - Live updates (live-updates.js, GET /api/stream): the open verify table and the events list refresh as students pay
+//   and other officers act; the storage listener below only covers tabs of this browser
 //
 // NOTE: This file assumes your HTML contains:
 // - #paymentStats element in the Payments view (we create stats cards inside it if empty)
 
+import { mountNotificationBell } from "./notification-bell.js";
+import { openLiveUpdates, coalesce } from "./live-updates.js";
+
 let editingEventIndex = null;
 let editingServerEventId = null;
 let currentEventView = null;
@@ -57,6 +64,17 @@ document.addEventListener("DOMContentLoaded", () => {
 
   const eventNameInput = document.getElementById("eventName");
   const eventDeadlineInput = document.getElementById("eventDeadline");
+  const eventLateFeeInput = document.getElementById("eventLateFee");
+  const eventMandatoryInput = document.getElementById("eventMandatory");
+  const eventTermInput = document.getElementById("eventTerm");
+  // eligibility inputs (comma-separated lists; keys match event.eligibility on the server)
+  const eligibilityInputs = {
+    colleges: document.getElementById("eligColleges"),
+    departments: document.getElementById("eligDepartments"),
+    programs: document.getElementById("eligPrograms"),
+    years: document.getElementById("eligYears"),
+    blocks: document.getElementById("eligBlocks")
+  };
   const eventFeeInput = document.getElementById("eventFee");
   const receiverNumberInput = document.getElementById("receiverNumber");
   const receiverNameInput = document.getElementById("receiverName");
@@ -64,6 +82,9 @@ document.addEventListener("DOMContentLoaded", () => {
 
   const confirmEventName = document.getElementById("confirmEventName");
   const confirmDeadline = document.getElementById("confirmDeadline");
+  const confirmLateFee = document.getElementById("confirmLateFee");
+  const confirmMandatory = document.getElementById("confirmMandatory");
+  const confirmEligibility = document.getElementById("confirmEligibility");
   const confirmAmount = document.getElementById("confirmAmount");
   const confirmNumber = document.getElementById("confirmNumber");
   const confirmName = document.getElementById("confirmName");
@@ -77,11 +98,39 @@ document.addEventListener("DOMContentLoaded", () => {
   const eventPaymentsHeading = document.getElementById("eventPaymentsHeading");
   const paymentStatsContainer = document.getElementById("paymentStats");
   const filterBtn = document.getElementById("filterBtn");
+  const verifySearchInput = document.getElementById("verifySearch");
+  const verifyPager = document.getElementById("verifyPager");
+  const verifySortSelect = document.getElementById("verifySort");
+  const verifyPageInfo = document.getElementById("verifyPageInfo");
+  const verifyPrevBtn = document.getElementById("verifyPrevBtn");
+  const verifyNextBtn = document.getElementById("verifyNextBtn");
+  const exportBtn = document.getElementById("exportBtn");
+  const exportFormatSelect = document.getElementById("exportFormat");
+  const importBtn = document.getElementById("importBtn");
+
+  // Clearance view
+  const clearanceBtn = document.getElementById("clearanceBtn");
+  const clearanceView = document.getElementById("clearanceView");
+  const backFromClearanceBtn = document.getElementById("backFromClearanceBtn");
+  const clearanceTermSelect = document.getElementById("clearanceTerm");
+  const clearanceSummary = document.getElementById("clearanceSummary");
+  const clearanceTableBody = document.querySelector("#clearanceTable tbody");
+
+  // Academic terms (events list filter + admin rollover)
+  const eventsTermSelect = document.getElementById("eventsTermFilter");
+  const rolloverTermBtn = document.getElementById("rolloverTermBtn");
+  let termsCache = [];
+  let selectedEventsTerm = null; // term id; "" = all terms; null = not loaded yet (defaults to the current term)
 
   // Stat elements
   let paidCountEl = null;
   let approvedCountEl = null;
   let receivedTotalEl = null;
+  let outstandingTotalEl = null;
+  let outstandingDetailEl = null;
+
+  // Identity verified by the server (GET /api/officer/me); org/orgId here win over localStorage hints
+  let officerIdentity = null;
 
   // Server base (adjust if your server runs on a different host/port)
   // Use localhost only for local development; on deployed site use same-origin (empty string -> '/api/...')
@@ -90,11 +139,12 @@ document.addEventListener("DOMContentLoaded", () => {
   // ----------------------
   // Signed URL caching & helper
   // ----------------------
+  // Prefer the officer session token (POST /api/officer/login); fall back to a Firebase idToken
   function getIdToken() {
-    try { return localStorage.getItem("idToken") || null; } catch (e) { return null; }
+    try { return localStorage.getItem("officerToken") || localStorage.getItem("idToken") || null; } catch (e) { return null; }
   }
 
-  // Helper: unified fetch that attaches stored idToken when available
+  // Helper: unified fetch that attaches stored token when available
   async function fetchWithAuth(url, options = {}) {
     const headers = Object.assign({}, options.headers || {});
     try {
@@ -146,12 +196,19 @@ document.addEventListener("DOMContentLoaded", () => {
   }
 
   // New: fetch payments with filters (server-side filtering). Returns object { payments, totals, availableFilters } or array fallback
-  async function fetchPaymentsWithFilters({ eventId = null, years = [], blocks = [] } = {}) {
+  // Pass `page` ({ limit, cursor, sort, order }) to get one page; the object then also carries `page` ({ nextCursor, totalPages, ... })
+  async function fetchPaymentsWithFilters({ eventId = null, years = [], blocks = [], page = null } = {}) {
     try {
       const params = new URLSearchParams();
       if (eventId) params.append('eventId', eventId);
       if (years && years.length > 0) params.append('year', years.join(','));
       if (blocks && blocks.length > 0) params.append('block', blocks.join(','));
+      if (page) {
+        params.append('limit', String(page.limit));
+        if (page.cursor) params.append('cursor', page.cursor);
+        if (page.sort) params.append('sort', page.sort);
+        if (page.order) params.append('order', page.order);
+      }
       const url = `${SERVER_BASE}/api/payments?${params.toString()}`;
       const res = await fetchWithAuth(url, { method: 'GET' });
       if (!res.ok) {
@@ -166,6 +223,33 @@ document.addEventListener("DOMContentLoaded", () => {
     }
   }
 
+  // Download GET /api/payments/export for the open event with the active filters (csv | xlsx).
+  // Fetched as a blob because the endpoint needs the Authorization header.
+  async function downloadPaymentsExport({ eventId = null, years = [], blocks = [], format = "csv" } = {}) {
+    const params = new URLSearchParams();
+    if (eventId) params.append('eventId', eventId);
+    if (years && years.length > 0) params.append('year', years.join(','));
+    if (blocks && blocks.length > 0) params.append('block', blocks.join(','));
+    params.append('format', format);
+    const res = await fetchWithAuth(`${SERVER_BASE}/api/payments/export?${params.toString()}`, { method: 'GET' });
+    if (!res.ok) {
+      const body = await res.json().catch(() => null);
+      throw new Error((body && body.error) || `Server returned ${res.status}`);
+    }
+    const disposition = res.headers.get('Content-Disposition') || '';
+    const match = disposition.match(/filename="([^"]+)"/);
+    const filename = match ? match[1] : `payments.${format}`;
+    const blob = await res.blob();
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = filename;
+    document.body.appendChild(a);
+    a.click();
+    a.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+  }
+
   // ----------------------
   // Utilities
   // ----------------------
@@ -173,10 +257,24 @@ document.addEventListener("DOMContentLoaded", () => {
   function show(el, display = "") { if (!el) return; el.classList.remove("hidden"); el.style.display = display; }
   function escapeHtml(str) { if (str === undefined || str === null) return ""; return String(str).replace(/&/g,"&amp;").replace(/"/g,"&quot;").replace(/'/g,"&#39;").replace(/</g,"&lt;").replace(/>/g,"&gt;"); }
 
+  // Payment statuses officers can set (mirrors lib/paymentStatus.js on the server; 'withdrawn' is set by the student)
+  const PAYMENT_STATUS_OPTIONS = [
+    { value: "pending", label: "Pending" },
+    { value: "approved", label: "Approved" },
+    { value: "rejected", label: "Rejected" },
+    { value: "needs-resubmission", label: "Needs Resubmission" }
+  ];
+  function normalizePaymentStatus(status) {
+    return String(status || "").trim().toLowerCase().replace(/[\s_]+/g, "-") || "pending";
+  }
+
   // ----------------------
   // Profile (per-org) helpers
   // ----------------------
   function getCurrentOrg() {
+    // The server-verified identity is authoritative for officers
+    if (officerIdentity && officerIdentity.org) return officerIdentity.org;
+
     // Prefer explicit officerOrg
     let org = localStorage.getItem("officerOrg") || "";
     if (org) return org;
@@ -204,6 +302,8 @@ document.addEventListener("DOMContentLoaded", () => {
   }
 
   function getCurrentOrgId() {
+    if (officerIdentity && officerIdentity.orgId) return officerIdentity.orgId;
+
     // Prefer explicit officerOrgId if present
     const storedId = localStorage.getItem("officerOrgId") || "";
     if (storedId) return storedId;
@@ -216,6 +316,45 @@ document.addEventListener("DOMContentLoaded", () => {
     return "";
   }
 
+  function clearOfficerSession() {
+    try {
+      localStorage.removeItem("officerToken");
+      localStorage.removeItem("officerTokenExpiresAt");
+      localStorage.removeItem("officerLoggedIn");
+    } catch (e) { /* ignore */ }
+  }
+
+  // Load the officer identity from the server. Redirects to the login page when the session is missing or rejected.
+  async function loadOfficerIdentity() {
+    if (!getIdToken()) {
+      window.location.href = "index.html";
+      return false;
+    }
+    try {
+      const res = await fetchWithAuth(`${SERVER_BASE}/api/officer/me`, { method: 'GET' });
+      if (res.status === 401 || res.status === 403) {
+        clearOfficerSession();
+        alert("Your officer session has expired or is not authorized. Please log in again.");
+        window.location.href = "index.html";
+        return false;
+      }
+      if (!res.ok) throw new Error(`Server returned ${res.status}`);
+      officerIdentity = await res.json();
+
+      // Keep the localStorage hints in line with the server identity
+      if (officerIdentity.org) {
+        try { localStorage.setItem("officerOrg", officerIdentity.org); } catch (e) {}
+      }
+      if (officerIdentity.orgId) {
+        try { localStorage.setItem("officerOrgId", officerIdentity.orgId); } catch (e) {}
+      }
+      return true;
+    } catch (err) {
+      console.warn('loadOfficerIdentity error:', err);
+      return true; // server unreachable: keep going with the cached hints (mutations will fail server-side)
+    }
+  }
+
   // New helpers: server-backed officer profile get/upsert
   async function fetchOfficerProfileFromServer(orgName, orgId) {
     try {
@@ -412,23 +551,21 @@ document.addEventListener("DOMContentLoaded", () => {
     }
   }
 
-  async function upsertOrgOnServer(orgName) {
+  // Resolve the server organization record for an org name (org CRUD is admin-only, so officers only look it up)
+  async function resolveOrgOnServer(orgName) {
     try {
       if (!orgName) return null;
-      const res = await fetch(`${SERVER_BASE}/api/orgs`, {
-        method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({ name: orgName, displayName: orgName })
-      });
+      const res = await fetch(`${SERVER_BASE}/api/orgs`);
       if (!res.ok) {
         const txt = await res.text().catch(()=>'');
-        console.warn('Failed to upsert org on server:', res.status, txt);
+        console.warn('Failed to load orgs from server:', res.status, txt);
         return null;
       }
-      const json = await res.json();
-      return json;
+      const orgs = await res.json();
+      const canon = String(orgName).trim().toLowerCase();
+      return (Array.isArray(orgs) ? orgs : []).find(o => String(o.canonicalName || o.name || '').trim().toLowerCase() === canon) || null;
     } catch (err) {
-      console.warn('upsertOrgOnServer error:', err);
+      console.warn('resolveOrgOnServer error:', err);
       return null;
     }
   }
@@ -479,10 +616,10 @@ document.addEventListener("DOMContentLoaded", () => {
     if (headerTitle) headerTitle.textContent = `Hello ${profileObj.org}`;
     if (officerNameSpan) officerNameSpan.textContent = profileObj.org;
 
-    // Non-blocking attempt to ensure organization exists on server.
+    // Non-blocking attempt to resolve the organization record on server.
     (async () => {
       try {
-        const org = await upsertOrgOnServer(newOrg);
+        const org = await resolveOrgOnServer(newOrg);
         if (org && org.id) {
           // store org id in profiles map for convenience
           const pm = JSON.parse(localStorage.getItem("officerProfiles") || "{}");
@@ -604,7 +741,9 @@ document.addEventListener("DOMContentLoaded", () => {
     paidCountEl = document.getElementById("countPaid");
     approvedCountEl = document.getElementById("countApproved");
     receivedTotalEl = document.getElementById("countReceived");
-    if (paidCountEl && approvedCountEl && receivedTotalEl) return;
+    outstandingTotalEl = document.getElementById("countOutstanding");
+    outstandingDetailEl = document.getElementById("countOutstandingDetail");
+    if (paidCountEl && approvedCountEl && receivedTotalEl && outstandingTotalEl) return;
 
     paymentStatsContainer.innerHTML = `
       <div class="stat-card stat-card--left">
@@ -615,6 +754,11 @@ document.addEventListener("DOMContentLoaded", () => {
         <div class="stat-label">Total approved transactions</div>
         <div id="countApproved" class="stat-number approved">0</div>
       </div>
+      <div class="stat-card stat-card--center">
+        <div class="stat-label">Outstanding balance</div>
+        <div id="countOutstanding" class="stat-number outstanding">₱0.00</div>
+        <div id="countOutstandingDetail" class="stat-detail"></div>
+      </div>
       <div class="stat-card stat-card--right">
         <div class="stat-label">Total funds received</div>
         <div id="countReceived" class="stat-number received">₱0.00</div>
@@ -623,6 +767,36 @@ document.addEventListener("DOMContentLoaded", () => {
     paidCountEl = document.getElementById("countPaid");
     approvedCountEl = document.getElementById("countApproved");
     receivedTotalEl = document.getElementById("countReceived");
+    outstandingTotalEl = document.getElementById("countOutstanding");
+    outstandingDetailEl = document.getElementById("countOutstandingDetail");
+  }
+
+  // Outstanding balances come from the server (GET /api/events/:id/balances), which sums each student's
+  // approved payments against the event fee so several partial payments can add up to fully paid.
+  async function refreshBalanceStats(eventId) {
+    ensureStatsElements();
+    if (!outstandingTotalEl) return;
+    if (!eventId) {
+      outstandingTotalEl.textContent = "—";
+      if (outstandingDetailEl) outstandingDetailEl.textContent = "";
+      return;
+    }
+    try {
+      const res = await fetchWithAuth(`${SERVER_BASE}/api/events/${encodeURIComponent(eventId)}/balances`, { method: 'GET' });
+      if (!res.ok) throw new Error(`Server returned ${res.status}`);
+      const summary = await res.json();
+      const totals = summary.totals || {};
+      outstandingTotalEl.textContent = `₱${Number(totals.outstandingTotal || 0).toFixed(2)}`;
+      if (outstandingDetailEl) {
+        const parts = [`${totals.fullyPaid || 0} fully paid`, `${totals.withBalance || 0} with balance`];
+        if (totals.overpaidStudents) parts.push(`${totals.overpaidStudents} overpaid (₱${Number(totals.overpaidTotal || 0).toFixed(2)})`);
+        outstandingDetailEl.textContent = parts.join(" · ");
+      }
+    } catch (err) {
+      console.warn('refreshBalanceStats error:', err);
+      outstandingTotalEl.textContent = "—";
+      if (outstandingDetailEl) outstandingDetailEl.textContent = "";
+    }
   }
 
   // ----------------------
@@ -663,11 +837,16 @@ document.addEventListener("DOMContentLoaded", () => {
   }
 
   // Prefer fetching events by orgId when available (server supports ?orgId=)
-  async function fetchEventsForOrg(orgName, orgId = null) {
+  // termId limits the list to one term; without it archived events (from past term rollovers) are included too
+  async function fetchEventsForOrg(orgName, orgId = null, termId = "") {
     if (!orgName && !orgId) return [];
     try {
-      const url = orgId ? `${SERVER_BASE}/api/events?orgId=${encodeURIComponent(orgId)}` : `${SERVER_BASE}/api/events?org=${encodeURIComponent(orgName)}`;
-      const res = await fetch(url);
+      const params = new URLSearchParams();
+      if (orgId) params.append('orgId', orgId);
+      else params.append('org', orgName);
+      if (termId) params.append('termId', termId);
+      else params.append('includeArchived', 'true');
+      const res = await fetch(`${SERVER_BASE}/api/events?${params.toString()}`);
       if (!res.ok) throw new Error(`Status ${res.status}`);
       const events = await res.json();
       if (!Array.isArray(events)) return [];
@@ -688,7 +867,7 @@ document.addEventListener("DOMContentLoaded", () => {
   // ----------------------
   async function putEventToServer(id, formData) {
     try {
-      const res = await fetch(`${SERVER_BASE}/api/events/${encodeURIComponent(id)}`, {
+      const res = await fetchWithAuth(`${SERVER_BASE}/api/events/${encodeURIComponent(id)}`, {
         method: 'PUT',
         body: formData
       });
@@ -729,7 +908,7 @@ document.addEventListener("DOMContentLoaded", () => {
     let serverEvents = null;
     if (officerOrg || officerOrgId) {
       try {
-        serverEvents = await fetchEventsForOrg(officerOrg, officerOrgId);
+        serverEvents = await fetchEventsForOrg(officerOrg, officerOrgId, selectedEventsTerm || "");
       } catch (e) {
         console.debug('fetchEventsForOrg failed (orgId or name):', e);
         serverEvents = null;
@@ -771,6 +950,7 @@ document.addEventListener("DOMContentLoaded", () => {
         if (officerOrg) return ev.org === officerOrg;
         return false;
       });
+      if (selectedEventsTerm) useEvents = useEvents.filter(ev => ev.termId === selectedEventsTerm);
       source = 'local';
     }
 
@@ -786,7 +966,7 @@ document.addEventListener("DOMContentLoaded", () => {
       // Buttons will carry either data-global-index (local) or data-ev-id (server)
       const isServer = (source === 'server');
       tr.innerHTML = `
-        <td>${escapeHtml(ev.name)}</td>
+        <td>${escapeHtml(ev.name)}${ev.mandatory ? ` <span class="event-tag" title="${escapeHtml(ev.term || "")}">Mandatory</span>` : ""}</td>
         <td>₱${escapeHtml(String(ev.fee || ""))}</td>
         <td>${escapeHtml(ev.deadline || "")}</td>
         <td>${escapeHtml(ev.status || "")}</td>
@@ -847,6 +1027,10 @@ document.addEventListener("DOMContentLoaded", () => {
             if (eventNameInput) eventNameInput.value = ev.name || "";
             if (eventDeadlineInput) eventDeadlineInput.value = ev.deadline || "";
             if (eventFeeInput) eventFeeInput.value = ev.fee || "";
+            if (eventLateFeeInput) eventLateFeeInput.value = ev.lateFee || "";
+            if (eventMandatoryInput) eventMandatoryInput.checked = Boolean(ev.mandatory);
+            if (eventTermInput) eventTermInput.value = ev.termId || "";
+            fillEligibilityInputs(ev.eligibility);
             if (receiverNumberInput) receiverNumberInput.value = ev.receiver?.number || "";
             if (receiverNameInput) receiverNameInput.value = ev.receiver?.name || "";
             if (confirmQR) {
@@ -870,6 +1054,10 @@ document.addEventListener("DOMContentLoaded", () => {
           if (eventNameInput) eventNameInput.value = event.name;
           if (eventDeadlineInput) eventDeadlineInput.value = event.deadline;
           if (eventFeeInput) eventFeeInput.value = event.fee;
+          if (eventLateFeeInput) eventLateFeeInput.value = event.lateFee || "";
+          if (eventMandatoryInput) eventMandatoryInput.checked = Boolean(event.mandatory);
+          if (eventTermInput) eventTermInput.value = event.termId || "";
+          fillEligibilityInputs(event.eligibility);
           if (receiverNumberInput) receiverNumberInput.value = event.receiver?.number || "";
           if (receiverNameInput) receiverNameInput.value = event.receiver?.name || "";
           if (confirmQR) confirmQR.src = event.receiver?.qr || "";
@@ -924,6 +1112,7 @@ document.addEventListener("DOMContentLoaded", () => {
 
   function showEvents() {
     show(eventsCard, "");
+    hide(clearanceView);
     hide(addEventForm);
     hide(profileForm);
     hide(verifyPaymentsSection);
@@ -935,7 +1124,7 @@ document.addEventListener("DOMContentLoaded", () => {
   }
 
   function showAddEventForm(isEditing = false) {
-    hide(eventsCard); hide(profileForm); hide(verifyPaymentsSection);
+    hide(eventsCard); hide(profileForm); hide(verifyPaymentsSection); hide(clearanceView);
     show(addEventForm, "");
     if (step1) show(step1, "");
     if (step2) hide(step2);
@@ -943,7 +1132,7 @@ document.addEventListener("DOMContentLoaded", () => {
   }
 
   function showProfileForm() {
-    hide(eventsCard); hide(addEventForm); hide(verifyPaymentsSection);
+    hide(eventsCard); hide(addEventForm); hide(verifyPaymentsSection); hide(clearanceView);
     show(profileForm, "");
     try { profileForm.scrollIntoView({ behavior: "smooth", block: "start" }); } catch(e) {}
   }
@@ -955,13 +1144,109 @@ document.addEventListener("DOMContentLoaded", () => {
   // activeFilters will hold the current server-side filter state for the open event
   let activeFilters = { years: [], blocks: [] };
 
+  // Paging of the verify table for server events: cursors of the pages visited so far (Prev steps back through them)
+  const VERIFY_PAGE_SIZE = 25;
+  let verifyPaging = { sort: "createdAt", order: "desc", cursors: [null] };
+  function resetVerifyPaging() { verifyPaging.cursors = [null]; }
+
+  // One page of the event's payments from the server; false when the server cannot page (caller falls back)
+  async function renderVerifyPageFromServer(eventId) {
+    const filtering = activeFilters.years.length > 0 || activeFilters.blocks.length > 0;
+    let payload = null;
+    try {
+      payload = await fetchPaymentsWithFilters({
+        eventId,
+        years: activeFilters.years,
+        blocks: activeFilters.blocks,
+        page: { limit: VERIFY_PAGE_SIZE, cursor: verifyPaging.cursors[verifyPaging.cursors.length - 1], sort: verifyPaging.sort, order: verifyPaging.order }
+      });
+    } catch (err) {
+      return false;
+    }
+    if (!payload || Array.isArray(payload) || !payload.page) return false;
+    // stat cards describe the whole event, so they only change while no year/block filter is active
+    renderPaymentsAndStatsFromArray(payload.payments || [], payload.totals || null, !filtering);
+    renderVerifyPager(payload.page);
+    return true;
+  }
+
+  function renderVerifyPager(page) {
+    if (!verifyPager) return;
+    const current = verifyPaging.cursors.length;
+    verifyPager.classList.toggle("hidden", !page);
+    if (!page) return;
+    if (verifySortSelect) verifySortSelect.value = `${verifyPaging.sort}:${verifyPaging.order}`;
+    if (verifyPageInfo) verifyPageInfo.textContent = `Page ${current} of ${page.totalPages || current} · ${page.total || 0} payments`;
+    if (verifyPrevBtn) verifyPrevBtn.disabled = current <= 1;
+    if (verifyNextBtn) {
+      verifyNextBtn.disabled = !page.hasMore;
+      verifyNextBtn.dataset.cursor = page.nextCursor || "";
+    }
+  }
+
+  if (verifyPrevBtn) {
+    verifyPrevBtn.addEventListener("click", () => {
+      if (!currentEventView || verifyPaging.cursors.length <= 1) return;
+      verifyPaging.cursors.pop();
+      renderVerifyPaymentsForEvent(currentEventView.name, currentEventView.id);
+    });
+  }
+  if (verifyNextBtn) {
+    verifyNextBtn.addEventListener("click", () => {
+      if (!currentEventView || !verifyNextBtn.dataset.cursor) return;
+      verifyPaging.cursors.push(verifyNextBtn.dataset.cursor);
+      renderVerifyPaymentsForEvent(currentEventView.name, currentEventView.id);
+    });
+  }
+  if (verifySortSelect) {
+    verifySortSelect.addEventListener("change", () => {
+      const [sort, order] = verifySortSelect.value.split(":");
+      verifyPaging = { sort, order, cursors: [null] };
+      if (currentEventView) renderVerifyPaymentsForEvent(currentEventView.name, currentEventView.id);
+    });
+  }
+
+  // Search box above the verify table: while it holds a query the table shows the matches instead of the pages
+  async function renderVerifySearchResults(eventId, q) {
+    if (verifyPager) verifyPager.classList.add("hidden");
+    try {
+      const params = new URLSearchParams({ q, eventId });
+      const res = await fetchWithAuth(`${SERVER_BASE}/api/payments/search?${params.toString()}`, { method: 'GET' });
+      const data = await res.json().catch(() => null);
+      if (!res.ok) throw new Error((data && data.error) || `Server returned ${res.status}`);
+      // only the table changes; the stat cards keep describing the whole event
+      renderPaymentsAndStatsFromArray(data.payments || [], null, false);
+      if (!data.payments || data.payments.length === 0) {
+        verifyTableBody.innerHTML = `<tr><td colspan="6" style="text-align:center;padding:18px">No payments match "${escapeHtml(q)}"</td></tr>`;
+      }
+    } catch (err) {
+      console.warn('Payment search failed:', err);
+      verifyTableBody.innerHTML = `<tr><td colspan="6" style="text-align:center;padding:18px">Search failed. Try again.</td></tr>`;
+    }
+  }
+
+  if (verifySearchInput) {
+    verifySearchInput.addEventListener("input", coalesce(() => {
+      if (currentEventView) renderVerifyPaymentsForEvent(currentEventView.name, currentEventView.id);
+    }));
+  }
+
   function renderVerifyPaymentsForEvent(eventName, eventId = null) {
     const paymentHistory = JSON.parse(localStorage.getItem("paymentHistory") || "[]");
     if (!verifyTableBody) return;
     const officerOrg = getCurrentOrg();
     const officerOrgId = getCurrentOrgId();
+    const searchQuery = verifySearchInput ? verifySearchInput.value.trim() : "";
 
     (async () => {
+      if (eventId && searchQuery) {
+        await renderVerifySearchResults(eventId, searchQuery);
+        return;
+      }
+      // Server events are paged by the server; local-only events (no id) and older servers use the full-list paths below
+      if (eventId && await renderVerifyPageFromServer(eventId)) return;
+      if (verifyPager) verifyPager.classList.add("hidden");
+
       // If no active filters set, prefer server-wide fetch + client fallback as before
       if ((!activeFilters || (!activeFilters.years.length && !activeFilters.blocks.length))) {
         const all = await fetchAllPaymentsFromServer();
@@ -1076,9 +1361,35 @@ document.addEventListener("DOMContentLoaded", () => {
 
     const amountCell = document.createElement("td");
     amountCell.textContent = `₱${rec.amount || ""}`;
+    // amountStatus is set by the server against the event fee (exact / partial / overpaid)
+    if (rec.amountStatus === "partial" || rec.amountStatus === "overpaid") {
+      const amountTag = document.createElement("span");
+      amountTag.className = `amount-tag amount-tag--${rec.amountStatus}`;
+      amountTag.textContent = rec.amountStatus === "partial" ? "Partial" : "Overpaid";
+      if (rec.eventFee) amountTag.title = `Event fee: ₱${rec.eventFee}`;
+      amountCell.appendChild(document.createElement("br"));
+      amountCell.appendChild(amountTag);
+    }
+    // late: submitted after the event deadline, within the grace period (lateFee is the surcharge owed)
+    if (rec.late) {
+      const lateTag = document.createElement("span");
+      lateTag.className = "amount-tag amount-tag--late";
+      lateTag.textContent = rec.lateFee ? `Late +₱${rec.lateFee}` : "Late";
+      amountCell.appendChild(document.createElement("br"));
+      amountCell.appendChild(lateTag);
+    }
 
     const refCell = document.createElement("td");
     refCell.textContent = rec.reference || rec.referenceNumber || rec.ref || "";
+    // Flag set by the server's duplicate detection (same student/event/amount within a short window)
+    if (rec.possibleDuplicate || rec.duplicateOf) {
+      const dupBadge = document.createElement("span");
+      dupBadge.className = "dup-badge";
+      dupBadge.textContent = "Possible duplicate";
+      dupBadge.title = `${rec.duplicateReason || "Possible duplicate payment"}${rec.duplicateOf ? ` (see payment ${rec.duplicateOf})` : ""}`;
+      refCell.appendChild(document.createElement("br"));
+      refCell.appendChild(dupBadge);
+    }
 
     const proofCell = document.createElement("td");
     const proofBtn = document.createElement("button");
@@ -1089,27 +1400,39 @@ document.addEventListener("DOMContentLoaded", () => {
     proofCell.appendChild(proofBtn);
 
     const statusCell = document.createElement("td");
+    const currentStatus = normalizePaymentStatus(rec.status);
     const statusSelect = document.createElement("select");
     statusSelect.className = "status-select";
-    ["Pending","Approved"].forEach(s => {
+    PAYMENT_STATUS_OPTIONS.forEach(({ value, label }) => {
       const op = document.createElement("option");
-      op.value = s;
-      op.textContent = s;
-      if (String(rec.status || "pending").toLowerCase() === s.toLowerCase()) op.selected = true;
+      op.value = value;
+      op.textContent = label;
+      if (currentStatus === value) op.selected = true;
       statusSelect.appendChild(op);
     });
+    const reason = rec.rejectionReason || rec.resubmissionReason || "";
+    if (reason) statusSelect.title = `Reason: ${reason}`;
     statusSelect.addEventListener("change", (e) => {
       const newStatus = e.target.value;
-      if (!confirm(`Mark payment from "${studentName}" as "${newStatus}"?`)) {
-        statusSelect.value = (rec.status && String(rec.status).charAt(0).toUpperCase() + String(rec.status).slice(1)) || "Pending";
+      const label = (PAYMENT_STATUS_OPTIONS.find(o => o.value === newStatus) || {}).label || newStatus;
+      if (!confirm(`Mark payment from "${studentName}" as "${label}"?`)) {
+        statusSelect.value = currentStatus;
         return;
       }
-      const normalized = newStatus.toLowerCase();
-      rec.status = normalized;
-      statusSelect.value = newStatus;
       updatePaymentStatus(rec, newStatus);
     });
-    statusCell.appendChild(statusSelect);
+    if (currentStatus === "withdrawn") {
+      // cancelled by the student; kept for the record, no officer action possible
+      statusCell.innerHTML = `<span class="small-muted">Withdrawn by student</span>`;
+      if (rec.withdrawalReason) statusCell.title = `Reason: ${rec.withdrawalReason}`;
+      tr.classList.add("withdrawn-row");
+    } else if (!(rec.id || rec.paymentId)) {
+      // saved only in this browser: the server has no record to transition yet
+      statusCell.innerHTML = `<span class="small-muted">Not synced</span>`;
+      statusCell.title = "This payment only exists in this browser; it must be synced to the server before its status can change.";
+    } else {
+      statusCell.appendChild(statusSelect);
+    }
 
     tr.appendChild(dateCell);
     tr.appendChild(studentCell);
@@ -1129,10 +1452,12 @@ document.addEventListener("DOMContentLoaded", () => {
       // Only update stats when updateStats === true
       if (updateStats) {
         if (totals && typeof totals === 'object') {
-          if (paidCountEl) paidCountEl.textContent = String(totals.totalCount || (paymentsArray ? paymentsArray.length : 0));
-          if (approvedCountEl) paidCountEl.textContent = String(totals.totalCount || (paymentsArray ? paymentsArray.length : 0)); // placeholder until below sets approved
+          // studentCount / approvedAmount match the client-side figures below; older servers only send the counts
+          const students = typeof totals.studentCount === 'number' ? totals.studentCount : totals.totalCount;
+          const received = typeof totals.approvedAmount === 'number' ? totals.approvedAmount : totals.totalAmount;
+          if (paidCountEl) paidCountEl.textContent = String(students || (paymentsArray ? paymentsArray.length : 0));
           if (approvedCountEl) approvedCountEl.textContent = String(totals.approvedCount || 0);
-          if (receivedTotalEl) receivedTotalEl.textContent = `₱${(Number(totals.totalAmount || 0)).toFixed(2)}`;
+          if (receivedTotalEl) receivedTotalEl.textContent = `₱${(Number(received || 0)).toFixed(2)}`;
         } else {
           // compute stats from paymentsArray (client-side)
           const paidStudents = new Set();
@@ -1151,6 +1476,7 @@ document.addEventListener("DOMContentLoaded", () => {
           if (approvedCountEl) approvedCountEl.textContent = String(approvedCount);
           if (receivedTotalEl) receivedTotalEl.textContent = `₱${sumApproved.toFixed(2)}`;
         }
+        refreshBalanceStats(currentEventView && currentEventView.id);
       }
 
       // render table
@@ -1248,6 +1574,17 @@ document.addEventListener("DOMContentLoaded", () => {
       card.appendChild(expNote);
     }
 
+    if (record.id) card.appendChild(renderPaymentNotes(record));
+    if (record.id && Array.isArray(record.revisions) && record.revisions.length) card.appendChild(renderRevisions(record));
+
+    if (record.id) {
+      const history = document.createElement("div"); history.className = "proof-history";
+      const historyTitle = document.createElement("h4"); historyTitle.textContent = "History"; history.appendChild(historyTitle);
+      const historyList = document.createElement("ul"); historyList.className = "proof-history-list"; history.appendChild(historyList);
+      card.appendChild(history);
+      loadPaymentHistory(record.id, historyList);
+    }
+
     const actions = document.createElement("div"); actions.className = "modal-actions";
     const closeBtn = document.createElement("button"); closeBtn.className = "btn secondary"; closeBtn.type = "button"; closeBtn.textContent = "Close";
     closeBtn.addEventListener("click", () => { hide(proofModal); proofModal.innerHTML = ""; });
@@ -1263,84 +1600,226 @@ document.addEventListener("DOMContentLoaded", () => {
     show(proofModal, "block");
   }
 
-  // Update payment status (server or local fallback)
+  // ----------------------
+  // Officer notes on a payment (payment.officerNotes): public notes are shown to the student, internal ones only
+  // to officers. New notes go to POST /api/payments/:id/notes.
+  // ----------------------
+  function renderPaymentNotes(record) {
+    const wrap = document.createElement("div"); wrap.className = "proof-history";
+    const heading = document.createElement("h4"); heading.textContent = "Notes"; wrap.appendChild(heading);
+    const list = document.createElement("ul"); list.className = "proof-history-list"; wrap.appendChild(list);
+
+    function renderList() {
+      list.innerHTML = "";
+      const notes = Array.isArray(record.officerNotes) ? record.officerNotes : [];
+      if (!notes.length) {
+        list.innerHTML = `<li class="small-muted">No notes yet.</li>`;
+        return;
+      }
+      notes.forEach(n => {
+        const li = document.createElement("li");
+        const head = document.createElement("div");
+        head.className = "proof-history-head";
+        head.textContent = `${new Date(n.at).toLocaleString()} · ${n.byName || "Officer"}${n.action ? ` · ${n.action}` : ""}${n.visibility === "internal" ? " · internal" : ""}`;
+        const text = document.createElement("div");
+        text.textContent = n.text;
+        li.appendChild(head); li.appendChild(text);
+        list.appendChild(li);
+      });
+    }
+    renderList();
+
+    const form = document.createElement("div"); form.className = "note-form";
+    const textarea = document.createElement("textarea"); textarea.rows = 2; textarea.placeholder = "Add a note"; textarea.maxLength = 1000;
+    const visibility = document.createElement("select");
+    visibility.innerHTML = `<option value="public">Visible to student</option><option value="internal">Internal (officers only)</option>`;
+    const addBtn = document.createElement("button"); addBtn.type = "button"; addBtn.className = "btn small"; addBtn.textContent = "Add note";
+    addBtn.addEventListener("click", async () => {
+      const text = textarea.value.trim();
+      if (!text) return;
+      addBtn.disabled = true;
+      try {
+        const res = await fetchWithAuth(`${SERVER_BASE}/api/payments/${encodeURIComponent(record.id)}/notes`, {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify({ note: text, noteVisibility: visibility.value })
+        });
+        const payload = await res.json().catch(() => ({}));
+        if (!res.ok) throw new Error(payload.error || `Server returned ${res.status}`);
+        record.officerNotes = payload.officerNotes || [];
+        textarea.value = "";
+        renderList();
+      } catch (err) {
+        console.warn("Failed to add note:", err);
+        alert(`Could not add the note: ${err.message}`);
+      } finally {
+        addBtn.disabled = false;
+      }
+    });
+    form.appendChild(textarea); form.appendChild(visibility); form.appendChild(addBtn);
+    wrap.appendChild(form);
+    return wrap;
+  }
+
+  // Earlier submissions of a resubmitted payment (payment.revisions); proofs open via /proof-url?revision=N
+  function renderRevisions(record) {
+    const wrap = document.createElement("div"); wrap.className = "proof-history";
+    const heading = document.createElement("h4"); heading.textContent = "Earlier submissions"; wrap.appendChild(heading);
+    const list = document.createElement("ul"); list.className = "proof-history-list"; wrap.appendChild(list);
+    record.revisions.slice().reverse().forEach(rev => {
+      const li = document.createElement("li");
+      const head = document.createElement("div");
+      head.className = "proof-history-head";
+      head.textContent = `#${rev.revision} · ${rev.submittedAt ? new Date(rev.submittedAt).toLocaleString() : ""} · ${rev.status || ""}`;
+      const detail = document.createElement("div");
+      detail.className = "small-muted";
+      detail.textContent = `₱${rev.amount} · ${rev.reference || "no reference"}${rev.rejectionReason || rev.resubmissionReason ? ` · ${rev.rejectionReason || rev.resubmissionReason}` : ""}`;
+      li.appendChild(head); li.appendChild(detail);
+      if (rev.proofObjectPath) {
+        const proofBtn = document.createElement("button"); proofBtn.type = "button"; proofBtn.className = "btn small"; proofBtn.textContent = "Open proof";
+        proofBtn.addEventListener("click", async () => {
+          try {
+            const res = await fetchWithAuth(`${SERVER_BASE}/api/payments/${encodeURIComponent(record.id)}/proof-url?revision=${encodeURIComponent(rev.revision)}`, { method: 'GET' });
+            const payload = await res.json().catch(() => ({}));
+            if (!res.ok || !payload.url) throw new Error(payload.error || `Server returned ${res.status}`);
+            window.open(payload.url, "_blank");
+          } catch (err) {
+            alert(`Could not open the earlier proof: ${err.message}`);
+          }
+        });
+        li.appendChild(proofBtn);
+      }
+      list.appendChild(li);
+    });
+    return wrap;
+  }
+
+  // ----------------------
+  // Payment history (GET /api/audit?entity=payment&id=): who changed what, newest first
+  // ----------------------
+  const HISTORY_HIDDEN_FIELDS = ["updatedAt", "statusUpdatedAt"];
+
+  function historyValue(value) {
+    if (value === null || value === undefined || value === "") return "—";
+    const text = typeof value === "object" ? JSON.stringify(value) : String(value);
+    return text.length > 60 ? `${text.slice(0, 57)}...` : text;
+  }
+
+  async function loadPaymentHistory(paymentId, listEl) {
+    listEl.innerHTML = `<li class="small-muted">Loading history...</li>`;
+    try {
+      const res = await fetchWithAuth(`${SERVER_BASE}/api/audit?entity=payment&id=${encodeURIComponent(paymentId)}`, { method: 'GET' });
+      const entries = await res.json().catch(() => null);
+      if (!res.ok) throw new Error((entries && entries.error) || `Server returned ${res.status}`);
+      listEl.innerHTML = "";
+      if (!Array.isArray(entries) || !entries.length) {
+        listEl.innerHTML = `<li class="small-muted">No recorded changes yet.</li>`;
+        return;
+      }
+      entries.forEach(entry => {
+        const actor = entry.actor || {};
+        const who = actor.role === "system" ? "System" : (actor.name || actor.username || actor.email || actor.uid || "Anonymous");
+        const li = document.createElement("li");
+        const head = document.createElement("div");
+        head.className = "proof-history-head";
+        head.textContent = `${new Date(entry.at).toLocaleString()} · ${who} · ${entry.action}`;
+        li.appendChild(head);
+        if (entry.action !== "create" && entry.action !== "import") {
+          const changes = Object.keys(entry.diff || {}).filter(k => !HISTORY_HIDDEN_FIELDS.includes(k));
+          if (changes.length) {
+            const detail = document.createElement("div");
+            detail.className = "small-muted";
+            detail.textContent = changes.map(k => `${k}: ${historyValue(entry.diff[k].before)} → ${historyValue(entry.diff[k].after)}`).join("; ");
+            li.appendChild(detail);
+          }
+        }
+        listEl.appendChild(li);
+      });
+    } catch (err) {
+      console.warn("Failed to load payment history:", err);
+      listEl.innerHTML = `<li class="small-muted">Could not load history.</li>`;
+    }
+  }
+
+  // Update payment status through the server state machine (see lib/paymentStatus.js).
+  // The target status picked in the table is mapped to a transition action; the server answers 409 for illegal moves.
+  function transitionActionFor(fromStatus, toStatus) {
+    const from = normalizePaymentStatus(fromStatus);
+    const to = normalizePaymentStatus(toStatus);
+    if (from === to) return null;
+    if (to === 'approved') return 'approve';
+    if (to === 'rejected') return 'reject';
+    if (to === 'needs-resubmission') return 'request-resubmission';
+    if (to === 'pending') return from === 'approved' ? 'unapprove' : 'reopen';
+    return null;
+  }
+
+  function refreshAfterStatusChange() {
+    if (currentEventView) renderVerifyPaymentsForEvent(currentEventView.name, currentEventView.id);
+    loadEvents();
+  }
+
   async function updatePaymentStatus(record, newStatus) {
     const id = record.id || record.paymentId || null;
-    const normalized = String(newStatus || '').toLowerCase();
+    const normalized = normalizePaymentStatus(newStatus);
 
     if (!id) {
-      // local update
-      const paymentHistory = JSON.parse(localStorage.getItem("paymentHistory") || "[]");
-      let idx = paymentHistory.findIndex(r => (r.createdAt && record.createdAt && r.createdAt === record.createdAt) || (r.reference === record.reference && r.event === record.event && String(r.amount) === String(record.amount) && (r.date === record.date)));
-      if (idx === -1) { idx = paymentHistory.findIndex(r => r.org === record.org && r.event === record.event && r.reference === record.reference); }
-      if (idx === -1) { alert("Could not find payment to update."); return; }
-      paymentHistory[idx].status = normalized;
-      paymentHistory[idx].verifiedBy = localStorage.getItem("officerOrg") || profileOrg?.value || "Officer";
-      paymentHistory[idx].verifiedAt = new Date().toISOString();
-      localStorage.setItem("paymentHistory", JSON.stringify(paymentHistory));
-      if (currentEventView) renderVerifyPaymentsForEvent(currentEventView.name, currentEventView.id);
-      loadEvents();
-      alert(`Payment status updated to "${newStatus}" (local)`);
+      // Local-only record (saved offline, never reached the server): statuses only change through the server's
+      // state machine, never by editing the browser copy
+      alert("This payment only exists in this browser; it must be synced to the server before its status can change.");
+      refreshAfterStatusChange();
       return;
     }
 
-    try {
-      if (normalized === 'approved') {
-        const endpoint = `${SERVER_BASE}/api/payments/${encodeURIComponent(id)}/approve`;
-        const res = await fetchWithAuth(endpoint, { method: 'POST' });
-        if (!res.ok) {
-          const txt = await res.text().catch(()=> '');
-          throw new Error(txt || 'Server error');
-        }
-        const updated = await res.json();
-        const paymentHistory = JSON.parse(localStorage.getItem("paymentHistory") || "[]");
-        const idx = paymentHistory.findIndex(p => p.id === id || (p.reference === record.reference && p.event === record.event));
-        if (idx !== -1) {
-          paymentHistory[idx] = Object.assign({}, paymentHistory[idx], updated);
-          localStorage.setItem("paymentHistory", JSON.stringify(paymentHistory));
-        }
-        if (currentEventView) renderVerifyPaymentsForEvent(currentEventView.name, currentEventView.id);
-        loadEvents();
-        alert(`Payment marked ${newStatus}`);
+    const action = transitionActionFor(record.status, normalized);
+    if (!action) { refreshAfterStatusChange(); return; }
+
+    const body = {};
+    if (action === 'reject' || action === 'request-resubmission') {
+      const reason = prompt(action === 'reject' ? 'Reason for rejecting this payment:' : 'What should the student fix before resubmitting?');
+      if (!reason || !reason.trim()) {
+        alert('A reason is required.');
+        refreshAfterStatusChange();
         return;
       }
+      body.reason = reason.trim();
+    } else {
+      // optional note shown to the student in their payment history (internal notes: use the proof modal)
+      const note = prompt('Note for the student (optional):', '');
+      if (note && note.trim()) body.note = note.trim();
+    }
 
-      // normalized === 'pending' attempt server unapprove
-      try {
-        const endpoint = `${SERVER_BASE}/api/payments/${encodeURIComponent(id)}/unapprove`;
-        const res = await fetchWithAuth(endpoint, { method: 'POST' });
-        if (res.ok) {
-          const updated = await res.json();
-          const paymentHistory = JSON.parse(localStorage.getItem("paymentHistory") || "[]");
-          const idx = paymentHistory.findIndex(p => p.id === id || (p.reference === record.reference && p.event === record.event));
-          if (idx !== -1) {
-            paymentHistory[idx] = Object.assign({}, paymentHistory[idx], updated);
-            localStorage.setItem("paymentHistory", JSON.stringify(paymentHistory));
-          }
-          if (currentEventView) renderVerifyPaymentsForEvent(currentEventView.name, currentEventView.id);
-          loadEvents();
-          alert('Marked as Pending (server persisted)');
-          return;
+    try {
+      const endpoint = `${SERVER_BASE}/api/payments/${encodeURIComponent(id)}/${action}`;
+      const res = await fetchWithAuth(endpoint, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(body)
+      });
+      const payload = await res.json().catch(() => ({}));
+      if (!res.ok) {
+        if (res.status === 409) {
+          alert(`Status change not allowed: ${payload.error || 'illegal transition'}`);
+        } else {
+          alert(`Failed to update status: ${payload.error || `Server error ${res.status}`}`);
         }
-      } catch (e) {
-        console.debug('unapprove endpoint missing or failed:', e);
+        refreshAfterStatusChange();
+        return;
       }
 
-      // fallback local update
-      record.status = 'pending';
       const paymentHistory = JSON.parse(localStorage.getItem("paymentHistory") || "[]");
-      const idxLocal = paymentHistory.findIndex(p => p.id === id || (p.reference === record.reference && p.event === record.event));
-      if (idxLocal !== -1) {
-        paymentHistory[idxLocal].status = 'pending';
+      const idx = paymentHistory.findIndex(p => p.id === id);
+      if (idx !== -1) {
+        paymentHistory[idx] = Object.assign({}, paymentHistory[idx], payload);
         localStorage.setItem("paymentHistory", JSON.stringify(paymentHistory));
       }
-      if (currentEventView) renderVerifyPaymentsForEvent(currentEventView.name, currentEventView.id);
-      loadEvents();
-      alert('Marked as Pending (local update). To persist this change server-side, add a /api/payments/:id/unapprove endpoint on the server.');
+      record.status = payload.status || normalized;
+      refreshAfterStatusChange();
+      alert(`Payment marked ${(PAYMENT_STATUS_OPTIONS.find(o => o.value === record.status) || {}).label || record.status}`);
     } catch (err) {
       console.error('Failed to update status via server:', err);
       alert('Failed to update status on server. Check console.');
-      if (currentEventView) renderVerifyPaymentsForEvent(currentEventView.name, currentEventView.id);
+      refreshAfterStatusChange();
     }
   }
 
@@ -1350,8 +1829,14 @@ document.addEventListener("DOMContentLoaded", () => {
     if (eventPaymentsHeading) eventPaymentsHeading.textContent = `Payments — ${eventObj.name}`;
     hide(eventsCard); hide(addEventForm); hide(profileForm); show(verifyPaymentsSection, "");
     ensureStatsElements();
-    // reset active filters when opening an event
+    // reset active filters (and paging) when opening an event
     activeFilters = { years: [], blocks: [] };
+    resetVerifyPaging();
+    if (verifySearchInput) {
+      verifySearchInput.value = "";
+      // search runs on the server, so events that only exist in this browser do not get the box
+      verifySearchInput.parentElement.classList.toggle("hidden", !eventObj.id);
+    }
     renderVerifyPaymentsForEvent(eventObj.name, eventObj.id);
     try { window.scrollTo({ top: 0, behavior: "smooth" }); } catch {}
   }
@@ -1366,6 +1851,166 @@ document.addEventListener("DOMContentLoaded", () => {
     });
   }
 
+  // ----------------------
+  // Clearance view: students who still owe a mandatory fee for the selected term (server only)
+  // ----------------------
+  async function loadClearance(term = "") {
+    if (!clearanceTableBody) return;
+    clearanceTableBody.innerHTML = `<tr><td colspan="5" style="text-align:center;padding:18px">Loading...</td></tr>`;
+    try {
+      const params = new URLSearchParams();
+      if (term) params.append('term', term);
+      const orgId = getCurrentOrgId();
+      if (orgId) params.append('orgId', orgId);
+      else if (getCurrentOrg()) params.append('org', getCurrentOrg());
+      const res = await fetchWithAuth(`${SERVER_BASE}/api/clearance?${params.toString()}`, { method: 'GET' });
+      const data = await res.json().catch(() => null);
+      if (!res.ok) throw new Error((data && data.error) || `Server returned ${res.status}`);
+
+      if (clearanceTermSelect) {
+        const terms = Array.from(new Set([data.term, ...(data.terms || [])].filter(Boolean)));
+        clearanceTermSelect.innerHTML = "";
+        terms.concat(["all"]).forEach(t => {
+          const opt = document.createElement("option");
+          opt.value = t;
+          opt.textContent = t === "all" ? "All terms" : t;
+          clearanceTermSelect.appendChild(opt);
+        });
+        clearanceTermSelect.value = data.term || "all";
+      }
+      if (clearanceSummary) {
+        const count = (data.mandatoryEvents || []).length;
+        clearanceSummary.textContent = count
+          ? `${data.totals.uncleared} of ${data.totals.students} student(s) not cleared · ${count} mandatory event(s): ${data.mandatoryEvents.map(e => e.name).join(", ")}`
+          : "No mandatory events for this term. Mark events as mandatory in the event form.";
+      }
+
+      clearanceTableBody.innerHTML = "";
+      if (!data.students.length) {
+        clearanceTableBody.innerHTML = `<tr><td colspan="5" style="text-align:center;padding:18px">Everyone is cleared</td></tr>`;
+        return;
+      }
+      data.students.forEach(st => {
+        const tr = document.createElement("tr");
+        const cells = [
+          st.studentName || "",
+          st.email || "",
+          [st.year, st.block].filter(Boolean).join(" / "),
+          st.items.map(i => `${i.eventName}${i.status === "pending" ? " (pending verification)" : ""}`).join(", "),
+          `₱${Number(st.balance || 0).toFixed(2)}`
+        ];
+        cells.forEach(text => {
+          const td = document.createElement("td");
+          td.textContent = text;
+          tr.appendChild(td);
+        });
+        clearanceTableBody.appendChild(tr);
+      });
+    } catch (err) {
+      console.warn("Failed to load clearance:", err);
+      clearanceTableBody.innerHTML = `<tr><td colspan="5" style="text-align:center;padding:18px">Could not load clearance</td></tr>`;
+    }
+  }
+
+  if (clearanceBtn) {
+    clearanceBtn.addEventListener("click", () => {
+      hide(eventsCard); hide(addEventForm); hide(profileForm); hide(verifyPaymentsSection);
+      show(clearanceView, "");
+      loadClearance();
+    });
+  }
+  if (clearanceTermSelect) clearanceTermSelect.addEventListener("change", () => loadClearance(clearanceTermSelect.value));
+  if (backFromClearanceBtn) backFromClearanceBtn.addEventListener("click", () => showEvents());
+
+  // ----------------------
+  // Academic terms (GET /api/terms): the events list shows one term at a time (default: the current term) and the
+  // event form picks the event's term. Admins can roll the selected term over, which archives its events.
+  // ----------------------
+  async function loadTerms() {
+    try {
+      const res = await fetch(`${SERVER_BASE}/api/terms`);
+      if (!res.ok) throw new Error(`Server returned ${res.status}`);
+      const list = await res.json();
+      termsCache = Array.isArray(list) ? list : [];
+    } catch (err) {
+      console.warn("Failed to load terms:", err);
+      termsCache = [];
+    }
+    if (selectedEventsTerm === null || (selectedEventsTerm && !termsCache.some(t => t.id === selectedEventsTerm))) {
+      const current = termsCache.find(t => t.current);
+      selectedEventsTerm = current ? current.id : "";
+    }
+    renderTermOptions();
+  }
+
+  function termLabel(term) {
+    if (term.current) return `${term.name} (current)`;
+    if (term.status === "archived") return `${term.name} (archived)`;
+    return term.name;
+  }
+
+  function renderTermOptions() {
+    if (eventsTermSelect) {
+      eventsTermSelect.innerHTML = "";
+      [{ id: "", name: "All terms" }].concat(termsCache).forEach(t => {
+        const opt = document.createElement("option");
+        opt.value = t.id;
+        opt.textContent = t.id ? termLabel(t) : t.name;
+        eventsTermSelect.appendChild(opt);
+      });
+      eventsTermSelect.value = selectedEventsTerm || "";
+      if (termsCache.length) show(eventsTermSelect, ""); else hide(eventsTermSelect);
+    }
+    if (eventTermInput) {
+      const value = eventTermInput.value;
+      eventTermInput.innerHTML = "";
+      [{ id: "", name: "Auto (from the deadline)" }].concat(termsCache).forEach(t => {
+        const opt = document.createElement("option");
+        opt.value = t.id;
+        opt.textContent = t.id ? termLabel(t) : t.name;
+        eventTermInput.appendChild(opt);
+      });
+      eventTermInput.value = value;
+    }
+    if (rolloverTermBtn) {
+      const selected = termsCache.find(t => t.id === selectedEventsTerm);
+      const isAdmin = officerIdentity && officerIdentity.role === "admin";
+      if (isAdmin && selected && selected.status !== "archived") show(rolloverTermBtn, ""); else hide(rolloverTermBtn);
+    }
+  }
+
+  if (eventsTermSelect) {
+    eventsTermSelect.addEventListener("change", () => {
+      selectedEventsTerm = eventsTermSelect.value;
+      renderTermOptions();
+      loadEvents();
+    });
+  }
+
+  if (rolloverTermBtn) {
+    rolloverTermBtn.addEventListener("click", async () => {
+      const term = termsCache.find(t => t.id === selectedEventsTerm);
+      if (!term) return;
+      if (!confirm(`Roll over ${term.name}? Its events (all organizations) are closed and archived, not deleted, and the next term becomes the current term.`)) return;
+      try {
+        const res = await fetchWithAuth(`${SERVER_BASE}/api/terms/${encodeURIComponent(term.id)}/rollover`, {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify({})
+        });
+        const data = await res.json().catch(() => null);
+        if (!res.ok) throw new Error((data && data.error) || `Server returned ${res.status}`);
+        alert(`${data.archivedTerm.name} archived (${data.archivedEvents} event(s)). Current term: ${data.currentTerm.name}`);
+        selectedEventsTerm = data.currentTerm.id;
+        await loadTerms();
+        loadEvents();
+      } catch (err) {
+        console.warn("Term rollover failed:", err);
+        alert(`Term rollover failed: ${err.message}`);
+      }
+    });
+  }
+
   // ----------------------
   // Filter drawer implementation (server-side filters with client fallback)
   // ----------------------
@@ -1706,6 +2351,12 @@ document.addEventListener("DOMContentLoaded", () => {
     // normalize selections and set activeFilters
     activeFilters.years = Array.isArray(years) ? years.filter(Boolean) : [];
     activeFilters.blocks = Array.isArray(blocks) ? blocks.filter(Boolean) : [];
+    resetVerifyPaging();
+    if (currentEventView.id) {
+      // server events: the paged view applies the filters itself
+      renderVerifyPaymentsForEvent(currentEventView.name, currentEventView.id);
+      return;
+    }
 
     try {
       const payload = await fetchPaymentsWithFilters({ eventId: currentEventView.id, years: activeFilters.years, blocks: activeFilters.blocks });
@@ -1779,6 +2430,182 @@ document.addEventListener("DOMContentLoaded", () => {
     });
   }
 
+  // Export button wiring (uses the same filters as the table)
+  if (exportBtn) {
+    exportBtn.addEventListener("click", async () => {
+      if (!currentEventView || !currentEventView.id) {
+        alert("Open a server event to export its payments.");
+        return;
+      }
+      exportBtn.disabled = true;
+      try {
+        await downloadPaymentsExport({
+          eventId: currentEventView.id,
+          years: activeFilters.years,
+          blocks: activeFilters.blocks,
+          format: exportFormatSelect ? exportFormatSelect.value : "csv"
+        });
+      } catch (err) {
+        console.warn('Export failed:', err);
+        alert(`Export failed: ${err.message}`);
+      } finally {
+        exportBtn.disabled = false;
+      }
+    });
+  }
+
+  // ----------------------
+  // Cash / offline import: upload a CSV, preview it (dry run), then import when there are no row errors
+  // ----------------------
+  async function postPaymentsImport({ eventId, file, method, dryRun }) {
+    const form = new FormData();
+    form.append('eventId', eventId);
+    form.append('method', method);
+    form.append('dryRun', dryRun ? 'true' : 'false');
+    form.append('file', file, file.name || 'payments.csv');
+    const res = await fetchWithAuth(`${SERVER_BASE}/api/payments/import`, { method: 'POST', body: form });
+    const body = await res.json().catch(() => null);
+    // 422 still carries the preview (rows with errors)
+    if (!res.ok && !(res.status === 422 && body && body.rows)) {
+      throw new Error((body && body.error) || `Server returned ${res.status}`);
+    }
+    return body;
+  }
+
+  function renderImportPreview(container, preview) {
+    container.innerHTML = "";
+    const summary = preview.summary || {};
+    const summaryEl = document.createElement("div");
+    summaryEl.className = "import-summary";
+    summaryEl.textContent = `${summary.rows || 0} row(s): ${summary.valid || 0} ready, ${summary.withErrors || 0} with errors, ` +
+      `${summary.withWarnings || 0} with warnings · total ₱${Number(summary.totalAmount || 0).toFixed(2)}`;
+    if (summary.unknownHeaders && summary.unknownHeaders.length) {
+      summaryEl.textContent += ` · ignored columns: ${summary.unknownHeaders.join(", ")}`;
+    }
+    container.appendChild(summaryEl);
+
+    const wrap = document.createElement("div");
+    wrap.className = "table-wrap";
+    const table = document.createElement("table");
+    table.className = "table import-table";
+    table.innerHTML = `<thead><tr><th>Line</th><th>Student</th><th>Email</th><th>Year</th><th>Block</th><th>Amount</th><th>Reference</th><th>Method</th><th>Issues</th></tr></thead>`;
+    const tbody = document.createElement("tbody");
+    (preview.rows || []).forEach(row => {
+      const tr = document.createElement("tr");
+      if (row.errors.length) tr.className = "import-row--error";
+      else if (row.warnings.length) tr.className = "import-row--warning";
+      const d = row.data || {};
+      [row.line, d.studentName, d.email, d.year, d.block, d.amount !== null ? `₱${d.amount}` : "", d.reference, d.method].forEach(v => {
+        const td = document.createElement("td");
+        td.textContent = v === null || v === undefined ? "" : String(v);
+        tr.appendChild(td);
+      });
+      const issuesTd = document.createElement("td");
+      const issues = row.errors.map(e => `Error: ${e}`).concat(row.warnings.map(w => `Warning: ${w}`));
+      if (issues.length) {
+        const ul = document.createElement("ul");
+        ul.className = "import-issues";
+        issues.forEach(text => { const li = document.createElement("li"); li.textContent = text; ul.appendChild(li); });
+        issuesTd.appendChild(ul);
+      } else {
+        issuesTd.textContent = "OK";
+      }
+      tr.appendChild(issuesTd);
+      tbody.appendChild(tr);
+    });
+    table.appendChild(tbody);
+    wrap.appendChild(table);
+    container.appendChild(wrap);
+  }
+
+  function openImportDialog() {
+    if (!currentEventView || !currentEventView.id) {
+      alert("Open a server event to import cash payments for it.");
+      return;
+    }
+    const eventForImport = currentEventView;
+    const overlay = document.createElement("div");
+    overlay.className = "import-overlay";
+    overlay.innerHTML = `
+      <div class="import-dialog" role="dialog" aria-modal="true">
+        <h3>Import cash / offline payments</h3>
+        <p class="small-muted">CSV columns: student name, email, year, block, amount, reference, method (cash or offline).
+          Imported payments are recorded as approved for <strong></strong>.</p>
+        <div class="import-controls">
+          <input type="file" accept=".csv,text/csv" class="import-file">
+          <label>Default method
+            <select class="import-method export-format">
+              <option value="cash">Cash</option>
+              <option value="offline">Offline</option>
+            </select>
+          </label>
+          <button type="button" class="btn secondary import-preview-btn">Preview</button>
+        </div>
+        <div class="import-preview"></div>
+        <div class="import-actions">
+          <button type="button" class="btn secondary import-cancel-btn">Close</button>
+          <button type="button" class="btn primary import-confirm-btn" disabled>Import</button>
+        </div>
+      </div>`;
+    overlay.querySelector("strong").textContent = eventForImport.name || "this event";
+    document.body.appendChild(overlay);
+
+    const fileInput = overlay.querySelector(".import-file");
+    const methodSelect = overlay.querySelector(".import-method");
+    const previewBtn = overlay.querySelector(".import-preview-btn");
+    const confirmBtn = overlay.querySelector(".import-confirm-btn");
+    const previewEl = overlay.querySelector(".import-preview");
+    const close = () => { if (overlay.parentNode) overlay.parentNode.removeChild(overlay); };
+    overlay.querySelector(".import-cancel-btn").addEventListener("click", close);
+    overlay.addEventListener("click", (e) => { if (e.target === overlay) close(); });
+    // a new file or method needs a new preview before importing
+    [fileInput, methodSelect].forEach(el => el.addEventListener("change", () => { confirmBtn.disabled = true; }));
+
+    previewBtn.addEventListener("click", async () => {
+      const file = fileInput.files && fileInput.files[0];
+      if (!file) { alert("Choose a CSV file first."); return; }
+      previewBtn.disabled = true;
+      previewEl.innerHTML = "<p class='small-muted'>Checking rows...</p>";
+      try {
+        const preview = await postPaymentsImport({ eventId: eventForImport.id, file, method: methodSelect.value, dryRun: true });
+        renderImportPreview(previewEl, preview);
+        const summary = preview.summary || {};
+        confirmBtn.disabled = !(summary.valid > 0 && !summary.withErrors);
+        confirmBtn.textContent = `Import ${summary.valid || 0} payment(s)`;
+      } catch (err) {
+        previewEl.innerHTML = "";
+        alert(`Preview failed: ${err.message}`);
+      } finally {
+        previewBtn.disabled = false;
+      }
+    });
+
+    confirmBtn.addEventListener("click", async () => {
+      const file = fileInput.files && fileInput.files[0];
+      if (!file) return;
+      confirmBtn.disabled = true;
+      try {
+        const result = await postPaymentsImport({ eventId: eventForImport.id, file, method: methodSelect.value, dryRun: false });
+        if (result && result.rows && !result.created) {
+          // rows changed since the preview (e.g. a reference was used meanwhile)
+          renderImportPreview(previewEl, result);
+          alert(result.error || "Some rows have errors; nothing was imported.");
+          return;
+        }
+        alert(`Imported ${result.created} payment(s).`);
+        close();
+        if (currentEventView && currentEventView.id === eventForImport.id) {
+          renderVerifyPaymentsForEvent(currentEventView.name, currentEventView.id);
+        }
+      } catch (err) {
+        confirmBtn.disabled = false;
+        alert(`Import failed: ${err.message}`);
+      }
+    });
+  }
+
+  if (importBtn) importBtn.addEventListener("click", openImportDialog);
+
   // ----------------------
   // Profile dropdown wiring & logout
   // ----------------------
@@ -1851,7 +2678,8 @@ document.addEventListener("DOMContentLoaded", () => {
 
   if (logoutBtn) {
     logoutBtn.addEventListener("click", () => {
-      // Keep profile data per-org; just navigate away
+      // Keep profile data per-org; drop the session token and navigate away
+      clearOfficerSession();
       window.location.href = "index.html";
     });
   }
@@ -1864,11 +2692,43 @@ document.addEventListener("DOMContentLoaded", () => {
     });
   }
 
-  // initialize
-  ensureProfileButtonWorks();
-  loadProfile();
-  loadEvents();
-  showEvents();
+  // initialize (after the server has confirmed who is logged in)
+  (async () => {
+    if (!(await loadOfficerIdentity())) return;
+    ensureProfileButtonWorks();
+    startLiveUpdates();
+    loadProfile();
+    await loadTerms();
+    loadEvents();
+    showEvents();
+  })();
+
+  // Server-pushed changes for this officer's org (routes/stream.js)
+  function startLiveUpdates() {
+    let bell = null;
+    const refreshVerifyTable = coalesce(() => {
+      if (currentEventView) renderVerifyPaymentsForEvent(currentEventView.name, currentEventView.id);
+    });
+    const onPayment = ({ payment }) => {
+      if (!currentEventView || !payment) return;
+      if (payment.eventId ? payment.eventId === currentEventView.id : payment.event === currentEventView.name) refreshVerifyTable();
+    };
+    const refreshEvents = coalesce(() => loadEvents());
+    const live = openLiveUpdates({
+      serverBase: SERVER_BASE,
+      getToken: getIdToken,
+      handlers: {
+        "payment.created": onPayment,
+        "payment.status-changed": onPayment,
+        "event.created": refreshEvents,
+        "event.updated": refreshEvents,
+        "event.deleted": refreshEvents,
+        "notification.created": coalesce(() => bell && bell.refresh())
+      }
+    });
+    // the stream pushes new notifications; poll only when it is unavailable
+    bell = mountNotificationBell({ root: document.getElementById("notificationBell"), serverBase: SERVER_BASE, fetchWithAuth, pollSeconds: live ? 0 : undefined });
+  }
 
   // ----------------------
   // Client-side helpers for uploading events with QR as File (FormData)
@@ -1898,7 +2758,7 @@ document.addEventListener("DOMContentLoaded", () => {
   // POST FormData helper
   async function postEventToServer(formData) {
     try {
-      const res = await fetch(`${SERVER_BASE}/api/events`, {
+      const res = await fetchWithAuth(`${SERVER_BASE}/api/events`, {
         method: 'POST',
         body: formData // browser sets the multipart Content-Type boundary
       });
@@ -1912,6 +2772,35 @@ document.addEventListener("DOMContentLoaded", () => {
     }
   }
 
+  // Eligibility form helpers: inputs <-> { colleges: [], departments: [], programs: [], years: [], blocks: [] }
+  function readEligibilityInputs() {
+    const eligibility = {};
+    let restricted = false;
+    Object.keys(eligibilityInputs).forEach(key => {
+      const input = eligibilityInputs[key];
+      const values = input ? input.value.split(",").map(v => v.trim()).filter(Boolean) : [];
+      eligibility[key] = values;
+      if (values.length) restricted = true;
+    });
+    return restricted ? eligibility : null;
+  }
+
+  function fillEligibilityInputs(eligibility) {
+    Object.keys(eligibilityInputs).forEach(key => {
+      const input = eligibilityInputs[key];
+      if (input) input.value = eligibility && Array.isArray(eligibility[key]) ? eligibility[key].join(", ") : "";
+    });
+  }
+
+  function describeEligibility(eligibility) {
+    if (!eligibility) return "All students";
+    const labels = { colleges: "Colleges", departments: "Departments", programs: "Programs", years: "Years", blocks: "Blocks" };
+    return Object.keys(labels)
+      .filter(key => eligibility[key] && eligibility[key].length)
+      .map(key => `${labels[key]}: ${eligibility[key].join(", ")}`)
+      .join("; ");
+  }
+
   // Add Event wiring
   if (addEventBtn) {
     addEventBtn.addEventListener("click", () => {
@@ -1920,6 +2809,10 @@ document.addEventListener("DOMContentLoaded", () => {
       if (eventNameInput) eventNameInput.value = "";
       if (eventDeadlineInput) eventDeadlineInput.value = "";
       if (eventFeeInput) eventFeeInput.value = "";
+      if (eventLateFeeInput) eventLateFeeInput.value = "";
+      if (eventMandatoryInput) eventMandatoryInput.checked = false;
+      if (eventTermInput) eventTermInput.value = "";
+      fillEligibilityInputs(null);
       if (receiverNumberInput) receiverNumberInput.value = "";
       if (receiverNameInput) receiverNameInput.value = "";
       if (receiverQRInput) receiverQRInput.value = "";
@@ -1976,6 +2869,12 @@ document.addEventListener("DOMContentLoaded", () => {
     if (confirmEventName) confirmEventName.textContent = eventNameInput.value;
     if (confirmDeadline) confirmDeadline.textContent = eventDeadlineInput.value;
     if (confirmAmount) confirmAmount.textContent = eventFeeInput.value;
+    if (confirmEligibility) confirmEligibility.textContent = describeEligibility(readEligibilityInputs());
+    if (confirmLateFee) confirmLateFee.textContent = eventLateFeeInput && eventLateFeeInput.value ? eventLateFeeInput.value : "None";
+    if (confirmMandatory) {
+      const term = eventTermInput && eventTermInput.value ? eventTermInput.options[eventTermInput.selectedIndex].textContent : "";
+      confirmMandatory.textContent = eventMandatoryInput && eventMandatoryInput.checked ? `Yes${term ? ` (${term})` : ""}` : "No";
+    }
     if (confirmNumber) confirmNumber.textContent = receiverNumberInput.value;
     if (confirmName) confirmName.textContent = receiverNameInput.value;
     if (step1) hide(step1);
@@ -1992,6 +2891,11 @@ document.addEventListener("DOMContentLoaded", () => {
       const newEventData = {
         name: eventNameInput ? eventNameInput.value : "",
         fee: eventFeeInput ? Number(eventFeeInput.value) : 0,
+        lateFee: eventLateFeeInput && eventLateFeeInput.value ? Number(eventLateFeeInput.value) : null,
+        eligibility: readEligibilityInputs(),
+        mandatory: Boolean(eventMandatoryInput && eventMandatoryInput.checked),
+        termId: eventTermInput ? eventTermInput.value : "",
+        term: eventTermInput && eventTermInput.value ? (termsCache.find(t => t.id === eventTermInput.value) || {}).name || "" : "",
         deadline: eventDeadlineInput ? eventDeadlineInput.value : "",
         status: "Open",
         org: getCurrentOrg(),
@@ -2009,6 +2913,10 @@ document.addEventListener("DOMContentLoaded", () => {
           const form = new FormData();
           if (newEventData.name) form.append('name', newEventData.name);
           form.append('fee', String(newEventData.fee || 0));
+          form.append('lateFee', newEventData.lateFee !== null ? String(newEventData.lateFee) : '');
+          form.append('eligibility', newEventData.eligibility ? JSON.stringify(newEventData.eligibility) : '');
+          form.append('mandatory', newEventData.mandatory ? 'true' : 'false');
+          form.append('termId', newEventData.termId || '');
           if (newEventData.deadline) form.append('deadline', newEventData.deadline);
           if (newEventData.orgId) form.append('orgId', newEventData.orgId);
           else if (newEventData.org) form.append('org', newEventData.org);
@@ -2057,6 +2965,10 @@ document.addEventListener("DOMContentLoaded", () => {
           if (eventNameInput) eventNameInput.value = "";
           if (eventDeadlineInput) eventDeadlineInput.value = "";
           if (eventFeeInput) eventFeeInput.value = "";
+          if (eventLateFeeInput) eventLateFeeInput.value = "";
+          if (eventMandatoryInput) eventMandatoryInput.checked = false;
+          if (eventTermInput) eventTermInput.value = "";
+          fillEligibilityInputs(null);
           if (receiverNumberInput) receiverNumberInput.value = "";
           if (receiverNameInput) receiverNameInput.value = "";
           if (receiverQRInput) receiverQRInput.value = "";
@@ -2072,6 +2984,10 @@ document.addEventListener("DOMContentLoaded", () => {
         const form = new FormData();
         form.append('name', newEventData.name || '');
         form.append('fee', String(newEventData.fee || 0));
+        if (newEventData.lateFee !== null) form.append('lateFee', String(newEventData.lateFee));
+        if (newEventData.eligibility) form.append('eligibility', JSON.stringify(newEventData.eligibility));
+        if (newEventData.mandatory) form.append('mandatory', 'true');
+        if (newEventData.termId) form.append('termId', newEventData.termId);
         if (newEventData.deadline) form.append('deadline', newEventData.deadline);
         if (newEventData.orgId) form.append('orgId', newEventData.orgId);
         else if (newEventData.org) form.append('org', newEventData.org);
@@ -2155,6 +3071,10 @@ document.addEventListener("DOMContentLoaded", () => {
       if (eventNameInput) eventNameInput.value = "";
       if (eventDeadlineInput) eventDeadlineInput.value = "";
       if (eventFeeInput) eventFeeInput.value = "";
+      if (eventLateFeeInput) eventLateFeeInput.value = "";
+      if (eventMandatoryInput) eventMandatoryInput.checked = false;
+      if (eventTermInput) eventTermInput.value = "";
+      fillEligibilityInputs(null);
       if (receiverNumberInput) receiverNumberInput.value = "";
       if (receiverNameInput) receiverNameInput.value = "";
       if (receiverQRInput) receiverQRInput.value = "";
@@ -2167,6 +3087,11 @@ document.addEventListener("DOMContentLoaded", () => {
   // storage events to sync across tabs
   window.addEventListener("storage", (ev) => {
     if (!ev.key) return;
+    if (ev.key === "officerToken" && !ev.newValue) {
+      // logged out in another tab
+      window.location.href = "index.html";
+      return;
+    }
     if (["paymentHistory","officerOrg","officerProfile","officerProfiles","events","orgsLastUpdated","officerOrgId"].includes(ev.key)) {
       loadProfile();
       loadEvents();
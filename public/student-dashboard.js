@@ -7,6 +7,11 @@
 // - NEW: fetches organizations from /api/orgs and events from /api/events?orgId=... (server-preferred).
 // - NEW: reacts to a small localStorage signal ('orgsLastUpdated') so open tabs refresh org list quicker.
 // - NEW: fallback: when /api/orgs returns empty, derive org list from /api/events so students still see orgs.
+// - Notification bell in the header (notification-bell.js); shown once the student is signed in.
+// - Live updates (live-updates.js, GET /api/stream): payment history, statement and bell refresh when an officer acts.
+
+import { mountNotificationBell } from "./notification-bell.js";
+import { openLiveUpdates, coalesce } from "./live-updates.js";
 
 document.addEventListener("DOMContentLoaded", () => {
   // Use localhost only for local development; on deployed site use same-origin (empty string -> '/api/...')
@@ -57,8 +62,19 @@ document.addEventListener("DOMContentLoaded", () => {
     amountInfo: document.getElementById("amountInfo"),
 
     historyTableBody: document.getElementById("historyTableBody"),
+    statementBlock: document.getElementById("statementBlock"),
+    statementTotals: document.getElementById("statementTotals"),
+    statementTableBody: document.getElementById("statementTableBody"),
     cancelPaymentBtn: document.getElementById("cancelPaymentBtn"),
 
+    resubmitSection: document.getElementById("resubmitSection"),
+    resubmitInfo: document.getElementById("resubmitInfo"),
+    resubmitForm: document.getElementById("resubmitForm"),
+    resubmitAmount: document.getElementById("resubmitAmount"),
+    resubmitReference: document.getElementById("resubmitReference"),
+    resubmitProof: document.getElementById("resubmitProof"),
+    cancelResubmitBtn: document.getElementById("cancelResubmitBtn"),
+
     // dynamic/optional
     confirmOkBtn: null,
     backToSelectBtn: document.getElementById("backToSelectBtn"),
@@ -109,6 +125,14 @@ document.addEventListener("DOMContentLoaded", () => {
     } catch { return iso; }
   }
 
+  // Display label for payment statuses (pending, approved, rejected, needs-resubmission, withdrawn)
+  function formatPaymentStatus(status) {
+    const s = String(status || "").trim().toLowerCase().replace(/[\s_]+/g, "-");
+    if (!s) return "";
+    if (s === "needs-resubmission") return "Needs Resubmission";
+    return s.charAt(0).toUpperCase() + s.slice(1);
+  }
+
   function canonicalOrgNameClient(name) {
     try {
       return String(name || '').trim().toLowerCase();
@@ -165,7 +189,12 @@ document.addEventListener("DOMContentLoaded", () => {
     });
     if (!res.ok) {
       const txt = await res.text().catch(()=> '');
-      throw new Error(txt || `Server error ${res.status}`);
+      let body = null;
+      try { body = JSON.parse(txt); } catch (e) { /* not JSON */ }
+      const err = new Error((body && body.error) || txt || `Server error ${res.status}`);
+      err.status = res.status;
+      err.body = body;
+      throw err;
     }
     return res.json();
   }
@@ -202,7 +231,8 @@ document.addEventListener("DOMContentLoaded", () => {
     try {
       // Prefer orgId query if available
       const query = orgId ? `orgId=${encodeURIComponent(orgId)}` : `org=${encodeURIComponent(orgNameFallback)}`;
-      const res = await fetch(`${SERVER_BASE}/api/events?${query}`);
+      // Sent with the student's token so the server only returns events they are eligible for
+      const res = await fetchWithAuth(`${SERVER_BASE}/api/events?${query}`);
       if (!res.ok) throw new Error(`Status ${res.status}`);
       const events = await res.json();
       if (!Array.isArray(events)) return [];
@@ -334,17 +364,231 @@ document.addEventListener("DOMContentLoaded", () => {
       const tdEvent = document.createElement("td"); tdEvent.textContent = record.event || record.purpose || record.name || "";
       const tdAmount = document.createElement("td"); tdAmount.textContent = `₱${record.amount || ""}`;
       const tdRef = document.createElement("td"); tdRef.textContent = record.reference || "";
-      const tdStatus = document.createElement("td"); tdStatus.textContent = (record.status || "").charAt(0).toUpperCase() + (record.status || "").slice(1) || "";
-      tr.appendChild(tdDate); tr.appendChild(tdEvent); tr.appendChild(tdAmount); tr.appendChild(tdRef); tr.appendChild(tdStatus);
+      const tdStatus = document.createElement("td"); tdStatus.textContent = formatPaymentStatus(record.status);
+      const statusReason = record.rejectionReason || record.resubmissionReason || "";
+      if (statusReason) {
+        const reasonEl = document.createElement("div");
+        reasonEl.className = "small-muted";
+        reasonEl.textContent = statusReason;
+        tdStatus.appendChild(reasonEl);
+      }
+      // officers' public notes (the server leaves internal notes out)
+      (Array.isArray(record.officerNotes) ? record.officerNotes : []).forEach(note => {
+        if (note.visibility !== "public" || note.text === statusReason) return;
+        const noteEl = document.createElement("div");
+        noteEl.className = "small-muted officer-note";
+        noteEl.textContent = `Officer: ${note.text}`;
+        noteEl.title = note.at ? formatDateIso(note.at) : "";
+        tdStatus.appendChild(noteEl);
+      });
+      // rejected / returned payments stored on the server can be fixed and sent again
+      if (["Rejected", "Needs Resubmission"].includes(formatPaymentStatus(record.status)) && record.id && getIdToken()) {
+        const resubmitBtn = document.createElement("button");
+        resubmitBtn.type = "button";
+        resubmitBtn.className = "btn secondary resubmit-btn";
+        resubmitBtn.textContent = "Resubmit";
+        resubmitBtn.addEventListener("click", () => showResubmitForm(record));
+        tdStatus.appendChild(document.createElement("br"));
+        tdStatus.appendChild(resubmitBtn);
+      }
+      // payments still awaiting verification can be cancelled (e.g. sent for the wrong event)
+      if (formatPaymentStatus(record.status) === "Pending" && record.id && getIdToken()) {
+        const withdrawBtn = document.createElement("button");
+        withdrawBtn.type = "button";
+        withdrawBtn.className = "btn secondary resubmit-btn";
+        withdrawBtn.textContent = "Cancel payment";
+        withdrawBtn.addEventListener("click", async () => {
+          if (!confirm(`Cancel your payment for "${record.event || record.purpose || "this event"}"? This cannot be undone.`)) return;
+          try {
+            await withdrawPayment(record);
+            await loadPaymentHistory();
+          } catch (err) {
+            alert(`Could not cancel the payment: ${err.message}`);
+          }
+        });
+        tdStatus.appendChild(document.createElement("br"));
+        tdStatus.appendChild(withdrawBtn);
+      }
+      const tdReceipt = document.createElement("td");
+      // receipts exist for approved payments stored on the server (local-only records have no server id)
+      if (formatPaymentStatus(record.status) === "Approved" && record.id && getIdToken()) {
+        const link = document.createElement("a");
+        link.href = "#";
+        link.className = "receipt-link";
+        link.textContent = "Download PDF";
+        link.addEventListener("click", async (e) => {
+          e.preventDefault();
+          try {
+            await downloadReceipt(record);
+          } catch (err) {
+            alert(`Could not download the receipt: ${err.message}`);
+          }
+        });
+        tdReceipt.appendChild(link);
+      }
+      if (record.verifyUrl) {
+        // public verification page (same link as the QR code on the receipt) to share with advisers
+        const verifyLink = document.createElement("a");
+        verifyLink.href = record.verifyUrl;
+        verifyLink.target = "_blank";
+        verifyLink.rel = "noopener";
+        verifyLink.className = "receipt-link small-muted";
+        verifyLink.textContent = "Verification link";
+        tdReceipt.appendChild(document.createElement("br"));
+        tdReceipt.appendChild(verifyLink);
+      }
+      tr.appendChild(tdDate); tr.appendChild(tdEvent); tr.appendChild(tdAmount); tr.appendChild(tdRef); tr.appendChild(tdStatus); tr.appendChild(tdReceipt);
+      // withdrawn payments stay listed, struck through
+      if (formatPaymentStatus(record.status) === "Withdrawn") tr.className = "withdrawn-row";
       if (record.studentName) tr.title = `Submitted by: ${record.studentName}`;
       tbody.appendChild(tr);
     });
   }
 
+  async function downloadReceipt(record) {
+    const res = await fetchWithAuth(`${SERVER_BASE}/api/payments/${encodeURIComponent(record.id)}/receipt.pdf`);
+    if (!res.ok) {
+      const body = await res.json().catch(() => null);
+      throw new Error((body && body.error) || `Server returned ${res.status}`);
+    }
+    const disposition = res.headers.get("Content-Disposition") || "";
+    const match = disposition.match(/filename="([^"]+)"/);
+    const blob = await res.blob();
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement("a");
+    a.href = url;
+    a.download = match ? match[1] : `receipt-${record.id}.pdf`;
+    document.body.appendChild(a);
+    a.click();
+    a.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+  }
+
+  // ----------------------
+  // Resubmission (PUT /api/payments/:id/resubmit; the server keeps the earlier proof and values as revisions)
+  // ----------------------
+  let resubmitRecord = null;
+
+  function showResubmitForm(record) {
+    resubmitRecord = record;
+    if (els.resubmitForm) els.resubmitForm.reset();
+    if (els.resubmitAmount) els.resubmitAmount.value = record.amount || "";
+    if (els.resubmitReference) els.resubmitReference.value = record.reference || "";
+    if (els.resubmitInfo) {
+      const reason = record.rejectionReason || record.resubmissionReason || "";
+      els.resubmitInfo.textContent = `${record.event || record.purpose || "Payment"}${reason ? ` — ${reason}` : ""}`;
+    }
+    if (els.paymentHistorySection) els.paymentHistorySection.classList.add("hidden");
+    if (els.resubmitSection) els.resubmitSection.classList.remove("hidden");
+    if (els.payNowBtn) els.payNowBtn.style.display = "none";
+  }
+
+  async function resubmitPayment(record) {
+    const form = new FormData();
+    form.append("amount", els.resubmitAmount ? els.resubmitAmount.value : record.amount);
+    form.append("reference", els.resubmitReference ? els.resubmitReference.value.trim() : record.reference || "");
+    const file = els.resubmitProof && els.resubmitProof.files ? els.resubmitProof.files[0] : null;
+    if (file) form.append("proof", file, file.name);
+    const res = await fetchWithAuth(`${SERVER_BASE}/api/payments/${encodeURIComponent(record.id)}/resubmit`, {
+      method: "PUT",
+      body: form
+    });
+    const body = await res.json().catch(() => null);
+    if (!res.ok) throw new Error((body && body.error) || `Server returned ${res.status}`);
+    return body;
+  }
+
+  async function withdrawPayment(record) {
+    const res = await fetchWithAuth(`${SERVER_BASE}/api/payments/${encodeURIComponent(record.id)}/withdraw`, { method: "POST" });
+    const body = await res.json().catch(() => null);
+    if (!res.ok) throw new Error((body && body.error) || `Server returned ${res.status}`);
+    return body;
+  }
+
+  // ----------------------
+  // Statement of account (server only: balances need the events and fees the server knows about)
+  // ----------------------
+  const LEDGER_STATUS_LABELS = { paid: "Paid", pending: "Pending verification", outstanding: "Outstanding" };
+  const peso = (n) => `₱${Number(n || 0).toFixed(2)}`;
+
+  function renderStatement(ledger) {
+    const tbody = els.statementTableBody;
+    if (!tbody || !els.statementBlock) return;
+    const items = (ledger && ledger.items) || [];
+    const totals = (ledger && ledger.totals) || {};
+    tbody.innerHTML = "";
+    if (!items.length) {
+      tbody.innerHTML = `<tr><td colspan="8" class="small-muted">Nothing to pay right now</td></tr>`;
+    }
+    items.forEach(item => {
+      const tr = document.createElement("tr");
+      const cells = [
+        item.eventName || "",
+        item.org || "",
+        item.deadline || "",
+        item.fee === null ? "" : peso(item.due),
+        peso(item.paid),
+        peso(item.pending),
+        peso(item.balance)
+      ];
+      cells.forEach(text => {
+        const td = document.createElement("td");
+        td.textContent = text;
+        tr.appendChild(td);
+      });
+      const tdStatus = document.createElement("td");
+      const badge = document.createElement("span");
+      badge.className = `ledger-status ledger-status--${item.ledgerStatus}`;
+      badge.textContent = LEDGER_STATUS_LABELS[item.ledgerStatus] || item.ledgerStatus || "";
+      tdStatus.appendChild(badge);
+      if (item.lateFee) {
+        const lateEl = document.createElement("div");
+        lateEl.className = "small-muted";
+        lateEl.textContent = `Includes late fee ${peso(item.lateFee)}`;
+        tdStatus.appendChild(lateEl);
+      }
+      tr.appendChild(tdStatus);
+      tbody.appendChild(tr);
+    });
+
+    if (els.statementTotals) {
+      els.statementTotals.innerHTML = "";
+      [
+        ["Total due", totals.due, ""],
+        ["Paid", totals.paid, ""],
+        ["Pending verification", totals.pending, ""],
+        ["Outstanding balance", totals.outstanding, "outstanding"]
+      ].forEach(([label, value, cls]) => {
+        const div = document.createElement("div");
+        if (cls) div.className = cls;
+        const strong = document.createElement("strong");
+        strong.textContent = peso(value);
+        div.textContent = label;
+        div.appendChild(strong);
+        els.statementTotals.appendChild(div);
+      });
+    }
+    els.statementBlock.classList.remove("hidden");
+  }
+
+  async function loadStatement() {
+    if (!els.statementBlock) return;
+    try {
+      if (!getIdToken()) { els.statementBlock.classList.add("hidden"); return; }
+      const res = await fetchWithAuth(`${SERVER_BASE}/api/my-ledger`);
+      if (!res.ok) throw new Error(`Status ${res.status}`);
+      renderStatement(await res.json());
+    } catch (err) {
+      console.warn("Failed to load statement of account:", err);
+      els.statementBlock.classList.add("hidden");
+    }
+  }
+
   // ----------------------
   // Load payment history (server preference then local fallback)
   // ----------------------
   async function loadPaymentHistory() {
+    loadStatement();
     try {
       // Prefer authenticated per-user endpoint when token present
       const idToken = getIdToken();
@@ -378,7 +622,7 @@ document.addEventListener("DOMContentLoaded", () => {
   // UI show/hide helpers & confirmation rendering
   // ----------------------
   function showHome() {
-    ["paymentFlow","selectEventSection","confirmDetailsSection","paymentPanelSection","profileForm","doneSection"].forEach(id => {
+    ["paymentFlow","selectEventSection","confirmDetailsSection","paymentPanelSection","profileForm","doneSection","resubmitSection"].forEach(id => {
       const el = document.getElementById(id);
       if (el) el.classList.add("hidden");
     });
@@ -654,6 +898,13 @@ document.addEventListener("DOMContentLoaded", () => {
           opt.value = ev.id || (ev.name || ''); // prefer id for canonical mapping
           opt.textContent = ev.name || 'Unnamed Event';
           opt.dataset.eventName = ev.name || opt.textContent;
+          // Closed events no longer accept payments (the server rejects them too)
+          if (String(ev.status || '').toLowerCase() === 'closed') {
+            opt.disabled = true;
+            opt.textContent += ' (Closed)';
+          } else if (ev.deadline) {
+            opt.textContent += ` (due ${ev.deadline})`;
+          }
           opt.dataset.fee = String(ev.fee !== undefined ? ev.fee : '');
           // store orgId for the event (if server provided)
           if (ev.orgId) opt.dataset.orgId = ev.orgId;
@@ -904,6 +1155,21 @@ document.addEventListener("DOMContentLoaded", () => {
 
   // Cancel/back handlers
   if (els.cancelSelectBtn) els.cancelSelectBtn.addEventListener('click', showHome);
+  if (els.cancelResubmitBtn) els.cancelResubmitBtn.addEventListener('click', () => { resubmitRecord = null; showHome(); });
+  if (els.resubmitForm) {
+    els.resubmitForm.addEventListener('submit', async (e) => {
+      e.preventDefault();
+      if (!resubmitRecord) return;
+      try {
+        await resubmitPayment(resubmitRecord);
+        resubmitRecord = null;
+        alert('Your payment was resubmitted and is pending verification again.');
+        showHome();
+      } catch (err) {
+        alert(`Could not resubmit the payment: ${err.message}`);
+      }
+    });
+  }
   if (els.backToSelectBtn) els.backToSelectBtn.addEventListener('click', () => { if (els.selectEventSection) els.selectEventSection.classList.remove('hidden'); if (els.confirmDetailsSection) els.confirmDetailsSection.classList.add('hidden'); });
   if (els.cancelPaymentBtn) els.cancelPaymentBtn.addEventListener('click', () => { if (els.paymentForm) els.paymentForm.reset(); if (els.qrContainer) els.qrContainer.innerHTML=''; if (els.receiverInfo) els.receiverInfo.textContent='Receiver: '; if (els.amountInfo) els.amountInfo.textContent='Amount: '; showHome(); });
 
@@ -963,6 +1229,7 @@ document.addEventListener("DOMContentLoaded", () => {
       }
 
       (async () => {
+        let keepForm = false;
         try {
           const resp = await submitPaymentToServer({
             org: selectedOrgName,
@@ -979,6 +1246,12 @@ document.addEventListener("DOMContentLoaded", () => {
           await loadPaymentHistory();
           showConfirmationView();
         } catch (err) {
+          // The server rejected the submission (e.g. 409 duplicate reference): tell the student, do not queue it locally
+          if (err.status && err.status < 500) {
+            keepForm = true;
+            alert(err.message || "Payment was not accepted.");
+            return;
+          }
           console.error("Payment upload failed, saving locally:", err);
           const history = JSON.parse(localStorage.getItem('paymentHistory') || "[]");
           history.push({
@@ -1007,12 +1280,14 @@ document.addEventListener("DOMContentLoaded", () => {
         } finally {
           if (submitBtn) submitBtn.disabled = false;
           _isSubmittingPayment = false;
-          if (els.paymentForm) els.paymentForm.reset();
-          if (els.qrContainer) els.qrContainer.innerHTML = '';
-          if (els.receiverInfo) els.receiverInfo.textContent = 'Receiver: ';
-          if (els.amountInfo) els.amountInfo.textContent = 'Amount: ';
-          if (els.orgSelect) els.orgSelect.value = '';
-          if (els.eventSelect) els.eventSelect.innerHTML = '<option value="" disabled selected>Select event</option>';
+          if (!keepForm) {
+            if (els.paymentForm) els.paymentForm.reset();
+            if (els.qrContainer) els.qrContainer.innerHTML = '';
+            if (els.receiverInfo) els.receiverInfo.textContent = 'Receiver: ';
+            if (els.amountInfo) els.amountInfo.textContent = 'Amount: ';
+            if (els.orgSelect) els.orgSelect.value = '';
+            if (els.eventSelect) els.eventSelect.innerHTML = '<option value="" disabled selected>Select event</option>';
+          }
         }
       })();
     });
@@ -1036,4 +1311,24 @@ document.addEventListener("DOMContentLoaded", () => {
   // Ensure initial UI state
   // ----------------------
   showHome();
+  if (getIdToken()) {
+    let bell = null;
+    const refreshHistory = coalesce(() => loadPaymentHistory());
+    // the event selects are rebuilt when the payment flow opens; only balances depend on events here
+    const refreshStatement = coalesce(() => loadStatement());
+    const live = openLiveUpdates({
+      serverBase: SERVER_BASE,
+      getToken: getIdToken,
+      handlers: {
+        "payment.created": refreshHistory,
+        "payment.status-changed": refreshHistory,
+        "event.created": refreshStatement,
+        "event.updated": refreshStatement,
+        "event.deleted": refreshStatement,
+        "notification.created": coalesce(() => bell && bell.refresh())
+      }
+    });
+    // the stream pushes new notifications; poll only when it is unavailable
+    bell = mountNotificationBell({ root: document.getElementById("notificationBell"), serverBase: SERVER_BASE, fetchWithAuth, pollSeconds: live ? 0 : undefined });
+  }
 });
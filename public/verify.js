@@ -0,0 +1,58 @@
+// verify.js
+// Public receipt verification page (/verify/:code). Served by the SpartaPay server itself, so the API is same-origin.
+
+(function () {
+  const $ = (id) => document.getElementById(id);
+  const peso = (n) => `₱${Number(n || 0).toFixed(2)}`;
+  const formatDate = (iso) => {
+    if (!iso) return "-";
+    const d = new Date(iso);
+    return Number.isFinite(d.getTime()) ? d.toLocaleString() : String(iso);
+  };
+
+  function showError() {
+    $("verifyLoading").classList.add("hidden");
+    $("verifyError").classList.remove("hidden");
+  }
+
+  function render(data) {
+    const badge = $("verifyBadge");
+    if (data.valid) {
+      badge.textContent = "Valid receipt";
+      badge.className = "verify-badge verify-badge--valid";
+    } else if (data.revoked) {
+      badge.textContent = "Approval withdrawn";
+      badge.className = "verify-badge verify-badge--revoked";
+    } else {
+      badge.textContent = "Not approved";
+      badge.className = "verify-badge verify-badge--pending";
+    }
+    $("verifyMessage").textContent = data.message || "";
+    $("vReceipt").textContent = data.receiptNumber || "-";
+    $("vOrg").textContent = data.org || "-";
+    $("vEvent").textContent = data.event || "-";
+    $("vAmount").textContent = peso(data.amount);
+    $("vStudent").textContent = data.studentName || "-";
+    $("vStatus").textContent = data.status || "-";
+    $("vDateLabel").textContent = data.revoked ? "Withdrawn" : "Approved";
+    $("vDate").textContent = formatDate(data.revoked ? data.revokedAt : data.approvedAt);
+    $("verifyCheckedAt").textContent = `Checked ${formatDate(data.checkedAt)}`;
+    $("verifyLoading").classList.add("hidden");
+    $("verifyResult").classList.remove("hidden");
+  }
+
+  async function load() {
+    const code = decodeURIComponent(window.location.pathname.replace(/^\/verify\//, "").replace(/\/$/, ""));
+    if (!code) return showError();
+    try {
+      const res = await fetch(`/api/verify/${encodeURIComponent(code)}`);
+      if (!res.ok) return showError();
+      render(await res.json());
+    } catch (err) {
+      console.warn("Verification request failed:", err);
+      showError();
+    }
+  }
+
+  load();
+})();
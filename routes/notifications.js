@@ -0,0 +1,59 @@
+// routes/notifications.js
+// In-app notifications of the signed-in student or officer (lib/notifications.js).
+// - GET  /api/notifications              { notifications (newest first), unreadCount }; ?unread=true, ?limit= (max 200)
+// - POST /api/notifications/:id/read     mark one as read (404 for someone else's notification)
+// - POST /api/notifications/read-all     mark every unread one as read -> { updated }
+//
+// Usage: app.use(require('./routes/notifications')({ notifications, verifyFirebaseToken }));
+
+const express = require('express');
+
+module.exports = function ({ notifications, verifyFirebaseToken }) {
+  const router = express.Router();
+
+  // Officer sessions set req.authUser; students are identified by their Firebase token
+  function recipientOf(req) {
+    return (req.authUser && req.authUser.uid) || (req.firebaseUser && req.firebaseUser.uid) || null;
+  }
+
+  function sendNotificationError(res, err, label) {
+    if (err instanceof notifications.NotificationError) {
+      return res.status(err.statusCode).json({ error: err.message });
+    }
+    console.error(label + ' error:', err && err.message ? err.message : err);
+    return res.status(500).json({ error: 'Server error' });
+  }
+
+  router.get('/api/notifications', verifyFirebaseToken, async (req, res) => {
+    try {
+      const uid = recipientOf(req);
+      if (!uid) return res.status(401).json({ error: 'not authenticated' });
+      const unreadOnly = String(req.query.unread || '').toLowerCase() === 'true';
+      return res.json(await notifications.listFor(uid, { unreadOnly, limit: req.query.limit }));
+    } catch (err) {
+      return sendNotificationError(res, err, 'GET /api/notifications');
+    }
+  });
+
+  router.post('/api/notifications/read-all', verifyFirebaseToken, async (req, res) => {
+    try {
+      const uid = recipientOf(req);
+      if (!uid) return res.status(401).json({ error: 'not authenticated' });
+      return res.json({ updated: await notifications.markAllRead(uid) });
+    } catch (err) {
+      return sendNotificationError(res, err, 'POST /api/notifications/read-all');
+    }
+  });
+
+  router.post('/api/notifications/:id/read', verifyFirebaseToken, async (req, res) => {
+    try {
+      const uid = recipientOf(req);
+      if (!uid) return res.status(401).json({ error: 'not authenticated' });
+      return res.json(await notifications.markRead(uid, req.params.id));
+    } catch (err) {
+      return sendNotificationError(res, err, 'POST /api/notifications/:id/read');
+    }
+  });
+
+  return router;
+};
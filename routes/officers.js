@@ -0,0 +1,96 @@
+// routes/officers.js
+// Officer login and admin management of server-side officer accounts (lib/officerAccounts.js).
+// - POST /api/officer/login                       { username, password } -> { token, expiresAt, officer }
+// - GET  /api/officer/me                          identity behind the Bearer token (officer session or Firebase officer)
+// - GET  /api/admin/officers                      list accounts (admin)
+// - POST /api/admin/officers                      create { username, password, role, org, orgId, name } (admin)
+// - PUT  /api/admin/officers/:id                  update { role, org, orgId, name, disabled } (admin)
+//   org / orgId are resolved to the org record (created from the name when missing), so accounts always store both
+// - POST /api/admin/officers/:id/reset-password   { password } (admin); invalidates existing sessions
+//
+// Usage: app.use(require('./routes/officers')({ officerAccounts, verifyFirebaseToken, authz, orgRecordTarget }));
+
+const express = require('express');
+
+module.exports = function ({ officerAccounts, verifyFirebaseToken, authz, orgRecordTarget }) {
+  const router = express.Router();
+
+  function sendAccountError(res, err, label) {
+    if (err instanceof officerAccounts.OfficerAccountError) {
+      return res.status(err.statusCode).json({ error: err.message });
+    }
+    console.error(label + ' error:', err && err.message ? err.message : err);
+    return res.status(500).json({ error: 'Server error' });
+  }
+
+  router.post('/api/officer/login', async (req, res) => {
+    try {
+      const { username, password } = req.body || {};
+      if (!username || !password) return res.status(400).json({ error: 'username and password required' });
+      const { account, token, expiresAt } = await officerAccounts.login(username, password);
+      return res.json({ token, expiresAt, officer: officerAccounts.publicView(account) });
+    } catch (err) {
+      return sendAccountError(res, err, 'POST /api/officer/login');
+    }
+  });
+
+  router.get('/api/officer/me', verifyFirebaseToken, authz.requireRole('officer'), async (req, res) => {
+    try {
+      const user = await authz.loadAuthUser(req);
+      return res.json(user);
+    } catch (err) {
+      console.error('GET /api/officer/me error:', err && err.message ? err.message : err);
+      return res.status(500).json({ error: 'Server error' });
+    }
+  });
+
+  router.get('/api/admin/officers', verifyFirebaseToken, authz.requireRole('admin'), async (req, res) => {
+    try {
+      const accounts = await officerAccounts.listAccounts();
+      accounts.sort((a, b) => String(a.username).localeCompare(String(b.username)));
+      return res.json(accounts.map(officerAccounts.publicView));
+    } catch (err) {
+      console.error('GET /api/admin/officers error:', err && err.message ? err.message : err);
+      return res.status(500).json({ error: 'Server error' });
+    }
+  });
+
+  router.post('/api/admin/officers', verifyFirebaseToken, authz.requireRole('admin'), async (req, res) => {
+    try {
+      const { username, password, role, name } = req.body || {};
+      const target = await orgRecordTarget({ orgId: req.body && req.body.orgId, org: req.body && req.body.org });
+      if (!target) return res.status(400).json({ error: 'unknown orgId' });
+      const account = await officerAccounts.createAccount({ username, password, role, name, org: target.org, orgId: target.orgId });
+      return res.status(201).json(officerAccounts.publicView(account));
+    } catch (err) {
+      return sendAccountError(res, err, 'POST /api/admin/officers');
+    }
+  });
+
+  router.put('/api/admin/officers/:id', verifyFirebaseToken, authz.requireRole('admin'), async (req, res) => {
+    try {
+      const update = Object.assign({}, req.body || {});
+      delete update.password; // use reset-password instead
+      if (update.orgId || update.org) {
+        const target = await orgRecordTarget({ orgId: update.orgId, org: update.org });
+        if (!target) return res.status(400).json({ error: 'unknown orgId' });
+        Object.assign(update, target);
+      }
+      const account = await officerAccounts.updateAccount(req.params.id, update);
+      return res.json(officerAccounts.publicView(account));
+    } catch (err) {
+      return sendAccountError(res, err, 'PUT /api/admin/officers/:id');
+    }
+  });
+
+  router.post('/api/admin/officers/:id/reset-password', verifyFirebaseToken, authz.requireRole('admin'), async (req, res) => {
+    try {
+      const account = await officerAccounts.resetPassword(req.params.id, req.body && req.body.password);
+      return res.json(officerAccounts.publicView(account));
+    } catch (err) {
+      return sendAccountError(res, err, 'POST /api/admin/officers/:id/reset-password');
+    }
+  });
+
+  return router;
+};
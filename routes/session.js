@@ -1,10 +1,12 @@
 // routes/session.js
-// POST /session handler: verifies Firebase ID token, upserts a minimal user doc in Firestore (if available),
+// POST /session handler: verifies Firebase ID token, upserts a minimal user doc (repository collection 'users'),
 // and returns { uid, role } to the client.
+// users/{uid}.org is authoritative for authorization (lib/authz.js), so it is never taken from the request: only
+// scripts/set_officer_orgs.js sets it. `org`, `orgId` and `role` sent inside `profile` are dropped.
 //
-// Usage: require('./routes/session')(admin, firestore) -> returns an async Express handler.
+// Usage: require('./routes/session')(admin, repo) -> returns an async Express handler.
 
-module.exports = function (admin, firestore) {
+module.exports = function (admin, repo) {
   return async function (req, res) {
     if (!admin) {
       return res.status(503).json({ error: 'firebase-admin not configured on server' });
@@ -37,86 +39,43 @@ module.exports = function (admin, firestore) {
 
       // If the client supplied a richer profile payload, pick it up (optional)
       // Expectation: req.body.profile is an object with keys like displayName, year, college, department, program, photoURL, etc.
-      const profileFromBody = req.body && req.body.profile && typeof req.body.profile === 'object' ? req.body.profile : null;
+      let profileFromBody = req.body && req.body.profile && typeof req.body.profile === 'object' ? req.body.profile : null;
+      if (profileFromBody) {
+        const ignored = ['org', 'orgId', 'role'].filter(k => typeof profileFromBody[k] !== 'undefined');
+        if (ignored.length) console.warn(`/session: ignored client-sent ${ignored.join(', ')} for uid=${uid}`);
+        profileFromBody = Object.assign({}, profileFromBody);
+        ignored.forEach(k => { delete profileFromBody[k]; });
+      }
 
       // We'll try to read any existing user doc so we can return/store an authoritative org if present.
-      let existingUserDoc = null;
       let existingUserData = null;
-      if (firestore) {
-        try {
-          const snap = await firestore.collection('users').doc(uid).get();
-          if (snap && snap.exists) {
-            existingUserDoc = snap;
-            existingUserData = snap.data() || null;
-          }
-        } catch (err) {
-          console.warn('Failed to read existing user doc in /session:', err && err.message ? err.message : err);
-        }
-      }
-
-      // Determine org to persist / return:
-      // Priority:
-      // 1) profileFromBody.org (explicit client-supplied)
-      // 2) existing user doc top-level org
-      // 3) existing user doc profile.org
-      // 4) null (unknown)
-      let orgToSave = null;
-      if (profileFromBody && profileFromBody.org) {
-        orgToSave = profileFromBody.org;
-      } else if (existingUserData) {
-        if (existingUserData.org) orgToSave = existingUserData.org;
-        else if (existingUserData.profile && existingUserData.profile.org) orgToSave = existingUserData.profile.org;
+      try {
+        existingUserData = await repo.users.get(uid);
+      } catch (err) {
+        console.warn('Failed to read existing user doc in /session:', err && err.message ? err.message : err);
       }
 
-      // Upsert in Firestore if available (we await to ensure persistence so clients get consistent state)
-      if (firestore) {
-        try {
-          // Merge minimal user fields + role + org (if determined)
-          const baseSet = Object.assign({}, userObj, role ? { role } : {});
-          if (orgToSave) baseSet.org = orgToSave;
-
-          await firestore.collection('users').doc(uid).set(baseSet, { merge: true });
-
-          // If a profile object was provided, merge it into users/{uid}.profile
-          if (profileFromBody) {
-            await firestore.collection('users').doc(uid).set({ profile: profileFromBody }, { merge: true });
+      // Org to return: only the server-assigned top-level org (scripts/set_officer_orgs.js); null when unknown
+      const orgToSave = (existingUserData && existingUserData.org) || null;
 
-            // If profileFromBody contained an org but we didn't previously set orgToSave, ensure top-level org also set
-            if (!orgToSave && profileFromBody.org) {
-              orgToSave = profileFromBody.org;
-              try {
-                await firestore.collection('users').doc(uid).set({ org: orgToSave }, { merge: true });
-              } catch (e) {
-                console.warn('Failed to persist org to top-level users/{uid}.org after profile merge:', e && e.message ? e.message : e);
-              }
-            }
-          }
-        } catch (err) {
-          console.warn('Failed to upsert session user in Firestore:', err && err.message ? err.message : err);
-        }
+      // Upsert the user (we await to ensure persistence so clients get consistent state)
+      let savedUser = null;
+      try {
+        // Merge minimal user fields + role + org (if determined) + profile (merged into users/{uid}.profile)
+        const merged = Object.assign({}, existingUserData || {}, userObj, role ? { role } : {});
+        if (orgToSave) merged.org = orgToSave;
+        if (profileFromBody) merged.profile = Object.assign({}, (existingUserData && existingUserData.profile) || {}, profileFromBody);
+        savedUser = await repo.users.put(uid, merged);
+      } catch (err) {
+        console.warn('Failed to upsert session user:', err && err.message ? err.message : err);
       }
 
-      // Re-read user doc if we can to include authoritative profile/org in response
+      // Include authoritative profile/org in response
       let returnedOrg = orgToSave || null;
-      let returnedProfile = null;
-      if (firestore) {
-        try {
-          const snap2 = await firestore.collection('users').doc(uid).get();
-          if (snap2 && snap2.exists) {
-            const d = snap2.data() || {};
-            // prefer explicit top-level org, else profile.org
-            returnedOrg = d.org || (d.profile && d.profile.org) || returnedOrg || null;
-            returnedProfile = d.profile || (profileFromBody ? profileFromBody : null);
-          } else {
-            // no doc, but client provided profileFromBody: return that
-            returnedProfile = profileFromBody || null;
-          }
-        } catch (err) {
-          console.warn('Failed to re-read user doc for response in /session:', err && err.message ? err.message : err);
-          returnedProfile = profileFromBody || null;
-        }
-      } else {
-        returnedProfile = profileFromBody || null;
+      let returnedProfile = profileFromBody || null;
+      if (savedUser) {
+        returnedOrg = savedUser.org || returnedOrg || null;
+        returnedProfile = savedUser.profile || returnedProfile;
       }
 
       // Return minimal info expected by client, plus authoritative org/profile if we have them.
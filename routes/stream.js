@@ -0,0 +1,103 @@
+// routes/stream.js
+// Live dashboard updates over Server-Sent Events, fed by lib/bus.js.
+// - GET /api/stream?token=<Firebase ID token or officer session token>  (EventSource cannot send an Authorization
+//   header, so the token may come in the query string; a Bearer header still works)
+// - SSE event names are the bus topics: payment.created, payment.status-changed, event.created, event.updated,
+//   event.deleted, notification.created; data is JSON { topic, at, ... }
+// - Scope: officers get payments and events of their own org (admins everything); students get their own payments
+//   (officer-only notes removed) and every event change (the dashboard re-reads its eligible events);
+//   notification.created only reaches the recipient
+// - A `: ping` comment every STREAM_HEARTBEAT_SECONDS keeps proxies from closing idle connections
+//
+// Usage: app.use(require('./routes/stream')({ bus, verifyFirebaseToken, authz, forStudent, heartbeatSeconds }));
+
+const express = require('express');
+
+module.exports = function ({ bus, verifyFirebaseToken, authz, forStudent, heartbeatSeconds = 25 }) {
+  const router = express.Router();
+  const { TOPICS } = bus;
+
+  // Copy ?token= into the Authorization header so verifyFirebaseToken handles both token kinds
+  function tokenFromQuery(req, res, next) {
+    if (!req.headers.authorization && req.query.token) req.headers.authorization = 'Bearer ' + String(req.query.token);
+    return next();
+  }
+
+  function isOfficer(user) {
+    return user.role === authz.ROLES.OFFICER || user.role === authz.ROLES.ADMIN;
+  }
+
+  // What `user` may see of a bus message (null = nothing)
+  function scopeFor(user, message) {
+    switch (message.topic) {
+      case TOPICS.PAYMENT_CREATED:
+      case TOPICS.PAYMENT_STATUS_CHANGED: {
+        const { payment } = message;
+        if (!payment) return null;
+        const data = { topic: message.topic, at: message.at, action: message.action || null, from: message.from || null };
+        if (isOfficer(user)) {
+          return authz.canAccessOrg(user, { orgId: payment.orgId, org: payment.org }) ? Object.assign(data, { payment }) : null;
+        }
+        return payment.submittedByUid === user.uid ? Object.assign(data, { payment: forStudent(payment) }) : null;
+      }
+      case TOPICS.EVENT_CREATED:
+      case TOPICS.EVENT_UPDATED:
+      case TOPICS.EVENT_DELETED: {
+        const { event } = message;
+        if (!event) return null;
+        if (isOfficer(user) && !authz.canAccessOrg(user, { orgId: event.orgId, org: event.org })) return null;
+        return { topic: message.topic, at: message.at, event };
+      }
+      case TOPICS.NOTIFICATION_CREATED: {
+        const { notification } = message;
+        if (!notification || notification.recipientUid !== String(user.uid)) return null;
+        return { topic: message.topic, at: message.at, notification };
+      }
+      default:
+        return null;
+    }
+  }
+
+  router.get('/api/stream', tokenFromQuery, verifyFirebaseToken, async (req, res) => {
+    let user;
+    try {
+      user = await authz.loadAuthUser(req);
+    } catch (err) {
+      console.error('GET /api/stream error:', err && err.message ? err.message : err);
+      return res.status(500).json({ error: 'Server error' });
+    }
+    if (!user || !user.uid) return res.status(401).json({ error: 'not authenticated' });
+
+    res.set({
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache, no-transform',
+      Connection: 'keep-alive',
+      'X-Accel-Buffering': 'no'
+    });
+    res.flushHeaders();
+    res.write('retry: 5000\n\n');
+
+    const send = message => {
+      const data = scopeFor(user, message);
+      if (data) res.write(`event: ${message.topic}\ndata: ${JSON.stringify(data)}\n\n`);
+    };
+    const unsubscribe = [
+      TOPICS.PAYMENT_CREATED,
+      TOPICS.PAYMENT_STATUS_CHANGED,
+      TOPICS.EVENT_CREATED,
+      TOPICS.EVENT_UPDATED,
+      TOPICS.EVENT_DELETED,
+      TOPICS.NOTIFICATION_CREATED
+    ].map(topic => bus.subscribe(topic, send));
+
+    const heartbeat = setInterval(() => res.write(': ping\n\n'), heartbeatSeconds * 1000);
+    heartbeat.unref();
+
+    req.on('close', () => {
+      clearInterval(heartbeat);
+      unsubscribe.forEach(off => off());
+    });
+  });
+
+  return router;
+};
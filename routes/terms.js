@@ -0,0 +1,86 @@
+// routes/terms.js
+// Academic terms (lib/terms.js). Reading is public; changes are admin-only.
+// - GET  /api/terms                 list, newest first
+// - GET  /api/terms/current         the current term (404 when none is set)
+// - POST /api/terms                 create { schoolYear, semester, startDate?, endDate?, name?, current? } (admin)
+// - PUT  /api/terms/:id             update the same fields; { current: true } makes it the current term (admin)
+// - POST /api/terms/:id/rollover    archive the term and its events, make { nextTermId } (or the next semester) current (admin)
+//
+// Changes are recorded in the audit log through auditChange(req, entity, id, action, before, after); every event a
+// rollover archives is also published on the bus as event.updated, like an edit through PUT /api/events/:id.
+//
+// Usage: app.use(require('./routes/terms')({ terms, verifyFirebaseToken, authz, auditChange, bus }));
+
+const express = require('express');
+
+module.exports = function ({ terms, verifyFirebaseToken, authz, auditChange, bus }) {
+  const router = express.Router();
+
+  function sendTermError(res, err, label) {
+    if (err instanceof terms.TermError) {
+      return res.status(err.statusCode).json({ error: err.message });
+    }
+    console.error(label + ' error:', err && err.message ? err.message : err);
+    return res.status(500).json({ error: 'Server error' });
+  }
+
+  router.get('/api/terms', async (req, res) => {
+    try {
+      return res.json(await terms.listTerms());
+    } catch (err) {
+      return sendTermError(res, err, 'GET /api/terms');
+    }
+  });
+
+  router.get('/api/terms/current', async (req, res) => {
+    try {
+      const term = await terms.currentTerm();
+      if (!term) return res.status(404).json({ error: 'no current term' });
+      return res.json(term);
+    } catch (err) {
+      return sendTermError(res, err, 'GET /api/terms/current');
+    }
+  });
+
+  router.post('/api/terms', verifyFirebaseToken, authz.requireRole('admin'), async (req, res) => {
+    try {
+      const term = await terms.createTerm(req.body || {});
+      await auditChange(req, 'term', term.id, 'create', null, term);
+      console.log('Term created', { id: term.id, name: term.name, by: req.authUser.uid });
+      return res.status(201).json(term);
+    } catch (err) {
+      return sendTermError(res, err, 'POST /api/terms');
+    }
+  });
+
+  router.put('/api/terms/:id', verifyFirebaseToken, authz.requireRole('admin'), async (req, res) => {
+    try {
+      const before = await terms.getTerm(req.params.id);
+      const saved = await terms.updateTerm(req.params.id, req.body || {});
+      await auditChange(req, 'term', saved.id, 'update', before, saved);
+      return res.json(saved);
+    } catch (err) {
+      return sendTermError(res, err, 'PUT /api/terms/:id');
+    }
+  });
+
+  router.post('/api/terms/:id/rollover', verifyFirebaseToken, authz.requireRole('admin'), async (req, res) => {
+    try {
+      const before = await terms.getTerm(req.params.id);
+      const result = await terms.rollover(req.params.id, {
+        nextTermId: (req.body && req.body.nextTermId) || null,
+        onArchive: async (evBefore, evAfter) => {
+          await auditChange(req, 'event', evAfter.id, 'archive', evBefore, evAfter);
+          bus.publish(bus.TOPICS.EVENT_UPDATED, { event: evAfter, before: evBefore });
+        }
+      });
+      await auditChange(req, 'term', result.archivedTerm.id, 'rollover', before, result.archivedTerm);
+      console.log('Term rollover', { archived: result.archivedTerm.name, current: result.currentTerm.name, events: result.archivedEvents, by: req.authUser.uid });
+      return res.json(result);
+    } catch (err) {
+      return sendTermError(res, err, 'POST /api/terms/:id/rollover');
+    }
+  });
+
+  return router;
+};
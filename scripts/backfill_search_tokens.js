@@ -0,0 +1,51 @@
+/**
+ * scripts/backfill_search_tokens.js
+ *
+ * One-off script that (re)writes the search tokens of stored payments, so that payments saved before
+ * GET /api/payments/search existed, or before reference numbers were indexed for partial matches, can be found.
+ * Run it once after deploying a change to lib/repository/searchIndex.js; running it again only rewrites docs
+ * whose tokens are out of date.
+ *
+ * Usage:
+ *   node scripts/backfill_search_tokens.js
+ *
+ * The datastore is picked like the server does: DATASTORE (json | firestore), default firestore when
+ * FIREBASE_SERVICE_ACCOUNT (path to the JSON file, or the JSON text itself) is set, else data.json.
+ *
+ * Notes:
+ *  - Firestore: the whole payments collection is read once; only the searchTokens field of stale docs is written.
+ *  - JSON: data.json is rewritten once (the server's usual .bak copy is made first). Stop the server while it runs,
+ *    or its next write would replace the file with the version it read before.
+ */
+
+require('dotenv').config();
+const fs = require('fs');
+const path = require('path');
+
+function loadFirestore() {
+  const svc = process.env.FIREBASE_SERVICE_ACCOUNT;
+  if (!svc) return null;
+  const admin = require('firebase-admin');
+  const serviceAccount = fs.existsSync(svc) ? JSON.parse(fs.readFileSync(svc, 'utf8')) : JSON.parse(svc);
+  admin.initializeApp({ credential: admin.credential.cert(serviceAccount) });
+  return admin.firestore();
+}
+
+async function main() {
+  try {
+    const firestore = loadFirestore();
+    const backend = (process.env.DATASTORE || (firestore ? 'firestore' : 'json')).toLowerCase();
+    if (backend === 'firestore' && !firestore) throw new Error('DATASTORE=firestore requires FIREBASE_SERVICE_ACCOUNT');
+
+    const repo = require('../lib/repository')({ backend, file: path.join(__dirname, '..', 'data.json'), firestore });
+    console.log(`Reindexing payments in ${repo.backend}...`);
+    const { scanned, updated } = await repo.payments.reindex();
+    console.log(`Done. ${updated} of ${scanned} payment(s) had out-of-date search tokens.`);
+    process.exit(0);
+  } catch (err) {
+    console.error('Fatal error:', err && err.message ? err.message : err);
+    process.exit(1);
+  }
+}
+
+main();
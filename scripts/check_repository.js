@@ -0,0 +1,137 @@
+/**
+ * scripts/check_repository.js
+ *
+ * Quick self-check of the repository layer (lib/repository) against the in-memory backend: runs every collection
+ * operation the routes use and fails with the first assertion that does not hold. Nothing is read from or written
+ * to data.json or Firestore.
+ *
+ * Usage:
+ *   npm run check:repository
+ *   (or: node scripts/check_repository.js)
+ */
+
+const assert = require('assert');
+const createRepository = require('../lib/repository');
+const { UniqueConstraintError } = require('../lib/repository');
+const { PageError } = require('../lib/repository/pagination');
+const { referenceKey } = require('../lib/duplicates');
+
+const checks = [];
+function check(name, fn) {
+  checks.push({ name, fn });
+}
+
+function freshRepo(data) {
+  return createRepository({ backend: 'memory', data, uniqueKeys: { payments: { reference: p => referenceKey(p) } } });
+}
+
+function payment(id, fields = {}) {
+  return Object.assign({ id, eventId: 'ev1', org: 'JIECEP', status: 'pending', amount: 100, createdAt: `2026-01-0${id.slice(-1)}T00:00:00.000Z` }, fields);
+}
+
+check('create / get / list', async () => {
+  const repo = freshRepo();
+  await repo.payments.create(payment('p1', { studentName: 'Ana Reyes' }));
+  await repo.payments.create(payment('p2', { eventId: 'ev2' }));
+  assert.strictEqual((await repo.payments.get('p1')).studentName, 'Ana Reyes');
+  assert.strictEqual(await repo.payments.get('nope'), null);
+  assert.deepStrictEqual((await repo.payments.list({ eventId: 'ev2' })).map(p => p.id), ['p2']);
+  assert.strictEqual((await repo.payments.list()).length, 2);
+  await assert.rejects(repo.payments.create({ amount: 1 }), /requires doc.id/);
+});
+
+check('put replaces the whole doc', async () => {
+  const repo = freshRepo();
+  await repo.payments.create(payment('p1', { notes: 'first' }));
+  await repo.payments.put('p1', payment('p1', { amount: 50 }));
+  const saved = await repo.payments.get('p1');
+  assert.strictEqual(saved.amount, 50);
+  assert.strictEqual('notes' in saved, false);
+});
+
+check('update merges a patch and applies a function atomically', async () => {
+  const repo = freshRepo();
+  await repo.payments.create(payment('p1'));
+  assert.strictEqual((await repo.payments.update('p1', { status: 'approved' })).status, 'approved');
+  assert.strictEqual(await repo.payments.update('nope', { status: 'approved' }), null);
+
+  // concurrent read-modify-write: every increment is kept
+  await Promise.all([1, 2, 3, 4, 5].map(() => repo.payments.update('p1', p => Object.assign(p, { count: (p.count || 0) + 1 }))));
+  assert.strictEqual((await repo.payments.get('p1')).count, 5);
+
+  // null leaves the doc unchanged; a throw aborts the write
+  assert.strictEqual((await repo.payments.update('p1', () => null)).count, 5);
+  await assert.rejects(repo.payments.update('p1', p => { p.count = 99; throw new Error('abort'); }), /abort/);
+  assert.strictEqual((await repo.payments.get('p1')).count, 5);
+});
+
+check('page walks a sorted collection with cursors', async () => {
+  const repo = freshRepo();
+  for (const id of ['p1', 'p2', 'p3', 'p4', 'p5']) await repo.payments.create(payment(id, { reference: `R${id}` }));
+  const first = await repo.payments.page({ eventId: 'ev1' }, { orderBy: 'createdAt', direction: 'desc', limit: 2 });
+  assert.deepStrictEqual(first.items.map(p => p.id), ['p5', 'p4']);
+  const second = await repo.payments.page({ eventId: 'ev1' }, { orderBy: 'createdAt', direction: 'desc', limit: 2, after: first.next });
+  assert.deepStrictEqual(second.items.map(p => p.id), ['p3', 'p2']);
+  const last = await repo.payments.page({ eventId: 'ev1' }, { orderBy: 'createdAt', direction: 'desc', limit: 2, after: second.next });
+  assert.deepStrictEqual(last.items.map(p => p.id), ['p1']);
+  assert.strictEqual(last.next, null);
+  await assert.rejects(repo.payments.page({}, { orderBy: 'createdAt', limit: 2, after: 'not-a-cursor' }), PageError);
+});
+
+check('search matches word prefixes and reference substrings, never returns tokens', async () => {
+  const repo = freshRepo();
+  await repo.payments.create(payment('p1', { studentName: 'José Peña', reference: '0912 345-678' }));
+  await repo.payments.create(payment('p2', { studentName: 'Ana Reyes', reference: 'REF123', eventId: 'ev2' }));
+  const ids = async (q, filter) => (await repo.payments.search(q, filter)).map(p => p.id).sort();
+  assert.deepStrictEqual(await ids('pena jo'), ['p1']);
+  assert.deepStrictEqual(await ids('345678'), ['p1']);
+  assert.deepStrictEqual(await ids('ef1'), ['p2']);
+  assert.deepStrictEqual(await ids('ana', { eventId: 'ev1' }), []);
+  assert.deepStrictEqual(await ids(''), []);
+  assert.strictEqual((await repo.payments.list()).some(p => 'searchTokens' in p), false);
+});
+
+check('reindex refreshes docs stored without tokens', async () => {
+  const repo = freshRepo({ payments: [payment('p1', { reference: 'OLD-4567' })] });
+  assert.deepStrictEqual(await repo.payments.reindex(), { scanned: 1, updated: 1 });
+  assert.deepStrictEqual(await repo.payments.reindex(), { scanned: 1, updated: 0 });
+  assert.deepStrictEqual((await repo.payments.search('4567')).map(p => p.id), ['p1']);
+});
+
+check('unique reference per event', async () => {
+  const repo = freshRepo();
+  await repo.payments.create(payment('p1', { reference: 'GC-1' }));
+  await assert.rejects(repo.payments.create(payment('p2', { reference: 'gc1' })), err => err instanceof UniqueConstraintError && err.conflictId === 'p1');
+  await repo.payments.create(payment('p3', { reference: 'GC-1', eventId: 'ev2' }));
+  // a rejected payment frees its reference, and cannot take it back while another payment holds it
+  await repo.payments.update('p1', { status: 'rejected' });
+  await repo.payments.create(payment('p4', { reference: 'GC-1' }));
+  await assert.rejects(repo.payments.update('p1', { status: 'pending' }), UniqueConstraintError);
+});
+
+check('map-shaped collections and remove', async () => {
+  const repo = freshRepo();
+  await repo.users.put('u1', { uid: 'u1', name: 'Ana' });
+  assert.strictEqual((await repo.users.update('u1', { role: 'student' })).role, 'student');
+  assert.deepStrictEqual((await repo.users.list({ role: 'student' })).map(u => u.uid), ['u1']);
+  assert.strictEqual((await repo.users.remove('u1')).name, 'Ana');
+  assert.strictEqual(await repo.users.remove('u1'), null);
+  assert.strictEqual(await repo.users.get('u1'), null);
+});
+
+async function main() {
+  let failed = 0;
+  for (const { name, fn } of checks) {
+    try {
+      await fn();
+      console.log(`✔ ${name}`);
+    } catch (err) {
+      failed++;
+      console.error(`✖ ${name}:`, err && err.message ? err.message : err);
+    }
+  }
+  console.log(`${checks.length - failed} of ${checks.length} repository checks passed.`);
+  process.exit(failed ? 1 : 0);
+}
+
+main();
@@ -1,19 +1,58 @@
 // server.js
 // SpartaPay server with Supabase private-bucket support (signed URLs)
 // - Serves static frontend from ./public
-// - POST /session: verifies Firebase ID token and upserts users/{uid} in Firestore
+// - POST /session: verifies Firebase ID token and upserts users/{uid}
 // - POST /api/payments: accepts multipart/form-data (proof file), uploads to Supabase (or local fallback), stores proofObjectPath and metadata
+//   Duplicate references (same event/org) are rejected with 409 + duplicateOf; near-duplicates are flagged (lib/duplicates.js)
+//   Amounts are classified against the event fee as exact / partial / overpaid (amountStatus)
+//   The event is resolved by eventId (404 when unknown) or org + event name; payments for no event are refused
+//   Closed events and events past deadline + PAYMENT_GRACE_HOURS reject with 409; grace-period payments get late/lateFee
 // - GET /api/payments: returns payments, injecting fresh signed URLs for proofFile when available
+//   ?limit=&cursor= (or page=)&sort=createdAt|amount|studentName&order= return one page (lib/repository/pagination.js)
+// - POST /api/payments/import: officer CSV import of cash / offline payments (dry run preview, then pre-approved records)
+// - GET /api/payments/export: CSV / XLSX download of the filtered payments with a totals row (officer, lib/paymentExport.js)
+// - GET /api/payments/search?q=: officer search by student name, email, reference and notes within their org
 // - GET /api/my-payments: returns authenticated user's payments, injecting fresh signed URLs
+// - GET /api/my-ledger, GET /api/students/:studentKey/ledger (officer): per-student statement across events (lib/ledger.js)
 // - GET /api/payments/:id/proof-url: returns a signed URL for a single payment (auth + authorization)
-// - POST /api/payments/:id/approve, /unapprove and /reject
+// - GET /api/payments/:id/receipt.pdf: official receipt for an approved payment (owner or org officer, lib/receipts.js);
+//   receipt numbers are assigned per org on approval
+// - GET /api/clearance/:uid, GET /api/clearance (officer): per-term clearance against mandatory events (lib/clearance.js)
+// - GET/POST /api/terms, PUT /api/terms/:id, POST /api/terms/:id/rollover (routes/terms.js): academic terms; events carry
+//   termId, and GET /api/events, /api/payments and /api/payments/export take ?termId= (a term id or 'current')
+// - GET /api/audit?entity=&id= (officer): append-only audit log of payment, event, org, officer profile and term
+//   mutations with actor, route, IP and a before/after diff (lib/audit.js)
+// - GET /verify/:code, GET /api/verify/:code: public check of a receipt's signed verification code (QR on the receipt)
+// - POST /api/payments/:id/approve, /reject, /request-resubmission, /unapprove and /reopen (status state machine in lib/paymentStatus.js)
+//   take an optional officer note; POST /api/payments/:id/notes adds one on its own (lib/paymentNotes.js)
+// - PUT /api/payments/:id/resubmit: the owner fixes a rejected / needs-resubmission payment (earlier values kept as revisions)
+// - POST /api/payments/:id/withdraw: the owner cancels a pending payment (kept as withdrawn; its proof files are
+//   removed after PROOF_RETENTION_DAYS by the proof purge job, lib/proofRetention.js)
 // - NEW: GET /api/events, POST /api/events (multipart support), PUT /api/events/:id (multipart support added), DELETE /api/events/:id
+// - GET /api/events/:id/balances: per-student balances against the event fee (lib/balances.js)
+// - Emails to students (submittedByEmail) and orgs (contactEmail) when payments are created, approved, rejected,
+//   returned or unapproved and when a deadline is close (lib/bus.js -> lib/emailNotifications.js, templates/email)
+// - GET /api/notifications, POST /api/notifications/:id/read, POST /api/notifications/read-all (routes/notifications.js):
+//   in-app notifications fed by the payment and event routes through the same bus (lib/notifications.js)
+// - GET /api/stream (routes/stream.js): Server-Sent Events of the same bus, scoped by role and org, so the dashboards
+//   update live
+// - Events past their deadline (+ grace) are flipped to Closed by a background job (lib/deadlines.js)
+// - Events can be limited to colleges / departments / programs / years / blocks (lib/eligibility.js); signed-in
+//   students only see, and can only pay for, events they are eligible for
 // - NEW: GET /api/orgs, GET /api/orgs/:id, POST /api/orgs, PUT /api/orgs/:id, DELETE /api/orgs/:id
 // - NEW: GET /api/officer-profiles, GET /api/officer-profiles/:id, POST /api/officer-profiles (upsert)
-//   These endpoints persist officer profiles to Firestore when configured, otherwise to local data.json
+// - Officer-only mutations (events, payment status, officer profiles) and admin-only org CRUD are enforced by lib/authz.js
+//   using users/{uid}.role and users/{uid}.org, or the officer account behind an officer session token
+// - POST /api/officer/login, GET /api/officer/me and /api/admin/officers (routes/officers.js): server-side officer accounts
+// - All persistence goes through lib/repository (json | firestore | memory backends, picked by DATASTORE)
 //
 // Environment variables (in .env):
-// PORT, SUPABASE_URL, SUPABASE_SERVICE_ROLE_KEY, SUPABASE_BUCKET, FIREBASE_SERVICE_ACCOUNT
+// PORT, SUPABASE_URL, SUPABASE_SERVICE_ROLE_KEY, SUPABASE_BUCKET, FIREBASE_SERVICE_ACCOUNT,
+// OFFICER_SESSION_SECRET, OFFICER_SESSION_TTL_HOURS, OFFICER_ADMIN_USERNAME, OFFICER_ADMIN_PASSWORD,
+// DATASTORE, DATASTORE_MIRROR, DUPLICATE_WINDOW_MINUTES, PAYMENT_GRACE_HOURS, LATE_FEE, EVENT_AUTOCLOSE_INTERVAL_MINUTES,
+// RECEIPT_VERIFY_SECRET, PROOF_RETENTION_DAYS, PROOF_PURGE_INTERVAL_MINUTES, APP_BASE_URL, MAIL_TRANSPORT, MAIL_FROM,
+// MAIL_FILE_DIR, MAIL_TEMPLATES_DIR, SMTP_HOST, SMTP_PORT, SMTP_SECURE, SMTP_USER, SMTP_PASS, DEADLINE_REMINDER_HOURS,
+// DEADLINE_REMINDER_INTERVAL_MINUTES, STREAM_HEARTBEAT_SECONDS
 //
 // Notes:
 // - Keep SUPABASE_BUCKET = the exact bucket name (case-sensitive), e.g. "spartapay"
@@ -27,8 +66,32 @@ const fs = require('fs');
 const { v4: uuidv4 } = require('uuid');
 const cors = require('cors');
 require('dotenv').config();
+const { TransitionError, applyTransition, allowedActions, normalizeStatus } = require('./lib/paymentStatus');
+const balances = require('./lib/balances');
+const deadlines = require('./lib/deadlines');
+const { buildLedger } = require('./lib/ledger');
+const eligibility = require('./lib/eligibility');
+const paymentExport = require('./lib/paymentExport');
+const paymentImport = require('./lib/paymentImport');
+const receipts = require('./lib/receipts');
+const paymentNotes = require('./lib/paymentNotes');
+const proofRetention = require('./lib/proofRetention');
+const mailerLib = require('./lib/mailer');
+const clearance = require('./lib/clearance');
+const { eventInTerm } = require('./lib/terms');
+const { PageError, pageOf } = require('./lib/repository/pagination');
+const { UniqueConstraintError } = require('./lib/repository');
+const { referenceKey } = require('./lib/duplicates');
+const { usernameKey } = require('./lib/officerAccounts');
 
 const PORT = process.env.PORT || 3001;
+// Public address of the app, used for links in emails and for receipt verification links (which must never be built
+// from the request's Host header: a forged Host would print receipts that point at another site)
+const APP_BASE_URL_CONFIGURED = Boolean(process.env.APP_BASE_URL && process.env.APP_BASE_URL.trim());
+const APP_BASE_URL = (APP_BASE_URL_CONFIGURED ? process.env.APP_BASE_URL.trim() : `http://localhost:${PORT}`).replace(/\/+$/, '');
+if (!APP_BASE_URL_CONFIGURED) {
+  console.warn('APP_BASE_URL not set — receipt PDFs cannot be downloaded and payments carry no verification link.');
+}
 const app = express();
 
 app.use(cors());
@@ -42,35 +105,6 @@ app.use(express.static(path.join(__dirname, 'public')));
 const UPLOADS_DIR = path.join(__dirname, 'uploads');
 if (!fs.existsSync(UPLOADS_DIR)) fs.mkdirSync(UPLOADS_DIR, { recursive: true });
 
-// Local DB fallback file (now includes payments, events AND organizations and officerProfiles)
-const DB_FILE = path.join(__dirname, 'data.json');
-if (!fs.existsSync(DB_FILE)) fs.writeFileSync(DB_FILE, JSON.stringify({ payments: [], events: [], organizations: [], officerProfiles: {}, users: {} }, null, 2));
-
-function readDB() {
-  try {
-    const db = JSON.parse(fs.readFileSync(DB_FILE, 'utf8'));
-    // ensure required keys exist for backward compatibility
-    if (!db.payments) db.payments = [];
-    if (!db.events) db.events = [];
-    if (!db.organizations) db.organizations = [];
-    if (!db.officerProfiles) db.officerProfiles = {};
-    if (!db.users) db.users = {};
-    return db;
-  } catch (e) {
-    console.warn('readDB error:', e);
-    return { payments: [], events: [], organizations: [], officerProfiles: {}, users: {} };
-  }
-}
-function writeDB(db) {
-  // ensure arrays exist
-  if (!db.payments) db.payments = [];
-  if (!db.events) db.events = [];
-  if (!db.organizations) db.organizations = [];
-  if (!db.officerProfiles) db.officerProfiles = {};
-  if (!db.users) db.users = {};
-  fs.writeFileSync(DB_FILE, JSON.stringify(db, null, 2));
-}
-
 // Multer memory storage for uploads
 const storage = multer.memoryStorage();
 const upload = multer({ storage, limits: { fileSize: 20 * 1024 * 1024 } }); // 20MB
@@ -118,22 +152,72 @@ if (process.env.FIREBASE_SERVICE_ACCOUNT) {
   console.warn('No FIREBASE_SERVICE_ACCOUNT provided — token verification and Firestore disabled.');
 }
 
-// Register POST /session route (verifies ID token and upserts user into Firestore)
-// This expects a routes/session.js that exports a function (admin, firestore) => handler
+// Datastore (lib/repository). DATASTORE picks the authoritative backend: json | firestore | memory
+// (default: firestore when configured, else json). DATASTORE_MIRROR optionally copies every write to a second backend.
+const DB_FILE = path.join(__dirname, 'data.json');
+const DATASTORE = (process.env.DATASTORE || (firestore ? 'firestore' : 'json')).toLowerCase();
+const DATASTORE_MIRROR = process.env.DATASTORE_MIRROR ? process.env.DATASTORE_MIRROR.toLowerCase() : null;
+if ((DATASTORE === 'firestore' || DATASTORE_MIRROR === 'firestore') && !firestore) {
+  console.error('DATASTORE=firestore requires FIREBASE_SERVICE_ACCOUNT');
+  process.exit(1);
+}
+// One live payment per reference and event (lib/duplicates.js referenceKey) and one officer account per username
+// (lib/officerAccounts.js usernameKey), enforced by the datastore on write
+const repo = require('./lib/repository')({
+  backend: DATASTORE,
+  mirror: DATASTORE_MIRROR,
+  file: DB_FILE,
+  firestore,
+  uniqueKeys: {
+    payments: { reference: payment => referenceKey(payment, canonicalOrgName) },
+    officerAccounts: { username: usernameKey }
+  }
+});
+console.log(`Datastore: ${repo.backend}${repo.mirror ? ` (mirrored to ${repo.mirror})` : ''}`);
+
+// Register POST /session route (verifies ID token and upserts the user record)
+// This expects a routes/session.js that exports a function (admin, repo) => handler
 try {
-  const sessionRoute = require('./routes/session')(admin, firestore);
+  const sessionRoute = require('./routes/session')(admin, repo);
   app.post('/session', sessionRoute);
   console.log('POST /session route registered');
 } catch (e) {
   console.warn('Failed to register /session route:', e);
 }
 
-// Middleware: verify Firebase ID token (if admin configured)
+// Officer accounts (server-side credentials + signed session tokens) — see lib/officerAccounts.js
+let officerSessionSecret = process.env.OFFICER_SESSION_SECRET;
+if (!officerSessionSecret) {
+  officerSessionSecret = require('crypto').randomBytes(32).toString('hex');
+  console.warn('OFFICER_SESSION_SECRET not set — using a random secret; officer sessions will not survive a restart.');
+}
+const officerAccounts = require('./lib/officerAccounts')({
+  accounts: repo.officerAccounts,
+  secret: officerSessionSecret,
+  ttlHours: Number(process.env.OFFICER_SESSION_TTL_HOURS) || 12
+});
+
+// Middleware: verify the Bearer token.
+// - Officer session tokens (issued by POST /api/officer/login) are always verified and set req.authUser
+// - Firebase ID tokens are verified when firebase-admin is configured and set req.firebaseUser
 async function verifyFirebaseToken(req, res, next) {
-  if (!admin) return next(); // skip verification if not configured
+  const authHeader = req.headers.authorization || req.headers.Authorization || '';
+  const match = String(authHeader).match(/Bearer (.+)/);
+  if (match && officerAccounts.isOfficerToken(match[1])) {
+    try {
+      const account = await officerAccounts.verifyToken(match[1]);
+      if (!account) return res.status(401).json({ error: 'Invalid or expired officer session' });
+      req.officerAccount = account;
+      req.authUser = officerAccounts.toAuthUser(account);
+      return next();
+    } catch (err) {
+      console.error('Officer token verify error:', err && err.message ? err.message : err);
+      return res.status(401).json({ error: 'Invalid or expired officer session' });
+    }
+  }
+
+  if (!admin) return next(); // skip Firebase verification if not configured
   try {
-    const authHeader = req.headers.authorization || req.headers.Authorization || '';
-    const match = String(authHeader).match(/Bearer (.+)/);
     if (!match) return res.status(401).json({ error: 'Missing Authorization Bearer token' });
     const idToken = match[1];
     const decoded = await admin.auth().verifyIdToken(idToken);
@@ -145,6 +229,94 @@ async function verifyFirebaseToken(req, res, next) {
   }
 }
 
+// Public routes that personalise their answer for signed-in users: verify the token only when one was sent
+function optionalAuth(req, res, next) {
+  const authHeader = req.headers.authorization || req.headers.Authorization || '';
+  if (!/Bearer (.+)/.test(String(authHeader))) return next();
+  return verifyFirebaseToken(req, res, next);
+}
+
+// Authorization layer (roles + org ownership) — see lib/authz.js
+const authz = require('./lib/authz')({ getUserByUid, canonicalOrgName });
+
+// Officer login + admin management of officer accounts — see routes/officers.js
+app.use(require('./routes/officers')({ officerAccounts, verifyFirebaseToken, authz, orgRecordTarget }));
+
+// Audit log: append-only record of every mutation (actor, route, IP, before/after diff) — see lib/audit.js
+const audit = require('./lib/audit')({ entries: repo.auditLog });
+
+// Helper: record a mutation made by this request (before/after are the stored documents; null for create/delete)
+function auditChange(req, entity, entityId, action, before, after) {
+  return audit.record(Object.assign(audit.fromRequest(req), { entity, entityId, action, before, after }));
+}
+
+// Event bus: routes and jobs publish payment / event changes; subscribers (email notifications) react — see lib/bus.js
+const bus = require('./lib/bus')();
+
+// In-app notifications (bell in both dashboards) — see lib/notifications.js and routes/notifications.js
+const notifications = require('./lib/notifications')({
+  notifications: repo.notifications,
+  payments: repo.payments,
+  officersOf: officerUidsForOrg
+});
+notifications.listen(bus);
+app.use(require('./routes/notifications')({ notifications, verifyFirebaseToken }));
+
+// Live updates for the dashboards (SSE) — see routes/stream.js
+app.use(require('./routes/stream')({
+  bus,
+  verifyFirebaseToken,
+  authz,
+  forStudent: paymentNotes.forStudent,
+  heartbeatSeconds: Math.max(parseInt(process.env.STREAM_HEARTBEAT_SECONDS, 10) || 25, 5)
+}));
+
+// Academic terms (school year + semester) that events belong to — see lib/terms.js and routes/terms.js
+const terms = require('./lib/terms')({ terms: repo.terms, events: repo.events });
+app.use(require('./routes/terms')({ terms, verifyFirebaseToken, authz, auditChange, bus }));
+
+// Seed the first admin account from env (OFFICER_ADMIN_USERNAME / OFFICER_ADMIN_PASSWORD) when it does not exist yet
+officerAccounts.ensureBootstrapAdmin({
+  username: process.env.OFFICER_ADMIN_USERNAME,
+  password: process.env.OFFICER_ADMIN_PASSWORD
+}).catch(err => console.warn('Failed to create bootstrap admin account:', err && err.message ? err.message : err));
+
+// Helper: recipient uids of an org's officers (officer accounts and Firebase users with role officer; not admins)
+async function officerUidsForOrg(target) {
+  const accounts = (await officerAccounts.listAccounts())
+    .filter(a => !a.disabled && a.role === authz.ROLES.OFFICER)
+    .map(officerAccounts.toAuthUser);
+  const users = (await repo.users.list({ role: authz.ROLES.OFFICER })).map(u => ({
+    uid: u.uid,
+    role: authz.ROLES.OFFICER,
+    org: u.org || null,
+    orgId: u.orgId || null
+  }));
+  return accounts.concat(users).filter(u => u.uid && authz.canAccessOrg(u, target)).map(u => u.uid);
+}
+
+// Helper: build an org target ({ orgId, org }) for authorization, resolving the org name from orgId when missing
+async function resolveOrgTarget({ orgId = null, org = null } = {}) {
+  let orgName = org || null;
+  if (orgId && !orgName) {
+    try {
+      const found = await getOrgById(orgId);
+      if (found && found.name) orgName = found.name;
+    } catch (e) { /* ignore */ }
+  }
+  return { orgId: orgId || null, org: orgName };
+}
+
+// Helper: org target backed by an org record, for data that must carry the canonical orgId (officer accounts): by
+// orgId, else by name (the record is created when missing, as event creation does). null when orgId is unknown.
+async function orgRecordTarget({ orgId = null, org = null } = {}) {
+  if (!orgId && !org) return { orgId: null, org: null };
+  let found = orgId ? await getOrgById(orgId) : null;
+  if (!found && orgId && !org) return null;
+  if (!found) found = await upsertOrganizationByName(org, { displayName: org });
+  return { orgId: found.id, org: found.name || org || null };
+}
+
 // Helper: create signed URL (preferred for private buckets), fallback to public URL
 async function makeFileUrl(pathOnBucket, { expires = 60 * 60 } = {}) {
   if (!supabase) return null;
@@ -197,26 +369,20 @@ function normalizeFilterValue(val) {
 async function upsertOrganizationByName(orgName, { displayName = null, logoUrl = null, contactEmail = null, metadata = null } = {}) {
   if (!orgName) return null;
   const canon = canonicalOrgName(orgName);
-  const db = readDB();
-  db.organizations = db.organizations || [];
 
   // Find existing org by canonical name
-  let existing = db.organizations.find(o => (o.canonicalName || canonicalOrgName(o.name)) === canon);
+  const orgs = await repo.orgs.list();
+  const existing = orgs.find(o => (o.canonicalName || canonicalOrgName(o.name)) === canon);
   if (existing) {
     // Optionally merge displayName/logo/contact if provided and missing
-    let changed = false;
-    if (displayName && !existing.displayName) { existing.displayName = displayName; changed = true; }
-    if (logoUrl && !existing.logoUrl) { existing.logoUrl = logoUrl; changed = true; }
-    if (contactEmail && !existing.contactEmail) { existing.contactEmail = contactEmail; changed = true; }
-    if (metadata && !existing.metadata) { existing.metadata = metadata; changed = true; }
-    if (changed) {
-      existing.updatedAt = new Date().toISOString();
-      writeDB(db);
-      if (firestore) {
-        firestore.collection('organizations').doc(existing.id).set(existing, { merge: true }).catch(err => {
-          console.warn('Firestore update on organization failed:', err);
-        });
-      }
+    const patch = {};
+    if (displayName && !existing.displayName) patch.displayName = displayName;
+    if (logoUrl && !existing.logoUrl) patch.logoUrl = logoUrl;
+    if (contactEmail && !existing.contactEmail) patch.contactEmail = contactEmail;
+    if (metadata && !existing.metadata) patch.metadata = metadata;
+    if (Object.keys(patch).length > 0) {
+      patch.updatedAt = new Date().toISOString();
+      return (await repo.orgs.update(existing.id, patch)) || existing;
     }
     return existing;
   }
@@ -232,140 +398,81 @@ async function upsertOrganizationByName(orgName, { displayName = null, logoUrl =
     metadata: metadata || {},
     createdAt: new Date().toISOString()
   };
-
-  db.organizations.unshift(org);
-  writeDB(db);
-
-  if (firestore) {
-    try {
-      await firestore.collection('organizations').doc(org.id).set(org);
-    } catch (err) {
-      console.warn('Failed to persist organization to Firestore:', err && err.message ? err.message : err);
-    }
-  }
-
-  return org;
+  return repo.orgs.create(org);
 }
 
-// Helper: get org by id (Firestore preferred, fallback to local)
+// Helper: get org by id (older records may be addressed by name)
 async function getOrgById(orgId) {
   if (!orgId) return null;
-  if (firestore) {
-    try {
-      const doc = await firestore.collection('organizations').doc(String(orgId)).get();
-      if (doc.exists) return doc.data();
-    } catch (e) { /* ignore */ }
-  }
-  const db = readDB();
-  return (db.organizations || []).find(o => o.id === orgId || o.name === orgId) || null;
+  const org = await repo.orgs.get(orgId);
+  if (org) return org;
+  const byName = await repo.orgs.list({ name: String(orgId) });
+  return byName[0] || null;
 }
 
-// Helper: get user by uid (Firestore preferred, fallback to local data.json)
+// Helper: get user by uid
 async function getUserByUid(uid) {
   if (!uid) return null;
-  if (firestore) {
-    try {
-      const doc = await firestore.collection('users').doc(String(uid)).get();
-      if (doc.exists) return doc.data();
-    } catch (e) {
-      console.warn('getUserByUid firestore error:', e);
-    }
-  }
-  // fallback to local DB
-  try {
-    const db = readDB();
-    if (db.users && db.users[uid]) return db.users[uid];
-  } catch (e) {
-    // ignore
-  }
-  return null;
+  return repo.users.get(uid);
 }
 
-// ----------------------
-// Helper: Firestore-backed read helpers (used when Firestore is configured)
-// ----------------------
-async function listEventsFirestore(orgFilter = null) {
-  if (!firestore) return null;
-  try {
-    let q = firestore.collection('events');
-    // support filtering by org (name) OR orgId (id)
-    if (orgFilter && typeof orgFilter === 'object') {
-      if (orgFilter.orgId) q = q.where('orgId', '==', orgFilter.orgId);
-      else if (orgFilter.orgName) q = q.where('org', '==', orgFilter.orgName);
-    } else if (orgFilter) {
-      // legacy: treat as org name
-      q = q.where('org', '==', String(orgFilter));
-    }
-    const snap = await q.get();
-    return snap.docs.map(d => d.data());
-  } catch (err) {
-    console.warn('listEventsFirestore failed:', err);
-    return null;
-  }
-}
+// Duplicate payment detection (duplicate references are rejected, near-duplicates flagged) — see lib/duplicates.js
+const duplicates = require('./lib/duplicates')({
+  payments: repo.payments,
+  canonicalOrgName,
+  windowMinutes: Number(process.env.DUPLICATE_WINDOW_MINUTES) || 60
+});
 
-async function getEventFirestoreById(id) {
-  if (!firestore) return null;
-  try {
-    const doc = await firestore.collection('events').doc(id).get();
-    return doc.exists ? doc.data() : null;
-  } catch (err) {
-    console.warn('getEventFirestoreById failed:', err);
-    return null;
-  }
+// Deadlines: hours after an event's deadline during which payments are still accepted (flagged late),
+// and the default late-fee surcharge for events without their own lateFee
+const PAYMENT_GRACE_HOURS = Math.max(Number(process.env.PAYMENT_GRACE_HOURS) || 0, 0);
+const DEFAULT_LATE_FEE = Math.max(Number(process.env.LATE_FEE) || 0, 0);
+
+// Receipt numbers (per-org serial, assigned when a payment is approved) — see lib/receipts.js
+const receiptNumbers = receipts.createReceiptNumbers({ counters: repo.counters, payments: repo.payments });
+
+// Receipt verification codes (public /verify/:code page). Printed receipts carry these codes, so the secret must
+// stay the same across restarts: RECEIPT_VERIFY_SECRET, else OFFICER_SESSION_SECRET.
+const receiptVerifySecret = process.env.RECEIPT_VERIFY_SECRET || officerSessionSecret;
+if (!process.env.RECEIPT_VERIFY_SECRET && !process.env.OFFICER_SESSION_SECRET) {
+  console.warn('RECEIPT_VERIFY_SECRET not set — receipt verification links will stop working after a restart.');
 }
+const verificationCodes = receipts.createVerificationCodes({ secret: receiptVerifySecret });
 
-async function listOrgsFirestore() {
-  if (!firestore) return null;
-  try {
-    const snap = await firestore.collection('organizations').get();
-    return snap.docs.map(d => d.data());
-  } catch (err) {
-    console.warn('listOrgsFirestore failed:', err);
-    return null;
-  }
+// Helper: public verification URL of an approved payment's receipt (null while APP_BASE_URL is not configured)
+function verifyUrlFor(payment) {
+  if (!APP_BASE_URL_CONFIGURED) return null;
+  return `${APP_BASE_URL}/verify/${encodeURIComponent(verificationCodes.codeFor(payment))}`;
 }
 
-async function listPaymentsFirestoreFiltered({ eventId = null } = {}) {
-  if (!firestore) return null;
-  try {
-    let q = firestore.collection('payments');
-    if (eventId) q = q.where('eventId', '==', String(eventId));
-    const snap = await q.get();
-    return snap.docs.map(d => d.data());
-  } catch (err) {
-    console.warn('listPaymentsFirestoreFiltered failed:', err);
-    return null;
-  }
+// Helper: display name of the officer acting on a request (stored on the payment as verifiedBy)
+function officerDisplayName(user) {
+  if (!user) return null;
+  return user.name || user.username || user.email || user.org || user.uid;
 }
 
-async function listPaymentsFirestore() {
-  if (!firestore) return null;
-  try {
-    const snap = await firestore.collection('payments').get();
-    return snap.docs.map(d => d.data());
-  } catch (err) {
-    console.warn('listPaymentsFirestore failed:', err);
-    return null;
-  }
+// Helper: the student's other payments for the same event (balances are per student per event)
+async function studentPaymentsForEvent(payment) {
+  if (!payment.eventId) return [];
+  const key = balances.studentKey(payment);
+  const list = await repo.payments.list({ eventId: payment.eventId });
+  return list.filter(p => p.id !== payment.id && balances.studentKey(p) === key);
 }
 
-async function listPaymentsForUserFirestore(uid, email) {
-  if (!firestore) return null;
-  try {
-    if (uid) {
-      const snap = await firestore.collection('payments').where('submittedByUid', '==', uid).get();
-      return snap.docs.map(d => d.data());
-    }
-    if (email) {
-      const snap = await firestore.collection('payments').where('submittedByEmail', '==', email).get();
-      return snap.docs.map(d => d.data());
+// Helper: inject a fresh signed URL into proofFile for each payment (mutates the given objects)
+async function injectProofUrls(payments) {
+  if (!supabase) return payments;
+  await Promise.all(payments.map(async (p) => {
+    if (p.proofObjectPath) {
+      try {
+        const url = await makeFileUrl(p.proofObjectPath);
+        if (url) p.proofFile = url;
+      } catch (err) {
+        console.warn('Failed to create signed URL for', p.proofObjectPath, err && err.message ? err.message : err);
+      }
     }
-    return [];
-  } catch (err) {
-    console.warn('listPaymentsForUserFirestore failed:', err);
-    return null;
-  }
+  }));
+  return payments;
 }
 
 // ----------------------
@@ -375,8 +482,8 @@ async function listPaymentsForUserFirestore(uid, email) {
 // - POST /api/orgs
 // - PUT /api/orgs/:id
 // - DELETE /api/orgs/:id
-// Organizations are stored in local data.json and in Firestore collection 'organizations' when configured.
-// These endpoints are intentionally public for now (no verifyFirebaseToken). Add verifyFirebaseToken if you want to restrict changes.
+// Organizations are stored in the repository collection 'orgs' (data.json 'organizations' / Firestore 'organizations').
+// Reads are public; POST/PUT/DELETE require the 'admin' role (verifyFirebaseToken + authz.requireRole).
 // ----------------------
 
 // Helper to dedupe organization objects by canonicalName and merge basic fields
@@ -412,26 +519,15 @@ function dedupeOrgsArray(orgs) {
 // GET /api/orgs - return list of organizations (deduped by canonicalName)
 app.get('/api/orgs', async (req, res) => {
   try {
-    if (firestore) {
-      const orgs = await listOrgsFirestore();
-      if (Array.isArray(orgs)) {
-        const deduped = dedupeOrgsArray(orgs);
-        return res.json(deduped);
-      }
-      // else fallthrough to local
-    }
-
-    const db = readDB();
-    let orgs = (db.organizations || []).map(o => ({ ...o }));
+    let orgs = await repo.orgs.list();
     // If no explicit organizations exist, derive from events (helpful fallback)
-    if ((!orgs || orgs.length === 0) && Array.isArray(db.events) && db.events.length > 0) {
-      const names = Array.from(new Set(db.events.map(e => e.org).filter(Boolean)));
+    if (orgs.length === 0) {
+      const events = await repo.events.list();
+      const names = Array.from(new Set(events.map(e => e.org).filter(Boolean)));
       orgs = names.map(n => ({ id: n, name: n, displayName: n, canonicalName: canonicalOrgName(n), createdAt: null }));
     }
 
-    // Deduplicate local list as well before returning
-    const dedupedLocal = dedupeOrgsArray(orgs);
-    return res.json(dedupedLocal);
+    return res.json(dedupeOrgsArray(orgs));
   } catch (err) {
     console.error('GET /api/orgs error:', err);
     return res.status(500).json({ error: 'Server error' });
@@ -441,16 +537,7 @@ app.get('/api/orgs', async (req, res) => {
 // GET /api/orgs/:id - get single org
 app.get('/api/orgs/:id', async (req, res) => {
   try {
-    if (firestore) {
-      try {
-        const doc = await firestore.collection('organizations').doc(req.params.id).get();
-        if (doc.exists) return res.json(doc.data());
-      } catch (e) {
-        // ignore and fallback
-      }
-    }
-    const db = readDB();
-    const org = (db.organizations || []).find(o => o.id === req.params.id || o.name === req.params.id);
+    const org = await getOrgById(req.params.id);
     if (!org) return res.status(404).json({ error: 'not found' });
     return res.json(org);
   } catch (err) {
@@ -460,12 +547,14 @@ app.get('/api/orgs/:id', async (req, res) => {
 });
 
 // POST /api/orgs - create organization (idempotent/upsert by canonical name)
-app.post('/api/orgs', async (req, res) => {
+app.post('/api/orgs', verifyFirebaseToken, authz.requireRole('admin'), async (req, res) => {
   try {
     const { name, displayName, logoUrl, contactEmail, metadata } = req.body || {};
     if (!name) return res.status(400).json({ error: 'name is required' });
 
+    const before = audit.snapshot((await repo.orgs.list()).find(o => (o.canonicalName || canonicalOrgName(o.name)) === canonicalOrgName(name)));
     const org = await upsertOrganizationByName(name, { displayName, logoUrl, contactEmail, metadata });
+    await auditChange(req, 'org', org.id, before ? 'update' : 'create', before, org);
     return res.json(org);
   } catch (err) {
     console.error('POST /api/orgs error:', err);
@@ -474,31 +563,24 @@ app.post('/api/orgs', async (req, res) => {
 });
 
 // PUT /api/orgs/:id - update organization (partial)
-app.put('/api/orgs/:id', async (req, res) => {
+app.put('/api/orgs/:id', verifyFirebaseToken, authz.requireRole('admin'), async (req, res) => {
   try {
-    const db = readDB();
-    db.organizations = db.organizations || [];
-    const idx = db.organizations.findIndex(o => o.id === req.params.id || o.name === req.params.id);
-    if (idx === -1) return res.status(404).json({ error: 'not found' });
+    const existing = await getOrgById(req.params.id);
+    if (!existing) return res.status(404).json({ error: 'not found' });
 
     const update = req.body || {};
+    const patch = {};
     const allowed = ['name', 'displayName', 'logoUrl', 'contactEmail', 'metadata'];
     allowed.forEach(k => {
-      if (typeof update[k] !== 'undefined') db.organizations[idx][k] = update[k];
+      if (typeof update[k] !== 'undefined') patch[k] = update[k];
     });
     // Refresh canonicalName if name changed
-    if (update.name) db.organizations[idx].canonicalName = canonicalOrgName(update.name);
-    db.organizations[idx].updatedAt = new Date().toISOString();
-
-    writeDB(db);
-
-    if (firestore) {
-      firestore.collection('organizations').doc(db.organizations[idx].id).set(db.organizations[idx], { merge: true }).catch(err => {
-        console.warn('Firestore update on organization failed:', err);
-      });
-    }
+    if (update.name) patch.canonicalName = canonicalOrgName(update.name);
+    patch.updatedAt = new Date().toISOString();
 
-    return res.json(db.organizations[idx]);
+    const saved = await repo.orgs.update(existing.id, patch);
+    await auditChange(req, 'org', existing.id, 'update', existing, saved);
+    return res.json(saved);
   } catch (err) {
     console.error('PUT /api/orgs/:id error:', err);
     return res.status(500).json({ error: 'Server error' });
@@ -506,23 +588,14 @@ app.put('/api/orgs/:id', async (req, res) => {
 });
 
 // DELETE /api/orgs/:id - delete organization
-app.delete('/api/orgs/:id', async (req, res) => {
+app.delete('/api/orgs/:id', verifyFirebaseToken, authz.requireRole('admin'), async (req, res) => {
   try {
-    const db = readDB();
-    db.organizations = db.organizations || [];
-    const idx = db.organizations.findIndex(o => o.id === req.params.id || o.name === req.params.id);
-    if (idx === -1) return res.status(404).json({ error: 'not found' });
-
-    const removed = db.organizations.splice(idx, 1)[0];
-    writeDB(db);
-
-    if (firestore) {
-      firestore.collection('organizations').doc(removed.id).delete().catch(err => {
-        console.warn('Firestore delete organization failed:', err);
-      });
-    }
+    const existing = await getOrgById(req.params.id);
+    if (!existing) return res.status(404).json({ error: 'not found' });
 
-    return res.json({ ok: true, id: removed.id });
+    const removed = await repo.orgs.remove(existing.id);
+    await auditChange(req, 'org', existing.id, 'delete', existing, null);
+    return res.json({ ok: true, id: removed ? removed.id : existing.id });
   } catch (err) {
     console.error('DELETE /api/orgs/:id error:', err);
     return res.status(500).json({ error: 'Server error' });
@@ -533,98 +606,25 @@ app.delete('/api/orgs/:id', async (req, res) => {
 // Officer profiles endpoints
 // - GET /api/officer-profiles            -> list all or filter by ?org= or ?orgId=
 // - GET /api/officer-profiles/:id        -> get profile by id (orgId or canonical org name)
-// - POST /api/officer-profiles           -> upsert profile (requires auth when Firebase admin is configured)
-// Stored in Firestore collection 'officerProfiles' when available, otherwise in data.json.officerProfiles (object keyed by canonical org name)
+// - POST /api/officer-profiles           -> upsert profile (officer of that org or admin)
+// Stored in the repository collection 'officerProfiles', keyed by orgId when known else canonical org name
 // ----------------------
 
 function canonicalKeyForOrg(orgName) {
   return canonicalOrgName(orgName || '');
 }
 
-async function readOfficerProfilesFromDB() {
-  const db = readDB();
-  // store as object keyed by canonical org name -> profile object
-  return db.officerProfiles || {};
-}
-
-async function writeOfficerProfilesToDB(mapObj) {
-  const db = readDB();
-  db.officerProfiles = mapObj || {};
-  writeDB(db);
-}
-
-async function upsertOfficerProfileToFirestore(orgKey, payload) {
-  // orgKey: prefer orgId if provided else canonical org name
-  if (!firestore) throw new Error('Firestore not configured');
-  try {
-    const docId = String(orgKey);
-    const docRef = firestore.collection('officerProfiles').doc(docId);
-    const toSave = Object.assign({}, payload, { id: docId, orgKey });
-    await docRef.set(toSave, { merge: true });
-    return toSave;
-  } catch (err) {
-    throw err;
-  }
-}
-
-async function getOfficerProfileFromFirestoreByKey(orgKey) {
-  if (!firestore) return null;
-  try {
-    const doc = await firestore.collection('officerProfiles').doc(String(orgKey)).get();
-    if (!doc.exists) return null;
-    return doc.data();
-  } catch (err) {
-    console.warn('getOfficerProfileFromFirestoreByKey error:', err);
-    return null;
-  }
-}
-
-async function listOfficerProfilesFromFirestore() {
-  if (!firestore) return [];
-  try {
-    const snap = await firestore.collection('officerProfiles').get();
-    return snap.docs.map(d => d.data());
-  } catch (err) {
-    console.warn('listOfficerProfilesFromFirestore error:', err);
-    return [];
-  }
-}
-
 // GET /api/officer-profiles
 app.get('/api/officer-profiles', async (req, res) => {
   try {
     const orgQuery = req.query.org ? String(req.query.org) : null;
     const orgIdQuery = req.query.orgId ? String(req.query.orgId) : null;
 
-    if (firestore) {
-      // if filtering, try to read specific doc
-      if (orgIdQuery) {
-        const doc = await getOfficerProfileFromFirestoreByKey(orgIdQuery);
-        return res.json(doc ? [doc] : []);
-      }
-      if (orgQuery) {
-        const key = canonicalKeyForOrg(orgQuery);
-        const doc = await getOfficerProfileFromFirestoreByKey(key);
-        return res.json(doc ? [doc] : []);
-      }
-      const list = await listOfficerProfilesFromFirestore();
-      return res.json(list);
-    }
-
-    // fallback: read from local data.json
-    const map = await readOfficerProfilesFromDB();
-    if (orgIdQuery) {
-      const p = map[orgIdQuery] || null;
-      return res.json(p ? [p] : []);
-    }
-    if (orgQuery) {
-      const key = canonicalKeyForOrg(orgQuery);
-      const p = map[key] || null;
+    if (orgIdQuery || orgQuery) {
+      const p = await repo.officerProfiles.get(orgIdQuery || canonicalKeyForOrg(orgQuery));
       return res.json(p ? [p] : []);
     }
-    // return all values
-    const vals = Object.keys(map).map(k => map[k]);
-    return res.json(vals);
+    return res.json(await repo.officerProfiles.list());
   } catch (err) {
     console.error('GET /api/officer-profiles error:', err);
     return res.status(500).json({ error: 'Server error' });
@@ -635,13 +635,7 @@ app.get('/api/officer-profiles', async (req, res) => {
 app.get('/api/officer-profiles/:id', async (req, res) => {
   try {
     const id = req.params.id;
-    if (firestore) {
-      const doc = await getOfficerProfileFromFirestoreByKey(id);
-      if (!doc) return res.status(404).json({ error: 'not found' });
-      return res.json(doc);
-    }
-    const map = await readOfficerProfilesFromDB();
-    const profile = map[id] || map[canonicalKeyForOrg(id)] || null;
+    const profile = (await repo.officerProfiles.get(id)) || (await repo.officerProfiles.get(canonicalKeyForOrg(id)));
     if (!profile) return res.status(404).json({ error: 'not found' });
     return res.json(profile);
   } catch (err) {
@@ -652,49 +646,33 @@ app.get('/api/officer-profiles/:id', async (req, res) => {
 
 // POST /api/officer-profiles - upsert profile
 // Body: { org, orgId (optional), profile: { name: {surname,given,middle}, designation, year, college, department, program, photoURL, username } }
-// Requires authentication when Firebase admin is configured (verifyFirebaseToken). When admin not configured, endpoint still works (no auth).
-app.post('/api/officer-profiles', verifyFirebaseToken, async (req, res) => {
+// Requires an officer of that org (or admin).
+app.post('/api/officer-profiles', verifyFirebaseToken, authz.requireRole('officer'), async (req, res) => {
   try {
     const body = req.body || {};
     const org = body.org || null;
     const orgId = body.orgId || null;
     const profile = body.profile || body; // allow full profile in root
     if (!org && !orgId) return res.status(400).json({ error: 'org or orgId is required' });
+    if (!authz.ensureOrgAccess(req, res, await resolveOrgTarget({ orgId, org }))) return;
 
     // Normalize key: prefer orgId as key else canonical org name
     const key = orgId ? String(orgId) : canonicalKeyForOrg(org);
 
-    // Build profile object to persist
-    const profileObj = Object.assign({}, profile, {
+    // Build profile object to persist (merged over any existing profile for this key)
+    const existing = await repo.officerProfiles.get(key);
+    const profileObj = Object.assign({}, existing || {}, profile, {
+      id: key,
+      orgKey: key,
       org: org || profile.org || '',
       orgId: orgId || profile.orgId || null,
       updatedAt: new Date().toISOString()
     });
 
-    // Persist to local data.json map (non-blocking for firestore path)
-    try {
-      const map = await readOfficerProfilesFromDB();
-      map[key] = Object.assign({}, map[key] || {}, profileObj);
-      await writeOfficerProfilesToDB(map);
-    } catch (e) {
-      console.warn('Failed to write officer profile to local DB:', e);
-    }
-
-    // Persist to Firestore if configured
-    if (firestore) {
-      try {
-        // Use orgId as document id when present else canonical org name
-        const docId = key;
-        await upsertOfficerProfileToFirestore(docId, profileObj);
-      } catch (e) {
-        console.warn('Failed to persist officer profile to Firestore:', e);
-      }
-    }
-
-    // Signal other tabs/clients via localStorage key if running in same browser (server can't set localStorage on clients)
-    // Client code already writes orgsLastUpdated when saving locally; keep that behavior on client.
+    const saved = await repo.officerProfiles.put(key, profileObj);
+    await auditChange(req, 'officerProfile', key, existing ? 'update' : 'create', existing, saved);
     console.log('Officer profile upserted for key=', key);
-    return res.json(map[key] || profileObj);
+    return res.json(saved);
   } catch (err) {
     console.error('POST /api/officer-profiles error:', err);
     return res.status(500).json({ error: 'Server error' });
@@ -703,7 +681,7 @@ app.post('/api/officer-profiles', verifyFirebaseToken, async (req, res) => {
 
 // ----------------------
 // New: GET /api/my-profile - returns the authenticated user's stored profile (users/{uid}.profile)
-// Requires verifyFirebaseToken. Falls back to local data.json users map when Firestore not configured.
+// Requires verifyFirebaseToken.
 // Response: { uid, profile, role }
 // ----------------------
 app.get('/api/my-profile', verifyFirebaseToken, async (req, res) => {
@@ -711,35 +689,9 @@ app.get('/api/my-profile', verifyFirebaseToken, async (req, res) => {
     const uid = req.firebaseUser && req.firebaseUser.uid;
     if (!uid) return res.status(401).json({ error: 'not authenticated' });
 
-    if (firestore) {
-      try {
-        const doc = await firestore.collection('users').doc(uid).get();
-        if (doc.exists) {
-          const data = doc.data();
-          const profile = data.profile || null;
-          const role = data.role || null;
-          return res.json({ uid, profile, role });
-        }
-      } catch (e) {
-        console.warn('GET /api/my-profile firestore read failed:', e);
-        // fallthrough to local fallback
-      }
-    }
-
-    // Local fallback: read from data.json users map if present
-    try {
-      const db = readDB();
-      if (db.users && db.users[uid]) {
-        const userRec = db.users[uid];
-        const profile = userRec.profile || userRec || null;
-        const role = userRec.role || null;
-        return res.json({ uid, profile, role });
-      }
-    } catch (e) {
-      // ignore and return empty
-    }
-
-    return res.json({ uid, profile: null, role: null });
+    const userRec = await repo.users.get(uid);
+    if (!userRec) return res.json({ uid, profile: null, role: null });
+    return res.json({ uid, profile: userRec.profile || null, role: userRec.role || null });
   } catch (err) {
     console.error('GET /api/my-profile error:', err);
     return res.status(500).json({ error: 'Server error' });
@@ -752,30 +704,76 @@ app.get('/api/my-profile', verifyFirebaseToken, async (req, res) => {
 // - POST /api/events (multipart support)
 // - PUT /api/events/:id (multipart support added)
 // - DELETE /api/events/:id
-// These use the local data.json fallback (db.events) and also persist to Firestore if configured.
-// When Firestore is configured, GET endpoints will read from Firestore.
+// - GET /api/events/:id/balances (officer)
+// Events are stored in the repository collection 'events'.
+// Mutations require an officer of the event's org (or admin).
 // ----------------------
 
+// Helper: boolean form fields arrive as strings from multipart forms ('true', 'on', '1')
+function parseBooleanField(value) {
+  return value === true || ['true', 'on', '1', 'yes'].includes(String(value).trim().toLowerCase());
+}
+
+// Helper: the term named by ?termId= (a term id or 'current'). term is null when no termId was given or when
+// 'current' was asked for before any term exists; invalid is set for unknown term ids.
+async function termFromQuery(query) {
+  const ref = query && query.termId ? String(query.termId).trim() : '';
+  if (!ref) return { term: null, invalid: false };
+  const term = await terms.resolveTerm(ref);
+  return { term, invalid: !term && ref.toLowerCase() !== 'current' };
+}
+
+// Helper: tie an event to its academic term (ev.termId + the term's name in ev.term, like orgId + org).
+// termId may be a term id or 'current'; without one the term is picked from the event's deadline (or an
+// existing ev.term naming a term), see lib/terms.js termForEvent. Returns false for unknown term ids.
+async function assignEventTerm(ev, termId) {
+  let term = null;
+  if (termId) {
+    term = await terms.resolveTerm(String(termId).trim());
+    if (!term) return false;
+  } else {
+    const named = ev.term ? (await terms.listTerms()).find(t => t.name.toLowerCase() === String(ev.term).toLowerCase()) : null;
+    term = named || (await terms.termForEvent(Object.assign({}, ev, { termId: null })));
+  }
+  // no terms defined yet: keep whatever free-text term the event has
+  if (!term) {
+    ev.termId = null;
+    return true;
+  }
+  ev.termId = term.id;
+  ev.term = term.name;
+  return true;
+}
+
+// Helper: saved profile (users/{uid}.profile) of the signed-in student, or null
+async function storedStudentProfile(req) {
+  const uid = req.firebaseUser && req.firebaseUser.uid;
+  if (!uid) return null;
+  const userRec = await repo.users.get(uid);
+  return (userRec && userRec.profile) || null;
+}
+
 // GET /api/events - list all events (server-authoritative); supports optional org filter (by name) or orgId
-app.get('/api/events', async (req, res) => {
+// ?termId= (a term id or 'current') limits the list to one term. Events archived by a term rollover are left out
+// unless a termId is given or ?includeArchived=true.
+// Signed-in students only get the events they are eligible for (event.eligibility vs their saved profile);
+// officers, admins and anonymous callers get every event.
+app.get('/api/events', optionalAuth, async (req, res) => {
   try {
-    const orgFilter = req.query.org ? String(req.query.org) : null;
-    const orgIdFilter = req.query.orgId ? String(req.query.orgId) : null;
-
-    if (firestore) {
-      // prefer Firestore read; support filtering by orgId or org (name)
-      const events = await listEventsFirestore(orgIdFilter ? { orgId: orgIdFilter } : (orgFilter ? { orgName: orgFilter } : null));
-      if (Array.isArray(events)) {
-        return res.json(events);
-      }
-      // else fallthrough to local DB
+    const filter = {};
+    if (req.query.orgId) filter.orgId = String(req.query.orgId);
+    if (req.query.org) filter.org = String(req.query.org);
+    const { term, invalid } = await termFromQuery(req.query);
+    if (invalid) return res.status(400).json({ error: 'unknown termId' });
+
+    let events = await repo.events.list(filter);
+    if (term) events = events.filter(ev => eventInTerm(ev, term));
+    else if (!req.query.termId && !parseBooleanField(req.query.includeArchived)) events = events.filter(ev => !ev.archived);
+    const viewer = req.firebaseUser || req.authUser ? await authz.loadAuthUser(req) : null;
+    if (viewer && viewer.role === authz.ROLES.STUDENT) {
+      const profile = await storedStudentProfile(req);
+      events = events.filter(ev => eligibility.isEligible(ev.eligibility, profile).eligible);
     }
-
-    const db = readDB();
-    let events = (db.events || []).map(e => ({ ...e }));
-    if (orgIdFilter) events = events.filter(ev => ev.orgId === orgIdFilter);
-    if (orgFilter) events = events.filter(ev => ev && ev.org === orgFilter);
-    // return a shallow clone to avoid accidental mutation
     res.json(events);
   } catch (err) {
     console.error('GET /api/events error:', err);
@@ -783,42 +781,25 @@ app.get('/api/events', async (req, res) => {
   }
 });
 
+// Helper: inject a fresh signed URL (or local URL) for an event's receiver QR so clients get a usable image
+async function injectReceiverQrUrl(ev, req) {
+  try {
+    if (ev.receiver && ev.receiver.qrObjectIsLocal && ev.receiver.qrObjectPath) {
+      ev.receiver.qr = `${req.protocol}://${req.get('host')}/uploads/${ev.receiver.qrObjectPath}`;
+    } else if (ev.receiver && ev.receiver.qrObjectPath) {
+      const signed = await makeFileUrl(ev.receiver.qrObjectPath);
+      if (signed) ev.receiver.qr = signed;
+    }
+  } catch (e) { /* ignore signed url failure */ }
+  return ev;
+}
+
 // GET /api/events/:id - single event
 app.get('/api/events/:id', async (req, res) => {
   try {
-    // Try Firestore first
-    if (firestore) {
-      const ev = await getEventFirestoreById(req.params.id);
-      if (ev) {
-        // Attempt to inject fresh signed URL for receiver QR when possible (so clients get usable QR)
-        try {
-          if (ev.receiver && ev.receiver.qrObjectPath) {
-            const signed = await makeFileUrl(ev.receiver.qrObjectPath);
-            if (signed) ev.receiver.qr = signed;
-          } else if (ev.receiver && ev.receiver.qrObjectIsLocal && ev.receiver.qrObjectPath) {
-            ev.receiver.qr = `${req.protocol}://${req.get('host')}/uploads/${ev.receiver.qrObjectPath}`;
-          }
-        } catch (e) { /* ignore signed url failure */ }
-        return res.json(ev);
-      }
-      // else fallthrough to local
-    }
-
-    const db = readDB();
-    const ev = (db.events || []).find(x => x.id === req.params.id);
+    const ev = await repo.events.get(req.params.id);
     if (!ev) return res.status(404).json({ error: 'not found' });
-
-    // Attempt to inject fresh signed URL for local-stored event receiver
-    try {
-      if (ev.receiver && ev.receiver.qrObjectPath) {
-        const signed = await makeFileUrl(ev.receiver.qrObjectPath);
-        if (signed) ev.receiver.qr = signed;
-      } else if (ev.receiver && ev.receiver.qrObjectIsLocal && ev.receiver.qrObjectPath) {
-        ev.receiver.qr = `${req.protocol}://${req.get('host')}/uploads/${ev.receiver.qrObjectPath}`;
-      }
-    } catch (e) { /* ignore signed url failure */ }
-
-    res.json(ev);
+    res.json(await injectReceiverQrUrl(ev, req));
   } catch (err) {
     console.error('GET /api/events/:id error:', err);
     res.status(500).json({ error: 'Server error' });
@@ -828,17 +809,7 @@ app.get('/api/events/:id', async (req, res) => {
 // NEW endpoint: GET /api/events/:id/qr-url - return a fresh signed URL (or local URL) for an event's receiver QR
 app.get('/api/events/:id/qr-url', async (req, res) => {
   try {
-    const id = req.params.id;
-    let ev = null;
-
-    if (firestore) {
-      ev = await getEventFirestoreById(id);
-    }
-    if (!ev) {
-      const db = readDB();
-      ev = (db.events || []).find(x => x.id === id);
-    }
-
+    const ev = await repo.events.get(req.params.id);
     if (!ev) return res.status(404).json({ error: 'not found' });
 
     const receiver = ev.receiver || {};
@@ -881,13 +852,30 @@ app.get('/api/events/:id/qr-url', async (req, res) => {
   }
 });
 
+// GET /api/events/:id/balances - per-student running balances against the event fee (officer of the event's org)
+// Response: { eventId, eventName, fee, students: [{ studentKey, studentName, paid, pending, balance, overpaid, status, ... }], totals }
+app.get('/api/events/:id/balances', verifyFirebaseToken, authz.requireRole('officer'), async (req, res) => {
+  try {
+    const ev = await repo.events.get(req.params.id);
+    if (!ev) return res.status(404).json({ error: 'not found' });
+    if (!authz.ensureOrgAccess(req, res, await resolveOrgTarget({ orgId: ev.orgId, org: ev.org }))) return;
+
+    const payments = await repo.payments.list({ eventId: ev.id });
+    const summary = balances.studentBalances(payments, ev.fee);
+    return res.json(Object.assign({ eventId: ev.id, eventName: ev.name || null }, summary));
+  } catch (err) {
+    console.error('GET /api/events/:id/balances error:', err);
+    return res.status(500).json({ error: 'Server error' });
+  }
+});
+
 // POST /api/events - create event (accept JSON body OR multipart/form-data with receiverQR file)
 // Accepts either org (name) or orgId (canonical) from client. If orgId provided, server will resolve org name if possible.
-app.post('/api/events', upload.single('receiverQR'), async (req, res) => {
+app.post('/api/events', verifyFirebaseToken, authz.requireRole('officer'), upload.single('receiverQR'), async (req, res) => {
   try {
     // Accept both JSON and multipart/form-data
     // If multipart, form fields come in req.body as strings; receiver may be passed as JSON string
-    let { name, fee, deadline } = req.body || {};
+    let { name, fee, deadline, lateFee, mandatory, term, termId } = req.body || {};
     let org = req.body && req.body.org ? req.body.org : null;
     const orgIdFromClient = req.body && req.body.orgId ? req.body.orgId : null;
     let receiver = req.body && req.body.receiver ? req.body.receiver : null;
@@ -901,11 +889,23 @@ app.post('/api/events', upload.single('receiverQR'), async (req, res) => {
     if (!name || (!org && !orgIdFromClient)) {
       return res.status(400).json({ error: 'name and org or orgId are required' });
     }
+    if (!authz.ensureOrgAccess(req, res, await resolveOrgTarget({ orgId: orgIdFromClient, org }))) return;
 
     // Normalize values
     name = String(name);
     fee = typeof fee !== 'undefined' ? Number(fee) : 0;
     deadline = deadline || null;
+    lateFee = typeof lateFee !== 'undefined' && lateFee !== '' ? Number(lateFee) : null;
+    if (deadline && !deadlines.deadlineAt(deadline)) return res.status(400).json({ error: 'deadline must be a date (YYYY-MM-DD)' });
+    if (lateFee !== null && (!Number.isFinite(lateFee) || lateFee < 0)) return res.status(400).json({ error: 'lateFee must be a non-negative number' });
+    mandatory = parseBooleanField(mandatory);
+    term = term ? String(term).trim() : null;
+    let eventEligibility = null;
+    try {
+      eventEligibility = eligibility.normalizeEligibility(req.body.eligibility);
+    } catch (e) {
+      return res.status(400).json({ error: 'eligibility must be an object of colleges, departments, programs, years and blocks' });
+    }
 
     // Resolve org: prefer orgId if provided
     let orgObj = null;
@@ -921,12 +921,17 @@ app.post('/api/events', upload.single('receiverQR'), async (req, res) => {
       name,
       fee,
       deadline,
-      status: 'Open',
+      lateFee,
+      eligibility: eventEligibility,
+      mandatory,
+      term,
+      status: deadlines.EVENT_STATUSES.OPEN,
       orgId: orgObj && orgObj.id ? orgObj.id : null,
       org: orgObj && orgObj.name ? orgObj.name : (org || ''),
       receiver: receiver && typeof receiver === 'object' ? Object.assign({}, receiver) : (receiver || {}),
       createdAt: new Date().toISOString()
     };
+    if (!(await assignEventTerm(newEvent, termId))) return res.status(400).json({ error: 'unknown termId' });
 
     // If a file was uploaded under 'receiverQR', upload to Supabase (or save locally)
     if (req.file) {
@@ -964,11 +969,9 @@ app.post('/api/events', upload.single('receiverQR'), async (req, res) => {
       // We'll keep the data URL in receiver.qr (existing behavior) unless you later want to migrate them.
     }
 
-    // Persist to local DB
-    const db = readDB();
-    db.events = db.events || [];
-    db.events.unshift(newEvent);
-    writeDB(db);
+    await repo.events.create(newEvent);
+    await auditChange(req, 'event', newEvent.id, 'create', null, newEvent);
+    bus.publish(bus.TOPICS.EVENT_CREATED, { event: newEvent });
 
     // Auto-create/upsert organization record for this event's org (already handled above)
     try {
@@ -977,15 +980,6 @@ app.post('/api/events', upload.single('receiverQR'), async (req, res) => {
       console.warn('Failed to upsert organization on event create:', err && err.message ? err.message : err);
     }
 
-    // Persist to Firestore (non-blocking)
-    if (firestore) {
-      try {
-        await firestore.collection('events').doc(newEvent.id).set(newEvent);
-      } catch (err) {
-        console.warn('Failed to persist event to Firestore:', err && err.message ? err.message : err);
-      }
-    }
-
     // Return created event to client
     return res.json(newEvent);
   } catch (err) {
@@ -995,46 +989,81 @@ app.post('/api/events', upload.single('receiverQR'), async (req, res) => {
 });
 
 // PUT /api/events/:id - update event (partial) - now supports multipart (receiverQR) as well as JSON
-app.put('/api/events/:id', upload.single('receiverQR'), async (req, res) => {
+app.put('/api/events/:id', verifyFirebaseToken, authz.requireRole('officer'), upload.single('receiverQR'), async (req, res) => {
   try {
-    const db = readDB();
-    db.events = db.events || [];
-    const idx = db.events.findIndex(e => e.id === req.params.id);
-    if (idx === -1) return res.status(404).json({ error: 'not found' });
+    const ev = await repo.events.get(req.params.id);
+    if (!ev) return res.status(404).json({ error: 'not found' });
+    if (!authz.ensureOrgAccess(req, res, await resolveOrgTarget({ orgId: ev.orgId, org: ev.org }))) return;
+    const before = audit.snapshot(ev);
 
     // req.body may be JSON (Content-Type: application/json) or strings (multipart)
     let update = req.body || {};
+    // Moving an event to another org requires access to the destination org as well
+    if ((update.orgId || update.org) && !authz.ensureOrgAccess(req, res, await resolveOrgTarget({ orgId: update.orgId, org: update.org }))) return;
 
     // If receiver is a JSON string (from multipart), parse it
     if (update && update.receiver && typeof update.receiver === 'string') {
       try { update.receiver = JSON.parse(update.receiver); } catch (e) { /* leave as string if parse fails */ }
     }
 
+    if (update.deadline && !deadlines.deadlineAt(update.deadline)) return res.status(400).json({ error: 'deadline must be a date (YYYY-MM-DD)' });
+    if (typeof update.status !== 'undefined' && !Object.values(deadlines.EVENT_STATUSES).includes(update.status)) {
+      return res.status(400).json({ error: `status must be one of ${Object.values(deadlines.EVENT_STATUSES).join(', ')}` });
+    }
+    if (typeof update.lateFee !== 'undefined' && update.lateFee !== '' && update.lateFee !== null &&
+        (!Number.isFinite(Number(update.lateFee)) || Number(update.lateFee) < 0)) {
+      return res.status(400).json({ error: 'lateFee must be a non-negative number' });
+    }
+    if (typeof update.eligibility !== 'undefined') {
+      try {
+        update.eligibility = eligibility.normalizeEligibility(update.eligibility);
+      } catch (e) {
+        return res.status(400).json({ error: 'eligibility must be an object of colleges, departments, programs, years and blocks' });
+      }
+    }
+
     // If orgId or org provided, resolve canonical org and set orgId/org
     if (update.orgId || update.org) {
       let orgObj = null;
       if (update.orgId) orgObj = await getOrgById(update.orgId);
       if (!orgObj && update.org) orgObj = await upsertOrganizationByName(update.org, { displayName: update.org });
       if (orgObj) {
-        db.events[idx].orgId = orgObj.id;
-        db.events[idx].org = orgObj.name;
+        ev.orgId = orgObj.id;
+        ev.org = orgObj.name;
       } else if (update.org) {
-        db.events[idx].org = update.org;
+        ev.org = update.org;
       }
     }
 
-    // allow updating name, fee, deadline, status, receiver, org
-    const allowed = ['name', 'fee', 'deadline', 'status', 'receiver', 'org'];
+    const previousStatus = ev.status;
+    // allow updating name, fee, lateFee, deadline, status, eligibility, mandatory, term, receiver, org (termId below)
+    const allowed = ['name', 'fee', 'lateFee', 'deadline', 'status', 'eligibility', 'mandatory', 'term', 'receiver', 'org'];
     allowed.forEach(k => {
       if (typeof update[k] !== 'undefined') {
         // For numeric fields like fee, coerce appropriately if needed
         if (k === 'fee') {
-          db.events[idx][k] = Number(update[k]);
+          ev[k] = Number(update[k]);
+        } else if (k === 'lateFee') {
+          ev[k] = update[k] === '' || update[k] === null ? null : Number(update[k]);
+        } else if (k === 'mandatory') {
+          ev[k] = parseBooleanField(update[k]);
+        } else if (k === 'term') {
+          ev[k] = update[k] ? String(update[k]).trim() : null;
         } else {
-          db.events[idx][k] = update[k];
+          ev[k] = update[k];
         }
       }
     });
+    // termId: a term id or 'current'; '' (or a term name in `term`) puts the event on the matching term again
+    if ((typeof update.termId !== 'undefined' || typeof update.term !== 'undefined') && !(await assignEventTerm(ev, update.termId))) {
+      return res.status(400).json({ error: 'unknown termId' });
+    }
+    // Officers can close an event early; reopening clears the auto-close marker (the deadline must be in the future
+    // or the auto-close job will close it again)
+    if (typeof update.status !== 'undefined' && update.status !== previousStatus) {
+      if (deadlines.isClosed(ev)) Object.assign(ev, { closedAt: new Date().toISOString(), closedReason: 'manual' });
+      else { delete ev.closedAt; delete ev.closedReason; }
+    }
 
     // If a file was uploaded under 'receiverQR', upload/replace to Supabase (or save locally)
     if (req.file) {
@@ -1049,11 +1078,11 @@ app.put('/api/events/:id', upload.single('receiverQR'), async (req, res) => {
             console.warn('Supabase upload error for event QR (update):', error);
           } else {
             const storedPath = data && (data.path || data.Key || data.name) ? (data.path || data.Key || data.name) : objectPath;
-            db.events[idx].receiver = Object.assign({}, db.events[idx].receiver || {}, { qrObjectPath: storedPath });
+            ev.receiver = Object.assign({}, ev.receiver || {}, { qrObjectPath: storedPath });
             // Optionally add a temporary signed url for immediate client display (non-persistent)
             try {
               const signed = await makeFileUrl(storedPath);
-              if (signed) db.events[idx].receiver.qr = signed;
+              if (signed) ev.receiver.qr = signed;
             } catch (e) { /* ignore signed url failure */ }
           }
         } else {
@@ -1061,14 +1090,14 @@ app.put('/api/events/:id', upload.single('receiverQR'), async (req, res) => {
           const filename = `${req.params.id}${ext || '.png'}`;
           const dest = path.join(UPLOADS_DIR, filename);
           fs.writeFileSync(dest, req.file.buffer);
-          db.events[idx].receiver = Object.assign({}, db.events[idx].receiver || {}, { qr: `${req.protocol}://${req.get('host')}/uploads/${filename}`, qrObjectIsLocal: true, qrObjectPath: filename });
+          ev.receiver = Object.assign({}, ev.receiver || {}, { qr: `${req.protocol}://${req.get('host')}/uploads/${filename}`, qrObjectIsLocal: true, qrObjectPath: filename });
         }
       } catch (err) {
         console.warn('Error handling uploaded receiverQR file on update:', err && err.message ? err.message : err);
       }
     }
 
-    db.events[idx].updatedAt = new Date().toISOString();
+    ev.updatedAt = new Date().toISOString();
 
     // If org changed, ensure organization exists (already handled above)
     try {
@@ -1079,15 +1108,10 @@ app.put('/api/events/:id', upload.single('receiverQR'), async (req, res) => {
       console.warn('Failed to upsert organization on event update:', e);
     }
 
-    writeDB(db);
-
-    if (firestore) {
-      firestore.collection('events').doc(db.events[idx].id).set(db.events[idx], { merge: true }).catch(err => {
-        console.warn('Firestore update on event failed:', err);
-      });
-    }
-
-    return res.json(db.events[idx]);
+    const saved = await repo.events.put(ev.id, ev);
+    await auditChange(req, 'event', ev.id, 'update', before, saved);
+    bus.publish(bus.TOPICS.EVENT_UPDATED, { event: saved, before });
+    return res.json(saved);
   } catch (err) {
     console.error('PUT /api/events/:id error:', err && err.message ? err.message : err);
     return res.status(500).json({ error: 'Server error' });
@@ -1095,23 +1119,16 @@ app.put('/api/events/:id', upload.single('receiverQR'), async (req, res) => {
 });
 
 // DELETE /api/events/:id - delete event
-app.delete('/api/events/:id', async (req, res) => {
+app.delete('/api/events/:id', verifyFirebaseToken, authz.requireRole('officer'), async (req, res) => {
   try {
-    const db = readDB();
-    db.events = db.events || [];
-    const idx = db.events.findIndex(e => e.id === req.params.id);
-    if (idx === -1) return res.status(404).json({ error: 'not found' });
-
-    const removed = db.events.splice(idx, 1)[0];
-    writeDB(db);
-
-    if (firestore) {
-      firestore.collection('events').doc(removed.id).delete().catch(err => {
-        console.warn('Firestore delete event failed:', err);
-      });
-    }
+    const ev = await repo.events.get(req.params.id);
+    if (!ev) return res.status(404).json({ error: 'not found' });
+    if (!authz.ensureOrgAccess(req, res, await resolveOrgTarget({ orgId: ev.orgId, org: ev.org }))) return;
 
-    return res.json({ ok: true, id: removed.id });
+    await repo.events.remove(ev.id);
+    await auditChange(req, 'event', ev.id, 'delete', ev, null);
+    bus.publish(bus.TOPICS.EVENT_DELETED, { event: ev });
+    return res.json({ ok: true, id: ev.id });
   } catch (err) {
     console.error('DELETE /api/events/:id error:', err);
     return res.status(500).json({ error: 'Server error' });
@@ -1122,55 +1139,119 @@ app.delete('/api/events/:id', async (req, res) => {
 // Payments endpoints (existing)
 // ----------------------
 
+// Helper: parse the payment filter query params (eventId, termId, year, block) shared by GET /api/payments and
+// GET /api/payments/export. year and block may be provided multiple times or as comma-separated lists.
+function paymentFiltersFromQuery(query) {
+  const eventId = query.eventId || query.event_id || null;
+  const termId = query.termId ? String(query.termId).trim() : null;
+  const rawYears = query.year || query.years || null;
+  const rawBlocks = query.block || query.blocks || null;
+
+  function toArrayOrNull(raw) {
+    if (!raw && raw !== 0) return null;
+    if (Array.isArray(raw)) return raw;
+    // comma-separated
+    return String(raw).split(',').map(s => s.trim()).filter(Boolean);
+  }
+
+  const yearsArr = toArrayOrNull(rawYears);
+  const blocksArr = toArrayOrNull(rawBlocks);
+  return {
+    eventId,
+    termId,
+    yearsArr,
+    blocksArr,
+    hasFilter: Boolean(eventId || termId || (yearsArr && yearsArr.length > 0) || (blocksArr && blocksArr.length > 0))
+  };
+}
+
+// Paging for GET /api/payments: ?limit=, ?cursor= (from the previous page) or ?page= (1-based), ?sort=, ?order=.
+// Returns null when none of them were sent (the legacy unpaged responses); throws PageError for bad values.
+const PAYMENT_SORTS = ['createdAt', 'amount', 'studentName'];
+const DEFAULT_PAYMENT_PAGE_SIZE = 50;
+const MAX_PAYMENT_PAGE_SIZE = 200;
+function paymentPageFromQuery(query) {
+  if (!['limit', 'cursor', 'page', 'sort', 'order'].some(k => typeof query[k] !== 'undefined')) return null;
+  const sort = query.sort ? String(query.sort) : 'createdAt';
+  if (!PAYMENT_SORTS.includes(sort)) throw new PageError(`sort must be one of ${PAYMENT_SORTS.join(', ')}`);
+  // newest first by default; names and amounts ascending
+  const order = query.order ? String(query.order).toLowerCase() : (sort === 'createdAt' ? 'desc' : 'asc');
+  if (order !== 'asc' && order !== 'desc') throw new PageError('order must be asc or desc');
+  const limit = typeof query.limit === 'undefined' ? DEFAULT_PAYMENT_PAGE_SIZE : parseInt(query.limit, 10);
+  if (!Number.isInteger(limit) || limit < 1 || limit > MAX_PAYMENT_PAGE_SIZE) throw new PageError(`limit must be between 1 and ${MAX_PAYMENT_PAGE_SIZE}`);
+  if (query.cursor && query.page) throw new PageError('send either cursor or page, not both');
+  const page = query.page ? parseInt(query.page, 10) : null;
+  if (query.page && (!Number.isInteger(page) || page < 1)) throw new PageError('page must be a positive integer');
+  return { orderBy: sort, direction: order, limit, after: query.cursor ? String(query.cursor) : null, offset: page ? (page - 1) * limit : 0, page };
+}
+
+function paymentPageInfo(paging, next, total = null) {
+  const info = { sort: paging.orderBy, order: paging.direction, limit: paging.limit, nextCursor: next, hasMore: Boolean(next) };
+  if (paging.page) info.page = paging.page;
+  if (total !== null) {
+    info.total = total;
+    info.totalPages = Math.max(1, Math.ceil(total / paging.limit));
+  }
+  return info;
+}
+
+// Helper: payments for the events of a term (by eventId; older payments without one match on event name + org)
+async function paymentsInTerm(payments, term) {
+  const termEvents = (await repo.events.list()).filter(ev => eventInTerm(ev, term));
+  const ids = new Set(termEvents.map(ev => ev.id));
+  const names = new Set(termEvents.map(ev => `${canonicalOrgName(ev.org)}:::${String(ev.name || '').trim().toLowerCase()}`));
+  return payments.filter(p => (p.eventId ? ids.has(p.eventId) : names.has(`${canonicalOrgName(p.org)}:::${String(p.event || '').trim().toLowerCase()}`)));
+}
+
+// Helper: apply the year/block filters with normalization (eventId is applied when listing from the datastore)
+function applyPaymentFilters(payments, { yearsArr, blocksArr }) {
+  const normalize = (v) => normalizeFilterValue(v);
+  const yearsNormalized = new Set((yearsArr || []).map(y => normalize(y)));
+  const blocksNormalized = new Set((blocksArr || []).map(b => normalize(b)));
+
+  return payments.filter(p => {
+    // Year filter: if specified, require match; else allow
+    if (yearsNormalized.size > 0) {
+      const py = normalize(p.studentYear || p.year || '');
+      if (!yearsNormalized.has(py)) return false;
+    }
+    // Block filter: if specified, require normalized equality
+    if (blocksNormalized.size > 0) {
+      const pb = normalize(p.studentBlock || p.block || '');
+      if (!blocksNormalized.has(pb)) return false;
+    }
+    return true;
+  });
+}
+
 // GET /api/payments - list all payments (inject signed URLs when possible)
-// Supports optional server-side filtering when query params (eventId, year, block) are provided.
+// Supports optional server-side filtering when query params (eventId, termId, year, block) are provided.
 // If no filter params are provided, returns the legacy array shape for backward compatibility.
 // If filter params are provided, returns an object: { payments: [...], totals: {...}, availableFilters: {...} }
-app.get('/api/payments', async (req, res) => {
+// Paging params (limit, cursor | page, sort, order) return one page plus `page: { nextCursor, hasMore, ... }`: without
+// filters the datastore reads only that page; with filters totals still cover every match. Proof URLs are signed
+// for the returned payments only.
+// Internal officer notes are only included for officers of the payment's org.
+app.get('/api/payments', optionalAuth, async (req, res) => {
   try {
-    // parse filter query params
-    const eventId = req.query.eventId || req.query.event_id || null;
-    // year and block may be provided multiple times or as comma-separated lists
-    const rawYears = req.query.year || req.query.years || null;
-    const rawBlocks = req.query.block || req.query.blocks || null;
-
-    function toArrayOrNull(raw) {
-      if (!raw && raw !== 0) return null;
-      if (Array.isArray(raw)) return raw;
-      // comma-separated
-      return String(raw).split(',').map(s => s.trim()).filter(Boolean);
-    }
-
-    const yearsArr = toArrayOrNull(rawYears);
-    const blocksArr = toArrayOrNull(rawBlocks);
-
-    const hasFilter = Boolean(eventId || (yearsArr && yearsArr.length > 0) || (blocksArr && blocksArr.length > 0));
-
-    // Helper to normalize string for comparison
-    const normalize = (v) => normalizeFilterValue(v);
-
-    // Fetch payments source depending on Firestore vs local
-    let paymentsSource = null;
-    if (firestore) {
-      // If eventId present, narrow by eventId in Firestore to reduce data transferred
-      if (eventId) {
-        const list = await listPaymentsFirestoreFiltered({ eventId });
-        if (Array.isArray(list)) paymentsSource = list.map(p => (p && typeof p === 'object') ? Object.assign({}, p) : p);
-      } else {
-        const list = await listPaymentsFirestore();
-        if (Array.isArray(list)) paymentsSource = list.map(p => (p && typeof p === 'object') ? Object.assign({}, p) : p);
-      }
-    }
+    const viewer = req.firebaseUser || req.authUser ? await authz.loadAuthUser(req) : null;
+    const visible = p => (authz.canAccessOrg(viewer, { orgId: p.orgId, org: p.org }) ? p : paymentNotes.forStudent(p));
+    const filters = paymentFiltersFromQuery(req.query);
+    const { eventId, hasFilter } = filters;
+    const paging = paymentPageFromQuery(req.query);
+    const { term, invalid } = await termFromQuery(filters);
+    if (invalid) return res.status(400).json({ error: 'unknown termId' });
 
-    if (!paymentsSource) {
-      const db = readDB();
-      // If eventId provided and not using Firestore, narrow locally
-      paymentsSource = (db.payments || []).map(p => Object.assign({}, p));
-      if (eventId) {
-        paymentsSource = paymentsSource.filter(p => p.eventId === eventId || p.event === eventId);
-      }
+    if (paging && !hasFilter) {
+      const { items, next } = await repo.payments.page({}, paging);
+      await injectProofUrls(items);
+      return res.json({ payments: items.map(visible), page: paymentPageInfo(paging, next) });
     }
 
+    // Narrow by eventId in the datastore to reduce data transferred
+    let paymentsSource = await repo.payments.list(eventId ? { eventId: String(eventId) } : {});
+    if (term) paymentsSource = await paymentsInTerm(paymentsSource, term);
+
     // Derive availableFilters (distinct years/blocks) from event-scoped payments (prefer event-scoped if eventId provided)
     const availableYearsSet = new Set();
     const availableBlocksSet = new Set();
@@ -1187,127 +1268,387 @@ app.get('/api/payments', async (req, res) => {
     // If no filters requested, maintain legacy behavior by returning array (but still inject proofFile URLs)
     if (!hasFilter) {
       // Inject proofFile signed URLs where possible (async)
-      if (supabase) {
-        await Promise.all(paymentsSource.map(async (p) => {
-          if (p.proofObjectPath) {
-            try {
-              const url = await makeFileUrl(p.proofObjectPath);
-              if (url) p.proofFile = url;
-            } catch (err) {
-              console.warn('Failed to create signed URL for', p.proofObjectPath, err && err.message ? err.message : err);
-            }
-          }
-        }));
-      }
-      return res.json(paymentsSource);
+      await injectProofUrls(paymentsSource);
+      return res.json(paymentsSource.map(visible));
     }
 
     // Otherwise apply server-side filtering with normalization
-    const yearsNormalized = new Set((yearsArr || []).map(y => normalize(y)));
-    const blocksNormalized = new Set((blocksArr || []).map(b => normalize(b)));
-
-    const filtered = paymentsSource.filter(p => {
-      // Year filter: if specified, require match; else allow
-      if (yearsNormalized.size > 0) {
-        const py = normalize(p.studentYear || p.year || '');
-        if (!yearsNormalized.has(py)) return false;
-      }
-      // Block filter: if specified, require normalized equality
-      if (blocksNormalized.size > 0) {
-        const pb = normalize(p.studentBlock || p.block || '');
-        if (!blocksNormalized.has(pb)) return false;
-      }
-      return true;
-    });
+    const filtered = applyPaymentFilters(paymentsSource, filters);
+    const { items: returned, next } = paging ? pageOf(filtered, paging) : { items: filtered, next: null };
 
     // Inject proofFile signed URLs where possible
-    if (supabase) {
-      await Promise.all(filtered.map(async (p) => {
-        if (p.proofObjectPath) {
-          try {
-            const url = await makeFileUrl(p.proofObjectPath);
-            if (url) p.proofFile = url;
-          } catch (err) {
-            console.warn('Failed to create signed URL for', p.proofObjectPath, err && err.message ? err.message : err);
-          }
-        }
-      }));
-    }
+    await injectProofUrls(returned);
 
     // Compute totals for filtered set
+    // byMethod separates online submissions from cash / offline payments recorded by officers (POST /api/payments/import)
+    // studentCount / approvedAmount feed the verify view's stat cards when the table only holds one page
     let totalCount = filtered.length;
     let approvedCount = 0;
     let totalAmount = 0;
+    let approvedAmount = 0;
+    const students = new Set();
+    const byMethod = {};
+    Object.values(paymentImport.METHODS).forEach(m => { byMethod[m] = { count: 0, approvedCount: 0, amount: 0 }; });
     filtered.forEach(p => {
-      if (p.status && String(p.status).toLowerCase() === 'approved') approvedCount++;
+      const approved = p.status && String(p.status).toLowerCase() === 'approved';
+      if (approved) approvedCount++;
       const amt = parseFloat(p.amount || 0) || 0;
       totalAmount += amt;
+      if (approved) approvedAmount += amt;
+      students.add(balances.studentKey(p));
+      const bucket = byMethod[paymentImport.methodOf(p)];
+      bucket.count++;
+      if (approved) bucket.approvedCount++;
+      bucket.amount += amt;
     });
 
     // Return advanced response shape for filtered queries
-    return res.json({
-      payments: filtered,
+    const body = {
+      payments: returned.map(visible),
       totals: {
         totalCount,
         approvedCount,
-        totalAmount
+        totalAmount,
+        approvedAmount,
+        studentCount: students.size,
+        byMethod
       },
       availableFilters
-    });
+    };
+    if (paging) body.page = paymentPageInfo(paging, next, filtered.length);
+    return res.json(body);
   } catch (err) {
+    if (err instanceof PageError) return res.status(err.statusCode).json({ error: err.message });
     console.error('GET /api/payments error:', err);
     res.status(500).json({ error: 'Server error' });
   }
 });
 
+// GET /api/payments/export - download the (filtered) payments as a spreadsheet with a totals row (officer)
+// Query: eventId, termId, year, block (same as GET /api/payments), format=csv|xlsx (default csv).
+// Officers only get payments of their own org; without eventId they get all of their org's payments.
+app.get('/api/payments/export', verifyFirebaseToken, authz.requireRole('officer'), async (req, res) => {
+  try {
+    const format = String(req.query.format || 'csv').toLowerCase();
+    if (!['csv', 'xlsx'].includes(format)) return res.status(400).json({ error: 'format must be csv or xlsx' });
+    if (format === 'xlsx' && !paymentExport.xlsxAvailable()) return res.status(501).json({ error: 'xlsx export is not available on this server (exceljs not installed)' });
+
+    const filters = paymentFiltersFromQuery(req.query);
+    const { term, invalid } = await termFromQuery(filters);
+    if (invalid) return res.status(400).json({ error: 'unknown termId' });
+    let ev = null;
+    if (filters.eventId) {
+      ev = await repo.events.get(String(filters.eventId));
+      if (!ev) return res.status(404).json({ error: 'event not found' });
+      if (!authz.ensureOrgAccess(req, res, await resolveOrgTarget({ orgId: ev.orgId, org: ev.org }))) return;
+    }
+
+    let payments = await repo.payments.list(filters.eventId ? { eventId: String(filters.eventId) } : {});
+    if (!ev) payments = payments.filter(p => authz.canAccessOrg(req.authUser, { orgId: p.orgId, org: p.org }));
+    if (term) payments = await paymentsInTerm(payments, term);
+    payments = applyPaymentFilters(payments, filters);
+    payments.sort((a, b) => String(a.createdAt || '').localeCompare(String(b.createdAt || '')));
+
+    const label = ev ? ev.name : (req.authUser.org || 'all');
+    const slug = String(label || 'payments').toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '') || 'payments';
+    const filename = `payments-${slug}-${new Date().toISOString().slice(0, 10)}.${format}`;
+    res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+
+    if (format === 'xlsx') {
+      res.setHeader('Content-Type', 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+      await paymentExport.writeXlsx(res, payments, { sheetName: ev ? ev.name : 'Payments' });
+    } else {
+      res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+      paymentExport.writeCsv(res, payments);
+    }
+  } catch (err) {
+    console.error('GET /api/payments/export error:', err);
+    if (!res.headersSent) return res.status(500).json({ error: 'Server error' });
+    res.end();
+  }
+});
+
+// GET /api/payments/search?q= - officer search by student name, email, reference and notes (word prefixes, or any part
+// of a reference or email; case- and accent-insensitive; the index lives in the repository, lib/repository/searchIndex.js). Only payments of orgs the
+// officer can access; ?eventId= narrows to one event, ?limit= (default 50, max 200). Newest first.
+const MAX_SEARCH_RESULTS = 200;
+app.get('/api/payments/search', verifyFirebaseToken, authz.requireRole('officer'), async (req, res) => {
+  try {
+    const q = String(req.query.q || '').trim();
+    if (!q) return res.status(400).json({ error: 'q is required' });
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 50, 1), MAX_SEARCH_RESULTS);
+    const filter = {};
+    if (req.query.eventId) {
+      const ev = await repo.events.get(String(req.query.eventId));
+      if (!ev) return res.status(404).json({ error: 'event not found' });
+      if (!authz.ensureOrgAccess(req, res, await resolveOrgTarget({ orgId: ev.orgId, org: ev.org }))) return;
+      filter.eventId = ev.id;
+    }
+
+    const matches = (await repo.payments.search(q, filter))
+      .filter(p => authz.canAccessOrg(req.authUser, { orgId: p.orgId, org: p.org }))
+      .sort((a, b) => String(b.createdAt || '').localeCompare(String(a.createdAt || '')));
+    const payments = matches.slice(0, limit);
+    await injectProofUrls(payments);
+    return res.json({ q, payments, total: matches.length });
+  } catch (err) {
+    console.error('GET /api/payments/search error:', err);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
 // GET /api/my-payments - payments for authenticated user (returns signed URLs)
 app.get('/api/my-payments', verifyFirebaseToken, async (req, res) => {
   try {
     const uid = req.firebaseUser && req.firebaseUser.uid;
     const email = req.firebaseUser && req.firebaseUser.email;
 
-    if (firestore) {
-      const list = await listPaymentsForUserFirestore(uid, email);
-      if (Array.isArray(list)) {
-        if (supabase) {
-          await Promise.all(list.map(async (p) => {
-            if (p.proofObjectPath) {
-              try {
-                const url = await makeFileUrl(p.proofObjectPath);
-                if (url) p.proofFile = url;
-              } catch (err) {
-                console.warn('Failed to create signed URL for', p.proofObjectPath, err && err.message ? err.message : err);
-              }
-            }
-          }));
-        }
-        return res.json(list);
-      }
-      // else fallthrough
-    }
+    // by uid and email: payments recorded by officers (cash imports) only carry the student's email
+    const list = await paymentsForStudent({ uid, email });
 
-    const db = readDB();
-    let list = db.payments.filter(p => (p.submittedByUid && p.submittedByUid === uid) || (p.submittedByEmail && p.submittedByEmail === email));
+    await injectProofUrls(list);
+    // verification links are only handed to the student (never stored, so GET /api/payments cannot leak them)
+    list.forEach(p => {
+      if (normalizeStatus(p.status) === 'approved') p.verifyUrl = verifyUrlFor(p);
+    });
+    return res.json(list.map(paymentNotes.forStudent));
+  } catch (err) {
+    console.error('GET /api/my-payments error:', err);
+    return res.status(500).json({ error: 'Server error' });
+  }
+});
 
-    if (supabase) {
-      await Promise.all(list.map(async (p) => {
-        if (p.proofObjectPath) {
-          try {
-            const url = await makeFileUrl(p.proofObjectPath);
-            if (url) p.proofFile = url;
-          } catch (err) {
-            console.warn('Failed to create signed URL for', p.proofObjectPath, err && err.message ? err.message : err);
-          }
-        }
-      }));
+// Helper: all payments of one student, by uid and/or email (deduplicated)
+async function paymentsForStudent({ uid, email }) {
+  const found = new Map();
+  if (uid) (await repo.payments.list({ submittedByUid: uid })).forEach(p => found.set(p.id, p));
+  if (email) (await repo.payments.list({ submittedByEmail: email })).forEach(p => found.set(p.id, p));
+  return Array.from(found.values());
+}
+
+// Helper: statement for one student; events/payments can be narrowed with `include` (officers only see their org).
+// Events the student is not eligible for are left out unless they already paid for them.
+async function studentLedger(student, payments, include = () => true) {
+  const paidFor = new Set(payments.map(p => p.eventId).filter(Boolean));
+  const events = (await repo.events.list())
+    .filter(ev => include({ orgId: ev.orgId, org: ev.org }))
+    .filter(ev => paidFor.has(ev.id) || !student.profile || eligibility.isEligible(ev.eligibility, student.profile).eligible);
+  const visible = payments.filter(p => include({ orgId: p.orgId, org: p.org }));
+  const ledger = buildLedger({ events, payments: visible, canonicalOrgName, graceHours: PAYMENT_GRACE_HOURS });
+  const named = visible.find(p => p.studentName) || {};
+  return Object.assign({
+    student: {
+      studentKey: student.studentKey || null,
+      uid: student.uid || null,
+      email: student.email || null,
+      name: student.name || named.studentName || null
+    },
+    generatedAt: new Date().toISOString()
+  }, ledger);
+}
+
+// GET /api/my-ledger - statement for the authenticated student: open events across all orgs joined with their payments
+// Response: { student, generatedAt, items: [{ eventId, eventName, org, due, paid, pending, balance, ledgerStatus, payments }], totals }
+app.get('/api/my-ledger', verifyFirebaseToken, async (req, res) => {
+  try {
+    const uid = req.firebaseUser && req.firebaseUser.uid;
+    const email = req.firebaseUser && req.firebaseUser.email;
+    if (!uid && !email) return res.status(401).json({ error: 'not authenticated' });
+
+    const payments = await paymentsForStudent({ uid, email });
+    const name = (req.firebaseUser && req.firebaseUser.name) || null;
+    const profile = await storedStudentProfile(req);
+    return res.json(await studentLedger({ studentKey: `uid:${uid}`, uid, email, name, profile }, payments));
+  } catch (err) {
+    console.error('GET /api/my-ledger error:', err);
+    return res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// GET /api/students/:studentKey/ledger - officer view of a student's statement (studentKey as returned by
+// GET /api/events/:id/balances: uid:<uid> | email:<email> | name:<name>). Officers only see their own org's items.
+app.get('/api/students/:studentKey/ledger', verifyFirebaseToken, authz.requireRole('officer'), async (req, res) => {
+  try {
+    const key = String(req.params.studentKey || '');
+    const sep = key.indexOf(':');
+    const kind = sep > 0 ? key.slice(0, sep) : null;
+    const value = sep > 0 ? key.slice(sep + 1) : '';
+    if (!value || !['uid', 'email', 'name'].includes(kind)) {
+      return res.status(400).json({ error: 'studentKey must be uid:<uid>, email:<email> or name:<name>' });
+    }
+
+    const student = { studentKey: key };
+    let payments = [];
+    if (kind === 'uid') {
+      const userDoc = await getUserByUid(value);
+      student.uid = value;
+      student.email = (userDoc && userDoc.email) || null;
+      student.name = (userDoc && (userDoc.name || (userDoc.profile && userDoc.profile.displayName))) || null;
+      student.profile = (userDoc && userDoc.profile) || null;
+      payments = await paymentsForStudent(student);
+    } else if (kind === 'email') {
+      student.email = value;
+      payments = (await repo.payments.list()).filter(p => balances.studentKey(p) === key || String(p.submittedByEmail || '').toLowerCase() === value);
+    } else {
+      payments = (await repo.payments.list()).filter(p => balances.studentKey(p) === key);
     }
-    return res.json(list);
+
+    const ledger = await studentLedger(student, payments, target => authz.canAccessOrg(req.authUser, target));
+    return res.json(ledger);
   } catch (err) {
-    console.error('GET /api/my-payments error:', err);
+    console.error('GET /api/students/:studentKey/ledger error:', err);
+    return res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// ----------------------
+// Clearance (lib/clearance.js): a student is cleared for a term once every mandatory event of that term is paid
+// with approved payments. ?termId= or ?term= (a term name) picks the term (default: the current term, see
+// GET /api/terms/current, else the calendar term of today; term=all = every term).
+// - GET /api/clearance/:uid  the student themself, or an officer (who only sees their own org's events)
+// - GET /api/clearance       officer list of students not cleared for their org: every student in users (and every
+//                            payer) a mandatory event applies to, including those who never paid (?org= / ?orgId= for
+//                            admins, ?includeCleared=true to list everyone); also returns the terms that have mandatory events
+// ----------------------
+async function clearanceTermFromQuery(query) {
+  const { term: termDoc } = await termFromQuery(query);
+  if (termDoc) return termDoc.name;
+  const term = query && query.term ? String(query.term).trim() : '';
+  if (term.toLowerCase() === 'all') return null;
+  if (term) return term;
+  const current = await terms.currentTerm();
+  return current ? current.name : clearance.currentTerm();
+}
+
+app.get('/api/clearance', verifyFirebaseToken, authz.requireRole('officer'), async (req, res) => {
+  try {
+    const user = req.authUser;
+    const target = await resolveOrgTarget({
+      orgId: req.query.orgId ? String(req.query.orgId) : (req.query.org ? null : user.orgId),
+      org: req.query.org ? String(req.query.org) : (req.query.orgId ? null : user.org)
+    });
+    if (!target.orgId && !target.org) return res.status(400).json({ error: 'org or orgId is required' });
+    if (!authz.ensureOrgAccess(req, res, target)) return;
+
+    const sameOrg = item => (target.orgId && item.orgId === target.orgId) ||
+      (target.org && canonicalOrgName(item.org) === canonicalOrgName(target.org));
+    const events = (await repo.events.list()).filter(sameOrg);
+    const eventIds = new Set(events.map(ev => ev.id));
+    const payments = (await repo.payments.list()).filter(p => (p.eventId ? eventIds.has(p.eventId) : sameOrg(p)));
+
+    // the roster: every signed-in student (users without an officer or admin role), so students who never paid show up
+    const students = (await repo.users.list()).filter(u => !u.role || String(u.role).toLowerCase() === authz.ROLES.STUDENT);
+
+    const term = await clearanceTermFromQuery(req.query);
+    const result = clearance.unclearedStudents({ events, payments, students, term, includeCleared: parseBooleanField(req.query.includeCleared) });
+    // terms that have mandatory events, newest first (for the dashboard's term picker)
+    const termNames = Array.from(new Set(events.filter(clearance.isMandatory).map(clearance.termOf).filter(Boolean))).sort().reverse();
+    return res.json(Object.assign({ org: target.org, orgId: target.orgId, terms: termNames }, result));
+  } catch (err) {
+    console.error('GET /api/clearance error:', err);
+    return res.status(500).json({ error: 'Server error' });
+  }
+});
+
+app.get('/api/clearance/:uid', verifyFirebaseToken, async (req, res) => {
+  try {
+    const uid = String(req.params.uid);
+    const viewer = await authz.loadAuthUser(req);
+    if (!viewer) return res.status(401).json({ error: 'not authenticated' });
+    const isSelf = req.firebaseUser && req.firebaseUser.uid === uid;
+    if (!isSelf && viewer.role === authz.ROLES.STUDENT) return res.status(403).json({ error: 'forbidden' });
+
+    const userDoc = await getUserByUid(uid);
+    const email = (userDoc && userDoc.email) || (isSelf ? req.firebaseUser.email : null) || null;
+    const payments = await paymentsForStudent({ uid, email });
+    if (!userDoc && !payments.length) return res.status(404).json({ error: 'student not found' });
+
+    let events = await repo.events.list();
+    if (!isSelf) events = events.filter(ev => authz.canAccessOrg(viewer, { orgId: ev.orgId, org: ev.org }));
+    const named = payments.find(p => p.studentName);
+    const result = clearance.clearanceFor({
+      events,
+      payments,
+      term: await clearanceTermFromQuery(req.query),
+      profile: (userDoc && userDoc.profile) || (payments[0] ? eligibility.profileFrom(payments[0]) : null)
+    });
+    return res.json(Object.assign({
+      uid,
+      email,
+      studentName: (userDoc && (userDoc.name || (userDoc.profile && userDoc.profile.displayName))) || (named && named.studentName) || null
+    }, result));
+  } catch (err) {
+    console.error('GET /api/clearance/:uid error:', err);
     return res.status(500).json({ error: 'Server error' });
   }
 });
 
+// Helper: store an uploaded proof file in Supabase (proofs/<uid>/...) or, when Supabase is not configured or the
+// upload fails, in local uploads/. Returns { storedPath (persisted), proofUrl (for immediate display, may expire) }.
+async function storeProofFile(req, file) {
+  let proofUrl = null; // url we may include in this response (signed/public), may expire
+  let storedPath = null; // object path stored permanently in DB
+  if (!file) return { storedPath, proofUrl };
+
+  if (supabase) {
+    try {
+      const uid = (req.firebaseUser && req.firebaseUser.uid) ? req.firebaseUser.uid : 'anon';
+      const ext = path.extname(file.originalname) || '';
+      const objectPath = `proofs/${uid}/${Date.now()}-${uuidv4()}${ext}`;
+
+      const { data, error } = await supabase.storage.from(supabaseBucket).upload(objectPath, file.buffer, { contentType: file.mimetype, upsert: false });
+      if (error) {
+        console.warn('Supabase upload error:', error);
+      } else {
+        // storedPath is object path; Supabase may return data with path/name
+        storedPath = data && (data.path || data.Key || data.name) ? (data.path || data.Key || data.name) : objectPath;
+        // generate a signed URL for immediate response (it will expire) - useful so client can show image immediately
+        const url = await makeFileUrl(storedPath);
+        if (url) proofUrl = url;
+      }
+    } catch (err) {
+      console.warn('Supabase upload exception:', err && err.message ? err.message : err);
+    }
+  }
+
+  // Fallback: save to local disk and return local URL
+  if (!proofUrl) {
+    const filename = `${uuidv4()}${path.extname(file.originalname) || ''}`;
+    const dest = path.join(UPLOADS_DIR, filename);
+    fs.writeFileSync(dest, file.buffer);
+    storedPath = filename;
+    proofUrl = `${req.protocol}://${req.get('host')}/uploads/${filename}`;
+  }
+  return { storedPath, proofUrl };
+}
+
+// Helper: delete a proof stored by storeProofFile for a submission that was refused after the upload (best effort)
+async function discardProofFile(storedPath) {
+  if (!storedPath) return;
+  try {
+    await removeProofObject(storedPath, { local: !supabase });
+  } catch (err) {
+    console.warn('Could not remove unused proof', storedPath, err && err.message ? err.message : err);
+  }
+}
+
+// Helper: 409 for a reference another live payment of the same event/org already uses
+function duplicateReferenceResponse(res, reference, duplicateOf) {
+  return res.status(409).json({ error: `Reference ${reference} was already used for another payment`, code: 'duplicate_reference', duplicateOf });
+}
+
+// Helper: the event a submission without eventId is for, by org (orgId or name) + event name; the newest one when
+// several terms reuse the name. null when nothing matches.
+async function findEventByName({ orgId, org, name }) {
+  const wanted = String(name || '').trim().toLowerCase();
+  if (!wanted || (!orgId && !org)) return null;
+  const sameOrg = ev => (orgId && ev.orgId ? String(ev.orgId) === String(orgId) : canonicalOrgName(ev.org) === canonicalOrgName(org));
+  const matches = (await repo.events.list())
+    .filter(ev => String(ev.name || '').trim().toLowerCase() === wanted && sameOrg(ev))
+    .sort((a, b) => String(b.createdAt || '').localeCompare(String(a.createdAt || '')));
+  return matches[0] || null;
+}
+
 // POST /api/payments - create a payment with optional file 'proof'
 app.post('/api/payments', verifyFirebaseToken, upload.single('proof'), async (req, res) => {
   try {
@@ -1315,6 +1656,10 @@ app.post('/api/payments', verifyFirebaseToken, upload.single('proof'), async (re
     if (!name || !amount) {
       return res.status(400).json({ error: 'name and amount are required' });
     }
+    const amountValue = parseFloat(amount);
+    if (!Number.isFinite(amountValue) || amountValue <= 0) {
+      return res.status(400).json({ error: 'amount must be a positive number' });
+    }
 
     // Optional client fields
     const reference = req.body.reference || req.body.referenceNumber || req.body.ref || null;
@@ -1344,56 +1689,34 @@ app.post('/api/payments', verifyFirebaseToken, upload.single('proof'), async (re
       }
     }
 
-    // If client provided eventId but not event name, attempt to resolve event name (Firestore preferred, fallback local)
-    if (eventIdFromClient && !event) {
-      try {
-        let ev = null;
-        if (firestore) {
-          ev = await getEventFirestoreById(eventIdFromClient);
-        }
-        if (!ev) {
-          const dbTmp = readDB();
-          ev = (dbTmp.events || []).find(e => e.id === eventIdFromClient) || null;
-        }
-        if (ev && ev.name) event = ev.name;
-      } catch (e) {
-        // ignore resolution failure
-      }
+    // Resolve the event (deadline, fee, eligibility): by eventId, else by org + event name for clients that send no id.
+    // Every payment must belong to an existing event, otherwise the deadline and eligibility rules could be skipped.
+    let eventObj = null;
+    if (eventIdFromClient) {
+      eventObj = await repo.events.get(String(eventIdFromClient));
+      if (!eventObj) return res.status(404).json({ error: 'event not found' });
+    } else {
+      if (!event) return res.status(400).json({ error: 'eventId (or org and event name) is required' });
+      eventObj = await findEventByName({ orgId: orgIdFromClient, org, name: event });
+      if (!eventObj) return res.status(404).json({ error: 'event not found' });
     }
+    // the payment carries the event's own name and org, whatever the client sent
+    event = eventObj.name || event;
+    const eventId = eventObj.id;
+    const orgId = eventObj.orgId || orgIdFromClient || null;
+    org = eventObj.org || org;
 
-    // Upload file to Supabase if configured
-    let proofUrl = null; // url we may include in this response (signed/public), may expire
-    let storedPath = null; // object path stored permanently in DB
-
-    if (req.file && supabase) {
-      try {
-        const uid = (req.firebaseUser && req.firebaseUser.uid) ? req.firebaseUser.uid : 'anon';
-        const ext = path.extname(req.file.originalname) || '';
-        const objectPath = `proofs/${uid}/${Date.now()}-${uuidv4()}${ext}`;
-
-        const { data, error } = await supabase.storage.from(supabaseBucket).upload(objectPath, req.file.buffer, { contentType: req.file.mimetype, upsert: false });
-        if (error) {
-          console.warn('Supabase upload error:', error);
-        } else {
-          // storedPath is object path; Supabase may return data with path/name
-          storedPath = data && (data.path || data.Key || data.name) ? (data.path || data.Key || data.name) : objectPath;
-          // generate a signed URL for immediate response (it will expire) - useful so client can show image immediately
-          const url = await makeFileUrl(storedPath);
-          if (url) proofUrl = url;
-        }
-      } catch (err) {
-        console.warn('Supabase upload exception:', err && err.message ? err.message : err);
-      }
+    // Deadline / Open-Closed enforcement: closed or expired events reject, the grace period accepts as late
+    const submissionWindow = deadlines.submissionWindow(eventObj, { graceHours: PAYMENT_GRACE_HOURS });
+    if (!submissionWindow.allowed) {
+      return res.status(409).json({ error: submissionWindow.reason, code: submissionWindow.code, deadline: eventObj.deadline || null, graceEndsAt: submissionWindow.graceEndsAt });
     }
 
-    // Fallback: save to local disk and return local URL
-    if (!proofUrl && req.file) {
-      const filename = `${uuidv4()}${path.extname(req.file.originalname) || ''}`;
-      const dest = path.join(UPLOADS_DIR, filename);
-      fs.writeFileSync(dest, req.file.buffer);
-      storedPath = filename;
-      proofUrl = `${req.protocol}://${req.get('host')}/uploads/${filename}`;
-    }
+    // Eligibility, checked against the resolved event for every submission: the saved profile of a signed-in student
+    // wins over the profile fields sent with the form
+    const profile = (await storedStudentProfile(req)) || { studentYear, studentCollege, studentDepartment, studentProgram, studentBlock };
+    const check = eligibility.isEligible(eventObj.eligibility, profile);
+    if (!check.eligible) return res.status(403).json({ error: check.reason, code: 'not_eligible', missing: check.missing });
 
     // Resolve student name/email from token if client didn't provide
     let resolvedStudentName = studentNameFromClient && studentNameFromClient.trim() ? studentNameFromClient.trim() : null;
@@ -1405,25 +1728,51 @@ app.post('/api/payments', verifyFirebaseToken, upload.single('proof'), async (re
       submittedEmail = req.firebaseUser.email;
     }
 
+    // Duplicate detection (before uploading the proof so rejected submissions leave no orphan files)
+    const createdAt = new Date().toISOString();
+    const candidate = {
+      reference,
+      org,
+      orgId,
+      event,
+      eventId,
+      amount: amountValue,
+      createdAt,
+      submittedByUid: req.firebaseUser ? req.firebaseUser.uid : null,
+      submittedByEmail: submittedEmail
+    };
+    const precheck = await duplicates.check(candidate);
+    if (precheck && precheck.kind === 'reference') return duplicateReferenceResponse(res, reference, precheck.duplicateOf);
+
+    // Upload file to Supabase if configured (local uploads/ otherwise)
+    const { storedPath, proofUrl } = await storeProofFile(req, req.file);
+
+    // Checked again now that the upload is done: another submission may have used the reference meanwhile
+    const duplicate = await duplicates.check(candidate);
+    if (duplicate && duplicate.kind === 'reference') {
+      await discardProofFile(storedPath);
+      return duplicateReferenceResponse(res, reference, duplicate.duplicateOf);
+    }
+
     // Build payment object and persist
-    const db = readDB();
     const payment = {
       id: uuidv4(),
       name,
-      amount: parseFloat(amount),
+      amount: amountValue,
       purpose: purpose || null,
       org: org || null,
-      orgId: orgIdFromClient || null,    // persist canonical orgId when present
+      orgId,                             // canonical orgId of the event's org
       event: event || null,
-      eventId: eventIdFromClient || null, // persist canonical eventId when present
+      eventId,                           // canonical eventId of the resolved event
       reference: reference || null,
+      referenceNormalized: duplicates.normalizeReference(reference),
       // proofObjectPath stores either Supabase object path (for cloud) or local filename (if fallback)
       proofObjectPath: storedPath || null,
       // proofFile is a usable URL for immediate display (may be signed and expire)
       proofFile: proofUrl || null,
       proofObjectIsLocal: storedPath && !supabase ? true : false,
       status: 'pending',
-      createdAt: new Date().toISOString(),
+      createdAt,
       notes: req.body.notes || '',
       studentName: resolvedStudentName || null,
       studentYear: studentYear || null,
@@ -1433,23 +1782,36 @@ app.post('/api/payments', verifyFirebaseToken, upload.single('proof'), async (re
       // persist student block so filters can use it
       studentBlock: studentBlock || null,
       submittedByUid: req.firebaseUser ? req.firebaseUser.uid : null,
-      submittedByEmail: submittedEmail || null
+      submittedByEmail: submittedEmail || null,
+      method: paymentImport.METHODS.ONLINE
     };
+    if (submissionWindow.late) {
+      payment.late = true;
+      payment.lateFee = deadlines.lateFeeFor(eventObj, DEFAULT_LATE_FEE);
+    }
+    // Classify the amount against what this student still owes for the event (exact / partial / overpaid)
+    if (Number(eventObj.fee) > 0) {
+      const earlier = await studentPaymentsForEvent(payment);
+      payment.eventFee = Number(eventObj.fee);
+      payment.amountStatus = balances.classifyAmount(payment.amount, payment.eventFee + (payment.lateFee || 0), balances.submittedTotal(earlier));
+    }
+    if (duplicate) {
+      // near-duplicate: accepted, but flagged for the officer verify table
+      payment.possibleDuplicate = true;
+      payment.duplicateOf = duplicate.duplicateOf;
+      payment.duplicateReason = duplicate.reason;
+    }
 
-    db.payments.unshift(payment);
-    writeDB(db);
-
-    // Persist to Firestore (non-blocking)
-    if (firestore) {
-      try {
-        await firestore.collection('payments').doc(payment.id).set(payment);
-        if (payment.submittedByUid) {
-          await firestore.collection('users').doc(payment.submittedByUid).collection('payments').doc(payment.id).set(payment);
-        }
-      } catch (err) {
-        console.warn('Failed to persist payment to Firestore:', err && err.message ? err.message : err);
-      }
+    try {
+      // the datastore refuses the reference if a concurrent submission stored it after the check above
+      await repo.payments.create(payment);
+    } catch (err) {
+      if (!(err instanceof UniqueConstraintError)) throw err;
+      await discardProofFile(storedPath);
+      return duplicateReferenceResponse(res, reference, err.conflictId);
     }
+    await auditChange(req, 'payment', payment.id, 'create', null, payment);
+    bus.publish(bus.TOPICS.PAYMENT_CREATED, { payment, source: 'online' });
 
     console.log('Payment created', { id: payment.id, orgId: payment.orgId, eventId: payment.eventId, reference: payment.reference });
 
@@ -1461,35 +1823,354 @@ app.post('/api/payments', verifyFirebaseToken, upload.single('proof'), async (re
   }
 });
 
-// GET /api/payments/:id/proof-url - return a fresh signed URL for a given payment (auth + authorization)
-app.get('/api/payments/:id/proof-url', verifyFirebaseToken, async (req, res) => {
+// ----------------------
+// PUT /api/payments/:id/resubmit - the student who submitted a rejected / needs-resubmission payment fixes it
+// multipart/form-data: proof (new file, optional), reference, amount, notes (all optional; at least one change).
+// The earlier proof and values are kept in payment.revisions ({ revision, submittedAt, replacedAt, amount,
+// reference, proofObjectPath, proofObjectIsLocal, status, rejectionReason, resubmissionReason }) and the payment
+// goes back to pending. Duplicate references are checked again (409) and the amount is classified again.
+// ----------------------
+function revisionOf(payment, replacedAt) {
+  const earlier = Array.isArray(payment.revisions) ? payment.revisions : [];
+  return {
+    revision: earlier.length + 1,
+    submittedAt: payment.resubmittedAt || payment.createdAt || null,
+    replacedAt,
+    amount: Number(payment.amount) || 0,
+    reference: payment.reference || null,
+    proofObjectPath: payment.proofObjectPath || null,
+    proofObjectIsLocal: Boolean(payment.proofObjectIsLocal),
+    status: normalizeStatus(payment.status),
+    rejectionReason: payment.rejectionReason || null,
+    resubmissionReason: payment.resubmissionReason || null
+  };
+}
+
+app.put('/api/payments/:id/resubmit', verifyFirebaseToken, upload.single('proof'), async (req, res) => {
   try {
-    // Prefer Firestore lookup when available
-    let payment = null;
-    if (firestore) {
-      try {
-        const doc = await firestore.collection('payments').doc(req.params.id).get();
-        if (doc.exists) payment = doc.data();
-      } catch (e) {
-        // ignore and fallback to local
+    const uid = req.firebaseUser && req.firebaseUser.uid;
+    if (!uid) return res.status(401).json({ error: 'not authenticated' });
+    const payment = await repo.payments.get(req.params.id);
+    if (!payment) return res.status(404).json({ error: 'not found' });
+    if (payment.submittedByUid !== uid) return res.status(403).json({ error: 'only the student who submitted this payment can resubmit it' });
+
+    const body = req.body || {};
+    const reference = typeof body.reference !== 'undefined' ? (String(body.reference).trim() || null) : (payment.reference || null);
+    let amount = Number(payment.amount) || 0;
+    if (typeof body.amount !== 'undefined' && body.amount !== '') {
+      amount = parseFloat(body.amount);
+      if (!Number.isFinite(amount) || amount <= 0) return res.status(400).json({ error: 'amount must be a positive number' });
+    }
+    if (!req.file && reference === (payment.reference || null) && amount === (Number(payment.amount) || 0)) {
+      return res.status(400).json({ error: 'send a new proof, reference or amount to resubmit' });
+    }
+
+    const resubmittedAt = new Date().toISOString();
+    const notResubmittable = status => res.status(409).json({ error: 'Only rejected payments or payments returned for resubmission can be resubmitted', code: 'illegal_transition', status: normalizeStatus(status) });
+    // checked here so nothing is uploaded for a payment that cannot be resubmitted, and again in the atomic update below
+    if (!allowedActions(payment.status).includes('resubmit')) return notResubmittable(payment.status);
+
+    // Duplicate detection with the new values (the payment itself does not count), before uploading the new proof
+    const candidate = {
+      id: payment.id,
+      reference,
+      org: payment.org,
+      orgId: payment.orgId,
+      event: payment.event,
+      eventId: payment.eventId,
+      amount,
+      createdAt: resubmittedAt,
+      submittedByUid: payment.submittedByUid,
+      submittedByEmail: payment.submittedByEmail
+    };
+    const precheck = await duplicates.check(candidate);
+    if (precheck && precheck.kind === 'reference') return duplicateReferenceResponse(res, reference, precheck.duplicateOf);
+
+    const { storedPath, proofUrl } = await storeProofFile(req, req.file);
+    // and again after the upload, in case another submission used the reference meanwhile
+    const duplicate = await duplicates.check(candidate);
+    if (duplicate && duplicate.kind === 'reference') {
+      await discardProofFile(storedPath);
+      return duplicateReferenceResponse(res, reference, duplicate.duplicateOf);
+    }
+    const amountStatus = payment.eventFee
+      ? balances.classifyAmount(amount, payment.eventFee + (payment.lateFee || 0), balances.submittedTotal(await studentPaymentsForEvent(payment)))
+      : null;
+
+    let before = null;
+    let revision = null;
+    let saved = null;
+    try {
+      saved = await repo.payments.update(payment.id, current => {
+        before = audit.snapshot(current);
+        revision = revisionOf(current, resubmittedAt);
+        applyTransition(current, 'resubmit', { at: resubmittedAt });
+        current.revisions = (Array.isArray(current.revisions) ? current.revisions : []).concat(revision);
+        current.reference = reference;
+        current.referenceNormalized = duplicates.normalizeReference(reference);
+        current.amount = amount;
+        if (storedPath) {
+          current.proofObjectPath = storedPath;
+          current.proofFile = proofUrl || null;
+          current.proofObjectIsLocal = Boolean(storedPath && !supabase);
+        }
+        if (typeof body.notes !== 'undefined') current.notes = String(body.notes);
+        if (amountStatus) current.amountStatus = amountStatus;
+        if (duplicate) {
+          current.possibleDuplicate = true;
+          current.duplicateOf = duplicate.duplicateOf;
+          current.duplicateReason = duplicate.reason;
+        } else {
+          delete current.possibleDuplicate;
+          delete current.duplicateOf;
+          delete current.duplicateReason;
+        }
+        return current;
+      });
+    } catch (err) {
+      // nothing was written, so the new proof is not referenced by anything
+      await discardProofFile(storedPath);
+      if (err instanceof TransitionError) return notResubmittable(before ? before.status : payment.status);
+      if (err instanceof UniqueConstraintError) return duplicateReferenceResponse(res, reference, err.conflictId);
+      throw err;
+    }
+    if (!saved) return res.status(404).json({ error: 'not found' });
+    await auditChange(req, 'payment', saved.id, 'resubmit', before, saved);
+    bus.publish(bus.TOPICS.PAYMENT_STATUS_CHANGED, { payment: saved, action: 'resubmit', from: before.status });
+    console.log('Payment resubmitted', { id: saved.id, revision: revision.revision });
+    return res.json(paymentNotes.forStudent(saved));
+  } catch (err) {
+    console.error('PUT /api/payments/:id/resubmit error:', err);
+    return res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// ----------------------
+// POST /api/payments/:id/withdraw - the student who submitted a pending payment cancels it (e.g. wrong event)
+// body: { reason } (optional). The payment is kept with status 'withdrawn' and no longer counts toward balances.
+// ----------------------
+app.post('/api/payments/:id/withdraw', verifyFirebaseToken, async (req, res) => {
+  try {
+    const uid = req.firebaseUser && req.firebaseUser.uid;
+    if (!uid) return res.status(401).json({ error: 'not authenticated' });
+    const found = await repo.payments.get(req.params.id);
+    if (!found) return res.status(404).json({ error: 'not found' });
+    if (found.submittedByUid !== uid) return res.status(403).json({ error: 'only the student who submitted this payment can withdraw it' });
+
+    // checked against the stored status atomically, so a withdrawal cannot undo an approval made at the same moment
+    let before = null;
+    let saved = null;
+    try {
+      saved = await repo.payments.update(found.id, payment => {
+        before = audit.snapshot(payment);
+        applyTransition(payment, 'withdraw', { reason: req.body && req.body.reason });
+        return payment;
+      });
+    } catch (err) {
+      if (err instanceof TransitionError) {
+        return res.status(err.statusCode).json({ error: 'Only payments still pending verification can be withdrawn', code: err.code, status: normalizeStatus(before ? before.status : found.status) });
       }
+      throw err;
     }
-    if (!payment) {
-      const db = readDB();
-      payment = db.payments.find(p => p.id === req.params.id);
+    if (!saved) return res.status(404).json({ error: 'not found' });
+    await auditChange(req, 'payment', saved.id, 'withdraw', before, saved);
+    bus.publish(bus.TOPICS.PAYMENT_STATUS_CHANGED, { payment: saved, action: 'withdraw', from: before.status });
+    console.log('Payment withdrawn', { id: saved.id });
+    return res.json(paymentNotes.forStudent(saved));
+  } catch (err) {
+    console.error('POST /api/payments/:id/withdraw error:', err);
+    return res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// POST /api/payments/import - officer bulk import of cash / offline payments for one event (lib/paymentImport.js)
+// multipart/form-data: file=<csv> (or JSON { csv }), eventId, method (default for rows without one: cash),
+// dryRun (default true). CSV columns: student name, email, year, block, amount, reference, method.
+// Dry run returns a per-row preview: { dryRun, eventId, rows: [{ line, data, errors, warnings, amountStatus }], summary }.
+// With dryRun=false nothing is written when any row has errors (422 + preview); otherwise every row becomes an
+// approved payment with method cash/offline and source 'import'.
+app.post('/api/payments/import', verifyFirebaseToken, authz.requireRole('officer'), upload.single('file'), async (req, res) => {
+  try {
+    const body = req.body || {};
+    const dryRunRaw = typeof body.dryRun !== 'undefined' ? body.dryRun : req.query.dryRun;
+    const dryRun = !['false', '0', 'no'].includes(String(typeof dryRunRaw === 'undefined' ? 'true' : dryRunRaw).toLowerCase());
+    const eventId = body.eventId || req.query.eventId || null;
+    const defaultMethod = String(body.method || paymentImport.METHODS.CASH).toLowerCase();
+
+    if (!eventId) return res.status(400).json({ error: 'eventId is required' });
+    const ev = await repo.events.get(String(eventId));
+    if (!ev) return res.status(404).json({ error: 'event not found' });
+    if (!authz.ensureOrgAccess(req, res, await resolveOrgTarget({ orgId: ev.orgId, org: ev.org }))) return;
+    if (!paymentImport.IMPORT_METHODS.includes(defaultMethod)) {
+      return res.status(400).json({ error: `method must be ${paymentImport.IMPORT_METHODS.join(' or ')}` });
+    }
+
+    const csvText = req.file ? req.file.buffer.toString('utf8') : (typeof body.csv === 'string' ? body.csv : '');
+    if (!csvText.trim()) return res.status(400).json({ error: 'a CSV file (field "file") or csv text is required' });
+
+    const parsed = paymentImport.readRows(csvText);
+    if (parsed.missingHeaders.length) {
+      return res.status(400).json({ error: `CSV is missing required column(s): ${parsed.missingHeaders.join(', ')}`, unknownHeaders: parsed.unknownHeaders });
+    }
+    if (!parsed.rows.length) return res.status(400).json({ error: 'CSV has no data rows' });
+    if (parsed.rows.length > paymentImport.MAX_ROWS) return res.status(400).json({ error: `CSV has more than ${paymentImport.MAX_ROWS} rows` });
+
+    const fee = Number(ev.fee) || 0;
+    const seenReferences = new Map();   // normalized reference -> line
+    const submittedInFile = new Map();  // studentKey -> amount counted so far in this file
+    const now = new Date().toISOString();
+    const rows = [];
+    for (const { line, data } of parsed.rows) {
+      const { value, errors, warnings } = paymentImport.validateRow(data, { defaultMethod });
+      const candidate = {
+        id: null,
+        eventId: ev.id,
+        orgId: ev.orgId || null,
+        org: ev.org || null,
+        event: ev.name || null,
+        reference: value.reference,
+        amount: value.amount,
+        createdAt: now,
+        studentName: value.studentName,
+        submittedByEmail: value.email
+      };
+
+      if (ev.eligibility) {
+        const check = eligibility.isEligible(ev.eligibility, { year: value.year, block: value.block });
+        if (check.mismatched.length) errors.push(check.reason);
+      }
+
+      const referenceNormalized = duplicates.normalizeReference(value.reference);
+      if (referenceNormalized) {
+        if (seenReferences.has(referenceNormalized)) errors.push(`reference ${value.reference} is repeated (line ${seenReferences.get(referenceNormalized)})`);
+        else seenReferences.set(referenceNormalized, line);
+      }
+      if (value.amount !== null) {
+        const duplicate = await duplicates.check(candidate);
+        if (duplicate && duplicate.kind === 'reference') errors.push(duplicate.reason);
+        else if (duplicate) warnings.push(duplicate.reason);
+      }
+
+      let amountStatus = null;
+      if (value.amount !== null && fee > 0) {
+        const key = balances.studentKey(candidate);
+        const earlier = balances.submittedTotal(await studentPaymentsForEvent(candidate)) + (submittedInFile.get(key) || 0);
+        amountStatus = balances.classifyAmount(value.amount, fee, earlier);
+        if (amountStatus === balances.AMOUNT_STATUSES.OVERPAID) warnings.push(`amount is more than the ₱${fee} still owed for this event`);
+        submittedInFile.set(key, (submittedInFile.get(key) || 0) + value.amount);
+      }
+
+      rows.push({ line, data: value, errors, warnings, amountStatus });
+    }
+
+    const valid = rows.filter(r => !r.errors.length);
+    const summary = {
+      rows: rows.length,
+      valid: valid.length,
+      withErrors: rows.length - valid.length,
+      withWarnings: rows.filter(r => r.warnings.length).length,
+      totalAmount: Math.round(valid.reduce((sum, r) => sum + r.data.amount, 0) * 100) / 100,
+      byMethod: paymentImport.IMPORT_METHODS.reduce((acc, m) => {
+        acc[m] = valid.filter(r => r.data.method === m).length;
+        return acc;
+      }, {}),
+      unknownHeaders: parsed.unknownHeaders
+    };
+    const preview = { dryRun, eventId: ev.id, eventName: ev.name || null, rows, summary };
+
+    if (dryRun) return res.json(preview);
+    if (summary.withErrors) return res.status(422).json(Object.assign({ error: 'Fix the rows with errors before importing' }, preview));
+
+    const importBatchId = uuidv4();
+    const created = [];
+    const conflicts = []; // rows refused by the datastore: { line, reference, duplicateOf }
+    for (const row of rows) {
+      const payment = {
+        id: uuidv4(),
+        name: ev.name || 'payment',
+        amount: row.data.amount,
+        purpose: `${ev.org || ''} | ${ev.name || ''}`,
+        org: ev.org || null,
+        orgId: ev.orgId || null,
+        event: ev.name || null,
+        eventId: ev.id,
+        reference: row.data.reference,
+        referenceNormalized: duplicates.normalizeReference(row.data.reference),
+        proofObjectPath: null,
+        proofFile: null,
+        proofObjectIsLocal: false,
+        status: 'pending',
+        createdAt: new Date().toISOString(),
+        notes: '',
+        studentName: row.data.studentName,
+        studentYear: row.data.year,
+        studentBlock: row.data.block,
+        submittedByUid: null,
+        submittedByEmail: row.data.email,
+        method: row.data.method,
+        source: 'import',
+        importBatchId,
+        recordedBy: req.authUser.uid
+      };
+      if (fee > 0) {
+        payment.eventFee = fee;
+        payment.amountStatus = row.amountStatus;
+      }
+      // cash / offline payments were received in person, so they are recorded as already approved
+      applyTransition(payment, 'approve');
+      payment.verifiedBy = officerDisplayName(req.authUser);
+      payment.verifiedByUid = req.authUser.uid;
+      let saved = null;
+      try {
+        saved = await repo.payments.create(payment);
+      } catch (err) {
+        // the reference was used by a submission made after the preview was checked: skip this row only
+        if (!(err instanceof UniqueConstraintError)) throw err;
+        conflicts.push({ line: row.line, reference: row.data.reference, duplicateOf: err.conflictId });
+        continue;
+      }
+      // numbered only once the row is stored, so a skipped row takes no receipt number
+      saved = (await receiptNumbers.assign(saved.id, { orgId: ev.orgId, org: ev.org })).payment || saved;
+      await auditChange(req, 'payment', saved.id, 'import', null, saved);
+      bus.publish(bus.TOPICS.PAYMENT_CREATED, { payment: saved, source: 'import' });
+      created.push(saved);
     }
 
-    if (!payment) return res.status(404).json({ error: 'not found' });
+    console.log('Payments imported', { importBatchId, eventId: ev.id, count: created.length, conflicts: conflicts.length, by: req.authUser.uid });
+    return res.json({ dryRun: false, eventId: ev.id, importBatchId, created: created.length, payments: created, conflicts, summary });
+  } catch (err) {
+    console.error('POST /api/payments/import error:', err);
+    return res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Helper: may the caller see this payment's proof / receipt? (the student who submitted it, or an officer of its org)
+async function canViewPayment(req, payment) {
+  const uid = req.firebaseUser && req.firebaseUser.uid;
+  const email = req.firebaseUser && req.firebaseUser.email;
+  const isOwner = (payment.submittedByUid && payment.submittedByUid === uid) || (payment.submittedByEmail && payment.submittedByEmail === email);
+  if (isOwner) return true;
+  // Officers (and admins) of the payment's org may view it too
+  if (!req.firebaseUser && !req.authUser) return false;
+  const authUser = await authz.loadAuthUser(req);
+  return Boolean(authUser) && authUser.role !== authz.ROLES.STUDENT && authz.canAccessOrg(authUser, await paymentOrgTarget(payment));
+}
+
+// GET /api/payments/:id/proof-url - return a fresh signed URL for a given payment (auth + authorization)
+// ?revision=N returns the proof of an earlier submission (payment.revisions, see PUT /api/payments/:id/resubmit)
+app.get('/api/payments/:id/proof-url', verifyFirebaseToken, async (req, res) => {
+  try {
+    const found = await repo.payments.get(req.params.id);
+    if (!found) return res.status(404).json({ error: 'not found' });
+    let payment = found;
+    if (req.query.revision) {
+      payment = (found.revisions || []).find(r => String(r.revision) === String(req.query.revision));
+      if (!payment) return res.status(404).json({ error: 'revision not found' });
+    }
     if (!payment.proofObjectPath) return res.status(404).json({ error: 'no proof object path' });
 
     // Authorization: owner or officer
-    const uid = req.firebaseUser && req.firebaseUser.uid;
-    const email = req.firebaseUser && req.firebaseUser.email;
-    const isOwner = (payment.submittedByUid && payment.submittedByUid === uid) || (payment.submittedByEmail && payment.submittedByEmail === email);
-    // Optionally determine officer role from Firestore or token claim
-    const isOfficer = req.firebaseUser && req.firebaseUser.role === 'officer'; // adjust as needed
-
-    if (!isOwner && !isOfficer) return res.status(403).json({ error: 'forbidden' });
+    if (!(await canViewPayment(req, found))) return res.status(403).json({ error: 'forbidden' });
 
     // If storedPath indicates local file (fallback), return local URL
     if (payment.proofObjectIsLocal) {
@@ -1512,62 +2193,228 @@ app.get('/api/payments/:id/proof-url', verifyFirebaseToken, async (req, res) =>
   }
 });
 
-// New: Unapprove endpoint - change status back to pending and clear approval metadata
-// Matches the storage/update pattern used by approve/reject endpoints (persist to data.json and Firestore)
-app.post('/api/payments/:id/unapprove', async (req, res) => {
+// ----------------------
+// Public receipt verification (no auth): anyone holding the code from a receipt can confirm the payment.
+// - GET /api/verify/:code  -> { valid, revoked, status, message, receiptNumber, org, event, amount, approvedAt, studentName (masked) }
+// - GET /verify/:code      -> public/verify.html, which renders the JSON above
+// Unknown or tampered codes answer 404.
+// ----------------------
+app.get('/api/verify/:code', async (req, res) => {
+  try {
+    const paymentId = verificationCodes.parse(req.params.code);
+    const payment = paymentId ? await repo.payments.get(paymentId) : null;
+    if (!payment) return res.status(404).json({ valid: false, error: 'Unknown or invalid verification code' });
+
+    const target = await paymentOrgTarget(payment);
+    const org = await getOrgById(target.orgId || target.org);
+    const event = payment.eventId ? await repo.events.get(payment.eventId) : null;
+    res.setHeader('Cache-Control', 'no-store');
+    return res.json(Object.assign(receipts.verificationView(payment, { org, event }), { checkedAt: new Date().toISOString() }));
+  } catch (err) {
+    console.error('GET /api/verify/:code error:', err);
+    return res.status(500).json({ error: 'Server error' });
+  }
+});
+
+app.get('/verify/:code', (req, res) => {
+  res.sendFile(path.join(__dirname, 'public', 'verify.html'));
+});
+
+// GET /api/payments/:id/receipt.pdf - official receipt for an approved payment (owner or org officer)
+app.get('/api/payments/:id/receipt.pdf', verifyFirebaseToken, async (req, res) => {
   try {
-    const db = readDB();
-    const payment = db.payments.find(p => p.id === req.params.id);
+    const payment = await repo.payments.get(req.params.id);
     if (!payment) return res.status(404).json({ error: 'not found' });
+    if (!(await canViewPayment(req, payment))) return res.status(403).json({ error: 'forbidden' });
+    if (normalizeStatus(payment.status) !== 'approved') {
+      return res.status(409).json({ error: 'Receipts are only available for approved payments', status: normalizeStatus(payment.status) });
+    }
+    if (!receipts.pdfAvailable()) return res.status(501).json({ error: 'PDF receipts are not available on this server' });
+    if (!APP_BASE_URL_CONFIGURED) {
+      console.error('GET /api/payments/:id/receipt.pdf: APP_BASE_URL is not set, refusing to issue a receipt without a verification link');
+      return res.status(503).json({ error: 'Receipts are unavailable until the server administrator sets APP_BASE_URL', code: 'app_base_url_missing' });
+    }
+
+    const target = await paymentOrgTarget(payment);
+    // payments approved before receipt numbers existed get theirs on first download (one number even when two
+    // downloads race; the one that did not number it prints the number the other stored)
+    if (!payment.receiptNumber) {
+      const before = audit.snapshot(payment);
+      const { payment: numbered, issued } = await receiptNumbers.assign(payment.id, target);
+      if (!numbered) return res.status(404).json({ error: 'not found' });
+      // unapproved meanwhile
+      if (!numbered.receiptNumber) {
+        return res.status(409).json({ error: 'Receipts are only available for approved payments', status: normalizeStatus(numbered.status) });
+      }
+      if (issued) await auditChange(req, 'payment', payment.id, 'issue-receipt', before, numbered);
+      Object.assign(payment, numbered);
+    }
 
-    payment.status = 'pending';
-    // remove approval-related fields
-    delete payment.approvedAt;
-    delete payment.verifiedBy;
-    delete payment.rejectedAt;
+    const org = await getOrgById(target.orgId || target.org);
+    const event = payment.eventId ? await repo.events.get(payment.eventId) : null;
+    const logo = await receipts.loadLogo(org && org.logoUrl, { uploadsDir: UPLOADS_DIR });
+    res.setHeader('Content-Type', 'application/pdf');
+    res.setHeader('Content-Disposition', `attachment; filename="receipt-${payment.receiptNumber}.pdf"`);
+    await receipts.writeReceiptPdf(res, { payment, org, event, logo, verifyUrl: verifyUrlFor(payment) });
+  } catch (err) {
+    console.error('GET /api/payments/:id/receipt.pdf error:', err);
+    if (!res.headersSent) return res.status(500).json({ error: 'Server error' });
+    res.end();
+  }
+});
 
-    writeDB(db);
+// ----------------------
+// Payment status transitions
+// - POST /api/payments/:id/approve               pending -> approved
+// - POST /api/payments/:id/reject                pending | needs-resubmission -> rejected (body: { reason } required)
+// - POST /api/payments/:id/request-resubmission  pending -> needs-resubmission (body: { reason } required)
+// - POST /api/payments/:id/unapprove             approved -> pending
+// - POST /api/payments/:id/reopen                rejected | needs-resubmission -> pending
+// Legal moves are defined in lib/paymentStatus.js; illegal ones return 409 with the current status.
+// Every action also takes { note, noteVisibility: 'public' (default) | 'internal' } and records the officer who
+// made it (statusUpdatedBy / statusUpdatedByUid; verifiedBy on approve).
+// - POST /api/payments/:id/notes                 add a note without changing the status
+// Requires an officer of the payment's org (or admin).
+// ----------------------
 
-    if (firestore) {
-      firestore.collection('payments').doc(payment.id).set(payment, { merge: true }).catch(err => {
-        console.warn('Firestore update on unapprove failed:', err);
-      });
-      if (payment.submittedByUid) {
-        firestore.collection('users').doc(payment.submittedByUid).collection('payments').doc(payment.id).set(payment, { merge: true }).catch(err => {
-          console.warn('Firestore per-user update on unapprove failed:', err);
+// Helper: org target for a payment; older payments may only carry eventId, so fall back to the event's org
+async function paymentOrgTarget(payment) {
+  if (payment.orgId || payment.org) return resolveOrgTarget({ orgId: payment.orgId, org: payment.org });
+  if (payment.eventId) {
+    const ev = await repo.events.get(payment.eventId);
+    if (ev) return resolveOrgTarget({ orgId: ev.orgId, org: ev.org });
+  }
+  return { orgId: null, org: null };
+}
+
+function paymentTransitionRoute(action) {
+  return async (req, res) => {
+    try {
+      const found = await repo.payments.get(req.params.id);
+      if (!found) return res.status(404).json({ error: 'not found' });
+      const target = await paymentOrgTarget(found);
+      if (!authz.ensureOrgAccess(req, res, target)) return;
+
+      let note = null;
+      try {
+        note = paymentNotes.normalizeNoteInput(req.body);
+      } catch (err) {
+        if (err instanceof paymentNotes.NoteError) return res.status(err.statusCode).json({ error: err.message });
+        throw err;
+      }
+
+      // The transition is checked against the stored status inside the atomic update, so two officers acting at
+      // once cannot both move the payment out of the same state (the second one gets the 409)
+      let before = null;
+      let saved = null;
+      try {
+        saved = await repo.payments.update(found.id, payment => {
+          before = audit.snapshot(payment);
+          applyTransition(payment, action, { reason: req.body && req.body.reason });
+          payment.statusUpdatedBy = officerDisplayName(req.authUser);
+          payment.statusUpdatedByUid = req.authUser.uid;
+          if (note) paymentNotes.addNote(payment, note, { action, author: req.authUser, at: payment.statusUpdatedAt });
+          if (action === 'approve') {
+            payment.verifiedBy = officerDisplayName(req.authUser);
+            payment.verifiedByUid = req.authUser.uid;
+          }
+          // returned whole (full replace) so fields cleared by the transition (e.g. approvedAt on unapprove) are removed too
+          return payment;
         });
+      } catch (err) {
+        if (err instanceof TransitionError) {
+          const status = before ? before.status : found.status;
+          return res.status(err.statusCode).json({ error: err.message, code: err.code, status: normalizeStatus(status), allowedActions: allowedActions(status) });
+        }
+        // reopening a rejected payment whose reference another payment has used since
+        if (err instanceof UniqueConstraintError) return duplicateReferenceResponse(res, found.reference, err.conflictId);
+        throw err;
       }
+      if (!saved) return res.status(404).json({ error: 'not found' });
+      if (action === 'approve' && !saved.receiptNumber) {
+        // numbered after the approval is stored (the counter lives in another collection); skipped if the payment
+        // was unapproved or numbered in the meantime
+        saved = (await receiptNumbers.assign(saved.id, target)).payment || saved;
+      }
+      await auditChange(req, 'payment', saved.id, action, before, saved);
+      bus.publish(bus.TOPICS.PAYMENT_STATUS_CHANGED, { payment: saved, action, from: before.status });
+      return res.json(saved);
+    } catch (err) {
+      console.error(`Error /${action}:`, err);
+      return res.status(500).json({ error: 'Server error' });
     }
+  };
+}
 
-    return res.json(payment);
+app.post('/api/payments/:id/approve', verifyFirebaseToken, authz.requireRole('officer'), paymentTransitionRoute('approve'));
+app.post('/api/payments/:id/reject', verifyFirebaseToken, authz.requireRole('officer'), paymentTransitionRoute('reject'));
+app.post('/api/payments/:id/request-resubmission', verifyFirebaseToken, authz.requireRole('officer'), paymentTransitionRoute('request-resubmission'));
+app.post('/api/payments/:id/unapprove', verifyFirebaseToken, authz.requireRole('officer'), paymentTransitionRoute('unapprove'));
+app.post('/api/payments/:id/reopen', verifyFirebaseToken, authz.requireRole('officer'), paymentTransitionRoute('reopen'));
+
+app.post('/api/payments/:id/notes', verifyFirebaseToken, authz.requireRole('officer'), async (req, res) => {
+  try {
+    const found = await repo.payments.get(req.params.id);
+    if (!found) return res.status(404).json({ error: 'not found' });
+    if (!authz.ensureOrgAccess(req, res, await paymentOrgTarget(found))) return;
+
+    let note = null;
+    try {
+      note = paymentNotes.normalizeNoteInput(req.body);
+    } catch (err) {
+      if (err instanceof paymentNotes.NoteError) return res.status(err.statusCode).json({ error: err.message });
+      throw err;
+    }
+    if (!note) return res.status(400).json({ error: 'note is required' });
+
+    // appended atomically so concurrent notes and status changes are all kept
+    let before = null;
+    const saved = await repo.payments.update(found.id, payment => {
+      before = audit.snapshot(payment);
+      paymentNotes.addNote(payment, note, { author: req.authUser });
+      return payment;
+    });
+    if (!saved) return res.status(404).json({ error: 'not found' });
+    await auditChange(req, 'payment', saved.id, 'note', before, saved);
+    return res.status(201).json(saved);
   } catch (err) {
-    console.error('Error /unapprove:', err);
+    console.error('POST /api/payments/:id/notes error:', err);
     return res.status(500).json({ error: 'Server error' });
   }
 });
 
-// Approve endpoint
-app.post('/api/payments/:id/approve', async (req, res) => {
+// ----------------------
+// Audit log (lib/audit.js)
+// - GET /api/audit?entity=payment&id=<paymentId>   entries newest first (?limit=, default 100, max 500)
+// entity is one of payment, event, org, officerProfile, term. Officers only get entries of their own org's
+// documents; asking for one payment or event checks access to that document and returns its whole history.
+// ----------------------
+app.get('/api/audit', verifyFirebaseToken, authz.requireRole('officer'), async (req, res) => {
   try {
-    const db = readDB();
-    const payment = db.payments.find(p => p.id === req.params.id);
-    if (!payment) return res.status(404).json({ error: 'not found' });
-    payment.status = 'approved';
-    payment.approvedAt = new Date().toISOString();
-    writeDB(db);
-    if (firestore) {
-      firestore.collection('payments').doc(payment.id).set(payment, { merge: true }).catch(err => {
-        console.warn('Firestore update on approve failed:', err);
-      });
-      if (payment.submittedByUid) {
-        firestore.collection('users').doc(payment.submittedByUid).collection('payments').doc(payment.id).set(payment, { merge: true }).catch(err => {
-          console.warn('Firestore per-user update on approve failed:', err);
-        });
-      }
+    const entity = req.query.entity ? String(req.query.entity) : null;
+    const entityId = req.query.id ? String(req.query.id) : null;
+    if (entity && !audit.ENTITIES.includes(entity)) {
+      return res.status(400).json({ error: `entity must be one of ${audit.ENTITIES.join(', ')}` });
+    }
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 100, 1), 500);
+
+    let entries = await audit.list({ entity, entityId });
+    let target = null;
+    if (entityId && entity === 'payment') {
+      const payment = await repo.payments.get(entityId);
+      if (payment) target = await paymentOrgTarget(payment);
+    } else if (entityId && entity === 'event') {
+      const ev = await repo.events.get(entityId);
+      if (ev) target = await resolveOrgTarget({ orgId: ev.orgId, org: ev.org });
+    }
+    if (target) {
+      if (!authz.ensureOrgAccess(req, res, target)) return;
+    } else {
+      entries = entries.filter(e => authz.canAccessOrg(req.authUser, { orgId: e.orgId, org: e.org }));
     }
-    return res.json(payment);
+    return res.json(entries.slice(0, limit));
   } catch (err) {
-    console.error('Error /approve:', err);
+    console.error('GET /api/audit error:', err);
     return res.status(500).json({ error: 'Server error' });
   }
 });
@@ -1575,6 +2422,86 @@ app.post('/api/payments/:id/approve', async (req, res) => {
 // Serve local uploads publicly
 app.use('/uploads', express.static(UPLOADS_DIR));
 
+// Auto-close events once deadline + grace period has passed (EVENT_AUTOCLOSE_INTERVAL_MINUTES=0 disables)
+const autoCloseIntervalEnv = Number(process.env.EVENT_AUTOCLOSE_INTERVAL_MINUTES);
+deadlines.createAutoCloseJob({
+  events: repo.events,
+  onClose: async (before, after) => {
+    await audit.record({ entity: 'event', entityId: after.id, action: 'auto-close', route: 'job:auto-close', before, after });
+    bus.publish(bus.TOPICS.EVENT_UPDATED, { event: after, before });
+  },
+  graceHours: PAYMENT_GRACE_HOURS,
+  intervalMinutes: Number.isFinite(autoCloseIntervalEnv) ? autoCloseIntervalEnv : 5
+}).start();
+
+// Email notifications (MAIL_TRANSPORT = smtp | file | console | none; templates in MAIL_TEMPLATES_DIR) — see lib/mailer.js
+const mailer = mailerLib.createMailer({
+  transport: mailerLib.createTransport({
+    kind: process.env.MAIL_TRANSPORT || 'none',
+    smtp: {
+      host: process.env.SMTP_HOST,
+      port: process.env.SMTP_PORT,
+      secure: parseBooleanField(process.env.SMTP_SECURE) === true,
+      user: process.env.SMTP_USER,
+      pass: process.env.SMTP_PASS
+    },
+    fileDir: process.env.MAIL_FILE_DIR || path.join(__dirname, 'mail-outbox')
+  }),
+  from: process.env.MAIL_FROM || undefined,
+  templatesDir: process.env.MAIL_TEMPLATES_DIR || path.join(__dirname, 'templates', 'email')
+});
+require('./lib/emailNotifications')({
+  bus,
+  mailer,
+  payments: repo.payments,
+  orgFor: async doc => {
+    const target = await paymentOrgTarget(doc);
+    return getOrgById(target.orgId || target.org);
+  },
+  dashboardUrl: `${APP_BASE_URL}/student-dashboard.html`
+});
+
+// Remind students and orgs of deadlines DEADLINE_REMINDER_HOURS ahead (0 disables; DEADLINE_REMINDER_INTERVAL_MINUTES)
+const reminderHoursEnv = Number(process.env.DEADLINE_REMINDER_HOURS);
+const reminderIntervalEnv = Number(process.env.DEADLINE_REMINDER_INTERVAL_MINUTES);
+deadlines.createDeadlineReminderJob({
+  events: repo.events,
+  onRemind: async (before, after) => {
+    await audit.record({ entity: 'event', entityId: after.id, action: 'deadline-reminder', route: 'job:deadline-reminder', before, after });
+    bus.publish(bus.TOPICS.EVENT_DEADLINE_APPROACHING, { event: after });
+  },
+  hoursBefore: Number.isFinite(reminderHoursEnv) ? reminderHoursEnv : 48,
+  intervalMinutes: Number.isFinite(reminderIntervalEnv) ? reminderIntervalEnv : 60
+}).start();
+
+// Remove proof files of withdrawn payments after the retention window (PROOF_PURGE_INTERVAL_MINUTES=0 disables)
+async function removeProofObject(objectPath, { local }) {
+  if (local || !supabase) {
+    try {
+      await fs.promises.unlink(path.join(UPLOADS_DIR, path.basename(objectPath)));
+    } catch (err) {
+      if (err.code !== 'ENOENT') throw err;
+    }
+    return;
+  }
+  const { error } = await supabase.storage.from(supabaseBucket).remove([objectPath]);
+  if (error) throw new Error(error.message || String(error));
+}
+
+const proofPurgeIntervalEnv = Number(process.env.PROOF_PURGE_INTERVAL_MINUTES);
+const proofRetentionDaysEnv = Number(process.env.PROOF_RETENTION_DAYS);
+proofRetention.createProofPurgeJob({
+  payments: repo.payments,
+  removeProof: removeProofObject,
+  onPurge: async (before, after) => {
+    await audit.record({ entity: 'payment', entityId: after.id, action: 'purge-proof', route: 'job:proof-purge', before, after });
+    // the status stays withdrawn; subscribers that only react to known actions (emails, notifications) ignore it
+    bus.publish(bus.TOPICS.PAYMENT_STATUS_CHANGED, { payment: after, action: 'purge-proof', from: before.status });
+  },
+  retentionDays: Number.isFinite(proofRetentionDaysEnv) && proofRetentionDaysEnv >= 0 ? proofRetentionDaysEnv : 30,
+  intervalMinutes: Number.isFinite(proofPurgeIntervalEnv) ? proofPurgeIntervalEnv : 60
+}).start();
+
 // Start server
 app.listen(PORT, () => {
   console.log(`🚀 SpartaPay running on http://localhost:${PORT}`);
@@ -0,0 +1,81 @@
+// test/balances.test.js
+// Balances against the event fee (lib/balances.js) and the per-student ledger built on them (lib/ledger.js).
+
+const { test } = require('node:test');
+const assert = require('assert');
+const { AMOUNT_STATUSES, BALANCE_STATUSES, balanceFor, classifyAmount, studentBalances, submittedTotal } = require('../lib/balances');
+const { LEDGER_STATUSES, buildLedger } = require('../lib/ledger');
+
+const payment = (id, amount, status, fields = {}) => Object.assign({ id, amount, status, submittedByUid: 'u1', createdAt: `2026-01-0${id.slice(-1)}T00:00:00.000Z` }, fields);
+
+test('amounts are classified against what is still due', () => {
+  assert.strictEqual(classifyAmount(100, 100), AMOUNT_STATUSES.EXACT);
+  assert.strictEqual(classifyAmount(40, 100), AMOUNT_STATUSES.PARTIAL);
+  assert.strictEqual(classifyAmount(60, 100, 40), AMOUNT_STATUSES.EXACT);
+  assert.strictEqual(classifyAmount(0.3, 0.6, 0.1 + 0.2), AMOUNT_STATUSES.EXACT);
+  assert.strictEqual(classifyAmount(10, 100, 100), AMOUNT_STATUSES.OVERPAID);
+  assert.strictEqual(classifyAmount(10, 0), null);
+  assert.strictEqual(submittedTotal([payment('p1', 40, 'approved'), payment('p2', 60, 'rejected'), payment('p3', '25.5', 'pending')]), 65.5);
+});
+
+test('partial payments add up; rejected and withdrawn ones are ignored', () => {
+  const partial = balanceFor([payment('p1', 40, 'approved'), payment('p2', 30, 'pending'), payment('p3', 100, 'rejected')], 100);
+  assert.deepStrictEqual([partial.paid, partial.pending, partial.balance, partial.status], [40, 30, 60, BALANCE_STATUSES.PARTIAL]);
+  const paid = balanceFor([payment('p1', 40, 'approved'), payment('p2', 60, 'Approved')], 100);
+  assert.deepStrictEqual([paid.balance, paid.status], [0, BALANCE_STATUSES.PAID]);
+  const over = balanceFor([payment('p1', 150, 'approved')], 100);
+  assert.deepStrictEqual([over.overpaid, over.status], [50, BALANCE_STATUSES.OVERPAID]);
+  assert.strictEqual(balanceFor([payment('p1', 100, 'withdrawn')], 100).status, BALANCE_STATUSES.UNPAID);
+});
+
+test('a late payment adds its late fee to what the student owes', () => {
+  const balance = balanceFor([payment('p1', 100, 'approved', { late: true, lateFee: 20 })], 100);
+  assert.deepStrictEqual([balance.due, balance.lateFee, balance.balance, balance.status], [120, 20, 20, BALANCE_STATUSES.PARTIAL]);
+  // the late fee of a rejected payment is not owed
+  assert.strictEqual(balanceFor([payment('p1', 100, 'approved'), payment('p2', 100, 'rejected', { lateFee: 20 })], 100).due, 100);
+});
+
+test('studentBalances groups payments per student', () => {
+  const result = studentBalances([
+    payment('p1', 50, 'approved'),
+    payment('p2', 50, 'approved'),
+    payment('p3', 30, 'pending', { submittedByUid: null, submittedByEmail: 'Ana@g.batstate-u.edu.ph' }),
+    payment('p4', 70, 'approved', { submittedByUid: null, submittedByEmail: 'ana@g.batstate-u.edu.ph' })
+  ], 100);
+  assert.strictEqual(result.students.length, 2);
+  assert.deepStrictEqual(result.totals, {
+    students: 2,
+    fullyPaid: 1,
+    withBalance: 1,
+    overpaidStudents: 0,
+    outstandingTotal: 30,
+    overpaidTotal: 0,
+    receivedTotal: 170,
+    pendingTotal: 30
+  });
+});
+
+test('the ledger lists what a student owes, awaits and has paid', () => {
+  const now = new Date('2026-03-01T12:00:00');
+  const events = [
+    { id: 'ev1', name: 'Membership', org: 'JIECEP', fee: 100, status: 'Open', deadline: '2026-03-10' },
+    { id: 'ev2', name: 'Shirt', org: 'JIECEP', fee: 250, status: 'Open', deadline: '2026-03-05' },
+    { id: 'ev3', name: 'Seminar', org: 'AICES', fee: 50, status: 'Open', deadline: '2026-03-20' },
+    { id: 'ev4', name: 'Old fee', org: 'AICES', fee: 80, status: 'Closed', deadline: '2026-01-10' }
+  ];
+  const payments = [
+    payment('p1', 100, 'approved', { eventId: 'ev1' }),
+    payment('p2', 250, 'pending', { event: 'shirt', org: 'jiecep' }),
+    payment('p3', 20, 'approved', { event: 'Lost event', org: 'JIECEP' })
+  ];
+  const { items, totals } = buildLedger({ events, payments, now });
+  assert.deepStrictEqual(items.map(i => [i.eventName, i.ledgerStatus]), [
+    ['Seminar', LEDGER_STATUSES.OUTSTANDING],
+    ['Shirt', LEDGER_STATUSES.PENDING],
+    ['Membership', LEDGER_STATUSES.PAID],
+    ['Lost event', LEDGER_STATUSES.PAID]
+  ]);
+  assert.strictEqual(items.some(i => i.eventId === 'ev4'), false);
+  assert.deepStrictEqual([totals.due, totals.paid, totals.pending, totals.outstanding], [400, 120, 250, 300]);
+  assert.deepStrictEqual([totals.paidCount, totals.pendingCount, totals.outstandingCount], [2, 1, 1]);
+});
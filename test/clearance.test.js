@@ -0,0 +1,65 @@
+// test/clearance.test.js
+// Student clearance per term (lib/clearance.js): mandatory events, approved payments only, eligibility and the
+// uncleared-students roster.
+
+const { test } = require('node:test');
+const assert = require('assert');
+const { ITEM_STATUSES, clearanceFor, termOf, unclearedStudents } = require('../lib/clearance');
+
+const TERM = '2025-2026 2nd Semester';
+const events = [
+  { id: 'ev1', name: 'Membership', org: 'JIECEP', fee: 100, mandatory: true, deadline: '2026-02-15' },
+  { id: 'ev2', name: 'Seniors fee', org: 'JIECEP', fee: 200, mandatory: 'true', deadline: '2026-03-01', eligibility: { years: ['4'] } },
+  { id: 'ev3', name: 'Shirt', org: 'JIECEP', fee: 250, mandatory: false, deadline: '2026-03-01' },
+  { id: 'ev4', name: 'Fall fee', org: 'JIECEP', fee: 50, mandatory: true, deadline: '2025-10-01' }
+];
+const payment = (id, eventId, amount, status, fields = {}) => Object.assign({ id, eventId, amount, status, org: 'JIECEP', submittedByUid: 'u1', createdAt: '2026-02-01T00:00:00.000Z' }, fields);
+
+test('the term of an event is its own term, else derived from its deadline', () => {
+  assert.strictEqual(termOf(events[0]), TERM);
+  assert.strictEqual(termOf(events[3]), '2025-2026 1st Semester');
+  assert.strictEqual(termOf(Object.assign({}, events[3], { term: ' Special Term ' })), 'Special Term');
+});
+
+test('a student is cleared once every mandatory event of the term is paid with approved payments', () => {
+  const pending = clearanceFor({ events, payments: [payment('p1', 'ev1', 100, 'pending')], term: TERM, profile: { year: '2nd Year' } });
+  assert.strictEqual(pending.cleared, false);
+  assert.deepStrictEqual(pending.items.map(i => [i.eventId, i.status]), [['ev1', ITEM_STATUSES.PENDING]]);
+
+  const cleared = clearanceFor({ events, payments: [payment('p1', 'ev1', 60, 'approved'), payment('p2', 'ev1', 40, 'approved')], term: TERM, profile: { year: '2nd Year' } });
+  assert.strictEqual(cleared.cleared, true);
+  assert.deepStrictEqual(cleared.totals, { events: 1, cleared: 1, outstanding: 0, balance: 0 });
+});
+
+test('eligibility-limited events count for students they apply to, and for profiles lacking the field', () => {
+  const payments = [payment('p1', 'ev1', 100, 'approved')];
+  assert.strictEqual(clearanceFor({ events, payments, term: TERM, profile: { year: '4th Year' } }).cleared, false);
+  const unknownYear = clearanceFor({ events, payments, term: TERM, profile: {} });
+  assert.deepStrictEqual(unknownYear.items.map(i => [i.eventId, i.status]), [['ev1', 'cleared'], ['ev2', 'unpaid']]);
+  assert.strictEqual(unknownYear.totals.balance, 200);
+});
+
+test('older payments without eventId match on event name and org; rejected ones do not clear', () => {
+  const byName = [{ id: 'p1', event: ' membership ', org: 'jiecep', amount: 100, status: 'approved' }];
+  assert.strictEqual(clearanceFor({ events, payments: byName, term: TERM, profile: { year: '1' } }).cleared, true);
+  assert.strictEqual(clearanceFor({ events, payments: [payment('p1', 'ev1', 100, 'rejected')], term: TERM, profile: { year: '1' } }).cleared, false);
+});
+
+test('uncleared students include roster students who never paid and payers missing from the roster', () => {
+  const students = [
+    { uid: 'u1', email: 'ana@g.batstate-u.edu.ph', name: 'Ana Reyes', profile: { year: '1st Year' } },
+    { uid: 'u2', email: 'ben@g.batstate-u.edu.ph', name: 'Ben Cruz', profile: { year: '1st Year' } },
+    { uid: 'u3', email: 'cy@g.batstate-u.edu.ph', name: 'Cy Lim', profile: { year: '1st Year' } }
+  ];
+  const payments = [
+    payment('p1', 'ev1', 100, 'approved'),
+    payment('p2', 'ev1', 100, 'rejected', { submittedByUid: 'u3' }),
+    // cash import carrying only the email of a student who never signed in (profile from the payment)
+    payment('p3', 'ev1', 50, 'approved', { submittedByUid: null, submittedByEmail: 'dee@g.batstate-u.edu.ph', studentName: 'Dee Santos', studentYear: '1st Year' })
+  ];
+  const result = unclearedStudents({ events, payments, students, term: TERM });
+  assert.deepStrictEqual(result.students.map(s => [s.studentName, s.balance]), [['Ben Cruz', 100], ['Cy Lim', 100], ['Dee Santos', 50]]);
+  assert.deepStrictEqual(result.totals, { students: 4, uncleared: 3 });
+  assert.deepStrictEqual(result.mandatoryEvents.map(ev => ev.id), ['ev1', 'ev2']);
+  assert.strictEqual(unclearedStudents({ events, payments, students, term: TERM, includeCleared: true }).students.length, 4);
+});
@@ -0,0 +1,80 @@
+// test/deadlines.test.js
+// Deadline and grace windows (lib/deadlines.js): submissionWindow() and the auto-close / reminder jobs on the
+// in-memory repository.
+
+const { test } = require('node:test');
+const assert = require('assert');
+const createRepository = require('../lib/repository');
+const { EVENT_STATUSES, deadlineAt, lateFeeFor, submissionWindow, createAutoCloseJob, createDeadlineReminderJob } = require('../lib/deadlines');
+
+// server-local times, the way date-only deadlines are read
+const at = (day, hour = 12) => new Date(`${day}T${String(hour).padStart(2, '0')}:00:00`);
+
+const event = fields => Object.assign({ id: 'ev1', name: 'Fee', status: EVENT_STATUSES.OPEN, deadline: '2026-03-10' }, fields);
+
+test('a date-only deadline lasts until the end of that day', () => {
+  const due = deadlineAt('2026-03-10');
+  assert.strictEqual(due.getDate(), 10);
+  assert.strictEqual(due.getHours(), 23);
+  assert.strictEqual(deadlineAt('2026-03-10T09:00:00.000Z').toISOString(), '2026-03-10T09:00:00.000Z');
+  assert.strictEqual(deadlineAt('soon'), null);
+  assert.strictEqual(deadlineAt(null), null);
+});
+
+test('on time, late within the grace period, refused after it', () => {
+  const ev = event();
+  assert.deepStrictEqual(pick(submissionWindow(ev, { graceHours: 24, now: at('2026-03-10', 22) })), { allowed: true, late: false, code: null });
+  assert.deepStrictEqual(pick(submissionWindow(ev, { graceHours: 24, now: at('2026-03-11', 20) })), { allowed: true, late: true, code: 'late' });
+  assert.deepStrictEqual(pick(submissionWindow(ev, { graceHours: 24, now: at('2026-03-12', 1) })), { allowed: false, late: false, code: 'deadline_passed' });
+  assert.deepStrictEqual(pick(submissionWindow(ev, { now: at('2026-03-11', 0) })), { allowed: false, late: false, code: 'deadline_passed' });
+  assert.deepStrictEqual(pick(submissionWindow(event({ deadline: null }), { now: at('2030-01-01') })), { allowed: true, late: false, code: null });
+});
+
+test('closed events accept nothing, even before the deadline', () => {
+  const win = submissionWindow(event({ status: 'closed' }), { graceHours: 24, now: at('2026-03-01') });
+  assert.strictEqual(win.allowed, false);
+  assert.strictEqual(win.code, 'event_closed');
+});
+
+test('the event late fee wins over the default', () => {
+  assert.strictEqual(lateFeeFor(event({ lateFee: 25 }), 10), 25);
+  assert.strictEqual(lateFeeFor(event({ lateFee: 0 }), 10), 10);
+  assert.strictEqual(lateFeeFor(event(), 'x'), 0);
+});
+
+test('auto-close closes events once the grace period is over, and only once', async () => {
+  const repo = createRepository({ backend: 'memory' });
+  await repo.events.create(event());
+  await repo.events.create(event({ id: 'ev2', deadline: '2026-03-20' }));
+  const closed = [];
+  const job = createAutoCloseJob({ events: repo.events, graceHours: 24, onClose: (before, after) => closed.push([before.status, after.status]) });
+
+  assert.strictEqual(await job.runOnce(at('2026-03-11', 20)), 0);
+  const counts = await Promise.all([job.runOnce(at('2026-03-12', 1)), job.runOnce(at('2026-03-12', 1))]);
+  assert.strictEqual(counts[0] + counts[1], 1);
+  assert.deepStrictEqual(closed, [[EVENT_STATUSES.OPEN, EVENT_STATUSES.CLOSED]]);
+  const saved = await repo.events.get('ev1');
+  assert.strictEqual(saved.status, EVENT_STATUSES.CLOSED);
+  assert.strictEqual(saved.closedReason, 'deadline');
+  assert.strictEqual((await repo.events.get('ev2')).status, EVENT_STATUSES.OPEN);
+});
+
+test('deadline reminders fire once per deadline, again when it moves', async () => {
+  const repo = createRepository({ backend: 'memory' });
+  await repo.events.create(event());
+  const reminded = [];
+  const job = createDeadlineReminderJob({ events: repo.events, hoursBefore: 48, onRemind: (before, after) => reminded.push(after.deadlineReminderFor) });
+
+  assert.strictEqual(await job.runOnce(at('2026-03-07')), 0);
+  const counts = await Promise.all([job.runOnce(at('2026-03-09')), job.runOnce(at('2026-03-09'))]);
+  assert.strictEqual(counts[0] + counts[1], 1);
+  assert.strictEqual(await job.runOnce(at('2026-03-10')), 0);
+
+  await repo.events.update('ev1', { deadline: '2026-03-11' });
+  assert.strictEqual(await job.runOnce(at('2026-03-10')), 1);
+  assert.deepStrictEqual(reminded, ['2026-03-10', '2026-03-11']);
+});
+
+function pick(win) {
+  return { allowed: win.allowed, late: win.late, code: win.code };
+}
@@ -0,0 +1,83 @@
+// test/duplicates.test.js
+// Duplicate references (lib/duplicates.js): the check() lookup and the repository unique key that backs it up
+// when two submissions race each other.
+
+const { test } = require('node:test');
+const assert = require('assert');
+const createRepository = require('../lib/repository');
+const { UniqueConstraintError } = require('../lib/repository');
+const createDuplicates = require('../lib/duplicates');
+const { normalizeReference, referenceKey } = require('../lib/duplicates');
+
+const canonicalOrgName = name => String(name || '').trim().toLowerCase();
+
+function setup() {
+  const repo = createRepository({ backend: 'memory', uniqueKeys: { payments: { reference: p => referenceKey(p, canonicalOrgName) } } });
+  const duplicates = createDuplicates({ payments: repo.payments, canonicalOrgName, windowMinutes: 60 });
+  return { repo, duplicates };
+}
+
+function payment(id, fields = {}) {
+  return Object.assign({
+    id,
+    eventId: 'ev1',
+    org: 'JIECEP',
+    status: 'pending',
+    amount: 100,
+    submittedByUid: 'u1',
+    createdAt: '2026-01-01T08:00:00.000Z'
+  }, fields);
+}
+
+test('references compare without spaces, dashes or case', () => {
+  assert.strictEqual(normalizeReference('0912 345-678'), '0912345678');
+  assert.strictEqual(normalizeReference(' gc-ab12 '), 'GCAB12');
+  assert.strictEqual(normalizeReference('--'), null);
+  assert.strictEqual(referenceKey(payment('p1', { reference: 'gc-1' })), 'event:ev1|GC1');
+  assert.strictEqual(referenceKey(payment('p1', { reference: 'gc-1', status: 'rejected' })), null);
+  assert.strictEqual(referenceKey(payment('p1', { reference: 'R1', eventId: null, orgId: null, org: ' JIECEP ' })), 'org-name:jiecep|R1');
+});
+
+test('a reference already used for the event is a duplicate', async () => {
+  const { repo, duplicates } = setup();
+  await repo.payments.create(payment('p1', { reference: 'GC-0001', referenceNormalized: 'GC0001' }));
+  const found = await duplicates.check(payment('p2', { reference: 'gc 0001', submittedByUid: 'u2' }));
+  assert.strictEqual(found.kind, 'reference');
+  assert.strictEqual(found.duplicateOf, 'p1');
+  assert.strictEqual(await duplicates.check(payment('p3', { reference: 'GC-0001', eventId: 'ev2', submittedByUid: 'u2' })), null);
+  // the payment itself (resubmit) and void payments never count
+  assert.strictEqual(await duplicates.check(payment('p1', { reference: 'GC-0001' })), null);
+  await repo.payments.update('p1', { status: 'withdrawn' });
+  assert.strictEqual(await duplicates.check(payment('p2', { reference: 'GC-0001', submittedByUid: 'u2' })), null);
+});
+
+test('same student, event and amount within the window is flagged as a near duplicate', async () => {
+  const { repo, duplicates } = setup();
+  await repo.payments.create(payment('p1', { reference: 'A1' }));
+  const near = await duplicates.check(payment('p2', { reference: 'A2', createdAt: '2026-01-01T08:30:00.000Z' }));
+  assert.strictEqual(near.kind, 'near');
+  assert.strictEqual(near.duplicateOf, 'p1');
+  assert.strictEqual(await duplicates.check(payment('p3', { reference: 'A3', createdAt: '2026-01-01T09:30:00.000Z' })), null);
+  assert.strictEqual(await duplicates.check(payment('p4', { reference: 'A4', amount: 50, createdAt: '2026-01-01T08:30:00.000Z' })), null);
+});
+
+test('two racing submissions with one reference: exactly one is stored', async () => {
+  const { repo } = setup();
+  const results = await Promise.allSettled([
+    repo.payments.create(payment('p1', { reference: 'GC-0001' })),
+    repo.payments.create(payment('p2', { reference: 'gc0001', submittedByUid: 'u2' }))
+  ]);
+  assert.deepStrictEqual(results.map(r => r.status).sort(), ['fulfilled', 'rejected']);
+  const failure = results.find(r => r.status === 'rejected').reason;
+  assert.ok(failure instanceof UniqueConstraintError);
+  assert.strictEqual(failure.statusCode, 409);
+  assert.strictEqual((await repo.payments.list()).length, 1);
+});
+
+test('a resubmission cannot take a reference another live payment holds', async () => {
+  const { repo } = setup();
+  await repo.payments.create(payment('p1', { reference: 'GC-1', status: 'rejected' }));
+  await repo.payments.create(payment('p2', { reference: 'GC-1', submittedByUid: 'u2' }));
+  await assert.rejects(repo.payments.update('p1', { status: 'pending' }), err => err instanceof UniqueConstraintError && err.conflictId === 'p2');
+  assert.strictEqual((await repo.payments.update('p1', { status: 'pending', reference: 'GC-2' })).reference, 'GC-2');
+});
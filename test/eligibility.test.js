@@ -0,0 +1,57 @@
+// test/eligibility.test.js
+// Event eligibility targeting (lib/eligibility.js).
+
+const { test } = require('node:test');
+const assert = require('assert');
+const { isEligible, normalizeEligibility, profileFrom } = require('../lib/eligibility');
+
+const profile = { college: 'CICS', department: 'Computer Science', program: 'BSCS', year: '2nd Year', block: 'CS-2101' };
+
+test('normalizeEligibility cleans lists and returns null for no restriction', () => {
+  assert.strictEqual(normalizeEligibility(null), null);
+  assert.strictEqual(normalizeEligibility({ colleges: [], years: '' }), null);
+  assert.deepStrictEqual(normalizeEligibility('{"colleges":" CICS , cics ,CoE","years":[2]}'), {
+    colleges: ['CICS', 'CoE'],
+    departments: [],
+    programs: [],
+    years: ['2'],
+    blocks: []
+  });
+  assert.throws(() => normalizeEligibility('{oops'));
+  assert.throws(() => normalizeEligibility(['CICS']), /must be an object/);
+});
+
+test('no eligibility means everyone', () => {
+  assert.strictEqual(isEligible(null, {}).eligible, true);
+});
+
+test('every restricted field must match, ignoring case, spacing and year spelling', () => {
+  const eligibility = normalizeEligibility({ colleges: ['cics'], years: ['2nd', '3rd Year'] });
+  assert.strictEqual(isEligible(eligibility, profile).eligible, true);
+  assert.strictEqual(isEligible(eligibility, Object.assign({}, profile, { year: '2' })).eligible, true);
+  assert.strictEqual(isEligible(eligibility, Object.assign({}, profile, { college: '  CICS ' })).eligible, true);
+
+  const wrongYear = isEligible(eligibility, Object.assign({}, profile, { year: '1st Year' }));
+  assert.strictEqual(wrongYear.eligible, false);
+  assert.deepStrictEqual(wrongYear.mismatched, ['year']);
+  assert.match(wrongYear.reason, /year level/);
+});
+
+test('a profile missing a restricted field is not eligible until it is completed', () => {
+  const check = isEligible(normalizeEligibility({ blocks: ['CS-2101'] }), { college: 'CICS' });
+  assert.strictEqual(check.eligible, false);
+  assert.deepStrictEqual(check.missing, ['block']);
+  assert.deepStrictEqual(check.mismatched, []);
+  assert.match(check.reason, /Complete your profile/);
+});
+
+test('payment submission fields count as a profile', () => {
+  assert.deepStrictEqual(profileFrom({ studentCollege: 'CICS', studentYear: '2nd Year' }), {
+    college: 'CICS',
+    department: null,
+    program: null,
+    year: '2nd Year',
+    block: null
+  });
+  assert.strictEqual(isEligible(normalizeEligibility({ years: ['2'] }), { studentYear: '2nd Year' }).eligible, true);
+});
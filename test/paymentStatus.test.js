@@ -0,0 +1,79 @@
+// test/paymentStatus.test.js
+// Payment status transitions (lib/paymentStatus.js), applied the way the routes do: inside an atomic
+// payments.update on the in-memory repository.
+
+const { test } = require('node:test');
+const assert = require('assert');
+const createRepository = require('../lib/repository');
+const { STATUSES, TransitionError, allowedActions, applyTransition, isVoid, normalizeStatus } = require('../lib/paymentStatus');
+
+async function withPayment(fields = {}) {
+  const repo = createRepository({ backend: 'memory' });
+  await repo.payments.create(Object.assign({ id: 'p1', status: 'pending', amount: 100 }, fields));
+  const transition = (action, options) => repo.payments.update('p1', p => applyTransition(p, action, options));
+  return { repo, transition };
+}
+
+test('approve, unapprove and approve again', async () => {
+  const { transition } = await withPayment({ verifiedBy: 'officer' });
+  const approved = await transition('approve', { at: '2026-01-01T00:00:00.000Z' });
+  assert.strictEqual(approved.status, STATUSES.APPROVED);
+  assert.strictEqual(approved.approvedAt, '2026-01-01T00:00:00.000Z');
+  const reverted = await transition('unapprove');
+  assert.strictEqual(reverted.status, STATUSES.PENDING);
+  assert.strictEqual('approvedAt' in reverted, false);
+  assert.strictEqual('verifiedBy' in reverted, false);
+  assert.strictEqual((await transition('approve')).status, STATUSES.APPROVED);
+});
+
+test('reject and request-resubmission require a reason', async () => {
+  const { repo, transition } = await withPayment();
+  await assert.rejects(transition('reject'), err => err instanceof TransitionError && err.statusCode === 400 && err.code === 'reason_required');
+  await assert.rejects(transition('request-resubmission', { reason: '   ' }), { code: 'reason_required' });
+  assert.strictEqual((await repo.payments.get('p1')).status, STATUSES.PENDING);
+
+  const asked = await transition('request-resubmission', { reason: ' blurry proof ' });
+  assert.strictEqual(asked.status, STATUSES.NEEDS_RESUBMISSION);
+  assert.strictEqual(asked.resubmissionReason, 'blurry proof');
+  const rejected = await transition('reject', { reason: 'wrong amount' });
+  assert.strictEqual(rejected.status, STATUSES.REJECTED);
+  assert.strictEqual(rejected.rejectionReason, 'wrong amount');
+});
+
+test('resubmit and reopen clear the rejection', async () => {
+  const { transition } = await withPayment({ status: 'rejected', rejectedAt: 'x', rejectionReason: 'wrong amount' });
+  const resubmitted = await transition('resubmit', { at: '2026-01-02T00:00:00.000Z' });
+  assert.strictEqual(resubmitted.status, STATUSES.PENDING);
+  assert.strictEqual(resubmitted.resubmittedAt, '2026-01-02T00:00:00.000Z');
+  assert.strictEqual('rejectionReason' in resubmitted, false);
+
+  await transition('reject', { reason: 'still wrong' });
+  const reopened = await transition('reopen');
+  assert.strictEqual(reopened.status, STATUSES.PENDING);
+  assert.strictEqual('rejectedAt' in reopened, false);
+});
+
+test('illegal moves are refused with 409 and leave the payment unchanged', async () => {
+  const { repo, transition } = await withPayment({ status: 'approved' });
+  await assert.rejects(transition('reject', { reason: 'late' }), err => err instanceof TransitionError && err.statusCode === 409);
+  await assert.rejects(transition('withdraw'), { statusCode: 409 });
+  await assert.rejects(transition('refund'), { statusCode: 400, code: 'unknown_action' });
+  assert.strictEqual((await repo.payments.get('p1')).status, STATUSES.APPROVED);
+});
+
+test('withdrawn is final', async () => {
+  const { transition } = await withPayment();
+  const withdrawn = await transition('withdraw', { reason: 'paid twice' });
+  assert.strictEqual(withdrawn.status, STATUSES.WITHDRAWN);
+  assert.strictEqual(withdrawn.withdrawalReason, 'paid twice');
+  assert.deepStrictEqual(allowedActions(withdrawn.status), []);
+  for (const action of ['approve', 'reopen', 'resubmit']) await assert.rejects(transition(action), { statusCode: 409 });
+});
+
+test('stored status spellings are normalized; rejected and withdrawn are void', () => {
+  assert.strictEqual(normalizeStatus('Approved'), 'approved');
+  assert.strictEqual(normalizeStatus('needs_resubmission'), 'needs-resubmission');
+  assert.strictEqual(normalizeStatus(undefined), 'pending');
+  assert.deepStrictEqual(allowedActions('Needs Resubmission').sort(), ['reject', 'reopen', 'resubmit']);
+  assert.deepStrictEqual(['pending', 'approved', 'Rejected', 'withdrawn'].map(isVoid), [false, false, true, true]);
+});
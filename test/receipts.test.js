@@ -0,0 +1,70 @@
+// test/receipts.test.js
+// Receipt numbering (lib/receipts.js createReceiptNumbers) on the in-memory repository: one number per approved
+// payment, per-org sequences, and no gaps or repeats when downloads race each other.
+
+const { test } = require('node:test');
+const assert = require('assert');
+const createRepository = require('../lib/repository');
+const { createReceiptNumbers, createVerificationCodes } = require('../lib/receipts');
+
+const YEAR = new Date().getFullYear();
+
+async function setup(payments) {
+  const repo = createRepository({ backend: 'memory', data: { payments } });
+  return { repo, receiptNumbers: createReceiptNumbers({ counters: repo.counters, payments: repo.payments }) };
+}
+
+const approved = (id, fields = {}) => Object.assign({ id, org: 'JIECEP', orgId: 'o1', status: 'approved', amount: 100 }, fields);
+
+test('approved payments are numbered in sequence per org', async () => {
+  const { receiptNumbers } = await setup([approved('p1'), approved('p2'), approved('p3', { org: 'AICES', orgId: 'o2' })]);
+  const first = await receiptNumbers.assign('p1');
+  assert.strictEqual(first.issued, true);
+  assert.strictEqual(first.payment.receiptNumber, `JIECEP-${YEAR}-000001`);
+  assert.strictEqual((await receiptNumbers.assign('p2')).payment.receiptNumber, `JIECEP-${YEAR}-000002`);
+  assert.strictEqual((await receiptNumbers.assign('p3')).payment.receiptNumber, `AICES-${YEAR}-000001`);
+});
+
+test('a payment keeps its number; unapproved payments get none', async () => {
+  const { repo, receiptNumbers } = await setup([approved('p1'), approved('p2', { status: 'pending' })]);
+  const number = (await receiptNumbers.assign('p1')).payment.receiptNumber;
+  const again = await receiptNumbers.assign('p1');
+  assert.strictEqual(again.issued, false);
+  assert.strictEqual(again.payment.receiptNumber, number);
+
+  const pending = await receiptNumbers.assign('p2');
+  assert.strictEqual(pending.issued, false);
+  assert.strictEqual('receiptNumber' in pending.payment, false);
+  assert.deepStrictEqual(await receiptNumbers.assign('nope'), { payment: null, issued: false });
+
+  // unapproved and approved again: same number
+  await repo.payments.update('p1', { status: 'pending' });
+  await repo.payments.update('p1', { status: 'approved' });
+  assert.strictEqual((await receiptNumbers.assign('p1')).payment.receiptNumber, number);
+});
+
+test('concurrent first downloads of one payment issue one number and burn none', async () => {
+  const { repo, receiptNumbers } = await setup([approved('p1'), approved('p2')]);
+  const results = await Promise.all([1, 2, 3].map(() => receiptNumbers.assign('p1')));
+  assert.strictEqual(results.filter(r => r.issued).length, 1);
+  assert.strictEqual(new Set(results.map(r => r.payment.receiptNumber)).size, 1);
+  assert.strictEqual((await repo.payments.get('p1')).receiptNumber, `JIECEP-${YEAR}-000001`);
+  // the numbers taken by the losing calls were given back, so the next payment follows without a gap
+  assert.strictEqual((await receiptNumbers.assign('p2')).payment.receiptNumber, `JIECEP-${YEAR}-000002`);
+});
+
+test('concurrent downloads of different payments never share a number', async () => {
+  const ids = ['p1', 'p2', 'p3', 'p4', 'p5'];
+  const { receiptNumbers } = await setup(ids.map(id => approved(id)));
+  const numbers = (await Promise.all(ids.map(id => receiptNumbers.assign(id)))).map(r => r.payment.receiptNumber).sort();
+  assert.deepStrictEqual(numbers, ids.map((id, i) => `JIECEP-${YEAR}-00000${i + 1}`));
+});
+
+test('verification codes only parse with a matching signature', () => {
+  const codes = createVerificationCodes({ secret: 'test-secret' });
+  const code = codes.codeFor({ id: 'p1' });
+  assert.strictEqual(codes.parse(code), 'p1');
+  assert.strictEqual(createVerificationCodes({ secret: 'other' }).parse(code), null);
+  assert.strictEqual(codes.parse('p1.forged'), null);
+  assert.throws(() => createVerificationCodes({}), /secret/);
+});
@@ -0,0 +1,88 @@
+// test/terms.test.js
+// Academic terms (lib/terms.js) on the in-memory repository: the current term and the rollover.
+
+const { test } = require('node:test');
+const assert = require('assert');
+const createRepository = require('../lib/repository');
+const createTerms = require('../lib/terms');
+const { TermError, TERM_STATUSES, calendarTerm } = require('../lib/terms');
+
+function setup() {
+  const repo = createRepository({ backend: 'memory' });
+  return { repo, terms: createTerms({ terms: repo.terms, events: repo.events }) };
+}
+
+test('calendarTerm follows the school calendar', () => {
+  assert.strictEqual(calendarTerm('2025-09-15').name, '2025-2026 1st Semester');
+  assert.strictEqual(calendarTerm('2026-02-01').name, '2025-2026 2nd Semester');
+  assert.deepStrictEqual(calendarTerm('2026-07-01'), {
+    schoolYear: '2025-2026',
+    semester: 'Midyear',
+    name: '2025-2026 Midyear',
+    startDate: '2026-06-01',
+    endDate: '2026-07-31'
+  });
+  assert.strictEqual(calendarTerm('not a date'), null);
+});
+
+test('the first term becomes current; names are unique; input is validated', async () => {
+  const { terms } = setup();
+  const first = await terms.createTerm({ schoolYear: '2025-2026', semester: '1st semester' });
+  assert.strictEqual(first.current, true);
+  assert.strictEqual(first.name, '2025-2026 1st Semester');
+  const second = await terms.createTerm({ schoolYear: '2025-2026', semester: '2nd Semester' });
+  assert.strictEqual(second.current, false);
+  await assert.rejects(terms.createTerm({ schoolYear: '2025-2026', semester: '2nd Semester' }), err => err instanceof TermError && err.statusCode === 409);
+  await assert.rejects(terms.createTerm({ schoolYear: '2025-2027', semester: 'Midyear' }), { statusCode: 400 });
+  await assert.rejects(terms.createTerm({ schoolYear: '2025-2026', semester: 'Midyear', startDate: '2026-07-01', endDate: '2026-06-01' }), { statusCode: 400 });
+});
+
+test('setCurrent leaves exactly one current term, even when called concurrently', async () => {
+  const { terms } = setup();
+  const a = await terms.createTerm({ schoolYear: '2025-2026', semester: '1st Semester' });
+  const b = await terms.createTerm({ schoolYear: '2025-2026', semester: '2nd Semester' });
+  const c = await terms.createTerm({ schoolYear: '2025-2026', semester: 'Midyear' });
+  await Promise.all([terms.setCurrent(b.id), terms.setCurrent(c.id), terms.setCurrent(a.id)]);
+  const current = (await terms.listTerms()).filter(t => t.current);
+  assert.strictEqual(current.length, 1);
+  assert.strictEqual((await terms.currentTerm()).id, current[0].id);
+  await assert.rejects(terms.setCurrent('nope'), { statusCode: 404 });
+});
+
+test('rollover archives the term and its events and makes the next term current', async () => {
+  const { repo, terms } = setup();
+  const term = await terms.createTerm({ schoolYear: '2025-2026', semester: '1st Semester' });
+  await repo.events.create({ id: 'ev1', name: 'Membership', status: 'Open', termId: term.id, term: term.name });
+  await repo.events.create({ id: 'ev2', name: 'Old untagged', status: 'Open', deadline: '2025-10-01' });
+  await repo.events.create({ id: 'ev3', name: 'Next term', status: 'Open', deadline: '2026-02-01' });
+  const archived = [];
+
+  const result = await terms.rollover(term.id, { onArchive: (before, after) => archived.push(after.id) });
+  assert.strictEqual(result.archivedTerm.status, TERM_STATUSES.ARCHIVED);
+  assert.strictEqual(result.archivedTerm.current, false);
+  assert.strictEqual(result.currentTerm.name, '2025-2026 2nd Semester');
+  assert.strictEqual(result.archivedEvents, 2);
+  assert.deepStrictEqual(archived.sort(), ['ev1', 'ev2']);
+  const ev2 = await repo.events.get('ev2');
+  assert.deepStrictEqual([ev2.archived, ev2.status, ev2.termId], [true, 'Closed', term.id]);
+  assert.strictEqual((await repo.events.get('ev3')).status, 'Open');
+  assert.strictEqual((await terms.currentTerm()).id, result.currentTerm.id);
+
+  await assert.rejects(terms.rollover(term.id), { statusCode: 409 });
+  await assert.rejects(terms.setCurrent(term.id), { statusCode: 409 });
+  await assert.rejects(terms.updateTerm(term.id, { current: true }), { statusCode: 409 });
+});
+
+test('rollover refuses an unknown or archived next term and changes nothing', async () => {
+  const { terms } = setup();
+  const old = await terms.createTerm({ schoolYear: '2024-2025', semester: 'Midyear' });
+  const term = await terms.createTerm({ schoolYear: '2025-2026', semester: '1st Semester' });
+  await terms.rollover(old.id, { nextTermId: term.id });
+
+  await assert.rejects(terms.rollover(term.id, { nextTermId: 'nope' }), { statusCode: 404 });
+  await assert.rejects(terms.rollover(term.id, { nextTermId: old.id }), { statusCode: 409 });
+  await assert.rejects(terms.rollover(term.id, { nextTermId: term.id }), { statusCode: 400 });
+  const current = await terms.currentTerm();
+  assert.strictEqual(current.id, term.id);
+  assert.strictEqual(current.status, TERM_STATUSES.ACTIVE);
+});